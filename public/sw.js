@@ -0,0 +1,88 @@
+// ———————————————————————————————————————————————
+// Service worker de Safire (sin conexión)
+// ———————————————————————————————————————————————
+// - Instalación: precarga el HTML de entrada, el manifiesto, prices.json y
+//   los recursos que enlazan (nombres con hash de Vite, también los trozos
+//   que se cargan bajo demanda como jspdf o qrcode).
+// - Navegación y precios (prices.json y proveedores HTTP): red primero y,
+//   sin cobertura, la última respuesta guardada.
+// - Resto de recursos propios: caché primero.
+// Subir VERSION invalida las cachés anteriores.
+
+const VERSION = 'v1'
+const SHELL = `safire-shell-${VERSION}`
+const DATA = `safire-data-${VERSION}`
+const scoped = (path) => new URL(path, self.registration.scope).href
+const ENTRY = ['./', './manifest.webmanifest', './icon.svg']
+const PRICES = ['./prices.json']
+
+const ASSET_RE = /(?:src|href)="([^"#]+)"|["'(]((?:\.{0,2}\/)?assets\/[\w.-]+\.(?:js|css|woff2?|png|svg))/g
+const assetsIn = (text, base) => [...text.matchAll(ASSET_RE)]
+  .map(m => m[1] || m[2])
+  .filter(u => !/^(?:https?:|data:|blob:|mailto:)/.test(u))
+  .map(u => new URL(u, base).href)
+
+const precache = async () => {
+  const shell = await caches.open(SHELL)
+  await shell.addAll(ENTRY.map(scoped))
+  const html = await (await shell.match(scoped('./'))).text()
+  const first = [...new Set(assetsIn(html, scoped('./')))]
+  await shell.addAll(first)
+  // Un nivel más: los módulos de entrada referencian sus trozos dinámicos
+  const nested = []
+  for (const url of first.filter(u => u.endsWith('.js'))) {
+    nested.push(...assetsIn(await (await shell.match(url)).text(), url))
+  }
+  await shell.addAll([...new Set(nested)].filter(u => !first.includes(u)))
+  await (await caches.open(DATA)).addAll(PRICES.map(scoped))
+}
+
+self.addEventListener('install', (event) => { event.waitUntil(precache()) })
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL, DATA]
+    await Promise.all((await caches.keys()).filter(k => k.startsWith('safire-') && !keep.includes(k)).map(k => caches.delete(k)))
+    await self.clients.claim()
+  })())
+})
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') self.skipWaiting()
+})
+
+const networkFirst = async (request, cacheName, fallbackUrl) => {
+  const cache = await caches.open(cacheName)
+  try {
+    const res = await fetch(request)
+    if (res.ok) cache.put(fallbackUrl || request, res.clone())
+    return res
+  } catch (e) {
+    const hit = await cache.match(fallbackUrl || request, { ignoreSearch: !fallbackUrl })
+    if (hit) return hit
+    throw e
+  }
+}
+
+const cacheFirst = async (request) => {
+  const hit = await caches.match(request)
+  if (hit) return hit
+  const res = await fetch(request)
+  if (res.ok) (await caches.open(SHELL)).put(request, res.clone())
+  return res
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+  if (!url.protocol.startsWith('http')) return
+  // La tasación compartida va en el fragmento: cualquier navegación sirve la app
+  if (request.mode === 'navigate') { event.respondWith(networkFirst(request, SHELL, scoped('./'))); return }
+  if (url.origin === self.location.origin && !PRICES.map(scoped).includes(url.origin + url.pathname)) {
+    event.respondWith(cacheFirst(request))
+    return
+  }
+  // prices.json y proveedores de precios externos: últimos precios conocidos
+  event.respondWith(networkFirst(request, DATA))
+})
@@ -0,0 +1,202 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import { card, input, select, btn, muted, Pill, fmt } from './ui.jsx'
+import { allAppraisals } from './store.js'
+import { summarize, analyticsRows, overPct } from './analytics.js'
+
+const small = { ...btn('outline'), padding:'2px 8px', fontSize:12 }
+const AXIS = '#3a415a'
+const TEXT = '#8b91a1'
+const BAR = '#8fb3ff'
+const BAD = '#ff9cac'
+const MAX_GROUPS = 12
+
+// Histograma vertical; items: [{ label, value, color, onClick }]
+function Bars({ items, height = 160, unit = '' }){
+  const w = 520, pad = 28, max = Math.max(1, ...items.map(i => i.value))
+  const bw = (w - pad) / Math.max(1, items.length)
+  return (
+    <svg viewBox={`0 0 ${w} ${height + 36}`} style={{width:'100%', maxWidth:w}}>
+      <line x1={pad} y1={height} x2={w} y2={height} stroke={AXIS} />
+      <text x={pad - 4} y={10} fill={TEXT} fontSize="10" textAnchor="end">{fmt(max, 0)}</text>
+      {items.map((it, i) => {
+        const h = (it.value / max) * (height - 12)
+        const x = pad + i * bw + 4
+        return (
+          <g key={it.label} style={{cursor: it.onClick ? 'pointer' : 'default'}} onClick={it.onClick}>
+            <title>{`${it.label}: ${fmt(it.value, unit ? 1 : 0)}${unit}`}</title>
+            <rect x={x} y={height - h} width={Math.max(2, bw - 8)} height={h} fill={it.color || BAR} rx="3" />
+            {it.value > 0 && <text x={x + (bw - 8) / 2} y={height - h - 3} fill="#c8cde0" fontSize="10" textAnchor="middle">{fmt(it.value, unit ? 1 : 0)}{unit}</text>}
+            <text x={x + (bw - 8) / 2} y={height + 14} fill={TEXT} fontSize="10" textAnchor="middle">{String(it.label).slice(0, 14)}</text>
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+// Cajas horizontales de sobreprecio (mín, Q1, mediana, Q3, máx) por grupo
+function BoxPlot({ groups, onPick }){
+  const rows = groups.filter(g => g.over).slice(0, MAX_GROUPS)
+  if (!rows.length) return <div style={muted}>Sin tasaciones con precio.</div>
+  const w = 520, left = 120, rowH = 22
+  const lo = Math.min(0, ...rows.map(g => g.over.min))
+  const hi = Math.max(100, ...rows.map(g => g.over.max))
+  const x = (v) => left + ((v - lo) / (hi - lo)) * (w - left - 10)
+  const height = rows.length * rowH + 20
+  return (
+    <svg viewBox={`0 0 ${w} ${height}`} style={{width:'100%', maxWidth:w}}>
+      <line x1={x(0)} y1={0} x2={x(0)} y2={height - 16} stroke={BAD} strokeDasharray="3 3" />
+      {[lo, 0, hi].filter((v, i, a) => a.indexOf(v) === i).map(v => <text key={v} x={x(v)} y={height - 4} fill={TEXT} fontSize="10" textAnchor="middle">{fmt(v, 0)}%</text>)}
+      {rows.map((g, i) => {
+        const y = i * rowH + 11
+        const o = g.over
+        return (
+          <g key={g.key} style={{cursor:'pointer'}} onClick={()=>onPick(g)}>
+            <title>{`${g.label}: mediana ${fmt(o.median, 1)}% · Q1 ${fmt(o.q1, 1)}% · Q3 ${fmt(o.q3, 1)}% · ${g.priced} con precio`}</title>
+            <text x={left - 6} y={y + 4} fill="#c8cde0" fontSize="11" textAnchor="end">{String(g.label).slice(0, 18)}</text>
+            <line x1={x(o.min)} y1={y} x2={x(o.max)} y2={y} stroke={TEXT} />
+            <rect x={x(o.q1)} y={y - 7} width={Math.max(2, x(o.q3) - x(o.q1))} height={14} fill={`${BAR}55`} stroke={BAR} rx="2" />
+            <line x1={x(o.median)} y1={y - 7} x2={x(o.median)} y2={y + 7} stroke="#e8ebf4" strokeWidth="2" />
+            {g.suspicious > 0 && <circle cx={w - 6} cy={y} r="4" fill={BAD}><title>{`${g.suspicious} sospechosos`}</title></circle>}
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+// Evolución: barras con el nº de tasaciones y línea con la mediana de sobreprecio
+function Trend({ points, onPick }){
+  if (!points.length) return <div style={muted}>Sin datos.</div>
+  const w = 520, h = 160, pad = 32
+  const step = (w - pad * 2) / Math.max(1, points.length)
+  const maxCount = Math.max(1, ...points.map(p => p.count))
+  const medians = points.map(p => p.over?.median).filter(v => v != null)
+  const lo = Math.min(0, ...medians), hi = Math.max(1, ...medians)
+  const yOver = (v) => h - 8 - ((v - lo) / (hi - lo || 1)) * (h - 20)
+  const cx = (i) => pad + i * step + step / 2
+  const path = points.map((p, i) => p.over ? `${cx(i)},${yOver(p.over.median)}` : null).filter(Boolean).join(' ')
+  return (
+    <svg viewBox={`0 0 ${w} ${h + 24}`} style={{width:'100%', maxWidth:w}}>
+      <line x1={pad} y1={h} x2={w - pad} y2={h} stroke={AXIS} />
+      <text x={pad - 4} y={10} fill={TEXT} fontSize="10" textAnchor="end">{maxCount}</text>
+      <text x={w - pad + 4} y={10} fill="#ffd48a" fontSize="10">{fmt(hi, 0)}%</text>
+      {points.map((p, i) => {
+        const bh = (p.count / maxCount) * (h - 20)
+        return (
+          <g key={p.key} style={{cursor:'pointer'}} onClick={()=>onPick(p)}>
+            <title>{`${p.key}: ${p.count} tasaciones${p.over ? ` · mediana ${fmt(p.over.median, 1)}%` : ''}${p.suspicious ? ` · ${p.suspicious} sospechosos` : ''}`}</title>
+            <rect x={cx(i) - step * 0.35} y={h - bh} width={step * 0.7} height={bh} fill={`${BAR}44`} rx="2" />
+            {(points.length <= 12 || i % Math.ceil(points.length / 12) === 0) && <text x={cx(i)} y={h + 14} fill={TEXT} fontSize="10" textAnchor="middle">{p.key}</text>}
+          </g>
+        )
+      })}
+      {path && <polyline points={path} fill="none" stroke="#ffd48a" strokeWidth="2" />}
+      {points.map((p, i) => p.over && <circle key={p.key} cx={cx(i)} cy={yOver(p.over.median)} r="3" fill="#ffd48a" />)}
+    </svg>
+  )
+}
+
+// Analítica del historial: sobreprecio por tipo/marca, evolución, % de materiales
+// y casos sospechosos. Al pulsar un grupo se listan sus tasaciones (onOpen abre una).
+export default function AnalyticsPanel({ version, pieceTypes, currency, onOpen, onExportCSV, onClose }){
+  const [entries, setEntries] = useState([])
+  const [error, setError] = useState('')
+  const [range, setRange] = useState({ from: '', to: '' })
+  const [bucket, setBucket] = useState('month')
+  const [dimension, setDimension] = useState('byType')
+  const [selection, setSelection] = useState(null) // { title, ids }
+
+  useEffect(()=>{
+    let live = true
+    allAppraisals().then(list => { if (live) { setEntries(list); setError('') } }).catch(e => live && setError(e.message))
+    return ()=>{ live = false }
+  },[version])
+
+  const filtered = useMemo(()=> entries.filter(e => (!range.from || String(e.ts).slice(0, 10) >= range.from) && (!range.to || String(e.ts).slice(0, 10) <= range.to)), [entries, range])
+  const summary = useMemo(()=> summarize(filtered, { pieceTypes, bucket }), [filtered, pieceTypes, bucket])
+  const pick = (title, ids)=> setSelection({ title, ids })
+  const selected = selection ? filtered.filter(e => selection.ids.includes(e.id)).sort((a, b) => b.ts.localeCompare(a.ts)) : []
+  const groups = summary[dimension]
+
+  return (
+    <div style={card}>
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', justifyContent:'space-between'}}>
+        <h2 style={{fontSize:18, margin:0}}>Analítica <span style={muted}>({summary.total} tasaciones · {summary.priced} con precio)</span></h2>
+        <div style={{display:'flex', gap:8, flexWrap:'wrap', alignItems:'center'}}>
+          <label style={muted}>Desde<input style={{...input, width:150}} type="date" value={range.from} onChange={e=>setRange(r => ({ ...r, from: e.target.value }))} /></label>
+          <label style={muted}>Hasta<input style={{...input, width:150}} type="date" value={range.to} onChange={e=>setRange(r => ({ ...r, to: e.target.value }))} /></label>
+          <button style={btn('outline')} onClick={()=>onExportCSV(analyticsRows(summary))}>Exportar cifras (CSV)</button>
+          <button style={btn('outline')} onClick={onClose}>Cerrar</button>
+        </div>
+      </div>
+      {error && <div style={{...muted, color:BAD, marginTop:8}}>Historial no disponible: {error}</div>}
+
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, marginTop:10}}>
+        <Pill>Mediana de sobreprecio: {summary.over ? `${fmt(summary.over.median, 1)}%` : '—'}</Pill>
+        <Pill>Mediana % materiales / precio: {summary.medianPctMaterials != null ? `${fmt(summary.medianPctMaterials, 1)}%` : '—'}</Pill>
+        <a href="#" style={{textDecoration:'none'}} onClick={e=>{ e.preventDefault(); pick('Precio sospechoso', summary.suspicious.ids) }}>
+          <Pill tone={summary.suspicious.count ? 'bad' : 'ok'}>Precio sospechoso: {summary.suspicious.count}</Pill>
+        </a>
+        <span style={muted}>Los porcentajes no dependen de la divisa ({currency} u otras).</span>
+      </div>
+
+      <div style={{display:'grid', gridTemplateColumns:'repeat(auto-fit, minmax(340px, 1fr))', gap:16, marginTop:12}}>
+        <div>
+          <div style={{display:'flex', gap:8, alignItems:'center'}}>
+            <b style={{fontSize:13}}>Sobreprecio por</b>
+            <select style={{...select, width:150}} value={dimension} onChange={e=>setDimension(e.target.value)}>
+              <option value="byType">Tipo de pieza</option>
+              <option value="byBrand">Marca</option>
+            </select>
+          </div>
+          <BoxPlot groups={groups} onPick={g => pick(`${g.label} (${g.count})`, g.ids)} />
+          {groups.filter(g => g.over).length > MAX_GROUPS && <div style={muted}>Se muestran los {MAX_GROUPS} grupos con más tasaciones; el CSV los incluye todos.</div>}
+        </div>
+        <div>
+          <b style={{fontSize:13}}>Distribución del sobreprecio</b>
+          <Bars items={summary.histogram.map(b => ({ label: b.label, value: b.count, color: b.upTo === 0 ? BAD : BAR, onClick: ()=>pick(`Sobreprecio ${b.label}`, b.ids) }))} />
+        </div>
+        <div>
+          <div style={{display:'flex', gap:8, alignItems:'center'}}>
+            <b style={{fontSize:13}}>Evolución</b>
+            <select style={{...select, width:120}} value={bucket} onChange={e=>setBucket(e.target.value)}>
+              <option value="month">Por mes</option>
+              <option value="week">Por semana</option>
+            </select>
+            <span style={muted}>barras: nº · línea: mediana de sobreprecio</span>
+          </div>
+          <Trend points={summary.trend} onPick={p => pick(p.key, p.ids)} />
+        </div>
+        <div>
+          <b style={{fontSize:13}}>Mediana % materiales / precio por tipo</b>
+          <Bars unit="%" items={summary.byType.filter(g => g.medianPctMaterials != null).slice(0, MAX_GROUPS).map(g => ({ label: g.label, value: g.medianPctMaterials, onClick: ()=>pick(`${g.label} (${g.count})`, g.ids) }))} />
+        </div>
+      </div>
+
+      {selection && (
+        <div style={{marginTop:12}}>
+          <div style={{display:'flex', justifyContent:'space-between', alignItems:'center'}}>
+            <b style={{fontSize:13}}>{selection.title} · {selected.length} tasaciones</b>
+            <button style={small} onClick={()=>setSelection(null)}>Cerrar</button>
+          </div>
+          <div style={{display:'grid', gap:4, marginTop:6, fontSize:13}}>
+            {selected.map(h => {
+              const over = overPct(h)
+              return (
+                <div key={h.id} style={{display:'grid', gridTemplateColumns:'160px 2fr 1fr 90px 1.4fr auto', gap:8, alignItems:'center', borderBottom:'1px solid #242836', padding:'4px 0'}}>
+                  <span>{new Date(h.ts).toLocaleDateString()}</span>
+                  <span>{h.desc}{h.brand ? ` · ${h.brand}` : ''}</span>
+                  <span style={muted}>{pieceTypes[h.pieceType] || h.pieceType || '—'}</span>
+                  <span>{over != null ? `${fmt(over, 1)}%` : '—'}</span>
+                  <span style={muted}>{h.diagnosis || '—'}</span>
+                  <button style={small} onClick={()=>onOpen(h)}>Abrir</button>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
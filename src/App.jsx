@@ -1,42 +1,52 @@
-import React, { useEffect, useMemo, useState } from 'react'
+import React, { useEffect, useMemo, useRef, useState } from 'react'
 import jsPDF from 'jspdf'
+import { loadCachedSpots, refreshSpots, providerFromConfig, spotPriceFor, isStale, FINE_METALS, SPOT_PROVIDER_KEY } from './prices.js'
+import { evaluate, convertLinePrices, toNumber, unitFor, DEFAULT_DENSITY, WEIGHT_UNITS } from './valuation.js'
+import { loadPolicies, savePolicies, selectPolicy, describePolicy, WIZARD_PIECE_TYPES } from './policies.js'
+import PolicyEditor from './PolicyEditor.jsx'
+import TemplateLibrary from './TemplateLibrary.jsx'
+import { buildEntry, cloneLines } from './history.js'
+import { putAppraisal, putAppraisals, getAppraisal, existingIds, migrateFromLocalStorage, migrateWizardFromLocalStorage, allAppraisals, replaceAppraisals, putPhoto, getPhotos, allPhotos, replacePhotos, prunePhotos } from './store.js'
+import HistoryPanel from './HistoryPanel.jsx'
+import ImportPanel from './ImportPanel.jsx'
+import { loadCatalogPrices, saveCatalogPrices, catalogPriceFor, applyPriceUpdates, exportBundleJSON, mergeImported } from './importer.js'
+import { buildReport, buildLotReport, renderReportPDF, reportReference, loadReportSettings, saveReportSettings } from './report.js'
+import { container, card, input, select, btn, row, col, muted, hintBox, Pill, fmt } from './ui.jsx'
+import { isGraded, isDiamond, defaultGrade, gradeLabel, lookupGemPrice, loadGemMatrix, saveGemMatrix, parseGemMatrix, DEFAULT_GEM_MATRIX, DIAMOND_COLORS, DIAMOND_CLARITIES, DIAMOND_CUTS, GEM_ORIGINS, GEM_TREATMENTS } from './gems.js'
+import { toCSV } from './csv.js'
+import { GEM_SHAPES, GIRDLE_ADJUSTMENTS, isGemShape, shapeFormula } from './shapes.js'
+import { CONSTRUCTIONS, isLayered } from './construction.js'
+import { loadLaborCatalog, saveLaborCatalog, suggestOperations, mergeSuggested, rebindOperations, laborBreakdown, laborSummary, operationFromDef, settingOptions, DEFAULT_SETTING, OPERATION_UNITS, COMPLEXITY_FACTORS } from './labor.js'
+import LaborCatalogEditor from './LaborCatalogEditor.jsx'
+import { loadPricing, savePricing } from './pricing.js'
+import PricingEditor from './PricingEditor.jsx'
+import { loadScrap, saveScrap, cleanMode, APPRAISAL_MODES } from './scrap.js'
+import ScrapEditor from './ScrapEditor.jsx'
+import { BASE_MATERIALS, loadMaterials, saveMaterials, materialOptions, cleanMaterial } from './catalog.js'
+import CatalogManager from './CatalogManager.jsx'
+import { parseHallmark, suggestLines, allRules, loadCustomRules, saveCustomRules } from './hallmarks.js'
+import HallmarkRulesEditor from './HallmarkRulesEditor.jsx'
+import { isWatchPiece, loadWatchTable, saveWatchTable, cleanWatch, convertWatchValues, brandFactorFor, DEFAULT_WATCH, WATCH_COMPONENTS } from './watches.js'
+import WatchTableEditor from './WatchTableEditor.jsx'
+import { newLot, newLotPiece, evaluateLot, buildLotEntry, lotFromEntry, lotCSVRows, isLotEntry, convertLot, loadLotDraft, saveLotDraft, LOT_PIECE_TYPE } from './lots.js'
+import LotView from './LotView.jsx'
+import AnalyticsPanel from './AnalyticsPanel.jsx'
+import { readPhotoFile, photoIds, referencedPhotoIds, reportPhotos } from './photos.js'
+import PhotoStrip from './PhotoStrip.jsx'
+import { emptyUndo, pushUndo, undo, redo, undoLabel, redoLabel, shortcutFor } from './undo.js'
+import { diffStates, auditRecords, appendAudit, auditRows, loadAuditAuthor, saveAuditAuthor } from './audit.js'
+import AuditLog from './AuditLog.jsx'
+import { encodeShare, decodeShare, shareUrl, clearShareHash, appraisalPayload, restoreLines } from './share.js'
+import QRCode from 'qrcode'
+import { writeJSON, onStorageError, reportNotice, requestPersistence, buildBackup, exportBackupJSON, parseBackup, restoreBackup } from './storage.js'
+import { registerServiceWorker, onConnectivityChange } from './pwa.js'
+import { CURRENCIES, CURRENCY_CODES, BASE_CURRENCY, loadRates, saveRates, parseRatesFile, rateFor, convert, symbolFor } from './currency.js'
+import { WIZARD_STEPS, LEVELS, cleanLevel, cleanStep, loadDraft, saveDraft, loadWizardCurrent, fromWizardState, wizardEntries } from './wizard.js'
+import { loadTemplates, saveTemplates, templatesFor, templateFromState, instantiateTemplate } from './templates.js'
 
-// ———————————————————————————————————————————————
-// Catálogo base de materiales
-// ———————————————————————————————————————————————
-const MATERIALS = [
-  { key: 'gold_24k', label: 'Oro 24k', unit: '€/g', density: 19.32 },
-  { key: 'gold_18k', label: 'Oro 18k', unit: '€/g', density: 15.6 },
-  { key: 'gold_14k', label: 'Oro 14k', unit: '€/g', density: 13.1 },
-  { key: 'silver_925', label: 'Plata 925', unit: '€/g', density: 10.36 },
-  { key: 'platinum_950', label: 'Platino 950', unit: '€/g', density: 21.45 },
-  { key: 'palladium', label: 'Paladio', unit: '€/g', density: 12.0 },
-  { key: 'titanium', label: 'Titanio', unit: '€/g', density: 4.5 },
-  { key: 'steel_316L', label: 'Acero 316L', unit: '€/g', density: 8.0 },
-  { key: 'brass', label: 'Latón', unit: '€/g', density: 8.5 },
-  { key: 'diamond', label: 'Diamante', unit: '€/ct', density: 3.52 },
-  { key: 'ruby', label: 'Rubí', unit: '€/ct', density: 4.0 },
-  { key: 'sapphire', label: 'Zafiro', unit: '€/ct', density: 4.0 },
-  { key: 'emerald', label: 'Esmeralda', unit: '€/ct', density: 2.7 },
-  { key: 'other_metal', label: 'Otro metal', unit: '€/g', density: 7.8 },
-  { key: 'other_mineral', label: 'Otro mineral', unit: '€/ct', density: 2.7 },
-]
-
-const DEFAULT_DENSITY = 2.7 // g/cm3
-const DEFAULT_RATE_EUR_H = 60 // €/h (mano de obra estimada)
-const CURRENCIES = ['EUR', 'USD']
-const WEIGHT_UNITS = { g: 1, dwt: 1.555, ozt: 31.103 } // normaliza a g
-
-// Equivalencias conocidas → material.key (case-insensitive)
-const EQUIVALENCE_RULES = [
-  { test: /(^|\b)(750(\/1000)?|18\s?k(arat)?|oro\s*18k)\b/i, key: 'gold_18k' },
-  { test: /(^|\b)(585(\/1000)?|14\s?k(arat)?|oro\s*14k)\b/i, key: 'gold_14k' },
-  { test: /(^|\b)(999(\/1000)?|24\s?k(arat)?|oro\s*24k)\b/i, key: 'gold_24k' },
-  { test: /(^|\b)(925(\/1000)?|plata\s*de\s*ley|sterling)\b/i, key: 'silver_925' },
-  { test: /(^|\b)(950(\/1000)?\s*pt|platino\s*950|pt\s*950)\b/i, key: 'platinum_950' },
-]
-
-// Tipos de pieza y horas sugeridas
+const AUTO_SOURCE_LINKS = { spot: 'usar spot', matrix: 'usar matriz', catalog: 'usar catálogo', default: 'usar precio por defecto' }
+
+// Formas con estimador de medidas (presets); el asistente aporta los tipos generales
 const PIECE_TYPES = {
   anillo_fino: 'Anillo fino',
   caja_reloj: 'Caja reloj',
@@ -47,42 +57,21 @@ const PIECE_TYPES = {
   colgante: 'Colgante',
   reloj_completo: 'Reloj completo',
 }
-const SUGGESTED_HOURS = {
-  anillo_fino: { baja: 0.5, media: 1.0, alta: 1.5 },
-  caja_reloj: { baja: 2.0, media: 4.0, alta: 6.0 },
-  eslabon: { baja: 0.8, media: 1.2, alta: 2.0 },
-  pulsera: { baja: 1.5, media: 2.5, alta: 4.0 },
-  colgante: { baja: 0.8, media: 1.2, alta: 2.0 },
-  pendiente: { baja: 0.8, media: 1.5, alta: 2.5 },
-  diamante_redondo: { baja: 1.0, media: 1.5, alta: 2.5 },
-  reloj_completo: { baja: 2.5, media: 4.5, alta: 6.5 },
-}
+const ALL_PIECE_TYPES = { ...WIZARD_PIECE_TYPES, ...PIECE_TYPES }
+const CURRENCY_KEY = 'safire_currency_v1'
 
 // Utils
-const toNumber = (v, d=0) => { const n = parseFloat(String(v ?? '')); return Number.isFinite(n) ? n : d }
-const fmt = (n, digits=2) => (new Intl.NumberFormat(undefined,{minimumFractionDigits:digits,maximumFractionDigits:digits}).format(n||0))
 const nowISO = () => new Date().toISOString()
-const estimateDiamondCarats = (d, h) => Math.max(0, 0.0061 * (d ** 2) * h)
-const volumeFromBoxMM = (l, w, h) => Math.max(0, (l/10)*(w/10)*(h/10))
-const volumeFromCylinderMM = (d, h) => { const r=(d/20); return Math.max(0, Math.PI*r*r*(h/10)) }
-const unitFor = (mat) => mat?.unit === '€/ct' ? 'ct' : (mat?.unit === '€/cm3' ? 'cm3' : 'g')
-const toGrams = (val, unit) => toNumber(val) * (WEIGHT_UNITS[unit] || 1)
-
-const toCSV = (rows) => {
-  if (!rows.length) return ''
-  const headers = Object.keys(rows[0])
-  const esc = (s) => `"${String(s).replace(/"/g,'""')}"`
-  const body = rows.map(r => headers.map(h => esc(r[h] ?? '')).join(',')).join('\n')
-  return [headers.join(','), body].join('\n')
-}
-const detectMaterialFromAlias = (txt) => {
-  const s = String(txt || '').trim()
-  if (!s) return null
-  for (const rule of EQUIVALENCE_RULES) if (rule.test.test(s)) return rule.key
-  return null
+const priceUnit = (mat, cur) => String(mat?.unit || '').replace('€', symbolFor(cur))
+const round2 = (n) => Math.round(n * 100) / 100
+
+const downloadText = (text, filename, type) => {
+  const blob = new Blob([text], { type })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a'); a.href = url; a.download = filename; a.click(); URL.revokeObjectURL(url)
 }
 const createLine = (prefMat) => {
-  const m = prefMat || MATERIALS.find(m=>m.key==='gold_18k') || MATERIALS[0]
+  const m = prefMat || BASE_MATERIALS.find(m=>m.key==='gold_18k') || BASE_MATERIALS[0]
   const baseUnit = unitFor(m)
   return {
     id: `${Date.now()}_${Math.random().toString(36).slice(2,7)}`,
@@ -94,134 +83,286 @@ const createLine = (prefMat) => {
     alias: '',                      // alias/grabado
     weightVal: '',
     weightUnit: baseUnit === 'g' ? 'g' : baseUnit, // g/dwt/ozt | ct | cm3
-    shape: 'box',                   // box | cylinder | volume | diamond_round
+    shape: 'box',                   // box | cylinder | volume | talla de gema (GEM_SHAPES)
+    girdle: 'medium',               // rondís (solo tallas de gema)
+    construction: 'solid',          // solid | hollow | tube | plated | filled (solo metales)
+    wallMM: '', innerDiameterMM: '',
+    layerMicrons: '', layerFraction: '',
+    baseMaterialKey: '', baseUnitPrice: '',
     lengthMM: '', widthMM: '', heightMM: '',
     diameterMM: '', depthMM: '',
     volumeCM3: '',
+    grade: defaultGrade(m.key),     // 4C (diamante) u origen/tratamiento (color)
+    setting: '',                    // engaste (operación del catálogo; solo piedras)
+    component: '',                  // case | bracelet | bezel (solo relojes)
+    photos: [],                     // ids de evidencias (báscula, calibre…)
   }
 }
 
 export default function App(){
-  // Catálogo extendido (base + custom)
-  const [customMaterials, setCustomMaterials] = useState([])
-  const allMaterials = useMemo(()=>[...MATERIALS, ...customMaterials],[customMaterials])
+  // Catálogo de materiales (base editables + personalizados)
+  const [allMaterials, setMaterials] = useState(()=>loadMaterials())
+  const [showCatalog, setShowCatalog] = useState(false)
+  useEffect(()=>{ saveMaterials(allMaterials) },[allMaterials])
+  const makeLine = (key)=> createLine(allMaterials.find(m=>m.key===key))
+
+  // Borrador del editor (o, la primera vez, el que hubiera en el asistente v22)
+  const [draft] = useState(()=> loadDraft() || loadWizardCurrent({ materials: allMaterials, makeLine }) || {})
+  // Asistente: paso visible, modo básico/avanzado y plantilla elegida
+  const [step, setStep] = useState(()=>cleanStep(draft.step))
+  const [level, setLevel] = useState(()=>cleanLevel(draft.level))
+  const advanced = level === 'advanced'
+  const [templateId, setTemplateId] = useState(draft.templateId || '')
+  // Biblioteca de plantillas de pieza (predefinidas + guardadas por el usuario)
+  const [templateLib, setTemplateLib] = useState(()=>loadTemplates())
+  const [showTemplates, setShowTemplates] = useState(false)
+  useEffect(()=>{ saveTemplates(templateLib) },[templateLib])
+
+  const [currency, setCurrency] = useState(()=>{
+    if (draft.currency) return draft.currency
+    try{ return JSON.parse(localStorage.getItem(CURRENCY_KEY)) || BASE_CURRENCY }catch{ return BASE_CURRENCY }
+  })
+  const [rateTable, setRateTable] = useState(()=>loadRates())
+  const rates = rateTable.rates
+  const rate = rateFor(currency, rates)
+  const [pieceType, setPieceType] = useState(draft.pieceType ?? 'anillo_fino')
+  const [brand, setBrand] = useState(draft.brand || '')
+  const [model, setModel] = useState(draft.model || '')
+  const [complexity, setComplexity] = useState(draft.complexity || 'media')
+  const [mode, setMode] = useState(()=>cleanMode(draft.mode)) // retail: precio de tienda · resale: oferta de compra
 
-  const [currency, setCurrency] = useState('EUR')
-  const [pieceType, setPieceType] = useState('anillo_fino')
-  const [complexity, setComplexity] = useState('media')
+  // Mano de obra: operaciones de la tasación (sugeridas + manuales) × complejidad
+  const [laborCatalog, setLaborCatalog] = useState(()=>loadLaborCatalog())
+  const [showLaborCatalog, setShowLaborCatalog] = useState(false)
+  useEffect(()=>{ saveLaborCatalog(laborCatalog) },[laborCatalog])
+  const [operations, setOperations] = useState(draft.operations || [])
+  const [laborDismissed, setLaborDismissed] = useState(draft.laborDismissed || []) // orígenes de sugerencias quitadas
+  const [laborOverride, setLaborOverride] = useState(draft.laborOverride || '')
+  const labor = useMemo(()=> laborBreakdown(operations, { complexity }), [operations, complexity])
+  const laborCost = toNumber(laborOverride, labor.total)
 
-  const suggestedHours = useMemo(()=>{
-    const table = SUGGESTED_HOURS[pieceType] || {baja:1, media:1, alta:1}
-    return table[complexity] ?? 1
-  },[pieceType, complexity])
-  const [laborOverride, setLaborOverride] = useState('')
-  const laborEstimated = useMemo(()=> DEFAULT_RATE_EUR_H * suggestedHours, [suggestedHours])
-  const laborCost = toNumber(laborOverride, laborEstimated)
+  const [lines, setLines] = useState(()=> draft.lines || [createLine()])
 
-  const [lines, setLines] = useState([createLine()])
+  // Evidencias fotográficas: la tasación y cada línea guardan ids; los registros
+  // (imagen reducida + miniatura) viven en IndexedDB y se cargan bajo demanda
+  const [photos, setPhotos] = useState(draft.photos || [])
+  const [photoRecords, setPhotoRecords] = useState({})
+  const [photoBusy, setPhotoBusy] = useState(false)
+  const wantedPhotos = photoIds({ photos, lines })
+  useEffect(()=>{
+    const missing = wantedPhotos.filter(id => !photoRecords[id])
+    if (!missing.length) return
+    getPhotos(missing)
+      .then(list => setPhotoRecords(prev => ({ ...prev, ...Object.fromEntries(list.map(p => [p.id, p])) })))
+      .catch(e => reportNotice(`No se pudieron cargar las fotos: ${e?.message || e}`, e))
+  },[wantedPhotos.join('|')])
+  // Sin lineId: fotos de la pieza
+  const addPhotos = async (files, lineId)=>{
+    const line = lines.find(l => l.id === lineId)
+    const kind = !line ? 'piece' : line.mode === 'dimensions' ? 'caliper' : 'scale'
+    const added = []
+    setPhotoBusy(true)
+    for (const file of files) {
+      try{ added.push(await putPhoto(await readPhotoFile(file, { kind }))) }
+      catch(e){ alert(`No se pudo añadir la foto: ${e.message}`) }
+    }
+    setPhotoBusy(false)
+    if (!added.length) return
+    setPhotoRecords(prev => ({ ...prev, ...Object.fromEntries(added.map(p => [p.id, p])) }))
+    const ids = added.map(p => p.id)
+    if (line) setLines(prev => prev.map(l => l.id === lineId ? { ...l, photos: [...(l.photos || []), ...ids] } : l))
+    else setPhotos(prev => [...prev, ...ids])
+  }
+  const removePhoto = (id, lineId)=>{
+    if (lineId) setLines(prev => prev.map(l => l.id === lineId ? { ...l, photos: (l.photos || []).filter(p => p !== id) } : l))
+    else setPhotos(prev => prev.filter(p => p !== id))
+  }
+  const patchPhoto = async (id, changes)=>{
+    const rec = { ...photoRecords[id], ...changes }
+    setPhotoRecords(prev => ({ ...prev, [id]: rec }))
+    try{ await putPhoto(rec) }catch(e){ alert(`No se pudo guardar la foto: ${e.message}`) }
+  }
+  // Borra las fotos que no usa ninguna tasación guardada, la abierta ni el lote en curso
+  const prunePhotoStore = async ()=>{
+    const before = Date.now()
+    try{ await prunePhotos(referencedPhotoIds([...(await allAppraisals()), currentState(), ...lot.pieces]), { before }) }
+    catch(e){ reportNotice(`No se pudieron borrar las fotos que ya no se usan: ${e?.message || e}`, e) }
+  }
 
-  const [piecePrice, setPiecePrice] = useState('')
+  const [piecePrice, setPiecePrice] = useState(draft.piecePrice || '')
   const priceP = toNumber(piecePrice)
-  const [diagnosis, setDiagnosis] = useState('')
 
-  const [history, setHistory] = useState([])
+  // Precios spot (última caché disponible hasta que responda el proveedor)
+  const [spotSnapshot, setSpotSnapshot] = useState(()=>loadCachedSpots())
+  const [spotLoading, setSpotLoading] = useState(false)
+  const [priceUrl, setPriceUrl] = useState('')
+  const refreshPrices = async (url = priceUrl)=>{
+    setSpotLoading(true)
+    setSpotSnapshot(await refreshSpots(providerFromConfig(url)))
+    setSpotLoading(false)
+  }
+
+  // Cada guardado incrementa la versión para que el historial se recargue
+  const [historyVersion, setHistoryVersion] = useState(0)
+  const bumpHistory = ()=> setHistoryVersion(v => v + 1)
+  const [showAnalytics, setShowAnalytics] = useState(false)
   useEffect(()=>{
+    let url = ''
+    migrateFromLocalStorage(key => createLine(BASE_MATERIALS.find(m=>m.key===key)))
+      .then(async n => {
+        const { migrated, skipped } = await migrateWizardFromLocalStorage(list => wizardEntries(list, { materials: allMaterials, makeLine, policies, pricing, rates }))
+        if (skipped) reportNotice(`${skipped} tasaciones del asistente anterior no se pudieron convertir y no se han pasado al historial (siguen guardadas en el navegador).`)
+        return n + migrated
+      })
+      .then(n => { if (n) bumpHistory(); return prunePhotoStore() })
+      .catch(e => reportNotice(`No se pudo pasar el historial guardado a la base de datos del navegador: ${e?.message || e}. Se conserva en el navegador y se reintentará al recargar.`, e))
     try{
-      const raw = localStorage.getItem('safire_history_v1'); if(raw) setHistory(JSON.parse(raw))
-      const mats = localStorage.getItem('safire_custom_materials_v1'); if(mats) setCustomMaterials(JSON.parse(mats))
-      const cur = localStorage.getItem('safire_currency_v1'); if(cur) setCurrency(JSON.parse(cur))
+      const prov = localStorage.getItem(SPOT_PROVIDER_KEY); if(prov) { url = JSON.parse(prov); setPriceUrl(url) }
     }catch{}
+    refreshPrices(url)
   },[])
-  useEffect(()=>{ try{ localStorage.setItem('safire_currency_v1', JSON.stringify(currency)) }catch{} },[currency])
-  useEffect(()=>{ try{ localStorage.setItem('safire_custom_materials_v1', JSON.stringify(customMaterials)) }catch{} },[customMaterials])
-
-  const saveHistory = (entry)=>{
-    const next = [entry, ...history].slice(0,500)
-    setHistory(next)
-    try{ localStorage.setItem('safire_history_v1', JSON.stringify(next)) }catch{}
-  }
-
-  const calcLine = (ln)=>{
-    const m = allMaterials.find(x=>x.key===ln.materialKey) || MATERIALS[0]
-    const matUnit = unitFor(m)
-    let effW = 0
-
-    if (ln.mode === 'dimensions'){
-      if (m.key === 'diamond' && ln.shape === 'diamond_round'){
-        effW = estimateDiamondCarats(toNumber(ln.diameterMM), toNumber(ln.depthMM)) // ct
-      } else {
-        let vol = 0
-        if (ln.shape === 'box') vol = volumeFromBoxMM(toNumber(ln.lengthMM), toNumber(ln.widthMM), toNumber(ln.heightMM))
-        if (ln.shape === 'cylinder') vol = volumeFromCylinderMM(toNumber(ln.diameterMM), toNumber(ln.heightMM))
-        if (ln.shape === 'volume') vol = toNumber(ln.volumeCM3)
-        const dens = toNumber(ln.density, DEFAULT_DENSITY)
-        if (m.unit === '€/ct') effW = (vol * dens) / 0.2 // ct
-        else if (m.unit === '€/g') effW = vol * dens     // g
-        else effW = vol                                   // cm3
-      }
-    } else {
-      if (m.unit === '€/g'){
-        effW = toGrams(ln.weightVal, ln.weightUnit || 'g')
-      } else {
-        effW = toNumber(ln.weightVal)
-      }
-    }
+  useEffect(()=>{ writeJSON(CURRENCY_KEY, currency, 'la divisa') },[currency])
+  useEffect(()=>{ writeJSON(SPOT_PROVIDER_KEY, priceUrl, 'el proveedor de precios') },[priceUrl])
+  useEffect(()=>{ saveRates(rateTable) },[rateTable])
 
-    const qty = Math.max(1, Math.floor(toNumber(ln.qty,1)))
-    const cost = toNumber(ln.unitPrice) * effW * qty
-    return { m, matUnit, effW, qty, cost }
+  // Cambiar de divisa convierte los importes introducidos (no solo la etiqueta)
+  const changeCurrency = (next)=>{
+    if (next === currency) return
+    markAction(`Divisa ${currency} → ${next}`)
+    const conv = (v) => String(v ?? '').trim() === '' ? v : String(round2(convert(toNumber(v), currency, next, rates)))
+    setLines(prev => prev.map(ln => convertLinePrices(ln, conv)))
+    setPiecePrice(conv)
+    setLaborOverride(conv)
+    setOperations(prev => prev.map(o => ({ ...o, rate: conv(o.rate), fixed: conv(o.fixed) })))
+    setWatch(prev => convertWatchValues(prev, conv))
+    setCurrency(next)
+  }
+  const updateRate = (code, value)=> setRateTable(prev => ({ ts: nowISO(), rates: { ...prev.rates, [code]: toNumber(value, prev.rates[code]) } }))
+  const importRates = (file)=>{
+    if (!file) return
+    file.text().then(text => {
+      try{ setRateTable({ ts: nowISO(), rates: parseRatesFile(text) }) }
+      catch(e){ alert(`No se pudieron importar las tasas: ${e.message}`) }
+    })
   }
 
-  const totals = useMemo(()=>{
-    const parts = lines.map(calcLine)
-    const subtotal = parts.reduce((a,b)=>a+b.cost, 0)
-    const totalWeightG = parts.reduce((a,b,i)=>{
-      const m = (lines[i] && (allMaterials.find(x=>x.key===lines[i].materialKey) || MATERIALS[0])) || MATERIALS[0]
-      const matUnit = unitFor(m)
-      if (matUnit === 'g') return a + (b.effW * b.qty)
-      return a
-    },0)
-    return { subtotal, totalWeightG, parts }
-  },[lines, allMaterials])
+  const saveHistory = async (entry)=>{
+    try{ await putAppraisal(entry); bumpHistory(); return true }
+    catch(e){ alert(`No se pudo guardar la tasación: ${e.message}`); return false }
+  }
 
-  const totalCost = totals.subtotal + laborCost
-  const pctMaterials = priceP > 0 ? (totals.subtotal / priceP) * 100 : 0
-  const pctTotal = priceP > 0 ? (totalCost / priceP) * 100 : 0
-  const overPctTotal = totalCost > 0 ? ((priceP - totalCost) / totalCost) * 100 : 0
+  // Matriz de precios de gemas (€/ct)
+  const [gemMatrix, setGemMatrix] = useState(()=>loadGemMatrix())
+  const importGemMatrix = (file)=>{
+    if (!file) return
+    file.text().then(text => {
+      try{
+        const next = { ts: nowISO(), source: file.name, rows: parseGemMatrix(text) }
+        setGemMatrix(next); saveGemMatrix(next)
+      }catch(e){ alert(`No se pudo importar la matriz: ${e.message}`) }
+    })
+  }
+  const exportGemMatrix = ()=> downloadText(JSON.stringify({ rows: gemMatrix.rows }, null, 2), `safire_gem_matrix_${Date.now()}.json`, 'application/json')
+  const resetGemMatrix = ()=>{
+    const next = { ts: null, source: 'default', rows: DEFAULT_GEM_MATRIX }
+    setGemMatrix(next); saveGemMatrix(next)
+  }
 
-  useEffect(()=>{
-    if (!priceP || totalCost <= 0) { setDiagnosis(''); return }
-    if (priceP < totalCost) setDiagnosis('Precio sospechoso')
-    else if (overPctTotal > 40) setDiagnosis('Sobrevalorado')
-    else if (overPctTotal > 20) setDiagnosis('Posible sobrevaloración')
-    else setDiagnosis('Precio razonable')
-  },[priceP, totalCost, overPctTotal])
-
-  // Validaciones
-  const alerts = []
-  const pushAlert = (msg) => { if (!alerts.includes(msg)) alerts.push(msg) }
-  lines.forEach((ln, idx)=>{
-    const m = allMaterials.find(x=>x.key===ln.materialKey) || MATERIALS[0]
-    const dens = toNumber(ln.density)
-    const isGem = m.unit === '€/ct'
-    if (dens < (isGem ? 2.0 : 3.5) || dens > (isGem ? 5.5 : 22)) pushAlert(`Línea ${idx+1}: densidad fuera de rango`)
-    const { effW } = calcLine(ln)
-    if (effW * Math.max(1, Math.floor(toNumber(ln.qty,1))) > 100000) pushAlert(`Línea ${idx+1}: cantidad muy elevada (revise unidades)`)
-    const qty = toNumber(ln.qty,1); if (qty < 1) pushAlert(`Línea ${idx+1}: unidades debe ser ≥ 1`)
-  })
-  if (priceP && priceP < totalCost) pushAlert('Precio de la pieza menor que el coste total (precio sospechoso)')
-  if (overPctTotal > 1000) pushAlert('Sobreprecio extremadamente alto (vs coste total), verifique datos')
-  if (laborCost < 0) pushAlert('La mano de obra no puede ser negativa')
+  // Políticas de diagnóstico (por tipo de pieza / marca)
+  const [policies, setPolicies] = useState(()=>loadPolicies())
+  const [showPolicies, setShowPolicies] = useState(false)
+  useEffect(()=>{ savePolicies(policies) },[policies])
+  const policy = useMemo(()=> selectPolicy(policies, { pieceType, brand }), [policies, pieceType, brand])
 
-  // Acciones
-  const addCustomMaterial = ()=>{
-    const name = prompt('Nombre del material:'); if(!name) return
-    const unit = window.confirm('¿Precio por quilate? (Aceptar = €/ct, Cancelar = €/g)') ? '€/ct' : '€/g'
-    const densStr = prompt('Densidad g/cm³ (opcional)', String(DEFAULT_DENSITY)) || String(DEFAULT_DENSITY)
-    const key = `custom_${Date.now()}`
-    const newMat = { key, label: name, unit, density: toNumber(densStr, DEFAULT_DENSITY) }
-    setCustomMaterials(prev => [...prev, newMat])
+  // Modelo de PVP (márgenes, IVA por país, primas de marca)
+  const [pricing, setPricing] = useState(()=>loadPricing())
+  const [showPricing, setShowPricing] = useState(false)
+  useEffect(()=>{ savePricing(pricing) },[pricing])
+
+  // Recompra: % de refinería, refino por metal y descuento de gemas usadas
+  const [scrap, setScrap] = useState(()=>loadScrap())
+  const [showScrap, setShowScrap] = useState(false)
+  useEffect(()=>{ saveScrap(scrap) },[scrap])
+
+  // Relojes: ficha (movimiento, cristal) de la pieza y tabla de referencias editable
+  const [watchTable, setWatchTable] = useState(()=>loadWatchTable())
+  const [showWatchTable, setShowWatchTable] = useState(false)
+  useEffect(()=>{ saveWatchTable(watchTable) },[watchTable])
+  const [watch, setWatch] = useState(()=>cleanWatch(draft.watch))
+  const watchActive = isWatchPiece(pieceType)
+  const patchWatch = (patch)=> setWatch(prev => ({ ...prev, ...patch }))
+
+  // Valoración (motor compartido en valuation.js)
+  // Precios de catálogo importados de listas de proveedor (€ por unidad del material)
+  const [catalogPrices, setCatalogPrices] = useState(()=>loadCatalogPrices())
+  useEffect(()=>{ saveCatalogPrices(catalogPrices) },[catalogPrices])
+  // Gemas graduadas: matriz y, si no hay fila, catálogo. Resto: catálogo y después spot.
+  const autoPrice = (m, ln, effW)=>{
+    const cat = catalogPriceFor(m.key, catalogPrices)
+    const fromCatalog = cat != null ? { price: cat * rate, source: 'catalog', ts: catalogPrices[m.key].ts, origin: catalogPrices[m.key].source } : null
+    if (isGraded(m.key)){
+      const hit = lookupGemPrice(gemMatrix.rows, m.key, ln.grade, effW)
+      return hit ? { price: hit.price * rate, source: 'matrix', band: hit.band } : fromCatalog
+    }
+    if (fromCatalog) return fromCatalog
+    const eur = spotPriceFor(m.key, spotSnapshot, m)
+    if (eur != null) return { price: eur * rate, source: 'spot' }
+    return m.defaultPrice != null ? { price: m.defaultPrice * rate, source: 'default' } : null
+  }
+  const evaluation = useMemo(()=> evaluate(
+    { lines, laborCost, piecePrice: priceP, brand, watch: watchActive ? watch : null },
+    { materials: allMaterials, autoPrice, policy, pricing, scrap: mode === 'resale' ? scrap : null, spots: spotSnapshot?.spots, watchTable, rate },
+  ),[lines, laborCost, priceP, brand, allMaterials, spotSnapshot, gemMatrix, catalogPrices, rate, policy, pricing, mode, scrap, watchActive, watch, watchTable])
+  const { totalCost, pctMaterials, pctTotal, overPctTotal, diagnosis, diagnosisInfo, retail, resale, alerts } = evaluation
+
+  // Sugerencias de operaciones según la mezcla de líneas (solo cambian las auto)
+  const suggested = useMemo(()=> suggestOperations({ lines, pieceType, watch: evaluation.watch }, {
+    materials: allMaterials, catalog: laborCatalog, metalGrams: evaluation.totalWeightG, rate,
+  }),[lines, pieceType, allMaterials, laborCatalog, evaluation.totalWeightG, evaluation.watch, rate])
+  const suggestedKey = JSON.stringify(suggested.map(({ id, ...op }) => op))
+  useEffect(()=>{ setOperations(prev => mergeSuggested(prev, suggested, laborDismissed)) },[suggestedKey, laborDismissed])
+  // Editar una sugerencia la convierte en manual (conserva su origen)
+  const updateOperation = (id, patch)=> setOperations(prev => prev.map(o => o.id === id ? { ...o, ...patch, auto: false } : o))
+  const removeOperation = (op)=>{
+    if (op.source) setLaborDismissed(prev => [...prev, op.source])
+    setOperations(prev => prev.filter(o => o.id !== op.id))
+  }
+  const addOperation = (key)=>{
+    const def = laborCatalog.find(d => d.key === key)
+    if (def) setOperations(prev => [...prev, operationFromDef(def, { rate })])
   }
+  const resetSuggestions = ()=>{
+    setLaborDismissed([])
+    setOperations(prev => mergeSuggested(prev.filter(o => !o.source), suggested, []))
+  }
+
+  // Plantillas: 'replace' sustituye líneas, mano de obra y ficha de reloj (y fija
+  // el tipo de pieza si no encaja); 'append' añade sus líneas y operaciones
+  const templates = templatesFor(templateLib, pieceType)
+  const applyTemplate = (tpl, how = 'replace')=>{
+    if (!tpl) { setTemplateId(''); return }
+    const append = how === 'append'
+    if (!append && !window.confirm('Esto reemplazará las líneas actuales. ¿Continuar?')) return
+    markAction(`Plantilla ${tpl.name}${append ? ' (añadir líneas)' : ''}`)
+    const out = instantiateTemplate(tpl, makeLine, { rate })
+    const manual = out.operations.map(op => ({ ...op, auto: false }))
+    if (append) {
+      setLines(prev => [...prev, ...out.lines])
+      setOperations(prev => [...prev, ...manual])
+      return
+    }
+    setTemplateId(tpl.id)
+    if (tpl.pieceType && !templatesFor([tpl], pieceType).length) setPieceType(tpl.pieceType)
+    setLines(out.lines)
+    setOperations(prev => [...prev.filter(o => o.auto), ...manual])
+    setLaborDismissed([])
+    setComplexity(tpl.complexity)
+    setLaborOverride(out.laborOverride)
+    if (tpl.watch) setWatch(cleanWatch(tpl.watch))
+  }
+  const templateFromCurrent = (opts)=> templateFromState({ pieceType, lines, complexity, laborOverride, operations, watch }, { ...opts, rate })
+
+  // Acciones
   const addLine = ()=> setLines(prev => {
     const last = prev[prev.length-1]
     const prefMat = allMaterials.find(m=>m.key===(last?.materialKey)) || allMaterials[0]
@@ -229,24 +370,60 @@ export default function App(){
   })
   const dupLine = (id)=> setLines(prev => {
     const i = prev.findIndex(l=>l.id===id); if(i<0) return prev
-    const clone = { ...prev[i], id: `${Date.now()}_${Math.random().toString(36).slice(2,7)}` }
+    const clone = { ...prev[i], id: `${Date.now()}_${Math.random().toString(36).slice(2,7)}`, photos: [] }
     return [...prev.slice(0,i+1), clone, ...prev.slice(i+1)]
   })
   const delLine = (id)=> setLines(prev => prev.length>1 ? prev.filter(l=>l.id!==id) : prev)
   const updateLine = (id, patch)=> setLines(prev => prev.map(l => l.id===id ? { ...l, ...patch } : l))
-  const applyAliasDetection = (ln)=>{
-    const key = detectMaterialFromAlias(ln.alias)
-    if (!key) return
-    const newMat = MATERIALS.concat(customMaterials).find(m=>m.key===key) || MATERIALS[0]
-    const baseUnit = unitFor(newMat)
-    updateLine(ln.id, { materialKey: key, weightUnit: baseUnit === 'g' ? (ln.weightUnit in WEIGHT_UNITS ? ln.weightUnit : 'g') : baseUnit })
+  // Contrastes: el alias de una línea se analiza y se proponen cambios por línea
+  const [hallmarkRules, setHallmarkRules] = useState(()=>loadCustomRules())
+  const [showHallmarkRules, setShowHallmarkRules] = useState(false)
+  useEffect(()=>{ saveCustomRules(hallmarkRules) },[hallmarkRules])
+  const [hallmark, setHallmark] = useState(null) // { lineId, text, findings }
+  const applyAliasDetection = (ln)=> setHallmark({ lineId: ln.id, text: ln.alias, findings: parseHallmark(ln.alias, allRules(hallmarkRules)) })
+  const hallmarkSuggestions = hallmark ? suggestLines(hallmark.findings, lines, allMaterials, { sourceLineId: hallmark.lineId }) : []
+  const applyHallmark = (sug)=>{
+    markAction(`Contraste “${hallmark?.text || ''}”`)
+    const { materialKey, ...extra } = sug.patch
+    if (sug.action === 'add') setLines(prev => [...prev, { ...createLine(sug.material), ...extra }])
+    else if (sug.action === 'change') setLines(prev => prev.map(l => l.id === sug.lineId ? { ...l, ...materialPatch(l, sug.material), ...extra } : l))
   }
+  const applyAllHallmarks = ()=>{ hallmarkSuggestions.forEach(applyHallmark); setHallmark(null) }
+  // Cambio de material: unidad de peso, densidad, gradación y tallas compatibles
+  const materialPatch = (ln, newMat)=>{
+    const u = unitFor(newMat)
+    return {
+      materialKey: newMat.key,
+      grade: defaultGrade(newMat.key),
+      density: String(newMat.density ?? DEFAULT_DENSITY),
+      weightUnit: u === 'g' ? (ln.weightUnit in WEIGHT_UNITS ? ln.weightUnit : 'g') : u,
+      shape: newMat.unit !== '€/ct' && isGemShape(ln.shape) ? 'box' : ln.shape,
+      construction: newMat.unit === '€/g' ? (ln.construction || 'solid') : 'solid',
+    }
+  }
+  const updateGrade = (ln, patch)=> updateLine(ln.id, { grade: { ...(ln.grade || defaultGrade(ln.materialKey)), ...patch } })
+  // Resumen de gemas graduadas de una lista de líneas (para exportes)
+  const gradesSummary = (lns = []) => lns
+    .filter(l => isGraded(l.materialKey) && l.grade)
+    .map(l => `${allMaterials.find(m=>m.key===l.materialKey)?.label || l.materialKey} ${gradeLabel(l.materialKey, l.grade)}`)
+    .join(' | ')
+
+  // Lotes: "12 piezas · Oro fino 10.512 g · Plata fina 80.000 g"
+  const lotFineSummary = (h)=> isLotEntry(h)
+    ? [`${h.pieceCount} piezas`, ...Object.entries(h.fineByMetal || {}).map(([k, g]) => `${FINE_METALS[k] || k} ${fmt(g, 3)} g`)].join(' · ')
+    : ''
 
-  const exportCSV = ()=>{
-    const rows = history.map(h=> ({
+  // entries: resultado filtrado del historial; entryRate: tasa con la que se guardó cada entrada
+  const exportCSV = (entries, entryRate)=>{
+    const rows = entries.map(h=> ({
+      Id: h.id,
       Fecha: h.ts,
       Divisa: h.currency || currency,
+      TasaEUR: entryRate(h),
       Descripcion: h.desc || '—',
+      Modo: APPRAISAL_MODES[cleanMode(h.mode)],
+      TipoPieza: h.pieceType || '',
+      Piezas: isLotEntry(h) ? h.pieceCount : 1,
       SubtotalMateriales: h.subtotalMaterials ?? h.subtotal ?? 0,
       ManoObra: h.laborCost ?? 0,
       CosteTotal: h.totalCost ?? 0,
@@ -254,18 +431,27 @@ export default function App(){
       PctMateriales: h.pctMaterials ?? 0,
       PctTotal: h.pctTotal ?? 0,
       Diagnostico: h.diagnosis || '',
+      PVPMin: h.retail?.low ?? '',
+      PVPMax: h.retail?.high ?? '',
+      PosicionPVP: h.retail?.positionLabel || '',
+      OfertaMin: h.resale?.low ?? '',
+      OfertaMax: h.resale?.high ?? '',
+      Politica: h.diagnosisPolicy?.label || '',
+      Marca: h.brand || '',
+      Modelo: h.model || '',
+      Gemas: gradesSummary([...(h.lines || []), ...(h.pieces || []).flatMap(p => p.lines || [])]),
+      MetalFino: lotFineSummary(h),
+      Operaciones: laborSummary(h.operations, { complexity: h.complexity, fmt }),
     }))
-    const csv = toCSV(rows)
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a'); a.href = url; a.download = `safire_history_${Date.now()}.csv`; a.click(); URL.revokeObjectURL(url)
+    downloadText(toCSV(rows), `safire_history_${Date.now()}.csv`, 'text/csv;charset=utf-8;')
   }
-  const exportPDF = ()=>{
+  const exportPDF = (entries)=>{
     const doc = new jsPDF({ unit: 'pt' })
+    const pageH = doc.internal.pageSize.getHeight()
     doc.setFontSize(16); doc.text('Safire Appraisal — Historial', 40, 40)
     doc.setFontSize(11); doc.text(`Divisa: ${currency}`, 40, 58)
     const headers = ['Fecha','Divisa','Subt.','MO','Coste','%Mat','%Total','Precio','Diag.']
-    const rows = history.slice(0,80).map(h => [
+    const rows = entries.map(h => [
       new Date(h.ts).toLocaleString(),
       h.currency || currency,
       fmt(h.subtotalMaterials ?? h.subtotal ?? 0),
@@ -277,100 +463,637 @@ export default function App(){
       h.diagnosis || '',
     ])
     let x = 40, y = 80
-    doc.setFont(undefined,'bold')
-    headers.forEach((hd,i)=> doc.text(hd, x + i*64, y))
-    doc.setFont(undefined,'normal'); y+=18
-    rows.forEach(r => { r.forEach((c,i)=> doc.text(String(c), x + i*64, y)); y += 16 })
+    const header = ()=>{
+      doc.setFont(undefined,'bold')
+      headers.forEach((hd,i)=> doc.text(hd, x + i*64, y))
+      doc.setFont(undefined,'normal'); y+=18
+    }
+    header()
+    rows.forEach((r, i) => {
+      if (y > pageH - 50) { doc.addPage(); y = 40; header() }
+      r.forEach((c,j)=> doc.text(String(c), x + j*64, y)); y += 16
+      const notes = [lotFineSummary(entries[i]), gradesSummary(entries[i].lines), laborSummary(entries[i].operations, { complexity: entries[i].complexity, fmt })].filter(Boolean)
+      notes.forEach(note => {
+        doc.setFontSize(8); doc.splitTextToSize(note, 500).forEach(l => { doc.text(l, x, y - 4); y += 9 }); doc.setFontSize(11)
+      })
+    })
     doc.save(`safire_history_${Date.now()}.pdf`)
   }
-  const saveCurrentToHistory = ()=>{
-    const entry = {
-      ts: nowISO(),
-      currency,
-      desc: `Pieza multi-material (${lines.length} líneas)`,
-      subtotalMaterials: totals.subtotal,
-      laborCost,
-      totalCost,
-      piecePrice: priceP,
-      pctMaterials,
-      pctTotal,
-      diagnosis,
-      pieceType,
-      complexity,
-      lineUnits: lines.map(ln => ({ id: ln.id, materialKey: ln.materialKey, weightUnit: ln.weightUnit, qty: ln.qty, alias: ln.alias })),
+  // Tasación abierta desde el historial (para "actualizar en su sitio")
+  const [editingEntry, setEditingEntry] = useState(null)
+  const editingId = editingEntry?.id || null
+  const currentState = ()=>({
+    lines, photos, pieceType, brand, model, mode, complexity, laborOverride, operations, laborDismissed, currency, rate, audit,
+    watch: watchActive ? watch : null,
+    baseCurrency: BASE_CURRENCY,
+    priceAsOf: spotSnapshot?.ts || null,
+    diagnosisPolicy: { id: policy.id, label: policy.label },
+  })
+  const saveCurrentToHistory = async ()=>{
+    const entry = buildEntry(currentState(), evaluation)
+    if (await saveHistory(entry)) setEditingEntry(entry)
+  }
+  const updateInPlace = async ()=>{
+    if (!editingEntry) return
+    const entry = buildEntry(currentState(), evaluation, { id: editingEntry.id, createdAt: editingEntry.ts })
+    if (await saveHistory(entry)) setEditingEntry(entry)
+  }
+  // Carga una entrada en el editor; asNew → duplicar como tasación nueva
+  const loadEntry = (h, { asNew = false } = {})=>{
+    if (!h?.lines?.length) { alert('Esta entrada no contiene líneas que reabrir.'); return }
+    const nextLines = asNew ? cloneLines(h.lines) : h.lines.map(ln => ({ ...ln }))
+    markLoad()
+    setAudit(!asNew && Array.isArray(h.audit) ? h.audit : [])
+    setLines(nextLines)
+    setPieceType(h.pieceType || 'anillo_fino')
+    setBrand(h.brand || '')
+    setModel(h.model || '')
+    setMode(cleanMode(h.mode))
+    setWatch(cleanWatch(h.watch))
+    setPhotos(Array.isArray(h.photos) ? h.photos : [])
+    setComplexity(h.complexity || 'media')
+    // Entradas anteriores a las operaciones: se conserva su mano de obra como importe
+    const legacyLabor = !Array.isArray(h.operations) && !String(h.laborOverride ?? '').trim() && h.laborCost != null
+    setLaborOverride(legacyLabor ? String(h.laborCost) : h.laborOverride ?? '')
+    setOperations(rebindOperations(Array.isArray(h.operations) ? h.operations : [], h.lines, nextLines))
+    setLaborDismissed(Array.isArray(h.laborDismissed) ? h.laborDismissed : [])
+    setPiecePrice(h.piecePrice ? String(h.piecePrice) : '')
+    if (h.currency && h.currency !== currency) setCurrency(h.currency)
+    setEditingEntry(asNew ? null : h)
+  }
+  const exportJSON = (entries)=> downloadText(exportBundleJSON(entries), `safire_history_${Date.now()}.json`, 'application/json')
+
+  // Importación de tasaciones (al historial) y de listas de precios (al catálogo)
+  const [showImport, setShowImport] = useState(false)
+  const importAppraisals = async (entries)=>{
+    try{
+      // Las filas de totales no pisan las tasaciones guardadas con líneas (CSV del propio historial)
+      const merged = await Promise.all(entries.map(async e => e.partial ? mergeImported(await getAppraisal(e.id), e) : e))
+      await putAppraisals(merged); bumpHistory(); alert(`${entries.length} tasaciones importadas.`)
     }
-    saveHistory(entry)
+    catch(e){ alert(`No se pudo importar: ${e.message}`) }
+  }
+  const importPrices = (preview, filename)=> setCatalogPrices(prev => applyPriceUpdates(prev, preview, { source: filename }))
+  const clearCatalogPrices = ()=>{
+    if (window.confirm('¿Borrar los precios de catálogo importados? Se volverá a usar spot/matriz.')) setCatalogPrices({})
   }
-  const resetAll = ()=>{ setLines([createLine()]); setPiecePrice(''); setDiagnosis(''); setLaborOverride('') }
 
-  // —— UI helpers
-  const Pill = ({tone='default', children}) => {
-    const style = {
-      display:'inline-block', padding:'2px 8px', borderRadius:999, fontSize:12, marginRight:6,
-      background: tone==='bad' ? '#3b1620' : tone==='warn' ? '#3c2f10' : tone==='ok' ? '#14351f' : '#2a3043',
-      color: tone==='bad' ? '#ff9cac' : tone==='warn' ? '#ffd48a' : tone==='ok' ? '#9be7aa' : '#c8cde0'
+  // Informe PDF de la tasación en curso (membrete y pie configurables)
+  const [reportSettings, setReportSettings] = useState(()=>loadReportSettings())
+  useEffect(()=>{ saveReportSettings(reportSettings) },[reportSettings])
+  const setReportField = (key, value)=> setReportSettings(prev => ({ ...prev, [key]: value }))
+  const importLogo = (file)=>{
+    if (!file) return
+    const reader = new FileReader()
+    reader.onload = ()=> setReportField('logo', String(reader.result))
+    reader.readAsDataURL(file)
+  }
+  const exportReport = async ()=>{
+    const reference = reportReference(editingEntry?.id, editingEntry?.ts)
+    const report = buildReport({ lines, pieceType, brand, model, mode, operations, complexity, laborOverride }, evaluation, {
+      currency, policy, reference, fmt,
+      pieceTypes: ALL_PIECE_TYPES,
+      date: editingEntry?.ts || new Date(),
+      priceAsOf: spotSnapshot?.ts,
+    })
+    const ids = photoIds({ photos, lines })
+    if (ids.length) {
+      try{
+        const records = Object.fromEntries((await getPhotos(ids)).map(p => [p.id, p]))
+        report.photos = reportPhotos({ photos, lines }, records)
+      }catch(e){ alert(`No se pudieron cargar las fotos; el informe se genera sin ellas. (${e.message})`) }
     }
-    return <span style={style}>{children}</span>
-  }
-
-  // —— estilos mínimos internos (sin dependencias externas)
-  const container = { maxWidth:1100, margin:'0 auto', padding:'24px 16px', color:'#e8ebf4', fontFamily:'ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Ubuntu, Cantarell, Noto Sans, Helvetica Neue, Arial' }
-  const card = { background:'#151821', border:'1px solid #242836', borderRadius:14, padding:16, boxShadow:'0 8px 24px rgba(0,0,0,.25)', marginTop:12 }
-  const input = { width:'100%', background:'#0f1320', border:'1px solid #2b3145', color:'#e8ebf4', borderRadius:10, padding:'8px 10px' }
-  const select = input
-  const btn = (variant='solid') => ({
-    background: variant==='outline' ? 'transparent' : '#222633',
-    border:'1px solid ' + (variant==='outline' ? '#3a415a' : '#2e3346'),
-    color:'#e8ebf4', borderRadius:10, padding:'8px 12px', cursor:'pointer'
+    if (reportSettings.qr) {
+      try{
+        const url = await buildShareLink(false)
+        report.qr = { url, image: await QRCode.toDataURL(url, { errorCorrectionLevel: 'L', margin: 1, width: 256 }) }
+      }catch(e){ alert(`El enlace es demasiado largo para un código QR; el informe se genera sin él. (${e.message})`) }
+    }
+    renderReportPDF(report, reportSettings).save(`safire_informe_${reference}.pdf`)
+  }
+
+  // Lote: varias piezas con sus líneas, mano de obra (manual o sugerida) y precio
+  // Sus importes van siempre en la divisa del comparador: cualquier cambio de
+  // divisa (selector, historial, enlace, deshacer) los convierte
+  const [lot, setLot] = useState(()=>{ const d = loadLotDraft(); return d ? convertLot(d, currency, rates) : newLot(createLine, currency) })
+  useEffect(()=>{ setLot(prev => prev.currency === currency ? prev : convertLot(prev, currency, rates)) },[currency])
+  const [showLot, setShowLot] = useState(false)
+  const [editingLot, setEditingLot] = useState(null)
+  useEffect(()=>{ saveLotDraft(lot) },[lot])
+  const lotPolicy = useMemo(()=> selectPolicy(policies, { pieceType: LOT_PIECE_TYPE }), [policies])
+  const evaluatePiece = (piece)=>{
+    const opts = { materials: allMaterials, autoPrice, policy: selectPolicy(policies, piece), scrap: mode === 'resale' ? scrap : null, spots: spotSnapshot?.spots, watchTable, rate }
+    const base = { lines: piece.lines, piecePrice: toNumber(piece.piecePrice), brand: piece.brand, watch: isWatchPiece(piece.pieceType) ? cleanWatch(piece.watch) : null }
+    // Primera pasada sin mano de obra: gramos de metal y reloj para las operaciones sugeridas
+    const draft = evaluate({ ...base, laborCost: 0 }, opts)
+    const suggestedLabor = laborBreakdown(suggestOperations({ lines: piece.lines, pieceType: piece.pieceType, watch: draft.watch }, {
+      materials: allMaterials, catalog: laborCatalog, metalGrams: draft.totalWeightG, rate,
+    })).total
+    return { ...evaluate({ ...base, laborCost: toNumber(piece.laborOverride, suggestedLabor) }, opts), suggestedLabor }
+  }
+  const lotEval = useMemo(()=> showLot ? evaluateLot(lot.pieces, { evaluatePiece, policy: lotPolicy }) : null,
+    [showLot, lot, allMaterials, spotSnapshot, gemMatrix, catalogPrices, rate, policies, lotPolicy, mode, scrap, watchTable, laborCatalog])
+  const lotState = ()=>({
+    name: lot.name, mode, currency, rate, baseCurrency: BASE_CURRENCY,
+    priceAsOf: spotSnapshot?.ts || null,
+    diagnosisPolicy: { id: lotPolicy.id, label: lotPolicy.label },
+  })
+  const addCurrentToLot = ()=> setLot(prev => ({ ...prev, pieces: [...prev.pieces, newLotPiece(createLine, {
+    desc: [brand, model].filter(Boolean).join(' '),
+    pieceType, brand, model,
+    lines: cloneLines(lines),
+    laborOverride: laborCost > 0 ? String(round2(laborCost)) : '',
+    piecePrice,
+    watch: watchActive ? { ...watch } : null,
+  })] }))
+  const saveLot = async ({ inPlace = false } = {})=>{
+    const entry = buildLotEntry(lotState(), lotEval, inPlace && editingLot ? { id: editingLot.id, createdAt: editingLot.ts } : {})
+    if (await saveHistory(entry)) setEditingLot(entry)
+  }
+  const openLot = (h, { asNew = false } = {})=>{
+    // Los importes se pasan a la divisa actual con la tasa con la que se guardó el lote
+    setLot(convertLot(lotFromEntry(h, { asNew }), currency, h.currency && h.rate ? { ...rates, [h.currency]: h.rate } : rates))
+    setMode(cleanMode(h.mode))
+    setEditingLot(asNew ? null : h)
+    setShowLot(true)
+  }
+  const resetLot = ()=>{
+    if (!window.confirm('¿Empezar un lote nuevo? El lote en curso se descarta (lo guardado en el historial se conserva).')) return
+    setLot(newLot(createLine, currency)); setEditingLot(null)
+  }
+  const exportLotCSV = ()=> downloadText(toCSV(lotCSVRows(lotEval, { pieceTypes: ALL_PIECE_TYPES, metals: FINE_METALS })), `safire_lote_${Date.now()}.csv`, 'text/csv;charset=utf-8;')
+  const exportLotPDF = ()=>{
+    const reference = reportReference(editingLot?.id, editingLot?.ts)
+    const report = buildLotReport({ name: lot.name, mode }, lotEval, {
+      currency, policy: lotPolicy, reference, fmt, metals: FINE_METALS,
+      pieceTypes: ALL_PIECE_TYPES,
+      date: editingLot?.ts || new Date(),
+      priceAsOf: spotSnapshot?.ts,
+    })
+    renderReportPDF(report, reportSettings).save(`safire_lote_${reference}.pdf`)
+  }
+
+  // Enlaces compartidos: la tasación viaja comprimida en el fragmento (#safire=…)
+  const [sharedView, setSharedView] = useState(null) // { editable } mientras se ve un enlace
+  const readOnly = Boolean(sharedView && !sharedView.editable)
+  const [shareLink, setShareLink] = useState(null)   // { url, editable }
+  const buildShareLink = async (editable)=>{
+    const usedCustom = allMaterials.filter(m => !m.base && lines.some(ln => ln.materialKey === m.key || ln.baseMaterialKey === m.key))
+    const data = { ...appraisalPayload({ ...currentState(), piecePrice }), materials: usedCustom }
+    return shareUrl(await encodeShare('appraisal', data, { editable }))
+  }
+  const createShareLink = async (editable)=>{
+    try{ setShareLink({ url: await buildShareLink(editable), editable }) }
+    catch(e){ alert(`No se pudo crear el enlace: ${e.message}`) }
+  }
+  const copyShareLink = ()=>{
+    navigator.clipboard?.writeText(shareLink.url).catch(()=>{})
+  }
+  const openShared = ({ data, editable })=>{
+    const missing = (data.materials || []).filter(m => !allMaterials.some(x => x.key === m.key)).map(cleanMaterial)
+    if (missing.length) setMaterials(prev => [...prev, ...missing])
+    const catalog = [...allMaterials, ...missing]
+    // Las líneas llegan sin id: los engastes se reasignan por posición (setting@#i)
+    loadEntry({ ...data, lines: restoreLines(data.lines, key => createLine(catalog.find(m => m.key === key))) }, { asNew: true })
+    setCurrency(data.currency || BASE_CURRENCY) // importes en la divisa del enlace
+    setSharedView({ editable })
+    setStep(3)
+  }
+  const leaveShared = ()=>{ setSharedView(null); clearShareHash() }
+  useEffect(()=>{
+    decodeShare(window.location.hash)
+      .then(shared => {
+        if (!shared) return
+        // Enlaces creados con el asistente v22: material por nombre, peso y coste unitario
+        if (shared.kind === 'wizard') {
+          const data = fromWizardState(shared.data, { materials: allMaterials, makeLine })
+          openShared({ ...shared, data })
+          setLevel(data.level)
+          return
+        }
+        openShared(shared)
+      })
+      .catch(e => alert(`No se pudo abrir el enlace compartido: ${e.message}`))
+  },[])
+
+  // Sin conexión / errores de guardado / copia de seguridad completa
+  const [storageError, setStorageError] = useState('')
+  const [online, setOnline] = useState(()=> typeof navigator === 'undefined' || navigator.onLine !== false)
+  const [applyUpdate, setApplyUpdate] = useState(null)
+  useEffect(()=>{
+    const offError = onStorageError(({ message }) => setStorageError(message))
+    const offConn = onConnectivityChange(setOnline)
+    requestPersistence().catch(()=>{})
+    registerServiceWorker({ onUpdate: apply => setApplyUpdate(()=>apply), onError: message => setStorageError(message) })
+    return ()=>{ offError(); offConn() }
+  },[])
+  const downloadBackup = async ()=>{
+    try{
+      const backup = buildBackup({ appraisals: await allAppraisals(), photos: await allPhotos() })
+      downloadText(exportBackupJSON(backup), `safire_backup_${backup.createdAt.slice(0, 10)}.json`, 'application/json')
+    }catch(e){ alert(`No se pudo crear la copia de seguridad: ${e.message}`) }
+  }
+  const restoreFromFile = async (file)=>{
+    if (!file) return
+    try{
+      const backup = parseBackup(await file.text())
+      const when = new Date(backup.createdAt).toLocaleString()
+      if (!window.confirm(`¿Restaurar la copia del ${when}? Sustituye todos los datos actuales (${backup.appraisals.length} tasaciones en la copia).`)) return
+      const r = await restoreBackup(backup, { replaceAppraisals, replacePhotos, loadAppraisals: allAppraisals, loadPhotos: allPhotos })
+      alert(`Copia restaurada: ${r.appraisals} tasaciones, ${r.photos} fotos y ${r.keys} ajustes. La aplicación se recargará.`)
+      window.location.reload()
+    }catch(e){ alert(`No se pudo restaurar: ${e.message}`) }
+  }
+
+  // Deshacer/rehacer por instantáneas del editor y registro de cambios de la tasación.
+  // Cada render compara con la instantánea anterior; las operaciones automáticas
+  // (sugerencias) no cuentan como cambio porque se recalculan a partir de las líneas.
+  const [undoHistory, setUndoHistory] = useState(emptyUndo)
+  const [audit, setAudit] = useState(draft.audit || [])
+  const [showAudit, setShowAudit] = useState(false)
+  const [auditAuthor, setAuditAuthor] = useState(()=>loadAuditAuthor())
+  useEffect(()=>{ saveAuditAuthor(auditAuthor) },[auditAuthor])
+  const snapshot = { lines, photos, pieceType, brand, model, mode, complexity, laborOverride, operations, laborDismissed, piecePrice, currency, watch }
+  const lastSnapshot = useRef(snapshot)
+  const editorRef = useRef(null) // formulario de la tasación (ámbito de los atajos)
+  const pendingAction = useRef(null) // { label, load, replay, fresh } para el próximo cambio
+  const markAction = (label, extra = {})=>{ pendingAction.current = { label, ...extra } }
+  const markLoad = ()=>{ pendingAction.current = { load: true } }
+  const significant = (s)=> ({ ...s, operations: s.operations.filter(o => !o.auto) })
+  useEffect(()=>{
+    const before = lastSnapshot.current
+    const action = pendingAction.current
+    pendingAction.current = null
+    if (Object.keys(snapshot).every(k => snapshot[k] === before[k])) return
+    lastSnapshot.current = snapshot
+    // Cargar una tasación o un enlace es un punto de partida nuevo
+    if (action?.load) { setUndoHistory(emptyUndo()); return }
+    const changes = diffStates(significant(before), significant(snapshot))
+    if (!changes.length) return
+    const label = action?.label || (changes.length === 1 ? changes[0].label : `${changes.length} cambios`)
+    if (!action?.replay) setUndoHistory(h => pushUndo(h, before, { label, key: action ? '' : changes.map(c => c.field).join('|') }))
+    const records = auditRecords(changes, { who: auditAuthor, action: action?.label || 'Edición' })
+    setAudit(log => action?.fresh ? [] : appendAudit(log, records))
+  })
+  const restoreSnapshot = (s)=>{
+    setLines(s.lines); setPhotos(s.photos); setPieceType(s.pieceType); setBrand(s.brand); setModel(s.model)
+    setMode(s.mode); setComplexity(s.complexity); setLaborOverride(s.laborOverride); setOperations(s.operations)
+    setLaborDismissed(s.laborDismissed); setPiecePrice(s.piecePrice); setCurrency(s.currency); setWatch(s.watch)
+  }
+  const stepUndo = (dir)=>{
+    const step = (dir === 'redo' ? redo : undo)(undoHistory, lastSnapshot.current)
+    if (!step) return
+    markAction(`${dir === 'redo' ? 'Rehacer' : 'Deshacer'}: ${step.label}`, { replay: true })
+    setUndoHistory(step.history)
+    restoreSnapshot(step.snapshot)
+  }
+  useEffect(()=>{
+    const onKey = (e)=>{
+      const dir = shortcutFor(e, { editor: editorRef.current })
+      if (!dir || readOnly) return
+      e.preventDefault()
+      stepUndo(dir)
+    }
+    window.addEventListener('keydown', onKey)
+    return ()=> window.removeEventListener('keydown', onKey)
   })
-  const row = { display:'grid', gridTemplateColumns:'repeat(12, 1fr)', gap:12 }
-  const col = (n) => ({ gridColumn:`span ${n}` })
-  const muted = { color:'#8b91a1', fontSize:12 }
+  // Un enlace de solo lectura no sustituye el borrador propio
+  useEffect(()=>{
+    if (!readOnly) saveDraft({ ...snapshot, audit, step, level, templateId })
+  },[...Object.values(snapshot), audit, step, level, templateId, readOnly])
+
+  const exportAuditCSV = ()=> downloadText(toCSV(auditRows(audit)), `safire_cambios_${Date.now()}.csv`, 'text/csv;charset=utf-8;')
+
+  const resetAll = ()=>{ markAction('Reiniciar', { fresh: true }); setStep(1); setTemplateId(''); setLines([createLine()]); setPhotos([]); setWatch(DEFAULT_WATCH); setPiecePrice(''); setLaborOverride(''); setOperations([]); setLaborDismissed([]); setEditingEntry(null); leaveShared() }
 
   return (
     <div style={container}>
-      <h1 style={{fontSize:28, margin:'0 0 12px'}}>Safire Appraisal — Comparador (V2.2)</h1>
+      <h1 style={{fontSize:28, margin:'0 0 12px'}}>Safire Appraisal — Valoración de pieza (V22) {!online && <Pill tone="warn">Sin conexión · últimos precios guardados</Pill>}</h1>
+      {storageError && (
+        <div style={{...hintBox, color:'#ff9cac', borderColor:'#ff9cac', marginBottom:12, display:'flex', justifyContent:'space-between', alignItems:'center', gap:8, flexWrap:'wrap'}}>
+          <span>⚠ {storageError}</span>
+          <span style={{display:'flex', gap:8}}>
+            <button style={btn()} onClick={downloadBackup}>Descargar copia</button>
+            <button style={btn('outline')} onClick={()=>setStorageError('')}>Cerrar</button>
+          </span>
+        </div>
+      )}
+      {applyUpdate && (
+        <div style={{...hintBox, marginBottom:12, display:'flex', justifyContent:'space-between', alignItems:'center'}}>
+          <span>Hay una versión nueva de la aplicación.</span>
+          <button style={btn()} onClick={applyUpdate}>Actualizar</button>
+        </div>
+      )}
 
       <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginBottom:12}}>
         <label>Divisa</label>
-        <select style={{...select, width:120}} value={currency} onChange={e=>setCurrency(e.target.value)}>
-          {CURRENCIES.map(c => <option key={c} value={c}>{c}</option>)}
+        <select style={{...select, width:120}} value={currency} onChange={e=>changeCurrency(e.target.value)}>
+          {CURRENCY_CODES.map(c => <option key={c} value={c}>{c}</option>)}
         </select>
-        <button style={btn()} onClick={addCustomMaterial}>Añadir material (catálogo)</button>
-        <div style={{border:'1px dashed #39415b', padding:'6px 8px', borderRadius:8, fontSize:12, color:'#aeb6ca'}}>
-          Tips: Alias “750/1000”, “18k”, “925”, “platino 950” → Detectar. Usa Unidades para múltiplos.
+        <details style={{fontSize:12}}>
+          <summary style={{cursor:'pointer', color:'#aeb6ca'}}>Tipos de cambio (1 EUR = …){rateTable.ts ? ` · ${new Date(rateTable.ts).toLocaleDateString()}` : ''}</summary>
+          <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginTop:6}}>
+            {CURRENCY_CODES.filter(c => c !== BASE_CURRENCY).map(c => (
+              <label key={c} style={muted} title={CURRENCIES[c].label}>{c}
+                <input style={{...input, width:90, marginLeft:4}} defaultValue={rates[c]} key={`${c}_${rates[c]}`} onBlur={e=>updateRate(c, e.target.value)} />
+              </label>
+            ))}
+            <label style={{...btn('outline'), fontSize:12}}>Importar (JSON/CSV)
+              <input type="file" accept=".json,.csv,.txt" style={{display:'none'}} onChange={e=>{ importRates(e.target.files?.[0]); e.target.value='' }} />
+            </label>
+          </div>
+        </details>
+        <details style={{fontSize:12}}>
+          <summary style={{cursor:'pointer', color:'#aeb6ca'}}>Matriz gemas ({gemMatrix.rows.length} filas · {gemMatrix.source === 'default' ? 'ejemplo' : gemMatrix.source})</summary>
+          <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginTop:6}}>
+            <span style={muted}>CSV/JSON: material, color, clarity, cut, origin, treatment, carat, price (€/ct)</span>
+            <label style={{...btn('outline'), fontSize:12}}>Importar
+              <input type="file" accept=".json,.csv,.txt" style={{display:'none'}} onChange={e=>{ importGemMatrix(e.target.files?.[0]); e.target.value='' }} />
+            </label>
+            <button style={{...btn('outline'), fontSize:12}} onClick={exportGemMatrix}>Exportar</button>
+            <button style={{...btn('outline'), fontSize:12}} onClick={resetGemMatrix}>Restablecer ejemplo</button>
+          </div>
+        </details>
+        <details style={{fontSize:12}}>
+          <summary style={{cursor:'pointer', color:'#aeb6ca'}}>Informe PDF ({reportSettings.shopName || 'sin membrete'})</summary>
+          <div style={{display:'grid', gridTemplateColumns:'repeat(2, minmax(200px, 1fr))', gap:8, marginTop:6}}>
+            <label style={muted}>Nombre del comercio
+              <input style={input} value={reportSettings.shopName} onChange={e=>setReportField('shopName', e.target.value)} />
+            </label>
+            <div style={{display:'flex', gap:8, alignItems:'flex-end'}}>
+              {reportSettings.logo && <img src={reportSettings.logo} alt="Logo" style={{height:36, borderRadius:6}} />}
+              <label style={{...btn('outline'), fontSize:12}}>{reportSettings.logo ? 'Cambiar logo' : 'Subir logo'}
+                <input type="file" accept="image/png,image/jpeg" style={{display:'none'}} onChange={e=>{ importLogo(e.target.files?.[0]); e.target.value='' }} />
+              </label>
+              {reportSettings.logo && <button style={{...btn('outline'), fontSize:12}} onClick={()=>setReportField('logo', '')}>Quitar</button>}
+            </div>
+            <label style={muted}>Membrete (dirección, teléfono, NIF…)
+              <textarea style={{...input, minHeight:54}} value={reportSettings.letterhead} onChange={e=>setReportField('letterhead', e.target.value)} />
+            </label>
+            <label style={muted}>
+              <input type="checkbox" checked={Boolean(reportSettings.qr)} onChange={e=>setReportField('qr', e.target.checked)} /> Incluir código QR con el enlace de la tasación (solo lectura)
+            </label>
+            <label style={muted}>Pie / aviso legal
+              <textarea style={{...input, minHeight:54}} value={reportSettings.footer} onChange={e=>setReportField('footer', e.target.value)} />
+            </label>
+          </div>
+        </details>
+        <button style={btn()} onClick={()=>setShowLot(v=>!v)}>Lote / inventario</button>
+        <button style={btn()} onClick={()=>setShowAnalytics(v=>!v)}>Analítica</button>
+        <button style={btn()} onClick={()=>setShowCatalog(v=>!v)}>Catálogo de materiales</button>
+        <button style={btn()} onClick={()=>setShowHallmarkRules(v=>!v)}>Reglas de contrastes</button>
+        <button style={btn()} onClick={()=>setShowPolicies(v=>!v)}>Políticas de diagnóstico</button>
+        <button style={btn()} onClick={()=>setShowTemplates(v=>!v)}>Plantillas de pieza</button>
+        <button style={btn()} onClick={()=>setShowLaborCatalog(v=>!v)}>Operaciones de taller</button>
+        <button style={btn()} onClick={()=>setShowPricing(v=>!v)}>Modelo de PVP</button>
+        <button style={btn()} onClick={()=>setShowScrap(v=>!v)}>Tarifas de recompra</button>
+        <button style={btn()} onClick={()=>setShowWatchTable(v=>!v)}>Tabla de relojes</button>
+        <button style={btn()} onClick={()=>setShowImport(v=>!v)}>Importar</button>
+        <button style={btn()} onClick={downloadBackup} title="Historial, ajustes, catálogo y precios en un solo archivo">Copia de seguridad</button>
+        <label style={btn('outline')}>Restaurar copia
+          <input type="file" accept=".json" style={{display:'none'}} onChange={e=>{ restoreFromFile(e.target.files?.[0]); e.target.value='' }} />
+        </label>
+        <div style={hintBox}>
+          Tips: Alias “750 PT950”, “1/20 12K GF”, “925 vermeil” → Detectar propone la ley de cada línea. Usa Unidades para múltiplos; en relojes, los eslabones del brazalete.
         </div>
       </div>
 
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginBottom:12, fontSize:12}}>
+        <label style={muted}>Precios spot</label>
+        <input style={{...input, width:260}} value={priceUrl} onChange={e=>setPriceUrl(e.target.value)} placeholder="prices.json local (o URL HTTP)" />
+        <button style={btn()} disabled={spotLoading} onClick={()=>refreshPrices()}>{spotLoading ? 'Actualizando…' : 'Actualizar precios'}</button>
+        {spotSnapshot?.ts ? (
+          <Pill tone={isStale(spotSnapshot) || spotSnapshot.error ? 'warn' : 'ok'}>
+            Spot a {new Date(spotSnapshot.ts).toLocaleString()}{spotSnapshot.error ? ' (caché)' : ''}
+          </Pill>
+        ) : <Pill tone="warn">Sin precios spot</Pill>}
+        {spotSnapshot?.error && <span style={muted}>{spotSnapshot.error}</span>}
+      </div>
+
+      {showLot && (
+        <LotView
+          lot={lot}
+          onChange={setLot}
+          lotEval={lotEval}
+          materials={allMaterials}
+          pieceTypes={ALL_PIECE_TYPES}
+          currency={currency}
+          makeLine={key => createLine(allMaterials.find(m => m.key === key))}
+          materialPatch={materialPatch}
+          editing={editingLot}
+          onAddCurrent={addCurrentToLot}
+          onSave={()=>saveLot()}
+          onUpdate={()=>saveLot({ inPlace: true })}
+          onNew={resetLot}
+          onExportCSV={exportLotCSV}
+          onExportPDF={exportLotPDF}
+          onClose={()=>setShowLot(false)}
+        />
+      )}
+      {showAnalytics && (
+        <AnalyticsPanel
+          version={historyVersion}
+          pieceTypes={{ ...ALL_PIECE_TYPES, [LOT_PIECE_TYPE]: 'Lote' }}
+          currency={currency}
+          onOpen={h=> isLotEntry(h) ? openLot(h) : loadEntry(h)}
+          onExportCSV={rows=>downloadText(toCSV(rows), `safire_analitica_${Date.now()}.csv`, 'text/csv;charset=utf-8;')}
+          onClose={()=>setShowAnalytics(false)}
+        />
+      )}
+      {showPolicies && (
+        <PolicyEditor
+          policies={policies}
+          onChange={setPolicies}
+          pieceTypes={ALL_PIECE_TYPES}
+          activeId={policy.id}
+          onExport={(json)=>downloadText(json, `safire_policies_${Date.now()}.json`, 'application/json')}
+        />
+      )}
+      {showTemplates && (
+        <TemplateLibrary
+          templates={templateLib}
+          onChange={setTemplateLib}
+          pieceTypes={ALL_PIECE_TYPES}
+          pieceType={pieceType}
+          materials={allMaterials}
+          fromCurrent={templateFromCurrent}
+          onApply={applyTemplate}
+          onExport={(json)=>downloadText(json, `safire_templates_${Date.now()}.json`, 'application/json')}
+          onClose={()=>setShowTemplates(false)}
+        />
+      )}
+      {showCatalog && (
+        <CatalogManager
+          materials={allMaterials}
+          onChange={setMaterials}
+          inUse={lines.flatMap(ln => [ln.materialKey, ln.baseMaterialKey]).filter(Boolean)}
+          loadEntries={allAppraisals}
+          onExport={(json)=>downloadText(json, `safire_materials_${Date.now()}.json`, 'application/json')}
+          onClose={()=>setShowCatalog(false)}
+        />
+      )}
+      {showHallmarkRules && (
+        <HallmarkRulesEditor rules={hallmarkRules} onChange={setHallmarkRules} onClose={()=>setShowHallmarkRules(false)} />
+      )}
+      {showPricing && (
+        <PricingEditor pricing={pricing} onChange={setPricing} onClose={()=>setShowPricing(false)} />
+      )}
+      {showScrap && (
+        <ScrapEditor scrap={scrap} onChange={setScrap} onClose={()=>setShowScrap(false)} />
+      )}
+      {showWatchTable && (
+        <WatchTableEditor table={watchTable} onChange={setWatchTable} onClose={()=>setShowWatchTable(false)} />
+      )}
+      {showLaborCatalog && (
+        <LaborCatalogEditor catalog={laborCatalog} onChange={setLaborCatalog} onClose={()=>setShowLaborCatalog(false)} />
+      )}
+      {showImport && (
+        <ImportPanel
+          materials={allMaterials}
+          rates={rates}
+          currency={currency}
+          makeLine={key => createLine(allMaterials.find(m=>m.key===key))}
+          autoPrice={autoPrice}
+          policy={policy}
+          catalogPrices={catalogPrices}
+          loadExistingIds={existingIds}
+          onImportAppraisals={importAppraisals}
+          onImportPrices={importPrices}
+          onClearPrices={clearCatalogPrices}
+          onClose={()=>setShowImport(false)}
+        />
+      )}
+
       <div style={card}>
-        {/* Presets */}
-        <div style={{display:'grid', gridTemplateColumns:'repeat(8, minmax(0,1fr))', gap:8}}>
-          {Object.entries(PIECE_TYPES).map(([key, label]) => (
-            <button key={key} style={btn('outline')} onClick={()=>{
-              setPieceType(key)
-              setLines(prev => {
-                const i = prev.length-1; const ln = prev[i]
-                const patch = (()=>{
-                  if (key==='anillo_fino') return { mode:'dimensions', shape:'cylinder', diameterMM:'20', heightMM:'2' }
-                  if (key==='caja_reloj') return { mode:'dimensions', shape:'box', lengthMM:'40', widthMM:'30', heightMM:'10' }
-                  if (key==='eslabon') return { mode:'dimensions', shape:'cylinder', diameterMM:'5', heightMM:'20' }
-                  if (key==='diamante_redondo') return { materialKey:'diamond', mode:'dimensions', shape:'diamond_round', diameterMM:'6.5', depthMM:'4' }
-                  if (key==='pendiente') return { mode:'dimensions', shape:'box', lengthMM:'10', widthMM:'10', heightMM:'5' }
-                  if (key==='pulsera') return { mode:'dimensions', shape:'cylinder', diameterMM:'60', heightMM:'5' }
-                  if (key==='colgante') return { mode:'dimensions', shape:'box', lengthMM:'20', widthMM:'15', heightMM:'5' }
-                  if (key==='reloj_completo') return { mode:'dimensions', shape:'box', lengthMM:'45', widthMM:'40', heightMM:'10' }
-                  return {}
-                })()
-                return prev.map((l, idx) => idx!==i? l : { ...ln, ...patch })
-              })
-            }}>{label}</button>
-          ))}
+        {sharedView && (
+          <div style={{...hintBox, marginBottom:12, display:'flex', justifyContent:'space-between', alignItems:'center', gap:8, flexWrap:'wrap'}}>
+            <span>Tasación compartida por enlace{readOnly ? ' · solo lectura' : ' · editable'} (no se guarda hasta que pulses Guardar)</span>
+            <span style={{display:'flex', gap:8}}>
+              {readOnly && <button style={btn()} onClick={exportReport}>Informe PDF</button>}
+              <button style={btn('outline')} onClick={leaveShared}>{readOnly ? 'Editar una copia' : 'Cerrar aviso'}</button>
+            </span>
+          </div>
+        )}
+        <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', justifyContent:'space-between', marginBottom:12}}>
+          <div style={{display:'flex', flexWrap:'wrap', gap:8}}>
+            {Object.entries(WIZARD_STEPS).map(([n, label]) => (
+              <button key={n} style={{...btn(Number(n) === step ? 'solid' : 'outline'), borderRadius:999}} onClick={()=>setStep(Number(n))}>{n} · {label}</button>
+            ))}
+          </div>
+          <div style={{display:'flex', gap:4}}>
+            {Object.entries(LEVELS).map(([k, label]) => (
+              <button key={k} style={{...btn(k === level ? 'solid' : 'outline'), fontSize:12}} onClick={()=>setLevel(k)}>{label}</button>
+            ))}
+          </div>
+        </div>
+        <fieldset ref={editorRef} disabled={readOnly} style={{border:0, padding:0, margin:0, minWidth:0}}>
+        {editingEntry && (
+          <div style={{...hintBox, marginBottom:12, display:'flex', justifyContent:'space-between', alignItems:'center'}}>
+            <span>Editando tasación del {new Date(editingEntry.ts).toLocaleString()} · {editingEntry.desc}{editingEntry.partial ? ' (migrada de v1: faltan pesos y precios)' : ''}</span>
+            <a href="#" style={{color:'#8fb3ff'}} onClick={e=>{ e.preventDefault(); setEditingEntry(null) }}>desvincular</a>
+          </div>
+        )}
+        {step === 1 && (<>
+        <div style={{...hintBox, marginBottom:12}}>Paso 1 · Describe la pieza y elige el modo. Después podrás ajustar materiales y mano de obra.</div>
+        <div style={{...row, marginBottom:12}}>
+          <div style={col(3)}>
+            <label style={muted}>Tipo de pieza</label>
+            <select style={select} value={pieceType} onChange={e=>setPieceType(e.target.value)}>
+              <option value="">— Seleccionar —</option>
+              <optgroup label="Pieza">
+                {Object.entries(WIZARD_PIECE_TYPES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+              </optgroup>
+              <optgroup label="Forma (con estimador de medidas)">
+                {Object.entries(PIECE_TYPES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+              </optgroup>
+            </select>
+          </div>
+          <div style={col(3)}>
+            <label style={muted}>Marca</label>
+            <input style={input} value={brand} onChange={e=>setBrand(e.target.value)} placeholder="Cartier, Rolex..." />
+          </div>
+          <div style={col(3)}>
+            <label style={muted}>Modelo / referencia</label>
+            <input style={input} value={model} onChange={e=>setModel(e.target.value)} placeholder="Ref. interna..." />
+          </div>
+          <div style={col(3)}>
+            <label style={muted}>Modo</label>
+            <select style={select} value={mode} onChange={e=>setMode(e.target.value)}>
+              {Object.entries(APPRAISAL_MODES).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+          </div>
+          <div style={col(6)}>
+            <label style={muted}>Plantilla (sustituye las líneas; se gestionan en Plantillas de pieza)</label>
+            <select style={select} value={templates.some(t => t.id === templateId) ? templateId : ''} onChange={e=>applyTemplate(templates.find(t => t.id === e.target.value))}>
+              <option value="">— Vacía —</option>
+              {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+            </select>
+          </div>
+          <div style={col(3)}>
+            <label style={muted}>Política de diagnóstico</label>
+            <div style={{marginTop:8}}><Pill>{policy.label}</Pill></div>
+          </div>
         </div>
+        <div style={{marginBottom:12}}>
+          <label style={muted}>Fotos de la pieza</label>
+          <div style={{marginTop:4}}>
+            <PhotoStrip ids={photos} records={photoRecords} busy={photoBusy} onAdd={files=>addPhotos(files)} onRemove={id=>removePhoto(id)} onPatch={patchPhoto} />
+          </div>
+        </div>
+        <div style={{display:'flex', justifyContent:'flex-end'}}>
+          <button style={btn()} onClick={()=>setStep(2)}>Siguiente · Materiales →</button>
+        </div>
+        </>)}
+
+        {step === 2 && (<>
+        <div style={{...hintBox, marginBottom:12}}>Paso 2 · Ajusta materiales y precios. Las formas estiman el peso a partir de las medidas{advanced ? '' : '; el modo avanzado añade construcción, densidad, engastes y el desglose de mano de obra'}.</div>
+        {/* Plantillas: añade sus líneas (formas con medidas típicas, pesos estándar…) */}
+        <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center'}}>
+          <select style={{...select, width:320}} value="" onChange={e=>applyTemplate(templates.find(t => t.id === e.target.value), 'append')}>
+            <option value="">+ Añadir líneas desde plantilla…</option>
+            {templates.map(t => <option key={t.id} value={t.id}>{t.name}</option>)}
+          </select>
+          <button style={btn('outline')} onClick={()=>setShowTemplates(true)}>Plantillas de pieza</button>
+        </div>
+
+        {/* Reloj: movimiento y cristal (las líneas son caja, bisel y brazalete) */}
+        {watchActive && (
+          <div style={{...hintBox, marginTop:12}}>
+            <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'end'}}>
+              <label style={muted}>Movimiento
+                <select style={{...select, width:220}} value={watch.movement} onChange={e=>patchWatch({ movement: e.target.value })}>
+                  <option value="">Sin movimiento (caja suelta)</option>
+                  {watchTable.movements.map(m => <option key={m.key} value={m.key}>{m.label}</option>)}
+                </select>
+              </label>
+              <label style={muted}>Valor movimiento ({currency})
+                <input style={{...input, width:120}} value={watch.movementValue} disabled={!watch.movement} onChange={e=>patchWatch({ movementValue: e.target.value })} placeholder={evaluation.watch?.movement ? fmt(evaluation.watch.movement.reference * (evaluation.watch.movement.factor)) : ''} />
+              </label>
+              <label style={muted}>Cristal
+                <select style={{...select, width:200}} value={watch.crystal} onChange={e=>patchWatch({ crystal: e.target.value })}>
+                  <option value="">Sin cristal</option>
+                  {watchTable.crystals.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+                </select>
+              </label>
+              <label style={muted}>Valor cristal ({currency})
+                <input style={{...input, width:100}} value={watch.crystalValue} disabled={!watch.crystal} onChange={e=>patchWatch({ crystalValue: e.target.value })} placeholder={evaluation.watch?.crystal ? fmt(evaluation.watch.crystal.reference) : ''} />
+              </label>
+              <Pill>Marca ×{fmt(brandFactorFor(brand, watchTable))}{brand ? '' : ' (sin marca)'}</Pill>
+            </div>
+            <div style={{display:'flex', flexWrap:'wrap', gap:6, marginTop:8}}>
+              {evaluation.watch?.components.map(c => (
+                <Pill key={c.key}>{c.label} (línea {c.lines.join(', ')}){c.links ? ` · ${c.links} eslabones` : ''} · {fmt(c.grams, 2)} g · {fmt(c.cost)} {currency}</Pill>
+              ))}
+              {evaluation.watch?.movement && <Pill>Movimiento {fmt(evaluation.watch.movement.value)} {currency}{evaluation.watch.movement.manual ? ' (manual)' : ''}</Pill>}
+              {evaluation.watch?.crystal && <Pill>Cristal {fmt(evaluation.watch.crystal.value)} {currency}{evaluation.watch.crystal.manual ? ' (manual)' : ''}</Pill>}
+            </div>
+          </div>
+        )}
 
         {/* Líneas */}
         <div style={{display:'grid', gap:12, marginTop:12}}>
-          {lines.map((ln) => {
-            const { m, matUnit, effW, qty, cost } = calcLine(ln)
+          {lines.map((ln, idx) => {
+            const { m, matUnit, effW, totalW, qty, cost, autoPrice: spotPrice, autoDetail, priceSource, base } = evaluation.parts[idx]
             const baseUnit = matUnit
             const displayUnit = ln.mode === 'weight' ? (m.unit === '€/g' ? (ln.weightUnit || 'g') : baseUnit) : baseUnit
             let displayQty = 0
@@ -383,18 +1106,23 @@ export default function App(){
                   <div style={col(3)}>
                     <label style={muted}>Material</label>
                     <select style={select} value={ln.materialKey} onChange={e=>{
-                      const v = e.target.value
-                      const newMat = allMaterials.find(x=>x.key===v) || MATERIALS[0]
-                      const u = unitFor(newMat)
-                      updateLine(ln.id, { materialKey: v, weightUnit: u === 'g' ? (ln.weightUnit in WEIGHT_UNITS ? ln.weightUnit : 'g') : u })
+                      const newMat = allMaterials.find(x=>x.key===e.target.value) || allMaterials[0]
+                      updateLine(ln.id, materialPatch(ln, newMat))
                     }}>
-                      {allMaterials.map(mat => <option key={mat.key} value={mat.key}>{mat.label}</option>)}
+                      {materialOptions(allMaterials, ln.materialKey).map(mat => <option key={mat.key} value={mat.key}>{mat.label}</option>)}
                     </select>
                   </div>
 
                   <div style={col(2)}>
-                    <label style={muted}>Precio ({m.unit}) [{currency}]</label>
-                    <input style={input} value={ln.unitPrice} onChange={e=>updateLine(ln.id,{unitPrice:e.target.value})} />
+                    <label style={muted}>Precio ({priceUnit(m, currency)})</label>
+                    <input style={input} value={ln.unitPrice} onChange={e=>updateLine(ln.id,{unitPrice:e.target.value})} placeholder={spotPrice != null ? fmt(spotPrice) : ''} />
+                    <div style={muted}>
+                      {priceSource === 'spot' && <>Spot a {new Date(spotSnapshot.ts).toLocaleString()}</>}
+                      {priceSource === 'matrix' && <>Matriz · {autoDetail.band}</>}
+                      {priceSource === 'catalog' && <>Catálogo · {autoDetail.origin} ({new Date(autoDetail.ts).toLocaleDateString()})</>}
+                      {priceSource === 'default' && <>Precio por defecto del material</>}
+                      {priceSource === 'manual' && <>Manual{spotPrice != null && <> · <a href="#" style={{color:'#8fb3ff'}} onClick={e=>{ e.preventDefault(); updateLine(ln.id,{unitPrice:''}) }}>{AUTO_SOURCE_LINKS[autoDetail?.source]}</a></>}</>}
+                    </div>
                   </div>
 
                   <div style={col(2)}>
@@ -414,14 +1142,14 @@ export default function App(){
                   </div>
 
                   <div style={col(2)}>
-                    <label style={muted}>Unidades</label>
+                    <label style={muted}>{ln.component === 'bracelet' ? 'Eslabones' : 'Unidades'}</label>
                     <input style={input} value={ln.qty} onChange={e=>updateLine(ln.id,{qty:e.target.value})} />
-                    <div style={muted}>Multiplica el coste por este número.</div>
+                    <div style={muted}>{ln.component === 'bracelet' ? 'Las medidas o el peso son de un eslabón.' : 'Multiplica el coste por este número.'}</div>
                   </div>
 
                   {ln.mode === 'weight' ? (<>
                     <div style={col(2)}>
-                      <label style={muted}>Peso</label>
+                      <label style={muted}>{m.unit === '€/ud' ? 'Piezas' : 'Peso'}</label>
                       <input style={input} value={ln.weightVal} onChange={e=>updateLine(ln.id,{weightVal:e.target.value})} />
                     </div>
                     <div style={col(1)}>
@@ -440,25 +1168,42 @@ export default function App(){
                         <div style={{gridColumn:'span 12'}}>
                           <label style={muted}>Tipo</label>
                           <select style={select} value={ln.shape} onChange={e=>updateLine(ln.id,{shape:e.target.value})}>
-                            {m.key === 'diamond' && <option value="diamond_round">Diamante — redondo</option>}
+                            {m.unit === '€/ct' && Object.entries(GEM_SHAPES).map(([k, def]) => <option key={k} value={k}>Talla — {def.label}</option>)}
                             <option value="box">Prisma rectangular</option>
                             <option value="cylinder">Cilindro</option>
                             <option value="volume">Volumen conocido</option>
                           </select>
                         </div>
 
-                        {ln.shape === 'diamond_round' && (<>
-                          <div style={{gridColumn:'span 3'}}>
-                            <label style={muted}>Diámetro (mm)</label>
-                            <input style={input} value={ln.diameterMM} onChange={e=>updateLine(ln.id,{diameterMM:e.target.value})} />
-                          </div>
+                        {m.unit === '€/ct' && isGemShape(ln.shape) && (<>
+                          {GEM_SHAPES[ln.shape].round ? (
+                            <div style={{gridColumn:'span 3'}}>
+                              <label style={muted}>Diámetro (mm)</label>
+                              <input style={input} value={ln.diameterMM} onChange={e=>updateLine(ln.id,{diameterMM:e.target.value})} />
+                            </div>
+                          ) : (<>
+                            <div style={{gridColumn:'span 3'}}>
+                              <label style={muted}>Largo (mm)</label>
+                              <input style={input} value={ln.lengthMM} onChange={e=>updateLine(ln.id,{lengthMM:e.target.value})} />
+                            </div>
+                            <div style={{gridColumn:'span 3'}}>
+                              <label style={muted}>Ancho (mm)</label>
+                              <input style={input} value={ln.widthMM} onChange={e=>updateLine(ln.id,{widthMM:e.target.value})} />
+                            </div>
+                          </>)}
                           <div style={{gridColumn:'span 3'}}>
                             <label style={muted}>Altura/Prof. (mm)</label>
                             <input style={input} value={ln.depthMM} onChange={e=>updateLine(ln.id,{depthMM:e.target.value})} />
                           </div>
-                          <div style={{gridColumn:'span 6'}}>
-                            <div style={{border:'1px dashed #39415b', padding:'6px 8px', borderRadius:8, fontSize:12, color:'#aeb6ca'}}>
-                              Diamante: ct ≈ 0.0061·d²·h · 1 ct = 0.2 g
+                          <div style={{gridColumn:'span 3'}}>
+                            <label style={muted}>Rondís</label>
+                            <select style={select} value={ln.girdle || 'medium'} onChange={e=>updateLine(ln.id,{girdle:e.target.value})}>
+                              {Object.entries(GIRDLE_ADJUSTMENTS).map(([k, g]) => <option key={k} value={k}>{g.label}{g.pct ? ` (+${g.pct*100}%)` : ''}</option>)}
+                            </select>
+                          </div>
+                          <div style={{gridColumn:'span 12'}}>
+                            <div style={hintBox}>
+                              {GEM_SHAPES[ln.shape].label}: {shapeFormula(ln.shape)} · × densidad/3.52 · 1 ct = 0.2 g
                             </div>
                           </div>
                         </>)}
@@ -501,12 +1246,107 @@ export default function App(){
                     </div>
                   )}
 
-                  <div style={col(2)}>
-                    <label style={muted}>Densidad (g/cm³)</label>
-                    <input style={input} value={ln.density} onChange={e=>updateLine(ln.id,{density:e.target.value})} />
-                  </div>
+                  {advanced && m.unit === '€/g' && (
+                    <div style={col(12)}>
+                      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'end'}}>
+                        <label style={muted}>Construcción
+                          <select style={{...select, width:240}} value={ln.construction || 'solid'} onChange={e=>updateLine(ln.id,{construction:e.target.value})}>
+                            {Object.entries(CONSTRUCTIONS).map(([k, c]) => <option key={k} value={k}>{c.label}</option>)}
+                          </select>
+                        </label>
+                        {ln.construction === 'hollow' && <label style={muted}>Pared (mm)
+                          <input style={{...input, width:90}} value={ln.wallMM} onChange={e=>updateLine(ln.id,{wallMM:e.target.value})} />
+                        </label>}
+                        {ln.construction === 'tube' && <label style={muted}>Ø interior (mm)
+                          <input style={{...input, width:90}} value={ln.innerDiameterMM} onChange={e=>updateLine(ln.id,{innerDiameterMM:e.target.value})} />
+                        </label>}
+                        {ln.construction === 'plated' && <label style={muted}>Capa (micras)
+                          <input style={{...input, width:90}} value={ln.layerMicrons} onChange={e=>updateLine(ln.id,{layerMicrons:e.target.value})} />
+                        </label>}
+                        {ln.construction === 'filled' && <label style={muted}>Fracción (1/20, 5%)
+                          <input style={{...input, width:110}} value={ln.layerFraction} onChange={e=>updateLine(ln.id,{layerFraction:e.target.value})} />
+                        </label>}
+                        {isLayered(ln.construction) && (<>
+                          <label style={muted}>Metal base
+                            <select style={{...select, width:160}} value={ln.baseMaterialKey} onChange={e=>updateLine(ln.id,{baseMaterialKey:e.target.value})}>
+                              <option value="">—</option>
+                              {materialOptions(allMaterials, ln.baseMaterialKey).filter(x => x.unit === '€/g' && x.key !== m.key).map(x => <option key={x.key} value={x.key}>{x.label}</option>)}
+                            </select>
+                          </label>
+                          <label style={muted}>Precio base ({priceUnit({ unit: '€/g' }, currency)})
+                            <input style={{...input, width:110}} value={ln.baseUnitPrice} onChange={e=>updateLine(ln.id,{baseUnitPrice:e.target.value})} placeholder={base?.autoPrice != null ? fmt(base.autoPrice) : ''} />
+                          </label>
+                          {base && <Pill>Capa {fmt(effW,3)} g · Base {fmt(base.grams,3)} g → {fmt(base.cost)} {currency}</Pill>}
+                        </>)}
+                        {!isLayered(ln.construction) && ln.mode === 'dimensions' && <Pill>Metal: {fmt(totalW,3)} g</Pill>}
+                      </div>
+                    </div>
+                  )}
+
+                  {advanced && m.unit === '€/ct' && settingOptions(laborCatalog).length > 0 && (
+                    <div style={col(12)}>
+                      <label style={muted}>Engaste (mano de obra, por piedra)&nbsp;
+                        <select style={{...select, width:220}} value={ln.setting || DEFAULT_SETTING} onChange={e=>updateLine(ln.id,{setting:e.target.value})}>
+                          {settingOptions(laborCatalog).map(d => <option key={d.key} value={d.key}>{d.label}</option>)}
+                        </select>
+                      </label>
+                    </div>
+                  )}
+
+                  {isGraded(m.key) && (
+                    <div style={col(12)}>
+                      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'end'}}>
+                        {isDiamond(m.key) ? (<>
+                          <label style={muted}>Color
+                            <select style={{...select, width:80}} value={ln.grade?.color || ''} onChange={e=>updateGrade(ln,{color:e.target.value})}>
+                              {DIAMOND_COLORS.map(c => <option key={c} value={c}>{c}</option>)}
+                            </select>
+                          </label>
+                          <label style={muted}>Pureza
+                            <select style={{...select, width:90}} value={ln.grade?.clarity || ''} onChange={e=>updateGrade(ln,{clarity:e.target.value})}>
+                              {DIAMOND_CLARITIES.map(c => <option key={c} value={c}>{c}</option>)}
+                            </select>
+                          </label>
+                          <label style={muted}>Talla
+                            <select style={{...select, width:130}} value={ln.grade?.cut || ''} onChange={e=>updateGrade(ln,{cut:e.target.value})}>
+                              {Object.entries(DIAMOND_CUTS).map(([k,v]) => <option key={k} value={k}>{v}</option>)}
+                            </select>
+                          </label>
+                        </>) : (<>
+                          <label style={muted}>Origen
+                            <select style={{...select, width:150}} value={ln.grade?.origin || ''} onChange={e=>updateGrade(ln,{origin:e.target.value})}>
+                              {Object.entries(GEM_ORIGINS).map(([k,v]) => <option key={k} value={k}>{v}</option>)}
+                            </select>
+                          </label>
+                          <label style={muted}>Tratamiento
+                            <select style={{...select, width:180}} value={ln.grade?.treatment || ''} onChange={e=>updateGrade(ln,{treatment:e.target.value})}>
+                              {Object.entries(GEM_TREATMENTS).map(([k,v]) => <option key={k} value={k}>{v}</option>)}
+                            </select>
+                          </label>
+                        </>)}
+                        <Pill>{gradeLabel(m.key, ln.grade) || 'Sin gradar'}{effW > 0 && autoDetail?.band ? ` · ${autoDetail.band}` : ''}</Pill>
+                      </div>
+                    </div>
+                  )}
 
-                  <div style={{...col(5), display:'flex', justifyContent:'flex-end', gap:8, alignItems:'center'}}>
+                  {advanced && (
+                    <div style={col(2)}>
+                      <label style={muted}>Densidad (g/cm³)</label>
+                      <input style={input} value={ln.density} onChange={e=>updateLine(ln.id,{density:e.target.value})} />
+                    </div>
+                  )}
+
+                  {watchActive && (
+                    <div style={col(2)}>
+                      <label style={muted}>Componente del reloj</label>
+                      <select style={select} value={ln.component || ''} onChange={e=>updateLine(ln.id,{component:e.target.value})}>
+                        <option value="">—</option>
+                        {Object.entries(WATCH_COMPONENTS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                      </select>
+                    </div>
+                  )}
+
+                  <div style={{...col((watchActive ? 3 : 5) + (advanced ? 0 : 2)), display:'flex', justifyContent:'flex-end', gap:8, alignItems:'center'}}>
                     <div>
                       <div><small style={muted}>Cantidad unitaria:</small> <b>{fmt(displayQty,3)} {displayUnit}</b></div>
                       <div><small style={muted}>× Unidades:</small> <b>{qty}</b></div>
@@ -516,6 +1356,43 @@ export default function App(){
                     <button style={btn('outline')} onClick={()=>delLine(ln.id)}>Eliminar</button>
                   </div>
                 </div>
+                <div style={{display:'flex', gap:8, alignItems:'flex-start', marginTop:8}}>
+                  <small style={{...muted, paddingTop:4}} title="Foto de la báscula, del calibre o del contraste que respalda esta línea">Evidencias</small>
+                  <PhotoStrip ids={ln.photos || []} records={photoRecords} busy={photoBusy} size={48}
+                    onAdd={files=>addPhotos(files, ln.id)} onRemove={id=>removePhoto(id, ln.id)} onPatch={patchPhoto} />
+                </div>
+                {hallmark?.lineId === ln.id && (
+                  <div style={{...hintBox, marginTop:8}}>
+                    <div style={{display:'flex', justifyContent:'space-between', alignItems:'center', gap:8, flexWrap:'wrap'}}>
+                      <label style={muted}>Contraste “{hallmark.text}”</label>
+                      <span style={{display:'flex', gap:8}}>
+                        {hallmarkSuggestions.some(sug => sug.action === 'change' || sug.action === 'add') && <button style={btn()} onClick={applyAllHallmarks}>Aplicar todo</button>}
+                        <button style={btn('outline')} onClick={()=>setHallmark(null)}>Cerrar</button>
+                      </span>
+                    </div>
+                    {hallmarkSuggestions.length === 0 && <div style={muted}>No se reconoce ninguna ley. Puedes añadir reglas propias en “Reglas de contrastes”.</div>}
+                    {hallmarkSuggestions.map((sug, i) => {
+                      const n = lines.findIndex(l => l.id === sug.lineId) + 1
+                      const f = sug.finding
+                      return (
+                        <div key={i} style={{display:'flex', gap:8, alignItems:'center', flexWrap:'wrap', marginTop:6}}>
+                          <Pill tone={f.confidence >= 0.8 ? 'ok' : 'warn'}>{f.label} · {Math.round(f.confidence * 100)}%</Pill>
+                          {f.construction !== 'solid' && <Pill>{CONSTRUCTIONS[f.construction].label}{f.layerFraction ? ` ${f.layerFraction}` : ''}</Pill>}
+                          {sug.action === 'missing' && <span style={muted}>No hay material con ley {f.purity}‰ en el catálogo.</span>}
+                          {sug.action === 'keep' && <span style={muted}>Línea {n} ya es {sug.material.label}.</span>}
+                          {sug.action === 'change' && <>
+                            <span>Línea {n}: {allMaterials.find(x => x.key === lines[n - 1].materialKey)?.label} → <b>{sug.material.label}</b>{!sug.exact && ' (ley aproximada)'}</span>
+                            <button style={btn('outline')} onClick={()=>applyHallmark(sug)}>Aplicar</button>
+                          </>}
+                          {sug.action === 'add' && <>
+                            <span>Nueva línea de <b>{sug.material.label}</b>{!sug.exact && ' (ley aproximada)'}</span>
+                            <button style={btn('outline')} onClick={()=>applyHallmark(sug)}>Añadir</button>
+                          </>}
+                        </div>
+                      )
+                    })}
+                  </div>
+                )}
               </div>
             )
           })}
@@ -527,43 +1404,133 @@ export default function App(){
 
         {/* Totales */}
         <div style={{...row, marginTop:12, alignItems:'end'}}>
-          <div style={col(3)}>
+          <div style={col(4)}>
             <label style={muted}>Subtotal materiales</label>
-            <div style={{fontSize:24, fontWeight:700}}>{fmt(totals.subtotal)} {currency}</div>
+            <div style={{fontSize:24, fontWeight:700}}>{fmt(evaluation.subtotal)} {currency}</div>
+            {evaluation.watch && <div style={muted}>+ movimiento y cristal: {fmt(evaluation.watch.extras)} {currency}</div>}
           </div>
-          <div style={col(3)}>
-            <label style={muted}>Complejidad (mano de obra)</label>
-            <select style={select} value={complexity} onChange={e=>setComplexity(e.target.value)}>
-              <option value="baja">Baja</option>
-              <option value="media">Media</option>
-              <option value="alta">Alta</option>
-            </select>
-            <div style={muted}>Tipo: <b>{PIECE_TYPES[pieceType]}</b> · Horas sugeridas: {fmt(suggestedHours,2)} h · Tarifa: {DEFAULT_RATE_EUR_H} €/h</div>
+          {advanced && (
+            <div style={col(4)}>
+              <label style={muted}>Complejidad (mano de obra)</label>
+              <select style={select} value={complexity} onChange={e=>setComplexity(e.target.value)}>
+                <option value="baja">Baja</option>
+                <option value="media">Media</option>
+                <option value="alta">Alta</option>
+              </select>
+              <div style={muted}>Tipo: <b>{ALL_PIECE_TYPES[pieceType] || '—'}</b> · Tiempos ×{fmt(COMPLEXITY_FACTORS[complexity] ?? 1)} · {fmt(labor.minutes / 60, 2)} h de taller</div>
+            </div>
+          )}
+          <div style={col(4)}>
+            <label style={muted}>Mano de obra ({advanced ? 'operaciones' : 'sugerida'})</label>
+            <div style={{fontSize:18, fontWeight:600}}>{fmt(labor.total)} {currency}</div>
+            <div style={muted}>Override ({currency}):
+              <input style={{...input, marginTop:6}} value={laborOverride} onChange={e=>setLaborOverride(e.target.value)} placeholder={fmt(labor.total)} />
+            </div>
           </div>
-          <div style={col(2)}>
-            <label style={muted}>Mano de obra (estimada)</label>
-            <div style={{fontSize:18, fontWeight:600}}>{fmt(laborEstimated)} {currency}</div>
-            <div style={muted}>Override (€):
-              <input style={{...input, marginTop:6}} value={laborOverride} onChange={e=>setLaborOverride(e.target.value)} placeholder={fmt(laborEstimated)} />
+        </div>
+
+        {/* Operaciones de taller (modo avanzado) */}
+        {advanced && (
+          <div style={{marginTop:12, border:'1px solid #2a3043', borderRadius:12, padding:12, background:'#0f1220'}}>
+            <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', justifyContent:'space-between'}}>
+              <label style={muted}>Desglose de mano de obra{String(laborOverride).trim() !== '' && <> · <b>sustituido por el override</b></>}</label>
+              <div style={{display:'flex', gap:8, alignItems:'center'}}>
+                <select style={{...select, width:220}} value="" onChange={e=>addOperation(e.target.value)}>
+                  <option value="">+ Añadir operación…</option>
+                  {laborCatalog.map(d => <option key={d.key} value={d.key}>{d.label}</option>)}
+                </select>
+                <button style={btn('outline')} onClick={resetSuggestions} title="Vuelve a sugerir las operaciones quitadas o editadas">Restablecer sugerencias</button>
+                <button style={btn('outline')} onClick={()=>setShowLaborCatalog(v=>!v)}>Catálogo</button>
+              </div>
             </div>
+            {labor.items.length === 0 ? <div style={{...muted, marginTop:6}}>Sin operaciones. Se sugieren al añadir metales o piedras.</div> : (
+              <div style={{display:'grid', gap:6, marginTop:8, fontSize:13}}>
+                <div style={{...muted, display:'grid', gridTemplateColumns:'2fr 110px 90px 90px 90px 110px auto', gap:8}}>
+                  <span>Operación</span><span>Cantidad</span><span>Min/ud</span><span>{symbolFor(currency)}/h</span><span>Fijo {symbolFor(currency)}</span><span style={{textAlign:'right'}}>Coste</span><span />
+                </div>
+                {labor.items.map(op => (
+                  <div key={op.id} style={{display:'grid', gridTemplateColumns:'2fr 110px 90px 90px 90px 110px auto', gap:8, alignItems:'center'}}>
+                    <div>{op.label} {op.auto ? <Pill tone="ok">sugerida</Pill> : op.source ? <Pill>editada</Pill> : null}</div>
+                    <label style={{display:'flex', gap:4, alignItems:'center'}}>
+                      <input style={input} value={op.qty} onChange={e=>updateOperation(op.id, { qty: e.target.value })} />
+                      <span style={muted}>{OPERATION_UNITS[op.unit]}</span>
+                    </label>
+                    <input style={input} value={op.minutes} onChange={e=>updateOperation(op.id, { minutes: e.target.value })} />
+                    <input style={input} value={op.rate} onChange={e=>updateOperation(op.id, { rate: e.target.value })} />
+                    <input style={input} value={op.fixed} onChange={e=>updateOperation(op.id, { fixed: e.target.value })} />
+                    <div style={{textAlign:'right'}}>{fmt(op.cost)} {currency}<div style={muted}>{fmt(op.minutesTotal, 0)} min</div></div>
+                    <button style={btn('outline')} onClick={()=>removeOperation(op)}>×</button>
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
-          <div style={col(2)}>
-            <label style={muted}>Precio de la pieza (tienda)</label>
+        )}
+
+        <div style={{display:'flex', justifyContent:'space-between', marginTop:12}}>
+          <button style={btn('outline')} onClick={()=>setStep(1)}>← Volver a ficha</button>
+          <button style={btn()} onClick={()=>setStep(3)}>Siguiente · Resultado →</button>
+        </div>
+        </>)}
+
+        {step === 3 && (<>
+        <div style={{...hintBox, marginBottom:12}}>Paso 3 · Introduce el precio de la pieza y revisa el diagnóstico, el PVP esperado y las opciones de informe, enlace e historial.</div>
+        <div style={{...row, alignItems:'end'}}>
+          <div style={col(4)}>
+            <label style={muted}>{mode === 'resale' ? 'Precio de la pieza (tienda / pedido por el cliente)' : 'Precio de la pieza (tienda)'}</label>
             <input style={input} value={piecePrice} onChange={e=>setPiecePrice(e.target.value)} placeholder={`${currency}`} />
           </div>
-          <div style={col(2)}>
-            <label style={muted}>Diagnóstico</label>
+          <div style={col(4)}>
+            <label style={muted}>Pieza</label>
+            <div style={{marginTop:8}}>{[ALL_PIECE_TYPES[pieceType] || '—', brand, model].filter(Boolean).join(' · ')}</div>
+          </div>
+          <div style={col(4)}>
+            <label style={muted}>Materiales + mano de obra</label>
+            <div style={{marginTop:8}}>{fmt(evaluation.subtotal)} + {fmt(laborCost)} {currency}</div>
+          </div>
+        </div>
+
+        {/* Diagnóstico: frente al coste, frente al PVP esperado y, en recompra, la oferta */}
+        <div style={{...row, marginTop:12}}>
+          <div style={{...col(mode === 'resale' ? 4 : 6), ...hintBox}}>
+            <label style={muted}>Frente al coste total</label>
             <div>
-              {diagnosis === 'Sobrevalorado' ? <Pill tone="bad">{diagnosis}</Pill> :
-               diagnosis === 'Posible sobrevaloración' ? <Pill tone="warn">{diagnosis}</Pill> :
-               diagnosis === 'Precio sospechoso' ? <Pill tone="bad">{diagnosis}</Pill> :
-               diagnosis ? <Pill tone="ok">{diagnosis}</Pill> : <Pill>—</Pill>}
+              {diagnosisInfo ? <Pill color={diagnosisInfo.color}>{diagnosis}</Pill> : <Pill>—</Pill>}
             </div>
-            <div style={muted}>Umbrales sobre <b>coste total</b>: ≤20% razonable · 20–40% posible · &gt;40% sobrevalorado. Precio &lt; coste total: sospechoso.</div>
+            <div style={muted}>Política <b>{policy.label}</b> sobre <b>coste total</b>: {describePolicy(policy)}. Precio &lt; coste total: {policy.suspicious.label.toLowerCase()}.</div>
             <div style={muted}>Sobreprecio (vs coste total): <b>{fmt(overPctTotal)}%</b></div>
           </div>
+          <div style={{...col(mode === 'resale' ? 4 : 6), ...hintBox}}>
+            <label style={muted}>Frente al PVP esperado</label>
+            {retail ? (<>
+              <div>
+                {retail.position ? <Pill color={retail.position.color}>{retail.position.label}</Pill> : <Pill>—</Pill>}
+                <b>{fmt(retail.low)} – {fmt(retail.high)} {currency}</b> <span style={muted}>(esperado {fmt(retail.mid)})</span>
+              </div>
+              <div style={muted}>{retail.steps.map(([label, v]) => `${label}: ${fmt(v)}`).join(' → ')}</div>
+              {retail.position && <div style={muted}>Precio vs PVP esperado: <b>{retail.position.pct >= 0 ? '+' : ''}{fmt(retail.position.pct)}%</b></div>}
+            </>) : <div style={muted}>Sin coste total no hay PVP esperado.</div>}
+          </div>
+          {mode === 'resale' && (
+            <div style={{...col(4), ...hintBox}}>
+              <label style={muted}>Oferta de compra (recompra / chatarra)</label>
+              {resale ? (<>
+                <div><b>{fmt(resale.low)} – {fmt(resale.high)} {currency}</b></div>
+                <div style={muted}>Fundición: {fmt(resale.melt)} · Gemas: {fmt(resale.gems)}</div>
+                {resale.noSpot.length > 0 && <div style={muted}>Sin spot de {resale.noSpot.map(m => FINE_METALS[m] || m).join(', ')}: su fundición se estima con el precio de la línea</div>}
+                {resale.melt > 0 && <div style={muted}>Metal fino: {Object.entries(resale.fineByMetal).map(([metal, g]) => `${FINE_METALS[metal]} ${fmt(g, 3)} g`).join(' · ')}</div>}
+                {retail && <div style={muted}>Oferta vs PVP esperado: <b>{fmt((resale.high / retail.mid) * 100)}%</b></div>}
+              </>) : <div style={muted}>Sin metales con ley ni gemas con precio no hay oferta.</div>}
+            </div>
+          )}
         </div>
 
+        {alerts.length > 0 && (
+          <div style={{marginTop:12, display:'flex', flexWrap:'wrap', gap:6}}>
+            {alerts.map(a => <Pill key={a} tone="warn">⚠ {a}</Pill>)}
+          </div>
+        )}
+
         {/* Desglose y % */}
         <div style={{...row, marginTop:8, alignItems:'end'}}>
           <div style={col(3)}>
@@ -579,74 +1546,54 @@ export default function App(){
             <div style={{fontSize:18, fontWeight:600}}>{fmt(pctTotal)}%</div>
           </div>
           <div style={{...col(5), display:'flex', justifyContent:'flex-end', gap:8}}>
-            <button style={btn()} onClick={exportCSV}>CSV</button>
-            <button style={btn()} onClick={exportPDF}>PDF</button>
-            <button style={btn()} onClick={saveCurrentToHistory}>Guardar</button>
+            <button style={btn()} onClick={exportReport}>Informe PDF</button>
+            <button style={btn()} onClick={()=>createShareLink(false)}>Compartir</button>
+            <button style={btn()} onClick={saveCurrentToHistory}>{editingEntry ? 'Guardar como nueva' : 'Guardar'}</button>
+            {editingEntry && <button style={btn()} onClick={updateInPlace}>Actualizar</button>}
             <button style={btn('outline')} onClick={resetAll}>Reset</button>
           </div>
         </div>
-      </div>
+        <div style={{display:'flex', marginTop:12}}>
+          <button style={btn('outline')} onClick={()=>setStep(2)}>← Volver a materiales</button>
+        </div>
+        </>)}
 
-      {/* Historial */}
-      <div style={card}>
-        <h2 style={{fontSize:18, margin:0}}>Historial</h2>
-        {history.length === 0 ? (
-          <div style={muted}>Aún no hay registros.</div>
-        ) : (
-          <div style={{marginTop:8, display:'grid', gap:8, fontSize:13}}>
-            {history.slice(0,20).map((h,i) => (
-              <div key={i} style={{display:'grid', gridTemplateColumns:'repeat(10, minmax(0,1fr))', gap:8, border:'1px solid #2b3145', borderRadius:10, padding:8}}>
-                <div style={{gridColumn:'span 3'}}>
-                  <div style={{fontWeight:600}}>{new Date(h.ts).toLocaleString()}</div>
-                  <div style={muted}>{h.desc}</div>
-                </div>
-                <div>Divisa: {h.currency || currency}</div>
-                <div>Subt.: {fmt(h.subtotalMaterials ?? h.subtotal ?? 0)} {h.currency || currency}</div>
-                <div>MO: {fmt(h.laborCost ?? 0)} {h.currency || currency}</div>
-                <div>Coste: {fmt(h.totalCost ?? 0)} {h.currency || currency}</div>
-                <div>%Mat: {fmt(h.pctMaterials ?? 0)}%</div>
-                <div>%Total: {fmt(h.pctTotal ?? 0)}%</div>
-                <div>Precio: {fmt(h.piecePrice ?? 0)} {h.currency || currency}</div>
-                <div style={{fontWeight:700, textAlign:'right'}}>{h.diagnosis}</div>
-              </div>
-            ))}
+        <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', justifyContent:'flex-end', marginTop:8}}>
+          <button style={btn('outline')} disabled={!undoHistory.past.length} onClick={()=>stepUndo('undo')} title={`Deshacer ${undoLabel(undoHistory)} (Ctrl+Z)`}>↶ Deshacer</button>
+          <button style={btn('outline')} disabled={!undoHistory.future.length} onClick={()=>stepUndo('redo')} title={`Rehacer ${redoLabel(undoHistory)} (Ctrl+Shift+Z)`}>↷ Rehacer</button>
+          <button style={btn('outline')} onClick={()=>setShowAudit(v=>!v)}>Cambios ({audit.length})</button>
+        </div>
+        {showAudit && (
+          <AuditLog log={audit} author={auditAuthor} onAuthorChange={setAuditAuthor} onExportCSV={exportAuditCSV} onClose={()=>setShowAudit(false)} />
+        )}
+        {shareLink && (
+          <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginTop:8}}>
+            <input style={{...input, flex:1, minWidth:260}} readOnly value={shareLink.url} onFocus={e=>e.target.select()} />
+            <label style={muted}>
+              <input type="checkbox" checked={shareLink.editable} onChange={e=>createShareLink(e.target.checked)} /> Editable
+            </label>
+            <button style={btn()} onClick={copyShareLink}>Copiar</button>
+            <button style={btn('outline')} onClick={()=>setShareLink(null)}>×</button>
+            <span style={muted}>{shareLink.url.length} caracteres · los datos van en el enlace, no se envían a ningún servidor</span>
           </div>
         )}
-        <div style={{display:'flex', justifyContent:'flex-end', gap:8, marginTop:8}}>
-          <button style={btn()} onClick={exportCSV}>CSV</button>
-          <button style={btn()} onClick={exportPDF}>PDF</button>
-        </div>
-        <div style={{...muted, marginTop:8}}>* Ayudas: densidades gemas ~2–5.5 g/cm³; metales ~3.5–22 g/cm³. 1 ct = 0.2 g. 1 dwt = 1.555 g. 1 ozt = 31.103 g.</div>
+        </fieldset>
       </div>
+
+      <HistoryPanel
+        version={historyVersion}
+        onOpen={h=> isLotEntry(h) ? openLot(h) : loadEntry(h)}
+        onDuplicate={h=> isLotEntry(h) ? openLot(h, { asNew: true }) : loadEntry(h, { asNew: true })}
+        onDeleted={id=>{ if (id === editingId) setEditingEntry(null); if (id === editingLot?.id) setEditingLot(null); prunePhotoStore() }}
+        editingId={editingId}
+        currency={currency}
+        rates={rates}
+        pieceTypes={{ ...ALL_PIECE_TYPES, [LOT_PIECE_TYPE]: 'Lote' }}
+        onExportCSV={exportCSV}
+        onExportPDF={exportPDF}
+        onExportJSON={exportJSON}
+      />
+      <div style={{...muted, marginTop:8}}>* Ayudas: densidades gemas ~2–5.5 g/cm³; metales ~3.5–22 g/cm³. 1 ct = 0.2 g. 1 dwt = 1.555 g. 1 ozt = 31.103 g.</div>
     </div>
   )
 }
-
-// ———————————————————————————————————————————————
-// TESTS LIGEROS (no bloqueantes) — 1 vez por sesión
-// ———————————————————————————————————————————————
-try {
-  if (typeof window !== 'undefined' && !window.__SAFIRE_TESTS_V22__) {
-    window.__SAFIRE_TESTS_V22__ = true;
-    console.assert(Math.abs(volumeFromBoxMM(10,10,10) - 1) < 1e-9, 'volumeFromBoxMM 1 cm³');
-    console.assert(Math.abs(volumeFromCylinderMM(10,10) - Math.PI*0.25) < 1e-6, 'volumeFromCylinderMM ~0.7854 cm³');
-    console.assert(Math.abs(estimateDiamondCarats(6.5,4) - 1.0309) < 1e-3, 'Diamante ct estimado');
-    console.assert(Math.abs(toGrams(1, 'ozt') - 31.103) < 1e-6, '1 ozt == 31.103 g');
-    console.assert(Math.abs(toGrams(10, 'dwt') - 15.55) < 1e-2, '10 dwt ≈ 15.55 g');
-    const subtotal = 1000, labor = 90, total = subtotal + labor, price = 1400;
-    const pctM = (subtotal/price)*100; const pctT = (total/price)*100; const over = ((price-total)/total)*100;
-    console.assert(Math.round(pctM) === 71, '% materiales / precio ~71%');
-    console.assert(Math.round(pctT) === Math.round(((1090/1400)*100)), '% total / precio calc');
-    console.assert(Math.round(over) === Math.round(((1400-1090)/1090)*100), 'Sobreprecio vs total');
-    const diag = (price, total) => { if (price < total) return 'Precio sospechoso'; const ov = ((price-total)/total)*100; if (ov > 40) return 'Sobrevalorado'; if (ov > 20) return 'Posible sobrevaloración'; return 'Precio razonable'; };
-    console.assert(diag(1100,1000) === 'Precio razonable', 'Diag ≤20 razonable');
-    console.assert(diag(1300,1000) === 'Posible sobrevaloración', 'Diag 20–40');
-    console.assert(diag(2000,1000) === 'Sobrevalorado', 'Diag >40');
-    console.assert(diag(900,1000) === 'Precio sospechoso', 'Diag sospechoso');
-    const key = detectMaterialFromAlias('750/1000');
-    console.assert(key === 'gold_18k', 'Equivalencia 750 → 18k');
-  }
-} catch (e) { /* no-op */ }
-
-
-  
@@ -0,0 +1,41 @@
+import React, { useState } from 'react'
+import { input, btn, muted, hintBox } from './ui.jsx'
+
+const GRID = '150px 110px 1.2fr 1.4fr 1fr 1fr'
+
+// Registro de cambios de la tasación abierta (se guarda con la entrada del historial)
+export default function AuditLog({ log, author, onAuthorChange, onExportCSV, onClose }){
+  const [filter, setFilter] = useState('')
+  const q = filter.trim().toLowerCase()
+  const rows = log.filter(r => !q || [r.label, r.action, r.who, r.from, r.to].some(v => String(v || '').toLowerCase().includes(q))).reverse()
+
+  return (
+    <div style={{...hintBox, marginTop:12}}>
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', justifyContent:'space-between'}}>
+        <b>Registro de cambios <span style={muted}>({log.length})</span></b>
+        <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center'}}>
+          <label style={muted}>Tasador <input style={{...input, width:160}} value={author} onChange={e=>onAuthorChange(e.target.value)} placeholder="Nombre o iniciales" /></label>
+          <input style={{...input, width:180}} value={filter} onChange={e=>setFilter(e.target.value)} placeholder="Filtrar…" />
+          <button style={btn('outline')} disabled={!log.length} onClick={onExportCSV}>CSV</button>
+          <button style={btn('outline')} onClick={onClose}>Cerrar</button>
+        </div>
+      </div>
+      <div style={{display:'grid', gap:4, marginTop:8, fontSize:12, maxHeight:320, overflowY:'auto'}}>
+        <div style={{...muted, display:'grid', gridTemplateColumns:GRID, gap:8}}>
+          <span>Fecha</span><span>Tasador</span><span>Acción</span><span>Campo</span><span>Antes</span><span>Después</span>
+        </div>
+        {rows.map((r, i) => (
+          <div key={`${r.at}_${r.field}_${i}`} style={{display:'grid', gridTemplateColumns:GRID, gap:8, borderBottom:'1px solid #242836', padding:'2px 0'}}>
+            <span>{new Date(r.at).toLocaleString()}</span>
+            <span>{r.who || '—'}</span>
+            <span style={muted}>{r.action}</span>
+            <span>{r.label}</span>
+            <span style={{...muted, wordBreak:'break-word'}}>{r.from || '—'}</span>
+            <span style={{wordBreak:'break-word'}}>{r.to || '—'}</span>
+          </div>
+        ))}
+        {!rows.length && <div style={muted}>{log.length ? 'Ningún cambio coincide con el filtro.' : 'Sin cambios registrados en esta tasación.'}</div>}
+      </div>
+    </div>
+  )
+}
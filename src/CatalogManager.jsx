@@ -0,0 +1,109 @@
+import React, { useState } from 'react'
+import { card, input, select, btn, muted, Pill } from './ui.jsx'
+import { FINE_METALS } from './prices.js'
+import { MATERIAL_KINDS, MATERIAL_UNITS, KIND_UNITS, cleanMaterial, materialErrors, deleteMaterial, exportMaterialsJSON, parseMaterialsFile, mergeMaterials } from './catalog.js'
+
+const GRID = '2fr 110px 90px 80px 110px 80px 100px auto'
+
+// Catálogo de materiales: editar, archivar, añadir, importar y exportar.
+// loadEntries(): tasaciones guardadas, para no eliminar materiales en uso.
+export default function CatalogManager({ materials, onChange, inUse = [], loadEntries, onExport, onClose }){
+  const [showArchived, setShowArchived] = useState(false)
+  const [search, setSearch] = useState('')
+  const patch = (key, changes)=> onChange(materials.map(m => m.key === key ? { ...m, ...changes } : m))
+  // Normaliza números al salir del campo si el material es válido (el texto se edita libre)
+  const normalize = (key)=> onChange(materials.map(m => m.key === key && !materialErrors(m, materials).length ? cleanMaterial(m) : m))
+  const changeKind = (m, kind)=> patch(m.key, {
+    kind,
+    unit: KIND_UNITS[kind].includes(m.unit) ? m.unit : KIND_UNITS[kind][0],
+    metal: kind === 'metal' ? m.metal : '',
+    purity: kind === 'metal' ? m.purity : null,
+  })
+  const add = ()=>{
+    let n = 1
+    while (materials.some(m => m.label === `Nuevo material ${n}`)) n++
+    onChange([...materials, cleanMaterial({ label: `Nuevo material ${n}`, kind: 'other', unit: '€/ud', density: 2.7 })])
+    setShowArchived(false); setSearch('')
+  }
+  const remove = async (m)=>{
+    if (inUse.includes(m.key)) { alert('La tasación abierta usa este material; cambia sus líneas antes de eliminarlo.'); return }
+    try{
+      const next = deleteMaterial(materials, m.key, await loadEntries())
+      if (window.confirm(`¿Eliminar "${m.label}" del catálogo?`)) onChange(next)
+    }catch(e){ alert(e.message) }
+  }
+  const importFile = (file)=>{
+    if (!file) return
+    file.text().then(text => {
+      try{
+        const incoming = parseMaterialsFile(text)
+        onChange(mergeMaterials(materials, incoming))
+        alert(`${incoming.length} materiales importados.`)
+      }catch(e){ alert(`No se pudo importar el catálogo: ${e.message}`) }
+    })
+  }
+
+  const q = search.trim().toLowerCase()
+  const visible = materials.filter(m => (showArchived || !m.archived) && (!q || m.label.toLowerCase().includes(q)))
+  const archivedCount = materials.filter(m => m.archived).length
+
+  return (
+    <div style={card}>
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', justifyContent:'space-between'}}>
+        <h2 style={{fontSize:18, margin:0}}>Catálogo de materiales</h2>
+        <div style={{display:'flex', gap:8, flexWrap:'wrap'}}>
+          <button style={btn()} onClick={add}>+ Material</button>
+          <button style={btn('outline')} onClick={()=>onExport(exportMaterialsJSON(materials))}>Exportar JSON</button>
+          <label style={btn('outline')}>Importar JSON
+            <input type="file" accept=".json" style={{display:'none'}} onChange={e=>{ importFile(e.target.files?.[0]); e.target.value='' }} />
+          </label>
+          <button style={btn('outline')} onClick={onClose}>Cerrar</button>
+        </div>
+      </div>
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginTop:8}}>
+        <input style={{...input, width:220}} value={search} onChange={e=>setSearch(e.target.value)} placeholder="Buscar material…" />
+        <label style={muted}><input type="checkbox" checked={showArchived} onChange={e=>setShowArchived(e.target.checked)} /> Mostrar archivados ({archivedCount})</label>
+        <span style={muted}>Precio por defecto en EUR por unidad; se usa si no hay matriz, catálogo ni spot. Ley en milésimas (‰).</span>
+      </div>
+
+      <div style={{display:'grid', gap:6, marginTop:10}}>
+        <div style={{...muted, display:'grid', gridTemplateColumns:GRID, gap:8}}>
+          <span>Material</span><span>Categoría</span><span>Unidad</span><span>Densidad</span><span>Metal fino</span><span>Ley ‰</span><span>Precio def.</span><span />
+        </div>
+        {visible.map(m => {
+          const errors = materialErrors(m, materials)
+          return (
+            <div key={m.key} style={{opacity: m.archived ? 0.6 : 1}}>
+              <div style={{display:'grid', gridTemplateColumns:GRID, gap:8, alignItems:'center'}}>
+                <input style={input} value={m.label} onChange={e=>patch(m.key, { label: e.target.value })} onBlur={()=>normalize(m.key)} />
+                <select style={select} value={m.kind} onChange={e=>changeKind(m, e.target.value)}>
+                  {Object.entries(MATERIAL_KINDS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                </select>
+                <select style={select} value={m.unit} onChange={e=>patch(m.key, { unit: e.target.value })}>
+                  {KIND_UNITS[m.kind].map(u => <option key={u} value={u}>{u.replace(/\/.*/, `/${MATERIAL_UNITS[u]}`)}</option>)}
+                </select>
+                <input style={input} value={m.density ?? ''} onChange={e=>patch(m.key, { density: e.target.value })} onBlur={()=>normalize(m.key)} />
+                <select style={select} value={m.metal || ''} disabled={m.kind !== 'metal'} onChange={e=>patch(m.key, { metal: e.target.value })}>
+                  <option value="">—</option>
+                  {Object.entries(FINE_METALS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                </select>
+                <input style={input} value={m.purity ?? ''} disabled={m.kind !== 'metal'} onChange={e=>patch(m.key, { purity: e.target.value })} onBlur={()=>normalize(m.key)} />
+                <input style={input} value={m.defaultPrice ?? ''} placeholder="—" onChange={e=>patch(m.key, { defaultPrice: e.target.value })} onBlur={()=>normalize(m.key)} />
+                <div style={{display:'flex', gap:6}}>
+                  <button style={btn('outline')} onClick={()=>patch(m.key, { archived: !m.archived })}>{m.archived ? 'Reactivar' : 'Archivar'}</button>
+                  {!m.base && <button style={btn('outline')} title="Eliminar (solo si ninguna tasación lo usa)" onClick={()=>remove(m)}>×</button>}
+                </div>
+              </div>
+              {(errors.length > 0 || m.archived) && (
+                <div style={{display:'flex', gap:6, flexWrap:'wrap', marginTop:4}}>
+                  {m.archived && <Pill>Archivado</Pill>}
+                  {errors.map(err => <Pill key={err} tone="warn">⚠ {err}</Pill>)}
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
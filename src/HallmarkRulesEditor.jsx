@@ -0,0 +1,72 @@
+import React, { useState } from 'react'
+import { card, input, select, btn, muted, Pill } from './ui.jsx'
+import { FINE_METALS } from './prices.js'
+import { CONSTRUCTIONS } from './construction.js'
+import { HALLMARK_RULES, cleanRule, allRules, parseHallmark } from './hallmarks.js'
+
+const GRID = '1.5fr 2fr 130px 80px 140px 80px auto'
+const ruleError = (r)=>{ try{ cleanRule(r); return '' }catch(e){ return e.message } }
+
+// Reglas de contrastes del usuario (se suman a las predefinidas) y banco de pruebas
+export default function HallmarkRulesEditor({ rules, onChange, onClose }){
+  const [sample, setSample] = useState('750 PT950')
+  const patch = (id, changes)=> onChange(rules.map(r => r.id === id ? { ...r, ...changes } : r))
+  const normalize = (id)=> onChange(rules.map(r => r.id === id && !ruleError(r) ? cleanRule(r) : r))
+  const add = ()=> onChange([...rules, { id: `rule_${Date.now().toString(36)}`, label: 'Nueva regla', pattern: '', metal: 'gold', purity: 750, construction: '', confidence: 0.8 }])
+  const findings = parseHallmark(sample, allRules(rules.filter(r => !ruleError(r))))
+
+  return (
+    <div style={card}>
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', justifyContent:'space-between'}}>
+        <h2 style={{fontSize:18, margin:0}}>Reglas de contrastes</h2>
+        <div style={{display:'flex', gap:8}}>
+          <button style={btn()} onClick={add}>+ Regla</button>
+          <button style={btn('outline')} onClick={onClose}>Cerrar</button>
+        </div>
+      </div>
+      <div style={{...muted, marginTop:6}}>
+        {HALLMARK_RULES.length} reglas predefinidas (quilates, milésimas, Pt/Pd, GF, GP, RGP, HGE, vermeil). Las tuyas se aplican además de ellas; el patrón es una expresión regular sin distinguir mayúsculas.
+        Con acabado (chapado/relleno) la regla marca la ley de oro más cercana y la ley queda opcional.
+      </div>
+
+      <div style={{display:'grid', gap:6, marginTop:10}}>
+        {rules.length > 0 && (
+          <div style={{...muted, display:'grid', gridTemplateColumns:GRID, gap:8}}>
+            <span>Nombre</span><span>Patrón</span><span>Metal</span><span>Ley ‰</span><span>Acabado</span><span>Confianza</span><span />
+          </div>
+        )}
+        {rules.map(r => {
+          const error = ruleError(r)
+          return (
+            <div key={r.id}>
+              <div style={{display:'grid', gridTemplateColumns:GRID, gap:8, alignItems:'center'}}>
+                <input style={input} value={r.label} onChange={e=>patch(r.id, { label: e.target.value })} onBlur={()=>normalize(r.id)} />
+                <input style={{...input, fontFamily:'monospace'}} value={r.pattern} placeholder="\bAU\s?750\b" onChange={e=>patch(r.id, { pattern: e.target.value })} onBlur={()=>normalize(r.id)} />
+                <select style={select} value={r.metal} onChange={e=>patch(r.id, { metal: e.target.value })}>
+                  {Object.entries(FINE_METALS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+                </select>
+                <input style={input} value={r.purity ?? ''} onChange={e=>patch(r.id, { purity: e.target.value })} onBlur={()=>normalize(r.id)} />
+                <select style={select} value={r.construction || ''} onChange={e=>patch(r.id, { construction: e.target.value })}>
+                  <option value="">Macizo</option>
+                  <option value="plated">{CONSTRUCTIONS.plated.label}</option>
+                  <option value="filled">{CONSTRUCTIONS.filled.label}</option>
+                </select>
+                <input style={input} value={r.confidence} onChange={e=>patch(r.id, { confidence: e.target.value })} onBlur={()=>normalize(r.id)} />
+                <button style={btn('outline')} onClick={()=>onChange(rules.filter(x => x.id !== r.id))}>×</button>
+              </div>
+              {error && <div style={{marginTop:4}}><Pill tone="warn">⚠ {error} (no se aplica)</Pill></div>}
+            </div>
+          )
+        })}
+      </div>
+
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginTop:12}}>
+        <label style={muted}>Probar contraste</label>
+        <input style={{...input, width:240}} value={sample} onChange={e=>setSample(e.target.value)} />
+        {findings.length ? findings.map((f, i) => (
+          <Pill key={i}>{f.label} · {Math.round(f.confidence * 100)}%{f.construction !== 'solid' ? ` · ${CONSTRUCTIONS[f.construction].label}` : ''}</Pill>
+        )) : <span style={muted}>Sin coincidencias</span>}
+      </div>
+    </div>
+  )
+}
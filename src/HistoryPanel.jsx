@@ -0,0 +1,160 @@
+import React, { useEffect, useState } from 'react'
+import { card, input, select, btn, muted, Pill, fmt } from './ui.jsx'
+import { queryAppraisals, distinctValues, deleteAppraisal, getPhotos } from './store.js'
+import { photoIds } from './photos.js'
+import PhotoStrip from './PhotoStrip.jsx'
+import { CURRENCY_CODES, BASE_CURRENCY, rateFor } from './currency.js'
+import { toNumber } from './valuation.js'
+
+const EMPTY_FILTERS = { search: '', pieceType: '', diagnosis: '', currency: '', brand: '', from: '', to: '' }
+const PAGE_SIZES = [10, 20, 50, 100]
+const SORT_LABELS = { ts: 'Fecha', totalCost: 'Coste total', piecePrice: 'Precio', pctTotal: '%Total', brandModel: 'Marca/modelo' }
+const small = { ...btn('outline'), padding:'2px 8px', fontSize:12 }
+
+// Historial sobre IndexedDB: búsqueda, filtros, orden y paginación.
+// version cambia cada vez que App guarda para que la lista se recargue.
+export default function HistoryPanel({ version, onOpen, onDuplicate, onDeleted, editingId, currency, rates, pieceTypes, onExportCSV, onExportPDF, onExportJSON }){
+  const [filters, setFilters] = useState(EMPTY_FILTERS)
+  const [sort, setSort] = useState('ts')
+  const [dir, setDir] = useState('desc')
+  const [page, setPage] = useState(0)
+  const [pageSize, setPageSize] = useState(20)
+  const [result, setResult] = useState({ items: [], total: 0 })
+  const [diagnoses, setDiagnoses] = useState([])
+  const [error, setError] = useState('')
+  const [reload, setReload] = useState(0)
+  const [viewCurrency, setViewCurrency] = useState('')
+  const [thumbs, setThumbs] = useState({}) // fotos de las entradas visibles
+
+  const query = { ...filters, sort, dir }
+  useEffect(()=>{
+    let live = true
+    queryAppraisals({ ...query, page, pageSize })
+      .then(r => { if (live) { setResult(r); setError('') } })
+      .catch(e => live && setError(e.message))
+    distinctValues('diagnosis').then(d => live && setDiagnoses(d)).catch(()=>{})
+    return ()=>{ live = false }
+  },[version, reload, JSON.stringify(filters), sort, dir, page, pageSize])
+  useEffect(()=>{
+    let live = true
+    const ids = result.items.flatMap(h => photoIds(h).slice(0, 4))
+    getPhotos(ids).then(list => live && setThumbs(Object.fromEntries(list.map(p => [p.id, p])))).catch(()=>{})
+    return ()=>{ live = false }
+  },[result])
+
+  const setFilter = (key, value)=>{ setFilters(prev => ({ ...prev, [key]: value })); setPage(0) }
+  const pages = Math.max(1, Math.ceil(result.total / pageSize))
+
+  // Tasa con la que se guardó una entrada (las antiguas no la registraban)
+  const entryRate = (h) => h.rate ?? (!h.currency || h.currency === BASE_CURRENCY ? 1 : rateFor(h.currency, rates))
+  const entryAmount = (h, v) => viewCurrency ? (toNumber(v) / entryRate(h)) * rateFor(viewCurrency, rates) : toNumber(v)
+  const entryCurrency = (h) => viewCurrency || h.currency || currency
+
+  const remove = async (h)=>{
+    if (!window.confirm(`¿Eliminar la tasación del ${new Date(h.ts).toLocaleString()}?`)) return
+    try{ await deleteAppraisal(h.id); onDeleted?.(h.id); setReload(n => n + 1) }
+    catch(e){ alert(`No se pudo eliminar: ${e.message}`) }
+  }
+  // Los exportes cubren todo el resultado filtrado, no solo la página visible
+  const exportAll = async (fn)=>{
+    try{ fn((await queryAppraisals({ ...query, page: 0, pageSize: Infinity })).items, entryRate) }
+    catch(e){ alert(`No se pudo exportar: ${e.message}`) }
+  }
+
+  return (
+    <div style={card}>
+      <div style={{display:'flex', justifyContent:'space-between', alignItems:'center', flexWrap:'wrap', gap:8}}>
+        <h2 style={{fontSize:18, margin:0}}>Historial <span style={muted}>({result.total})</span></h2>
+        <label style={muted}>Ver en&nbsp;
+          <select style={{...select, width:140}} value={viewCurrency} onChange={e=>setViewCurrency(e.target.value)}>
+            <option value="">Divisa original</option>
+            {CURRENCY_CODES.map(c => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <div style={{display:'grid', gridTemplateColumns:'repeat(auto-fit, minmax(140px, 1fr))', gap:8, marginTop:10}}>
+        <input style={{...input, gridColumn:'span 2'}} placeholder="Buscar (descripción, marca, modelo…)" value={filters.search} onChange={e=>setFilter('search', e.target.value)} />
+        <select style={select} value={filters.pieceType} onChange={e=>setFilter('pieceType', e.target.value)}>
+          <option value="">Todos los tipos</option>
+          {Object.entries(pieceTypes).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        <select style={select} value={filters.diagnosis} onChange={e=>setFilter('diagnosis', e.target.value)}>
+          <option value="">Todos los diagnósticos</option>
+          {diagnoses.map(d => <option key={d} value={d}>{d}</option>)}
+        </select>
+        <select style={select} value={filters.currency} onChange={e=>setFilter('currency', e.target.value)}>
+          <option value="">Todas las divisas</option>
+          {CURRENCY_CODES.map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <input style={input} placeholder="Marca / modelo" value={filters.brand} onChange={e=>setFilter('brand', e.target.value)} />
+        <label style={muted}>Desde<input style={input} type="date" value={filters.from} onChange={e=>setFilter('from', e.target.value)} /></label>
+        <label style={muted}>Hasta<input style={input} type="date" value={filters.to} onChange={e=>setFilter('to', e.target.value)} /></label>
+      </div>
+
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginTop:8, fontSize:12}}>
+        <label style={muted}>Ordenar por&nbsp;
+          <select style={{...select, width:150}} value={sort} onChange={e=>{ setSort(e.target.value); setPage(0) }}>
+            {Object.entries(SORT_LABELS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+        </label>
+        <button style={small} onClick={()=>{ setDir(d => d === 'asc' ? 'desc' : 'asc'); setPage(0) }}>{dir === 'asc' ? '↑ Asc' : '↓ Desc'}</button>
+        <button style={small} onClick={()=>{ setFilters(EMPTY_FILTERS); setPage(0) }}>Limpiar filtros</button>
+      </div>
+
+      {error && <div style={{...muted, color:'#ff9cac', marginTop:8}}>Historial no disponible: {error}</div>}
+      {result.items.length === 0 ? (
+        <div style={{...muted, marginTop:8}}>{result.total ? 'Página vacía.' : 'Aún no hay registros.'}</div>
+      ) : (
+        <div style={{marginTop:8, display:'grid', gap:8, fontSize:13}}>
+          {result.items.map((h) => (
+            <div key={h.id} style={{display:'grid', gridTemplateColumns:'repeat(10, minmax(0,1fr))', gap:8, border:'1px solid ' + (h.id === editingId ? '#45a29e' : '#2b3145'), borderRadius:10, padding:8}}>
+              <div style={{gridColumn:'span 3'}}>
+                <div style={{fontWeight:600}}>{new Date(h.ts).toLocaleString()}</div>
+                <div style={muted}>{h.desc}{(h.brand || h.model) && ` · ${[h.brand, h.model].filter(Boolean).join(' ')}`}</div>
+                {h.partial && <Pill tone="warn">Parcial</Pill>}
+                {h.mode === 'resale' && <Pill>Recompra</Pill>}
+                {h.kind === 'lot' && <Pill>Lote · {h.pieceCount} piezas</Pill>}
+                {photoIds(h).some(id => thumbs[id]) && (
+                  <div style={{marginTop:4}}><PhotoStrip ids={photoIds(h).slice(0, 4).filter(id => thumbs[id])} records={thumbs} size={32} /></div>
+                )}
+                <div style={{display:'flex', gap:6, marginTop:4, flexWrap:'wrap'}}>
+                  <button style={small} onClick={()=>onOpen(h)}>Abrir</button>
+                  <button style={small} onClick={()=>onDuplicate(h)}>Duplicar como nueva</button>
+                  <button style={small} onClick={()=>remove(h)}>Eliminar</button>
+                </div>
+              </div>
+              <div>Divisa: {h.currency || currency}<div style={muted}>1 EUR = {fmt(entryRate(h),4)}</div></div>
+              <div>Subt.: {fmt(entryAmount(h, h.subtotalMaterials ?? h.subtotal))} {entryCurrency(h)}</div>
+              <div>MO: {fmt(entryAmount(h, h.laborCost))} {entryCurrency(h)}</div>
+              <div>Coste: {fmt(entryAmount(h, h.totalCost))} {entryCurrency(h)}</div>
+              <div>%Mat: {fmt(h.pctMaterials ?? 0)}%</div>
+              <div>%Total: {fmt(h.pctTotal ?? 0)}%</div>
+              <div>Precio: {fmt(entryAmount(h, h.piecePrice))} {entryCurrency(h)}</div>
+              <div style={{fontWeight:700, textAlign:'right'}}>{h.diagnosis}{h.diagnosisPolicy && <div style={muted}>{h.diagnosisPolicy.label}</div>}
+                {h.retail && <div style={{...muted, fontWeight:400}} title={`PVP esperado ${fmt(entryAmount(h, h.retail.low))} – ${fmt(entryAmount(h, h.retail.high))} ${entryCurrency(h)}`}>{h.retail.positionLabel || `PVP ${fmt(entryAmount(h, h.retail.mid))}`}</div>}
+                {h.resale && <div style={{...muted, fontWeight:400}}>Oferta {fmt(entryAmount(h, h.resale.low))} – {fmt(entryAmount(h, h.resale.high))}</div>}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{display:'flex', justifyContent:'space-between', alignItems:'center', flexWrap:'wrap', gap:8, marginTop:8}}>
+        <div style={{display:'flex', gap:6, alignItems:'center'}}>
+          <button style={small} disabled={page === 0} onClick={()=>setPage(p => p - 1)}>‹</button>
+          <span style={muted}>Página {Math.min(page + 1, pages)} de {pages}</span>
+          <button style={small} disabled={page + 1 >= pages} onClick={()=>setPage(p => p + 1)}>›</button>
+          <select style={{...select, width:80}} value={pageSize} onChange={e=>{ setPageSize(Number(e.target.value)); setPage(0) }}>
+            {PAGE_SIZES.map(n => <option key={n} value={n}>{n}</option>)}
+          </select>
+        </div>
+        <div style={{display:'flex', gap:8}}>
+          <button style={btn()} onClick={()=>exportAll(onExportCSV)}>CSV</button>
+          <button style={btn()} onClick={()=>exportAll(onExportPDF)}>PDF</button>
+          <button style={btn()} onClick={()=>exportAll(onExportJSON)}>JSON</button>
+        </div>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,144 @@
+import React, { useState } from 'react'
+import { card, select, btn, muted, Pill, fmt } from './ui.jsx'
+import { IMPORT_KINDS, IMPORT_FIELDS, REQUIRED_FIELDS, detectImport, guessMapping, appraisalsFromImport, previewAppraisals, previewPrices } from './importer.js'
+
+const STATUS = {
+  new: { label: 'Nueva', tone: 'ok' },
+  update: { label: 'Actualiza', tone: 'warn' },
+  unchanged: { label: 'Sin cambios', tone: 'default' },
+  invalid: { label: 'Error', tone: 'bad' },
+}
+const FIELD_LABELS = {
+  id: 'Id', ts: 'Fecha', currency: 'Divisa', rate: 'Tasa EUR', desc: 'Descripción', pieceType: 'Tipo de pieza',
+  brand: 'Marca', model: 'Modelo', subtotalMaterials: 'Subtotal materiales', laborCost: 'Mano de obra',
+  totalCost: 'Coste total', piecePrice: 'Precio pieza', diagnosis: 'Diagnóstico',
+  material: 'Material', unit: 'Unidad', price: 'Precio',
+}
+
+// Importación: archivo → tipo/mapeo de columnas → vista previa → aplicar.
+// loadExistingIds(ids) → Promise<Set> (ids ya guardados en el historial)
+export default function ImportPanel({ materials, rates, currency, makeLine, autoPrice, policy, catalogPrices, loadExistingIds, onImportAppraisals, onImportPrices, onClearPrices, onClose }){
+  const [file, setFile] = useState(null)        // { name, detected }
+  const [kind, setKind] = useState('')
+  const [mapping, setMapping] = useState({})
+  const [preview, setPreview] = useState(null)  // { kind, items }
+  const [error, setError] = useState('')
+
+  const reset = ()=>{ setFile(null); setKind(''); setMapping({}); setPreview(null); setError('') }
+  const readFile = (f)=>{
+    if (!f) return
+    reset()
+    f.text().then(text => {
+      try{
+        const detected = detectImport(text, f.name)
+        setFile({ name: f.name, detected })
+        setKind(detected.kind)
+        setMapping(IMPORT_FIELDS[detected.kind] ? guessMapping(detected.headers, detected.kind) : {})
+      }catch(e){ setError(`No se pudo leer ${f.name}: ${e.message}`) }
+    })
+  }
+  const changeKind = (next)=>{
+    setKind(next); setPreview(null)
+    setMapping(IMPORT_FIELDS[next] ? guessMapping(file.detected.headers, next) : {})
+  }
+  const buildPreview = async ()=>{
+    setError('')
+    try{
+      if (kind === 'prices') {
+        setPreview({ kind, items: previewPrices(file.detected.rows, mapping, { materials, current: catalogPrices, rates, currency }) })
+        return
+      }
+      const items = appraisalsFromImport({ ...file.detected, kind }, mapping, { materials, makeLine, filename: file.name })
+      const existing = await loadExistingIds(items.map(i => i.entry.id))
+      setPreview({ kind, items: previewAppraisals(items, { materials, autoPrice, policy, existingIds: existing }) })
+    }catch(e){ setError(e.message) }
+  }
+  const apply = ()=>{
+    const valid = preview.items.filter(i => i.status === 'new' || i.status === 'update')
+    if (!valid.length) return
+    if (preview.kind === 'prices') onImportPrices(preview.items, file.name)
+    else onImportAppraisals(valid.map(i => i.entry))
+    reset()
+  }
+
+  const csvKinds = file && file.detected.kind !== 'bundle'
+  const counts = preview ? preview.items.reduce((acc, i) => ({ ...acc, [i.status]: (acc[i.status] || 0) + 1 }), {}) : {}
+  const applicable = (counts.new || 0) + (counts.update || 0)
+
+  return (
+    <div style={card}>
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', justifyContent:'space-between'}}>
+        <h2 style={{fontSize:18, margin:0}}>Importar tasaciones o precios</h2>
+        <div style={{display:'flex', gap:8}}>
+          <label style={btn()}>Elegir archivo (CSV/JSON)
+            <input type="file" accept=".csv,.json,.txt" style={{display:'none'}} onChange={e=>{ readFile(e.target.files?.[0]); e.target.value='' }} />
+          </label>
+          {Object.keys(catalogPrices).length > 0 && <button style={btn('outline')} onClick={onClearPrices}>Borrar precios de catálogo ({Object.keys(catalogPrices).length})</button>}
+          <button style={btn('outline')} onClick={onClose}>Cerrar</button>
+        </div>
+      </div>
+      <div style={{...muted, marginTop:6}}>
+        Admite el CSV y el paquete JSON del historial, el CSV del asistente y listas de precios de proveedor (material, unidad, precio[, divisa]).
+      </div>
+      {error && <div style={{...muted, color:'#ff9cac', marginTop:8}}>{error}</div>}
+
+      {file && (
+        <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginTop:10}}>
+          <span style={muted}>{file.name}</span>
+          <select style={{...select, width:280}} value={kind} disabled={!csvKinds || file.detected.kind === 'wizard'} onChange={e=>changeKind(e.target.value)}>
+            {Object.entries(IMPORT_KINDS).filter(([k]) => csvKinds ? k !== 'bundle' : k === 'bundle').map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+          </select>
+          <span style={muted}>{file.detected.kind === 'bundle' ? `${file.detected.entries.length} tasaciones` : `${file.detected.rows.length} filas`}</span>
+        </div>
+      )}
+
+      {file && IMPORT_FIELDS[kind] && kind !== 'wizard' && (
+        <div style={{display:'grid', gridTemplateColumns:'repeat(auto-fill, minmax(180px, 1fr))', gap:8, marginTop:10}}>
+          {Object.keys(IMPORT_FIELDS[kind]).map(field => (
+            <label key={field} style={muted}>{FIELD_LABELS[field] || field}{REQUIRED_FIELDS[kind]?.includes(field) && ' *'}
+              <select style={select} value={mapping[field] || ''} onChange={e=>{ setMapping(prev => ({ ...prev, [field]: e.target.value })); setPreview(null) }}>
+                <option value="">— (ignorar)</option>
+                {file.detected.headers.map(h => <option key={h} value={h}>{h}</option>)}
+              </select>
+            </label>
+          ))}
+        </div>
+      )}
+
+      {file && (
+        <div style={{display:'flex', gap:8, marginTop:10}}>
+          <button style={btn()} onClick={buildPreview}>Vista previa</button>
+          {preview && <button style={btn()} disabled={!applicable} onClick={apply}>
+            {preview.kind === 'prices' ? `Actualizar ${applicable} precios` : `Importar ${applicable} tasaciones`}
+          </button>}
+        </div>
+      )}
+
+      {preview && (
+        <div style={{marginTop:10}}>
+          <div>{Object.entries(counts).map(([s, n]) => <Pill key={s} tone={STATUS[s].tone}>{STATUS[s].label}: {n}</Pill>)}</div>
+          <div style={{display:'grid', gap:6, marginTop:8, fontSize:12, maxHeight:320, overflowY:'auto'}}>
+            {preview.kind === 'prices' ? preview.items.map(p => (
+              <div key={p.line} style={{display:'grid', gridTemplateColumns:'90px 1fr 1fr 1fr', gap:8, border:'1px solid #2b3145', borderRadius:8, padding:6}}>
+                <Pill tone={STATUS[p.status].tone}>{STATUS[p.status].label}</Pill>
+                <div>{p.name}{p.material && p.material.label !== p.name && <span style={muted}> → {p.material.label}</span>}</div>
+                <div>{p.previous != null ? `${fmt(p.previous)} → ` : ''}{p.price != null ? `${fmt(p.price)} ${p.unit}` : '—'}</div>
+                <div style={{color:'#ff9cac'}}>{p.errors.join(' · ')}</div>
+              </div>
+            )) : preview.items.map(({ entry, status, errors, alerts }) => (
+              <div key={entry.id} style={{display:'grid', gridTemplateColumns:'90px 160px 1fr 1fr', gap:8, border:'1px solid #2b3145', borderRadius:8, padding:6}}>
+                <Pill tone={STATUS[status].tone}>{STATUS[status].label}</Pill>
+                <div>{Number.isNaN(Date.parse(entry.ts)) ? entry.ts : new Date(entry.ts).toLocaleString()}</div>
+                <div>{entry.desc}{entry.lines?.length ? ` · ${entry.lines.length} líneas` : ' · solo totales'} · {fmt(entry.totalCost)} {entry.currency}</div>
+                <div>
+                  {errors.map(e => <div key={e} style={{color:'#ff9cac'}}>{e}</div>)}
+                  {alerts.map(a => <div key={a} style={{color:'#ffd48a'}}>{a}</div>)}
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
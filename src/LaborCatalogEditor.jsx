@@ -0,0 +1,53 @@
+import React from 'react'
+import { card, input, select, btn, muted } from './ui.jsx'
+import { DEFAULT_OPERATIONS, OPERATION_UNITS, cleanOperationDef, newOperationDef } from './labor.js'
+
+// Editor del catálogo de operaciones de taller (tarifas y tiempos en EUR)
+export default function LaborCatalogEditor({ catalog, onChange, onClose }){
+  const patch = (key, changes)=> onChange(catalog.map(d => d.key === key ? { ...d, ...changes } : d))
+  // Normaliza números al salir del campo (el texto se edita libre)
+  const normalize = (key)=>{
+    try{ onChange(catalog.map(d => d.key === key ? cleanOperationDef(d) : d)) }
+    catch(e){ alert(e.message) }
+  }
+  const remove = (d)=>{
+    if (window.confirm(`¿Eliminar la operación "${d.label}" del catálogo?`)) onChange(catalog.filter(x => x.key !== d.key))
+  }
+  const restore = ()=>{
+    if (window.confirm('¿Restaurar el catálogo predefinido? Se perderán los cambios.')) onChange(DEFAULT_OPERATIONS.map(cleanOperationDef))
+  }
+
+  return (
+    <div style={card}>
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', justifyContent:'space-between'}}>
+        <h2 style={{fontSize:18, margin:0}}>Operaciones de taller</h2>
+        <div style={{display:'flex', gap:8}}>
+          <button style={btn()} onClick={()=>onChange([...catalog, newOperationDef()])}>+ Operación</button>
+          <button style={btn('outline')} onClick={restore}>Restaurar predefinidas</button>
+          <button style={btn('outline')} onClick={onClose}>Cerrar</button>
+        </div>
+      </div>
+      <div style={{...muted, marginTop:6}}>
+        Coste por unidad = minutos × tarifa (€/h) / 60 + fijo (€). Las tasaciones copian estos valores al sugerir o añadir una operación.
+      </div>
+      <div style={{display:'grid', gap:6, marginTop:10}}>
+        <div style={{...muted, display:'grid', gridTemplateColumns:'2fr 120px 90px 90px 90px 80px auto', gap:8}}>
+          <span>Operación</span><span>Por</span><span>Minutos</span><span>Tarifa €/h</span><span>Fijo €</span><span>Engaste</span><span />
+        </div>
+        {catalog.map(d => (
+          <div key={d.key} style={{display:'grid', gridTemplateColumns:'2fr 120px 90px 90px 90px 80px auto', gap:8, alignItems:'center'}}>
+            <input style={input} value={d.label} onChange={e=>patch(d.key, { label: e.target.value })} onBlur={()=>normalize(d.key)} />
+            <select style={select} value={d.unit} onChange={e=>patch(d.key, { unit: e.target.value, setting: e.target.value === 'stone' && d.setting })}>
+              {Object.entries(OPERATION_UNITS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+            <input style={input} value={d.minutes} onChange={e=>patch(d.key, { minutes: e.target.value })} onBlur={()=>normalize(d.key)} />
+            <input style={input} value={d.rate} onChange={e=>patch(d.key, { rate: e.target.value })} onBlur={()=>normalize(d.key)} />
+            <input style={input} value={d.fixed} onChange={e=>patch(d.key, { fixed: e.target.value })} onBlur={()=>normalize(d.key)} />
+            <input type="checkbox" title="Tipo de engaste seleccionable en las líneas de piedras" disabled={d.unit !== 'stone'} checked={d.setting} onChange={e=>patch(d.key, { setting: e.target.checked })} />
+            <button style={btn('outline')} onClick={()=>remove(d)}>×</button>
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,138 @@
+import React, { useState } from 'react'
+import { card, input, select, btn, muted, hintBox, Pill, fmt } from './ui.jsx'
+import { materialOptions } from './catalog.js'
+import { FINE_METALS } from './prices.js'
+import { toNumber } from './valuation.js'
+import { newLotPiece, pieceSummary } from './lots.js'
+import { cloneLines } from './history.js'
+
+const GRID = '28px 2fr 1.2fr 1fr 2fr 100px 100px 100px 1.3fr auto'
+const small = { ...btn('outline'), padding:'2px 8px', fontSize:12 }
+
+// Lote: tabla de piezas (cada una con sus líneas, mano de obra y precio),
+// totales, diagnóstico agregado y metal fino por metal.
+// lotEval: evaluateLot() del lote; makeLine(materialKey?) crea una línea;
+// materialPatch(ln, material): cambios al cambiar el material de una línea.
+export default function LotView({ lot, onChange, lotEval, materials, pieceTypes, currency, makeLine, materialPatch, editing, onAddCurrent, onSave, onUpdate, onNew, onExportCSV, onExportPDF, onClose }){
+  const [open, setOpen] = useState(null) // id de la pieza con las líneas desplegadas
+  const setPieces = (fn)=> onChange({ ...lot, pieces: fn(lot.pieces) })
+  const patchPiece = (id, changes)=> setPieces(list => list.map(p => p.id === id ? { ...p, ...changes } : p))
+  const patchLine = (piece, lineId, changes)=> patchPiece(piece.id, { lines: piece.lines.map(l => l.id === lineId ? { ...l, ...changes } : l) })
+  const addPiece = ()=>{ const p = newLotPiece(makeLine); setPieces(list => [...list, p]); setOpen(p.id) }
+  const dupPiece = ({ id, ...piece })=> setPieces(list => {
+    const i = list.findIndex(p => p.id === id)
+    return [...list.slice(0, i + 1), newLotPiece(makeLine, { ...piece, lines: cloneLines(piece.lines) }), ...list.slice(i + 1)]
+  })
+  const removePiece = (piece)=>{
+    if (lot.pieces.length < 2) return
+    if (window.confirm(`¿Quitar ${piece.desc || 'la pieza'} del lote?`)) setPieces(list => list.filter(p => p.id !== piece.id))
+  }
+  const info = lotEval.diagnosisInfo
+
+  return (
+    <div style={card}>
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', justifyContent:'space-between'}}>
+        <h2 style={{fontSize:18, margin:0}}>Lote <span style={muted}>({lot.pieces.length} piezas{editing ? ` · guardado el ${new Date(editing.ts).toLocaleString()}` : ''})</span></h2>
+        <div style={{display:'flex', gap:8, flexWrap:'wrap'}}>
+          <button style={btn()} onClick={addPiece}>+ Pieza</button>
+          <button style={btn()} onClick={onAddCurrent} title="Copia la tasación abierta como una pieza más">+ Tasación en curso</button>
+          <button style={btn()} onClick={onSave}>{editing ? 'Guardar como nuevo' : 'Guardar lote'}</button>
+          {editing && <button style={btn()} onClick={onUpdate}>Actualizar en su sitio</button>}
+          <button style={btn('outline')} onClick={onExportCSV}>CSV</button>
+          <button style={btn('outline')} onClick={onExportPDF}>PDF</button>
+          <button style={btn('outline')} onClick={onNew}>Nuevo lote</button>
+          <button style={btn('outline')} onClick={onClose}>Cerrar</button>
+        </div>
+      </div>
+      <input style={{...input, marginTop:8, maxWidth:420}} value={lot.name} onChange={e=>onChange({ ...lot, name: e.target.value })} placeholder="Nombre del lote (herencia, inventario…)" />
+
+      <div style={{display:'grid', gap:6, marginTop:10, fontSize:13}}>
+        <div style={{...muted, display:'grid', gridTemplateColumns:GRID, gap:8}}>
+          <span>#</span><span>Descripción</span><span>Tipo</span><span>Marca</span><span>Materiales</span><span>Mano obra</span><span>Precio</span><span>Coste</span><span>Diagnóstico</span><span />
+        </div>
+        {lotEval.items.map(({ piece, evaluation: ev }, i) => (
+          <div key={piece.id} style={{border:'1px solid #2a3043', borderRadius:10, padding:6}}>
+            <div style={{display:'grid', gridTemplateColumns:GRID, gap:8, alignItems:'center'}}>
+              <span style={muted}>{i + 1}</span>
+              <input style={input} value={piece.desc} onChange={e=>patchPiece(piece.id, { desc: e.target.value })} placeholder={`Pieza ${i + 1}`} />
+              <select style={select} value={piece.pieceType} onChange={e=>patchPiece(piece.id, { pieceType: e.target.value })}>
+                {Object.entries(pieceTypes).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+              </select>
+              <input style={input} value={piece.brand} onChange={e=>patchPiece(piece.id, { brand: e.target.value })} />
+              <a href="#" style={{color:'#8fb3ff', fontSize:12}} onClick={e=>{ e.preventDefault(); setOpen(open === piece.id ? null : piece.id) }}>
+                {pieceSummary(ev, fmt) || 'Sin cantidades'} ({piece.lines.length} {piece.lines.length === 1 ? 'línea' : 'líneas'}) {open === piece.id ? '▴' : '▾'}
+              </a>
+              <input style={input} value={piece.laborOverride} onChange={e=>patchPiece(piece.id, { laborOverride: e.target.value })} placeholder={fmt(ev.suggestedLabor ?? 0)} title="Vacío: mano de obra sugerida por operaciones" />
+              <input style={input} value={piece.piecePrice} onChange={e=>patchPiece(piece.id, { piecePrice: e.target.value })} />
+              <span>{fmt(ev.totalCost)}</span>
+              <span>{ev.diagnosis ? <Pill color={ev.diagnosisInfo?.color}>{ev.diagnosis}</Pill> : <span style={muted}>—</span>}</span>
+              <span style={{display:'flex', gap:4}}>
+                <button style={small} onClick={()=>dupPiece(piece)} title="Duplicar">⧉</button>
+                <button style={small} disabled={lot.pieces.length < 2} onClick={()=>removePiece(piece)} title="Quitar">×</button>
+              </span>
+            </div>
+
+            {open === piece.id && (
+              <div style={{...hintBox, marginTop:6, display:'grid', gap:6}}>
+                {piece.lines.map((ln, j) => {
+                  const part = ev.parts[j]
+                  const m = part.m
+                  return (
+                    <div key={ln.id} style={{display:'grid', gridTemplateColumns:'2fr 110px 80px 80px 120px 110px auto', gap:8, alignItems:'center'}}>
+                      <select style={select} value={ln.materialKey} onChange={e=>{
+                        const mat = materials.find(x => x.key === e.target.value)
+                        if (mat) patchLine(piece, ln.id, materialPatch(ln, mat))
+                      }}>
+                        {materialOptions(materials, ln.materialKey).map(mat => <option key={mat.key} value={mat.key}>{mat.label}</option>)}
+                      </select>
+                      {ln.mode === 'dimensions' ? (
+                        <span style={muted} title="Calculado por dimensiones en el comparador">{fmt(part.effW, 3)} {part.matUnit}</span>
+                      ) : (
+                        <input style={input} value={ln.weightVal} onChange={e=>patchLine(piece, ln.id, { weightVal: e.target.value })} placeholder={m.unit === '€/ud' ? 'piezas' : 'cantidad'} />
+                      )}
+                      {m.unit === '€/g' && ln.mode !== 'dimensions' ? (
+                        <select style={select} value={ln.weightUnit} onChange={e=>patchLine(piece, ln.id, { weightUnit: e.target.value })}>
+                          <option value="g">g</option><option value="dwt">dwt</option><option value="ozt">ozt</option>
+                        </select>
+                      ) : <span style={muted}>{part.matUnit}</span>}
+                      <input style={input} value={ln.qty} onChange={e=>patchLine(piece, ln.id, { qty: e.target.value })} title="Unidades" />
+                      <input style={input} value={ln.unitPrice} onChange={e=>patchLine(piece, ln.id, { unitPrice: e.target.value })} placeholder={part.autoPrice != null ? fmt(part.autoPrice) : 'precio'} title={`Precio (${m.unit || ''})`} />
+                      <span>{fmt(part.cost)} {currency}</span>
+                      <button style={small} disabled={piece.lines.length < 2} onClick={()=>patchPiece(piece.id, { lines: piece.lines.filter(l => l.id !== ln.id) })}>×</button>
+                    </div>
+                  )
+                })}
+                <div style={{display:'flex', gap:8, alignItems:'center', flexWrap:'wrap'}}>
+                  <button style={small} onClick={()=>patchPiece(piece.id, { lines: [...piece.lines, makeLine(piece.lines[piece.lines.length - 1]?.materialKey)] })}>+ Línea</button>
+                  <span style={muted}>Subtotal {fmt(ev.subtotal)} · MO {fmt(ev.laborCost)} {currency}{toNumber(piece.laborOverride, null) == null ? ' (sugerida)' : ''}</span>
+                  {ev.alerts.map(a => <Pill key={a} tone="warn">⚠ {a}</Pill>)}
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div style={{display:'flex', flexWrap:'wrap', gap:16, alignItems:'end', marginTop:12}}>
+        <div><label style={muted}>Subtotal materiales</label><div style={{fontSize:18, fontWeight:600}}>{fmt(lotEval.subtotal)} {currency}</div></div>
+        <div><label style={muted}>Mano de obra</label><div style={{fontSize:18, fontWeight:600}}>{fmt(lotEval.laborCost)} {currency}</div></div>
+        <div><label style={muted}>Coste total</label><div style={{fontSize:18, fontWeight:600}}>{fmt(lotEval.totalCost)} {currency}</div></div>
+        <div><label style={muted}>Precio del lote</label><div style={{fontSize:18, fontWeight:600}}>{fmt(lotEval.piecePrice)} {currency}</div></div>
+        <div>
+          <label style={muted}>Diagnóstico del lote{lotEval.unpriced ? ` (${lotEval.items.length - lotEval.unpriced} piezas con precio)` : ''}</label>
+          <div style={{marginTop:4}}>{lotEval.diagnosis ? <Pill color={info?.color}>{lotEval.diagnosis} · {fmt(lotEval.overPctTotal)}%</Pill> : <span style={muted}>Falta el precio de las piezas</span>}</div>
+        </div>
+        {lotEval.resale && <div><label style={muted}>Oferta de compra</label><div style={{fontSize:18, fontWeight:600}}>{fmt(lotEval.resale.low)} – {fmt(lotEval.resale.high)} {currency}</div></div>}
+      </div>
+      <div style={{display:'flex', flexWrap:'wrap', gap:6, marginTop:8}}>
+        {Object.entries(lotEval.byDiagnosis).map(([label, d]) => <Pill key={label} color={d.color}>{label}: {d.count}</Pill>)}
+        {Object.entries(lotEval.fineByMetal).map(([metal, g]) => <Pill key={metal}>{FINE_METALS[metal] || metal}: {fmt(g, 3)} g</Pill>)}
+      </div>
+      {lotEval.alerts.length > 0 && (
+        <div style={{display:'flex', flexWrap:'wrap', gap:6, marginTop:8}}>
+          {lotEval.alerts.map(a => <Pill key={a} tone="warn">⚠ {a}</Pill>)}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,65 @@
+import React, { useState } from 'react'
+import { input, select, btn, muted } from './ui.jsx'
+import { PHOTO_KINDS } from './photos.js'
+
+const small = { ...btn('outline'), padding:'2px 8px', fontSize:12 }
+const overlay = { position:'fixed', inset:0, background:'rgba(0,0,0,.85)', display:'flex', alignItems:'center', justifyContent:'center', zIndex:50, padding:20 }
+
+// Miniaturas de evidencias con alta desde la cámara o un archivo.
+// ids: fotos asociadas; records: { [id]: registro } ya cargados;
+// onAdd(files), onRemove(id), onPatch(id, { kind, caption }).
+export default function PhotoStrip({ ids = [], records = {}, onAdd, onRemove, onPatch, size = 64, busy = false }){
+  const [viewing, setViewing] = useState(null)
+  const [caption, setCaption] = useState('') // se guarda al salir del campo
+  const open = (id)=>{ setViewing(id); setCaption(records[id]?.caption || '') }
+  const pick = (e)=>{ const files = [...(e.target.files || [])]; e.target.value = ''; if (files.length) onAdd(files) }
+  const shown = viewing && records[viewing]
+
+  return (
+    <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'flex-start'}}>
+      {ids.map(id => {
+        const r = records[id]
+        return (
+          <div key={id} style={{display:'grid', gap:4, width:size + 40}}>
+            {r ? (
+              <img src={r.thumb} alt={r.caption || PHOTO_KINDS[r.kind]} title={[PHOTO_KINDS[r.kind], r.caption].filter(Boolean).join(' · ')} onClick={()=>open(id)}
+                style={{width:size + 40, height:size, objectFit:'cover', borderRadius:8, border:'1px solid #2a3043', cursor:'zoom-in'}} />
+            ) : <div style={{...muted, width:size + 40, height:size, display:'flex', alignItems:'center', justifyContent:'center', border:'1px dashed #2a3043', borderRadius:8}}>…</div>}
+            {r && onPatch && (
+              <select style={{...select, padding:'2px 4px', fontSize:11}} value={r.kind} onChange={e=>onPatch(id, { kind: e.target.value })}>
+                {Object.entries(PHOTO_KINDS).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+              </select>
+            )}
+            {onRemove && <button style={small} onClick={()=>onRemove(id)}>Quitar</button>}
+          </div>
+        )
+      })}
+      {onAdd && (
+        <div style={{display:'grid', gap:4}}>
+          <label style={small} title="Abre la cámara en el móvil">📷 Cámara
+            <input type="file" accept="image/*" capture="environment" style={{display:'none'}} onChange={pick} />
+          </label>
+          <label style={small}>Archivo…
+            <input type="file" accept="image/*" multiple style={{display:'none'}} onChange={pick} />
+          </label>
+          {busy && <span style={muted}>Procesando…</span>}
+        </div>
+      )}
+
+      {shown && (
+        <div style={overlay} onClick={()=>setViewing(null)}>
+          <div style={{display:'grid', gap:8, maxWidth:'90vw'}} onClick={e=>e.stopPropagation()}>
+            <img src={shown.image} alt={shown.caption} style={{maxWidth:'90vw', maxHeight:'75vh', objectFit:'contain', borderRadius:8}} />
+            <div style={{display:'flex', gap:8, alignItems:'center'}}>
+              {onPatch ? (
+                <input style={{...input, flex:1}} value={caption} onChange={e=>setCaption(e.target.value)} onBlur={()=>caption !== shown.caption && onPatch(viewing, { caption })} placeholder="Nota (p. ej. 12,48 g en báscula)" />
+              ) : <span style={{flex:1}}>{shown.caption}</span>}
+              <span style={muted}>{shown.width}×{shown.height} · {new Date(shown.ts).toLocaleString()}</span>
+              <button style={btn('outline')} onClick={()=>setViewing(null)}>Cerrar</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,139 @@
+import React, { useState } from 'react'
+import { card, input, select, btn, muted, Pill } from './ui.jsx'
+import { BUILTIN_POLICIES, newPolicy, cleanPolicy, exportPoliciesJSON, parsePoliciesJSON, describePolicy } from './policies.js'
+
+// Editor de políticas de diagnóstico (bandas, etiquetas y colores)
+export default function PolicyEditor({ policies, onChange, pieceTypes, activeId, onExport }){
+  const [editId, setEditId] = useState(activeId || policies[0]?.id)
+  const current = policies.find(p => p.id === editId) || policies[0]
+  const isDefault = current?.id === 'default'
+  // Las predefinidas vuelven a añadirse al cargar (mergeBuiltinPolicies): se editan, no se eliminan
+  const isBuiltin = BUILTIN_POLICIES.some(p => p.id === current?.id)
+
+  const patch = (changes)=> onChange(policies.map(p => p.id === current.id ? { ...p, ...changes } : p))
+  const patchBand = (i, changes)=> patch({ bands: current.bands.map((b, j) => j === i ? { ...b, ...changes } : b) })
+  const addBand = ()=>{
+    const last = current.bands[current.bands.length-2]
+    const upTo = (last?.upTo ?? 0) + 20
+    const bands = [...current.bands]
+    bands.splice(bands.length-1, 0, { upTo, label: 'Nueva banda', color: '#c8cde0' })
+    patch({ bands })
+  }
+  const delBand = (i)=> current.bands.length > 1 && patch({ bands: current.bands.filter((_, j) => j !== i) })
+  // Normaliza (orden de bandas, última abierta) al salir de un límite
+  const normalize = ()=>{
+    try{ onChange(policies.map(p => p.id === current.id ? cleanPolicy(p) : p)) }
+    catch(e){ alert(e.message) }
+  }
+  const togglePieceType = (key)=>{
+    const has = current.pieceTypes.includes(key)
+    patch({ pieceTypes: has ? current.pieceTypes.filter(k => k !== key) : [...current.pieceTypes, key] })
+  }
+  const addPolicy = ()=>{ const p = newPolicy(); onChange([...policies, p]); setEditId(p.id) }
+  const delPolicy = ()=>{
+    if (isBuiltin || !window.confirm(`¿Eliminar la política "${current.label}"?`)) return
+    onChange(policies.filter(p => p.id !== current.id)); setEditId('default')
+  }
+  const importFile = (file)=>{
+    if (!file) return
+    file.text().then(text => {
+      try{
+        const incoming = parsePoliciesJSON(text)
+        const ids = new Set(incoming.map(p => p.id))
+        const merged = [...policies.filter(p => !ids.has(p.id)), ...incoming]
+        if (!merged.some(p => p.id === 'default')) merged.unshift(cleanPolicy(BUILTIN_POLICIES[0]))
+        onChange(merged)
+      }catch(e){ alert(`No se pudieron importar las políticas: ${e.message}`) }
+    })
+  }
+  const restore = ()=>{
+    if (!window.confirm('¿Restaurar las políticas predefinidas? Se perderán los cambios.')) return
+    onChange(BUILTIN_POLICIES.map(cleanPolicy)); setEditId('default')
+  }
+
+  if (!current) return null
+  return (
+    <div style={card}>
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', justifyContent:'space-between'}}>
+        <h2 style={{fontSize:18, margin:0}}>Políticas de diagnóstico</h2>
+        <div style={{display:'flex', gap:8, flexWrap:'wrap'}}>
+          <button style={btn()} onClick={addPolicy}>+ Nueva</button>
+          <button style={btn('outline')} onClick={()=>onExport(exportPoliciesJSON(policies))}>Exportar JSON</button>
+          <label style={btn('outline')}>Importar JSON
+            <input type="file" accept=".json" style={{display:'none'}} onChange={e=>{ importFile(e.target.files?.[0]); e.target.value='' }} />
+          </label>
+          <button style={btn('outline')} onClick={restore}>Restaurar predefinidas</button>
+        </div>
+      </div>
+
+      <div style={{display:'flex', flexWrap:'wrap', gap:6, marginTop:10}}>
+        {policies.map(p => (
+          <button key={p.id} style={{...btn(p.id === current.id ? 'solid' : 'outline'), fontSize:12, padding:'4px 10px'}} onClick={()=>setEditId(p.id)}>
+            {p.label}{p.id === activeId ? ' ✓' : ''}
+          </button>
+        ))}
+      </div>
+
+      <div style={{display:'grid', gridTemplateColumns:'repeat(12, 1fr)', gap:12, marginTop:12}}>
+        <div style={{gridColumn:'span 4'}}>
+          <label style={muted}>Nombre</label>
+          <input style={input} value={current.label} onChange={e=>patch({label:e.target.value})} />
+        </div>
+        <div style={{gridColumn:'span 4'}}>
+          <label style={muted}>Marcas (separadas por comas; vacío = todas)</label>
+          <input style={input} value={current.brands.join(', ')} disabled={isDefault}
+            onChange={e=>patch({brands: e.target.value.split(',').map(s=>s.trim()).filter(Boolean)})} />
+        </div>
+        <div style={{gridColumn:'span 4'}}>
+          <label style={muted}>Etiqueta si precio &lt; coste</label>
+          <div style={{display:'flex', gap:6}}>
+            <input style={input} value={current.suspicious.label} onChange={e=>patch({suspicious:{...current.suspicious, label:e.target.value}})} />
+            <input type="color" value={current.suspicious.color} onChange={e=>patch({suspicious:{...current.suspicious, color:e.target.value}})} />
+          </div>
+        </div>
+        <div style={{gridColumn:'span 12'}}>
+          <label style={muted}>Tipos de pieza (ninguno = todos)</label>
+          <div style={{display:'flex', flexWrap:'wrap', gap:10, marginTop:4, fontSize:12}}>
+            {Object.entries(pieceTypes).map(([key, label]) => (
+              <label key={key}>
+                <input type="checkbox" disabled={isDefault} checked={current.pieceTypes.includes(key)} onChange={()=>togglePieceType(key)} /> {label}
+              </label>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div style={{display:'grid', gap:6, marginTop:12}}>
+        {current.bands.map((b, i) => {
+          const open = i === current.bands.length - 1
+          return (
+            <div key={i} style={{display:'grid', gridTemplateColumns:'140px 1fr 60px auto', gap:8, alignItems:'center'}}>
+              <div style={{display:'flex', alignItems:'center', gap:4}}>
+                <span style={muted}>{open ? '>' : '≤'}</span>
+                {open ? <span style={muted}>{current.bands[i-1]?.upTo ?? 0} %</span> : (
+                  <input style={{...input, width:80}} type="number" value={b.upTo ?? ''} onChange={e=>patchBand(i,{upTo:e.target.value})} onBlur={normalize} />
+                )}
+                {!open && <span style={muted}>%</span>}
+              </div>
+              <input style={select} value={b.label} onChange={e=>patchBand(i,{label:e.target.value})} />
+              <input type="color" value={b.color} onChange={e=>patchBand(i,{color:e.target.value})} />
+              <button style={btn('outline')} disabled={current.bands.length <= 1} onClick={()=>delBand(i)}>×</button>
+            </div>
+          )
+        })}
+      </div>
+
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, marginTop:8, alignItems:'center', justifyContent:'space-between'}}>
+        <div>
+          {current.bands.map((b, i) => <Pill key={i} color={b.color}>{b.label}</Pill>)}
+          <Pill color={current.suspicious.color}>{current.suspicious.label}</Pill>
+        </div>
+        <div style={{display:'flex', gap:8}}>
+          <button style={btn()} onClick={addBand}>+ Banda</button>
+          <button style={btn('outline')} disabled={isBuiltin} title={isBuiltin ? 'Las políticas predefinidas se editan, no se eliminan' : ''} onClick={delPolicy}>Eliminar política</button>
+        </div>
+      </div>
+      <div style={{...muted, marginTop:8}}>Sobreprecio % sobre coste total: {describePolicy(current)}</div>
+    </div>
+  )
+}
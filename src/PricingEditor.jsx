@@ -0,0 +1,60 @@
+import React from 'react'
+import { card, input, select, btn, muted } from './ui.jsx'
+import { VAT_RATES, DEFAULT_PRICING, cleanPricing, expectedRetail } from './pricing.js'
+
+const EXAMPLE_COST = 100
+
+// Editor del modelo de PVP: márgenes, país (IVA), rango y primas de marca
+export default function PricingEditor({ pricing, onChange, onClose }){
+  const patch = (changes)=> onChange({ ...pricing, ...changes })
+  const normalize = ()=> onChange(cleanPricing(pricing))
+  const patchBrand = (i, changes)=> patch({ brandPremiums: pricing.brandPremiums.map((b, j) => j === i ? { ...b, ...changes } : b) })
+  const restore = ()=>{
+    if (window.confirm('¿Restaurar el modelo de PVP predefinido?')) onChange(cleanPricing(DEFAULT_PRICING))
+  }
+  const example = expectedRetail(EXAMPLE_COST, pricing)
+
+  return (
+    <div style={card}>
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', justifyContent:'space-between'}}>
+        <h2 style={{fontSize:18, margin:0}}>Modelo de PVP</h2>
+        <div style={{display:'flex', gap:8}}>
+          <button style={btn('outline')} onClick={restore}>Restaurar predefinido</button>
+          <button style={btn('outline')} onClick={onClose}>Cerrar</button>
+        </div>
+      </div>
+
+      <div style={{display:'grid', gridTemplateColumns:'repeat(auto-fit, minmax(160px, 1fr))', gap:8, marginTop:10}}>
+        <label style={muted}>Margen mayorista (% s/ coste)
+          <input style={input} value={pricing.wholesaleMargin} onChange={e=>patch({ wholesaleMargin: e.target.value })} onBlur={normalize} />
+        </label>
+        <label style={muted}>Margen tienda (% s/ mayorista)
+          <input style={input} value={pricing.retailMarkup} onChange={e=>patch({ retailMarkup: e.target.value })} onBlur={normalize} />
+        </label>
+        <label style={muted}>País (IVA)
+          <select style={select} value={pricing.country} onChange={e=>patch({ country: e.target.value })}>
+            {Object.entries(VAT_RATES).map(([k, v]) => <option key={k} value={k}>{v.label} · {v.vat}%</option>)}
+          </select>
+        </label>
+        <label style={muted}>Amplitud del rango (± %)
+          <input style={input} value={pricing.spread} onChange={e=>patch({ spread: e.target.value })} onBlur={normalize} />
+        </label>
+      </div>
+      {example && <div style={{...muted, marginTop:6}}>Ejemplo con coste {EXAMPLE_COST}: {example.steps.map(([label, v]) => `${label} ${v.toFixed(2)}`).join(' → ')} · rango {example.low.toFixed(2)} – {example.high.toFixed(2)}</div>}
+
+      <h3 style={{fontSize:14, margin:'12px 0 6px'}}>Primas de marca (% sobre el precio de tienda sin IVA)</h3>
+      <div style={{display:'grid', gap:6}}>
+        {pricing.brandPremiums.map((b, i) => (
+          <div key={i} style={{display:'grid', gridTemplateColumns:'1fr 100px auto', gap:8}}>
+            <input style={input} value={b.brand} placeholder="Marca" onChange={e=>patchBrand(i, { brand: e.target.value })} onBlur={normalize} />
+            <input style={input} value={b.pct} onChange={e=>patchBrand(i, { pct: e.target.value })} onBlur={normalize} />
+            <button style={btn('outline')} onClick={()=>patch({ brandPremiums: pricing.brandPremiums.filter((_, j) => j !== i) })}>×</button>
+          </div>
+        ))}
+      </div>
+      <div style={{marginTop:8}}>
+        <button style={btn()} onClick={()=>patch({ brandPremiums: [...pricing.brandPremiums, { brand: 'Nueva marca', pct: 20 }] })}>+ Marca</button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,51 @@
+import React from 'react'
+import { card, input, btn, muted } from './ui.jsx'
+import { FINE_METALS } from './prices.js'
+import { DEFAULT_SCRAP, cleanScrap } from './scrap.js'
+
+// Editor de tarifas de recompra: % de refinería y refino por metal, descuento de gemas
+export default function ScrapEditor({ scrap, onChange, onClose }){
+  const patch = (changes)=> onChange({ ...scrap, ...changes })
+  const patchRefiner = (metal, changes)=> patch({ refiners: { ...scrap.refiners, [metal]: { ...scrap.refiners[metal], ...changes } } })
+  const normalize = ()=> onChange(cleanScrap(scrap))
+  const restore = ()=>{
+    if (window.confirm('¿Restaurar las tarifas de recompra predefinidas?')) onChange(cleanScrap(DEFAULT_SCRAP))
+  }
+
+  return (
+    <div style={card}>
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', justifyContent:'space-between'}}>
+        <h2 style={{fontSize:18, margin:0}}>Tarifas de recompra</h2>
+        <div style={{display:'flex', gap:8}}>
+          <button style={btn('outline')} onClick={restore}>Restaurar predefinidas</button>
+          <button style={btn('outline')} onClick={onClose}>Cerrar</button>
+        </div>
+      </div>
+      <div style={{...muted, marginTop:6}}>
+        Valor de fundición = valor del metal fino × % que paga la refinería − refino (€ por g fino). Las gemas se valoran a su precio menos el descuento de segunda mano.
+      </div>
+
+      <div style={{display:'grid', gap:6, marginTop:10}}>
+        <div style={{...muted, display:'grid', gridTemplateColumns:'1fr 140px 140px', gap:8}}>
+          <span>Metal</span><span>Pago refinería %</span><span>Refino €/g fino</span>
+        </div>
+        {Object.entries(FINE_METALS).map(([metal, label]) => (
+          <div key={metal} style={{display:'grid', gridTemplateColumns:'1fr 140px 140px', gap:8, alignItems:'center'}}>
+            <span>{label}</span>
+            <input style={input} value={scrap.refiners[metal]?.payout ?? ''} onChange={e=>patchRefiner(metal, { payout: e.target.value })} onBlur={normalize} />
+            <input style={input} value={scrap.refiners[metal]?.fee ?? ''} onChange={e=>patchRefiner(metal, { fee: e.target.value })} onBlur={normalize} />
+          </div>
+        ))}
+      </div>
+
+      <div style={{display:'grid', gridTemplateColumns:'repeat(auto-fit, minmax(160px, 1fr))', gap:8, marginTop:10}}>
+        <label style={muted}>Descuento gemas de segunda mano (%)
+          <input style={input} value={scrap.gemDiscount} onChange={e=>patch({ gemDiscount: e.target.value })} onBlur={normalize} />
+        </label>
+        <label style={muted}>Margen de negociación (% bajo el neto)
+          <input style={input} value={scrap.spread} onChange={e=>patch({ spread: e.target.value })} onBlur={normalize} />
+        </label>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,146 @@
+import React, { useState } from 'react'
+import { card, input, select, btn, muted, hintBox, Pill } from './ui.jsx'
+import { BUILTIN_TEMPLATES, cleanTemplate, templatesFor, exportTemplatesJSON, parseTemplatesJSON, mergeTemplates } from './templates.js'
+
+// Biblioteca de plantillas: guardar la tasación en curso, editar categorías,
+// aplicar (sustituir o añadir líneas) y compartir como JSON
+export default function TemplateLibrary({ templates, onChange, pieceTypes, pieceType, materials, fromCurrent, onApply, onExport, onClose }){
+  const [filter, setFilter] = useState(pieceType || '')
+  const [query, setQuery] = useState('')
+  const [editId, setEditId] = useState('')
+  const [pasted, setPasted] = useState('')
+  const [newName, setNewName] = useState('')
+
+  const q = query.trim().toLowerCase()
+  const shown = templatesFor(templates, filter).filter(t => !q || t.name.toLowerCase().includes(q))
+  const current = templates.find(t => t.id === editId) || shown[0]
+  const labelOf = (key)=> materials.find(m => m.key === key)?.label || key
+
+  const patch = (changes)=> onChange(templates.map(t => t.id === current.id ? { ...t, ...changes } : t))
+  const toggleType = (key)=>{
+    const has = current.types.includes(key)
+    patch({ types: has ? current.types.filter(k => k !== key) : [...current.types, key] })
+  }
+  const saveCurrent = ()=>{
+    try{
+      const tpl = fromCurrent({ name: newName })
+      onChange([...templates, tpl]); setEditId(tpl.id); setNewName('')
+    }catch(e){ alert(e.message) }
+  }
+  const overwrite = ()=>{
+    if (!window.confirm(`¿Sustituir "${current.name}" por la tasación en curso?`)) return
+    try{ patch({ ...fromCurrent({ name: current.name, types: current.types, id: current.id }), builtin: false }) }
+    catch(e){ alert(e.message) }
+  }
+  const remove = ()=>{
+    if (!window.confirm(`¿Eliminar la plantilla "${current.name}"?`)) return
+    onChange(templates.filter(t => t.id !== current.id)); setEditId('')
+  }
+  const importText = (text)=>{
+    try{
+      const incoming = parseTemplatesJSON(text)
+      onChange(mergeTemplates(templates, incoming)); setEditId(incoming[0].id); setPasted('')
+    }catch(e){ alert(`No se pudieron importar las plantillas: ${e.message}`) }
+  }
+  const copyJSON = (list)=> navigator.clipboard?.writeText(exportTemplatesJSON(list)).catch(()=>{})
+  const restore = ()=>{
+    if (!window.confirm('¿Restaurar las plantillas predefinidas? Las tuyas se conservan.')) return
+    onChange(mergeTemplates(templates, BUILTIN_TEMPLATES.map(cleanTemplate)))
+  }
+
+  return (
+    <div style={card}>
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', justifyContent:'space-between'}}>
+        <h2 style={{fontSize:18, margin:0}}>Plantillas de pieza</h2>
+        <div style={{display:'flex', gap:8, flexWrap:'wrap'}}>
+          <button style={btn('outline')} onClick={()=>onExport(exportTemplatesJSON(templates))}>Exportar JSON</button>
+          <label style={btn('outline')}>Importar JSON
+            <input type="file" accept=".json" style={{display:'none'}} onChange={e=>{ const f = e.target.files?.[0]; if (f) f.text().then(importText); e.target.value='' }} />
+          </label>
+          <button style={btn('outline')} onClick={restore}>Restaurar predefinidas</button>
+          <button style={btn('outline')} onClick={onClose}>Cerrar</button>
+        </div>
+      </div>
+
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginTop:10}}>
+        <input style={{...input, width:280}} value={newName} onChange={e=>setNewName(e.target.value)} placeholder="Nombre de la nueva plantilla" />
+        <button style={btn()} onClick={saveCurrent}>+ Guardar tasación en curso como plantilla</button>
+      </div>
+
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', marginTop:10}}>
+        <select style={{...select, width:220}} value={filter} onChange={e=>setFilter(e.target.value)}>
+          <option value="">Todos los tipos de pieza</option>
+          {Object.entries(pieceTypes).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+        </select>
+        <input style={{...input, width:220}} value={query} onChange={e=>setQuery(e.target.value)} placeholder="Buscar por nombre" />
+        <span style={muted}>{shown.length} de {templates.length}</span>
+      </div>
+
+      <div style={{display:'flex', flexWrap:'wrap', gap:6, marginTop:10}}>
+        {shown.map(t => (
+          <button key={t.id} style={{...btn(t.id === current?.id ? 'solid' : 'outline'), fontSize:12, padding:'4px 10px'}} onClick={()=>setEditId(t.id)}>
+            {t.name}
+          </button>
+        ))}
+        {!shown.length && <span style={muted}>No hay plantillas para este tipo de pieza.</span>}
+      </div>
+
+      {current && (
+        <div style={{display:'grid', gridTemplateColumns:'repeat(12, 1fr)', gap:12, marginTop:12}}>
+          <div style={{gridColumn:'span 6'}}>
+            <label style={muted}>Nombre</label>
+            <input style={input} value={current.name} onChange={e=>patch({name:e.target.value})}
+              onBlur={()=>{ if (!current.name.trim()) patch({ name: 'Plantilla sin nombre' }) }} />
+          </div>
+          <div style={{gridColumn:'span 6'}}>
+            <label style={muted}>Tipo de pieza al sustituir</label>
+            <select style={select} value={current.pieceType} onChange={e=>patch({pieceType:e.target.value})}>
+              <option value="">(sin cambiar)</option>
+              {Object.entries(pieceTypes).map(([k, label]) => <option key={k} value={k}>{label}</option>)}
+            </select>
+          </div>
+          <div style={{gridColumn:'span 12'}}>
+            <label style={muted}>Se ofrece en (ninguno = todos)</label>
+            <div style={{display:'flex', flexWrap:'wrap', gap:10, marginTop:4, fontSize:12}}>
+              {Object.entries(pieceTypes).map(([key, label]) => (
+                <label key={key}>
+                  <input type="checkbox" checked={current.types.includes(key)} onChange={()=>toggleType(key)} /> {label}
+                </label>
+              ))}
+            </div>
+          </div>
+          <div style={{gridColumn:'span 12', ...hintBox}}>
+            {current.lines.map((ln, i) => (
+              <div key={i}>
+                {ln.qty && ln.qty !== '1' ? `${ln.qty} × ` : ''}{labelOf(ln.materialKey)}
+                {ln.mode === 'dimensions' ? ` · ${ln.shape || 'box'} (medidas)` : ln.weightVal ? ` · ${ln.weightVal} ${ln.weightUnit || ''}` : ''}
+                {ln.alias ? ` · ${ln.alias}` : ''}
+              </div>
+            ))}
+            {(current.operations.length > 0 || current.laborOverride) && (
+              <div style={{marginTop:4}}>
+                Mano de obra: {current.operations.map(op => op.label || op.key).join(', ') || '—'}
+                {current.laborOverride ? ` · importe fijo ${current.laborOverride} €` : ''} · complejidad {current.complexity}
+              </div>
+            )}
+          </div>
+          <div style={{gridColumn:'span 12', display:'flex', flexWrap:'wrap', gap:8, alignItems:'center'}}>
+            {current.builtin && <Pill>Predefinida</Pill>}
+            <button style={btn()} onClick={()=>onApply(current, 'replace')}>Sustituir líneas</button>
+            <button style={btn()} onClick={()=>onApply(current, 'append')}>Añadir líneas</button>
+            <button style={btn('outline')} onClick={overwrite}>Actualizar con la tasación en curso</button>
+            <button style={btn('outline')} onClick={()=>copyJSON([current])}>Copiar JSON</button>
+            <button style={btn('outline')} onClick={()=>onExport(exportTemplatesJSON([current]))}>Exportar esta</button>
+            <button style={btn('outline')} onClick={remove}>Eliminar</button>
+          </div>
+        </div>
+      )}
+
+      <div style={{marginTop:12}}>
+        <label style={muted}>Pegar JSON compartido (una plantilla o un paquete exportado)</label>
+        <textarea style={{...input, minHeight:70, fontFamily:'ui-monospace, monospace', fontSize:12}} value={pasted} onChange={e=>setPasted(e.target.value)} />
+        <button style={{...btn('outline'), marginTop:6}} disabled={!pasted.trim()} onClick={()=>importText(pasted)}>Importar pegado</button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,76 @@
+import React from 'react'
+import { card, input, btn, muted } from './ui.jsx'
+import { DEFAULT_WATCH_TABLE, cleanWatchTable } from './watches.js'
+
+const GRID = '2fr 120px 120px auto'
+
+// Tabla de relojes: valor de referencia de movimientos y cristales (EUR) y factor por marca
+export default function WatchTableEditor({ table, onChange, onClose }){
+  const patchRow = (list, i, changes)=> onChange({ ...table, [list]: table[list].map((r, j) => j === i ? { ...r, ...changes } : r) })
+  const removeRow = (list, i)=> onChange({ ...table, [list]: table[list].filter((_, j) => j !== i) })
+  const addRow = (list, row)=> onChange({ ...table, [list]: [...table[list], row] })
+  const normalize = ()=> onChange(cleanWatchTable(table))
+  const restore = ()=>{
+    if (window.confirm('¿Restaurar la tabla de relojes predefinida?')) onChange(cleanWatchTable(DEFAULT_WATCH_TABLE))
+  }
+
+  return (
+    <div style={card}>
+      <div style={{display:'flex', flexWrap:'wrap', gap:8, alignItems:'center', justifyContent:'space-between'}}>
+        <h2 style={{fontSize:18, margin:0}}>Tabla de relojes</h2>
+        <div style={{display:'flex', gap:8}}>
+          <button style={btn('outline')} onClick={restore}>Restaurar predefinida</button>
+          <button style={btn('outline')} onClick={onClose}>Cerrar</button>
+        </div>
+      </div>
+      <div style={{...muted, marginTop:6}}>
+        Valores en EUR de un calibre / cristal genérico. El movimiento se multiplica por el factor de la marca; los minutos de revisión alimentan la mano de obra sugerida.
+      </div>
+
+      <div style={{display:'grid', gap:6, marginTop:10}}>
+        <div style={{...muted, display:'grid', gridTemplateColumns:GRID, gap:8}}>
+          <span>Movimiento</span><span>Valor €</span><span>Revisión (min)</span><span />
+        </div>
+        {table.movements.map((r, i) => (
+          <div key={r.key} style={{display:'grid', gridTemplateColumns:GRID, gap:8, alignItems:'center'}}>
+            <input style={input} value={r.label} onChange={e=>patchRow('movements', i, { label: e.target.value })} onBlur={normalize} />
+            <input style={input} value={r.value} onChange={e=>patchRow('movements', i, { value: e.target.value })} onBlur={normalize} />
+            <input style={input} value={r.serviceMinutes} onChange={e=>patchRow('movements', i, { serviceMinutes: e.target.value })} onBlur={normalize} />
+            <button style={btn('outline')} disabled={table.movements.length < 2} onClick={()=>removeRow('movements', i)}>×</button>
+          </div>
+        ))}
+        <div><button style={btn()} onClick={()=>addRow('movements', { key: `mov_${Date.now().toString(36)}`, label: 'Nuevo movimiento', value: 100, serviceMinutes: 90 })}>+ Movimiento</button></div>
+      </div>
+
+      <div style={{display:'grid', gap:6, marginTop:12}}>
+        <div style={{...muted, display:'grid', gridTemplateColumns:GRID, gap:8}}>
+          <span>Cristal</span><span>Valor €</span><span /><span />
+        </div>
+        {table.crystals.map((r, i) => (
+          <div key={r.key} style={{display:'grid', gridTemplateColumns:GRID, gap:8, alignItems:'center'}}>
+            <input style={input} value={r.label} onChange={e=>patchRow('crystals', i, { label: e.target.value })} onBlur={normalize} />
+            <input style={input} value={r.value} onChange={e=>patchRow('crystals', i, { value: e.target.value })} onBlur={normalize} />
+            <span />
+            <button style={btn('outline')} disabled={table.crystals.length < 2} onClick={()=>removeRow('crystals', i)}>×</button>
+          </div>
+        ))}
+        <div><button style={btn()} onClick={()=>addRow('crystals', { key: `cry_${Date.now().toString(36)}`, label: 'Nuevo cristal', value: 10 })}>+ Cristal</button></div>
+      </div>
+
+      <div style={{display:'grid', gap:6, marginTop:12}}>
+        <div style={{...muted, display:'grid', gridTemplateColumns:GRID, gap:8}}>
+          <span>Marca</span><span>Factor movimiento</span><span /><span />
+        </div>
+        {table.brands.map((b, i) => (
+          <div key={i} style={{display:'grid', gridTemplateColumns:GRID, gap:8, alignItems:'center'}}>
+            <input style={input} value={b.brand} onChange={e=>patchRow('brands', i, { brand: e.target.value })} onBlur={normalize} />
+            <input style={input} value={b.factor} onChange={e=>patchRow('brands', i, { factor: e.target.value })} onBlur={normalize} />
+            <span />
+            <button style={btn('outline')} onClick={()=>removeRow('brands', i)}>×</button>
+          </div>
+        ))}
+        <div><button style={btn()} onClick={()=>addRow('brands', { brand: 'Nueva marca', factor: 1 })}>+ Marca</button></div>
+      </div>
+    </div>
+  )
+}
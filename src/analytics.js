@@ -0,0 +1,164 @@
+// ———————————————————————————————————————————————
+// Analítica del historial de tasaciones
+// ———————————————————————————————————————————————
+// Agregados sobre las entradas guardadas: sobreprecio (% sobre coste total)
+// por tipo de pieza y marca, evolución mensual, mediana del % de materiales
+// y casos de precio sospechoso. Solo se usan ratios, así que se pueden
+// mezclar entradas en distintas divisas. Cada grupo guarda los ids de sus
+// entradas para poder abrirlas desde el gráfico.
+
+const num = (v) => { const n = Number(v); return Number.isFinite(n) ? n : 0 }
+
+// Bandas del histograma de sobreprecio (límite superior incluido salvo el 0,
+// que separa los precios bajo coste; null = abierta)
+export const OVER_BUCKETS = [
+  { upTo: 0, label: '< 0 %' },
+  { upTo: 20, label: '0–20 %' },
+  { upTo: 40, label: '20–40 %' },
+  { upTo: 100, label: '40–100 %' },
+  { upTo: 200, label: '100–200 %' },
+  { upTo: 400, label: '200–400 %' },
+  { upTo: null, label: '> 400 %' },
+]
+
+const pricedPieces = (e) => e.pieces.filter(p => parseFloat(String(p.piecePrice ?? '').replace(',', '.')) > 0)
+
+// Coste frente al que se compara el precio. En los lotes solo el de las piezas
+// con precio (como su diagnóstico); los guardados sin pricedCost se recalculan
+export const comparableCost = (e) => {
+  if (Number.isFinite(e.pricedCost)) return e.pricedCost
+  if (!Array.isArray(e.pieces)) return num(e.totalCost)
+  return pricedPieces(e).reduce((a, p) => a + num(p.totalCost), 0)
+}
+
+// % de sobreprecio sobre el coste total; null si falta precio o coste
+export const overPct = (e) => {
+  const cost = comparableCost(e), price = num(e.piecePrice)
+  return cost > 0 && price > 0 ? ((price - cost) / cost) * 100 : null
+}
+
+// % de materiales sobre el precio (el guardado o recalculado); null sin precio.
+// En los lotes, como comparableCost, solo los materiales de las piezas con precio
+export const pctMaterials = (e) => {
+  const price = num(e.piecePrice)
+  if (!(price > 0)) return null
+  if (Array.isArray(e.pieces)) return (pricedPieces(e).reduce((a, p) => a + num(p.subtotalMaterials), 0) / price) * 100
+  return Number.isFinite(e.pctMaterials) && e.pctMaterials > 0 ? e.pctMaterials : (num(e.subtotalMaterials ?? e.subtotal) / price) * 100
+}
+
+// Precio por debajo del coste o diagnóstico de sospecha (cualquier política)
+export const isSuspicious = (e) => /sospechos/i.test(e.diagnosis || '') || (num(e.piecePrice) > 0 && num(e.piecePrice) < comparableCost(e))
+
+// Cuantil con interpolación lineal sobre valores ordenados
+export const quantile = (sorted, q) => {
+  if (!sorted.length) return null
+  const pos = (sorted.length - 1) * q
+  const lo = Math.floor(pos), hi = Math.ceil(pos)
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (pos - lo)
+}
+export const median = (values) => quantile([...values].sort((a, b) => a - b), 0.5)
+
+const spread = (values) => {
+  const s = values.filter(v => v != null).sort((a, b) => a - b)
+  return s.length ? { min: s[0], q1: quantile(s, 0.25), median: quantile(s, 0.5), q3: quantile(s, 0.75), max: s[s.length - 1] } : null
+}
+
+// Estadísticas de un conjunto de entradas
+const stats = (key, label, list) => {
+  const over = list.map(overPct).filter(v => v != null)
+  const mats = list.map(pctMaterials).filter(v => v != null)
+  const suspicious = list.filter(isSuspicious)
+  return {
+    key, label,
+    count: list.length,
+    priced: over.length,
+    over: spread(over),
+    medianPctMaterials: mats.length ? median(mats) : null,
+    suspicious: suspicious.length,
+    ids: list.map(e => e.id),
+    suspiciousIds: suspicious.map(e => e.id),
+  }
+}
+
+// Agrupa por keyFn(e) → [stats] ordenado por número de entradas
+export const groupStats = (entries, keyFn, labelFn = (k) => k) => {
+  const groups = new Map()
+  entries.forEach(e => {
+    const k = keyFn(e)
+    if (!groups.has(k)) groups.set(k, [])
+    groups.get(k).push(e)
+  })
+  return [...groups.entries()]
+    .map(([k, list]) => stats(k, labelFn(k), list))
+    .sort((a, b) => b.count - a.count || String(a.label).localeCompare(String(b.label)))
+}
+
+// Histograma de sobreprecio con los ids de cada banda
+export const overHistogram = (entries) => {
+  const bins = OVER_BUCKETS.map(b => ({ ...b, count: 0, ids: [] }))
+  entries.forEach(e => {
+    const v = overPct(e)
+    if (v == null) return
+    const bin = bins.find(b => b.upTo == null || (b.upTo === 0 ? v < 0 : v <= b.upTo))
+    bin.count++; bin.ids.push(e.id)
+  })
+  return bins
+}
+
+// Clave de periodo: 'YYYY-MM' (month) o 'YYYY-Www' (week, ISO)
+export const periodKey = (ts, bucket = 'month') => {
+  const d = new Date(ts)
+  if (Number.isNaN(d.getTime())) return ''
+  if (bucket !== 'week') return d.toISOString().slice(0, 7)
+  const t = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()))
+  const day = t.getUTCDay() || 7
+  t.setUTCDate(t.getUTCDate() + 4 - day)
+  const week = Math.ceil(((t - Date.UTC(t.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7)
+  return `${t.getUTCFullYear()}-W${String(week).padStart(2, '0')}`
+}
+
+// Evolución por periodo, en orden cronológico
+export const trend = (entries, { bucket = 'month' } = {}) =>
+  groupStats(entries.filter(e => periodKey(e.ts, bucket)), e => periodKey(e.ts, bucket))
+    .sort((a, b) => a.key.localeCompare(b.key))
+
+// pieceTypes: etiquetas de los tipos de pieza
+export const summarize = (entries = [], { pieceTypes = {}, bucket = 'month' } = {}) => {
+  const all = stats('all', 'Todas', entries)
+  return {
+    total: all.count,
+    priced: all.priced,
+    over: all.over,
+    medianPctMaterials: all.medianPctMaterials,
+    suspicious: { count: all.suspicious, ids: all.suspiciousIds },
+    histogram: overHistogram(entries),
+    byType: groupStats(entries, e => e.pieceType || '', k => pieceTypes[k] || k || 'Sin tipo'),
+    byBrand: groupStats(entries, e => String(e.brand || '').trim().toLowerCase(), k => entries.find(e => String(e.brand || '').trim().toLowerCase() === k)?.brand.trim() || 'Sin marca'),
+    trend: trend(entries, { bucket }),
+  }
+}
+
+// Cifras agregadas para exportar (una fila por grupo)
+export const analyticsRows = (summary, { fmt = (n, d = 1) => n.toFixed(d) } = {}) => {
+  const f = (v) => v == null ? '' : fmt(v, 1)
+  const row = (dimension, g) => ({
+    Dimension: dimension,
+    Grupo: g.label,
+    Tasaciones: g.count,
+    ConPrecio: g.priced,
+    SobreprecioMin: f(g.over?.min),
+    SobreprecioQ1: f(g.over?.q1),
+    SobreprecioMediana: f(g.over?.median),
+    SobreprecioQ3: f(g.over?.q3),
+    SobreprecioMax: f(g.over?.max),
+    MedianaPctMateriales: f(g.medianPctMaterials),
+    Sospechosos: g.suspicious,
+  })
+  return [
+    row('Total', { label: 'Todas', count: summary.total, priced: summary.priced, over: summary.over, medianPctMaterials: summary.medianPctMaterials, suspicious: summary.suspicious.count }),
+    ...summary.byType.map(g => row('Tipo de pieza', g)),
+    ...summary.byBrand.map(g => row('Marca', g)),
+    ...summary.trend.map(g => row('Periodo', g)),
+    ...summary.histogram.map(b => ({ Dimension: 'Histograma sobreprecio', Grupo: b.label, Tasaciones: b.count, ConPrecio: b.count, SobreprecioMin: '', SobreprecioQ1: '', SobreprecioMediana: '', SobreprecioQ3: '', SobreprecioMax: '', MedianaPctMateriales: '', Sospechosos: '' })),
+  ]
+}
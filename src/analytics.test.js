@@ -0,0 +1,63 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { summarize, overPct, isSuspicious, pctMaterials, overHistogram, periodKey, quantile, analyticsRows } from './analytics.js'
+
+const entry = (id, patch) => ({ id, ts: '2025-03-10T10:00:00.000Z', pieceType: 'anillo', brand: '', subtotalMaterials: 50, totalCost: 100, piecePrice: 0, diagnosis: '', ...patch })
+
+const entries = [
+  entry('a', { piecePrice: 150, diagnosis: 'Razonable', brand: 'Tous' }),
+  entry('b', { piecePrice: 300, diagnosis: 'Caro', brand: 'tous ' }),
+  entry('c', { piecePrice: 80, diagnosis: 'Precio sospechoso', pieceType: 'collar', ts: '2025-04-02T10:00:00.000Z' }),
+  entry('d', { pieceType: 'collar', ts: '2025-04-20T10:00:00.000Z' }),
+]
+
+test('overPct e isSuspicious: sobreprecio y precios sospechosos', () => {
+  assert.equal(overPct(entries[0]), 50)
+  assert.equal(overPct(entries[3]), null)
+  assert.equal(isSuspicious(entries[2]), true)
+  assert.equal(isSuspicious(entry('x', { piecePrice: 90 })), true)
+  assert.equal(isSuspicious(entries[0]), false)
+})
+
+test('lotes: el precio se compara con el coste y los materiales de las piezas con precio', () => {
+  const pieces = [{ subtotalMaterials: 60, totalCost: 100, piecePrice: '150' }, { subtotalMaterials: 300, totalCost: 400, piecePrice: '' }]
+  const lot = entry('L', { kind: 'lot', pieceType: 'lote', pieces, subtotalMaterials: 360, pctMaterials: 240, totalCost: 500, piecePrice: 150, pricedCost: 100, diagnosis: 'Razonable' })
+  assert.equal(overPct(lot), 50)
+  assert.equal(pctMaterials(lot), 40)
+  assert.equal(isSuspicious(lot), false)
+  // Lotes guardados antes de pricedCost: se deduce de las piezas
+  const { pricedCost, ...legacy } = lot
+  assert.equal(overPct(legacy), 50)
+  assert.equal(isSuspicious(legacy), false)
+})
+
+test('quantile interpola y el histograma guarda los ids de cada banda', () => {
+  assert.equal(quantile([0, 10, 20, 30], 0.5), 15)
+  const bins = overHistogram(entries)
+  assert.deepEqual(bins.find(b => b.upTo === 0).ids, ['c'])
+  assert.deepEqual(bins.find(b => b.upTo === 100).ids, ['a'])
+  assert.deepEqual(bins.find(b => b.upTo === 200).ids, ['b'])
+})
+
+test('summarize agrupa por tipo de pieza, marca y mes', () => {
+  const s = summarize(entries, { pieceTypes: { anillo: 'Anillo', collar: 'Collar' } })
+  assert.equal(s.total, 4)
+  assert.equal(s.priced, 3)
+  assert.equal(s.over.median, 50)
+  assert.deepEqual(s.suspicious.ids, ['c'])
+  const anillo = s.byType.find(g => g.key === 'anillo')
+  assert.equal(anillo.label, 'Anillo')
+  assert.equal(anillo.over.median, 125)
+  assert.equal(s.byBrand.find(g => g.key === 'tous').count, 2)
+  assert.equal(s.byBrand.find(g => g.key === '').label, 'Sin marca')
+  assert.deepEqual(s.trend.map(p => [p.key, p.count]), [['2025-03', 2], ['2025-04', 2]])
+  assert.equal(periodKey('2025-01-01T12:00:00Z', 'week'), '2025-W01')
+})
+
+test('analyticsRows exporta los totales y todos los grupos', () => {
+  const rows = analyticsRows(summarize(entries))
+  assert.equal(rows[0].Dimension, 'Total')
+  assert.equal(rows[0].SobreprecioMediana, '50.0')
+  assert.ok(rows.some(r => r.Dimension === 'Marca' && r.Grupo === 'Tous'))
+  assert.ok(rows.some(r => r.Dimension === 'Periodo' && r.Grupo === '2025-04'))
+})
@@ -0,0 +1,86 @@
+// ———————————————————————————————————————————————
+// Registro de cambios (auditoría) de una tasación
+// ———————————————————————————————————————————————
+// Cada cambio del editor queda como { at, who, action, field, label, from, to }
+// y se guarda con la entrada del historial (entry.audit). La edición continua
+// de un mismo campo se agrupa en un registro que conserva el valor inicial.
+
+import { readJSON, writeJSON } from './storage.js'
+
+export const AUDIT_LIMIT = 1000
+export const AUDIT_WINDOW_MS = 5000
+export const AUDIT_AUTHOR_KEY = 'safire_audit_author_v1'
+
+export const loadAuditAuthor = () => String(readJSON(AUDIT_AUTHOR_KEY, '') || '')
+export const saveAuditAuthor = (name) => writeJSON(AUDIT_AUTHOR_KEY, String(name || ''), 'el nombre del tasador')
+
+const FIELD_LABELS = {
+  pieceType: 'Tipo de pieza', brand: 'Marca', model: 'Modelo', mode: 'Modo',
+  complexity: 'Complejidad', laborOverride: 'Mano de obra (importe)', operations: 'Operaciones',
+  laborDismissed: 'Sugerencias quitadas', piecePrice: 'Precio de la pieza', currency: 'Divisa',
+  watch: 'Reloj', photos: 'Fotos de la pieza',
+}
+const LINE_LABELS = {
+  materialKey: 'Material', mode: 'Método', weightVal: 'Peso', weightUnit: 'Unidad', qty: 'Unidades',
+  unitPrice: 'Precio unitario', density: 'Densidad', alias: 'Alias', shape: 'Forma', girdle: 'Rondís',
+  construction: 'Construcción', wallMM: 'Pared (mm)', innerDiameterMM: 'Ø interior (mm)',
+  layerMicrons: 'Capa (µm)', layerFraction: 'Capa (fracción)', baseMaterialKey: 'Metal base',
+  baseUnitPrice: 'Precio base', lengthMM: 'Largo (mm)', widthMM: 'Ancho (mm)', heightMM: 'Alto (mm)',
+  diameterMM: 'Diámetro (mm)', depthMM: 'Profundidad (mm)', volumeCM3: 'Volumen (cm³)',
+  grade: 'Calidad', setting: 'Engaste', component: 'Componente', photos: 'Fotos',
+}
+
+// Valor legible para el registro
+const display = (key, v) => {
+  if (v == null) return ''
+  if (key === 'photos') return `${v.length} ${v.length === 1 ? 'foto' : 'fotos'}`
+  if (key === 'operations') return v.map(o => `${o.label} × ${o.qty}`).join(', ')
+  if (Array.isArray(v)) return v.join(', ')
+  if (typeof v === 'object') return Object.entries(v).filter(([, x]) => x !== '' && x != null).map(([k, x]) => `${k}: ${x}`).join(', ')
+  return String(v)
+}
+const same = (a, b) => a === b || JSON.stringify(a ?? '') === JSON.stringify(b ?? '')
+
+// Cambios campo a campo entre dos instantáneas del editor; las líneas se
+// emparejan por id → [{ field, label, from, to }]
+export const diffStates = (before = {}, after = {}) => {
+  const out = []
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(k => k !== 'lines')
+  keys.forEach(k => {
+    if (!same(before[k], after[k])) out.push({ field: k, label: FIELD_LABELS[k] || k, from: display(k, before[k]), to: display(k, after[k]) })
+  })
+  const prev = new Map((before.lines || []).map((ln, i) => [ln.id, { ln, i }]))
+  const next = after.lines || []
+  next.forEach((ln, i) => {
+    const tag = `Línea ${i + 1}`
+    const old = prev.get(ln.id)?.ln
+    if (!old) { out.push({ field: `lines.${ln.id}`, label: `${tag} añadida`, from: '', to: ln.materialKey }); return }
+    prev.delete(ln.id)
+    Object.keys({ ...old, ...ln }).filter(k => k !== 'id' && !same(old[k], ln[k])).forEach(k => {
+      out.push({ field: `lines.${ln.id}.${k}`, label: `${tag} · ${LINE_LABELS[k] || k}`, from: display(k, old[k]), to: display(k, ln[k]) })
+    })
+  })
+  prev.forEach(({ ln, i }) => out.push({ field: `lines.${ln.id}`, label: `Línea ${i + 1} eliminada`, from: ln.materialKey, to: '' }))
+  return out
+}
+
+export const auditRecords = (changes, { who = '', action = '', at = new Date().toISOString() } = {}) =>
+  changes.map(c => ({ at, who, action, ...c }))
+
+// Añade registros al log. Un cambio suelto del mismo campo, autor y acción
+// dentro de AUDIT_WINDOW_MS actualiza el anterior (si vuelve al valor inicial, se quita).
+export const appendAudit = (log = [], records = [], { windowMs = AUDIT_WINDOW_MS, limit = AUDIT_LIMIT } = {}) => {
+  const last = log[log.length - 1]
+  const [r] = records
+  if (records.length === 1 && last && last.field === r.field && last.who === r.who && last.action === r.action &&
+      Date.parse(r.at) - Date.parse(last.at) < windowMs) {
+    const merged = { ...last, at: r.at, to: r.to }
+    return merged.from === merged.to ? log.slice(0, -1) : [...log.slice(0, -1), merged]
+  }
+  return [...log, ...records].slice(-limit)
+}
+
+// Filas CSV del log
+export const auditRows = (log = []) => log.map(r => ({
+  Fecha: r.at, Autor: r.who || '', Accion: r.action || '', Campo: r.label, Antes: r.from, Despues: r.to,
+}))
@@ -0,0 +1,38 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { diffStates, auditRecords, appendAudit, auditRows } from './audit.js'
+
+const before = {
+  brand: 'Tous', photos: [],
+  lines: [
+    { id: 'l1', materialKey: 'gold_18k', weightVal: '5', grade: null },
+    { id: 'l2', materialKey: 'diamond', weightVal: '0.5' },
+  ],
+}
+
+test('diffStates lista los campos cambiados, líneas añadidas y eliminadas', () => {
+  const after = {
+    brand: 'Cartier', photos: ['ph_1'],
+    lines: [{ id: 'l1', materialKey: 'gold_18k', weightVal: '5.2', grade: null }, { id: 'l3', materialKey: 'silver_925' }],
+  }
+  assert.deepEqual(diffStates(before, after).map(c => [c.label, c.from, c.to]), [
+    ['Marca', 'Tous', 'Cartier'],
+    ['Fotos de la pieza', '0 fotos', '1 foto'],
+    ['Línea 1 · Peso', '5', '5.2'],
+    ['Línea 2 añadida', '', 'silver_925'],
+    ['Línea 2 eliminada', 'diamond', ''],
+  ])
+  assert.deepEqual(diffStates(before, before), [])
+})
+
+test('appendAudit agrupa la edición continua de un campo', () => {
+  const edit = (weightVal, at) => auditRecords(diffStates(before, { ...before, lines: [{ ...before.lines[0], weightVal }, before.lines[1]] }), { who: 'AG', action: 'Edición', at })
+  let log = appendAudit([], edit('5.', '2025-01-01T10:00:00.000Z'))
+  log = appendAudit(log, edit('5.2', '2025-01-01T10:00:02.000Z'))
+  assert.equal(log.length, 1)
+  assert.deepEqual([log[0].from, log[0].to, log[0].at], ['5', '5.2', '2025-01-01T10:00:02.000Z'])
+  // Pasada la ventana, registro nuevo
+  log = appendAudit(log, edit('6', '2025-01-01T10:01:00.000Z'))
+  assert.equal(log.length, 2)
+  assert.deepEqual(auditRows(log)[0], { Fecha: '2025-01-01T10:00:02.000Z', Autor: 'AG', Accion: 'Edición', Campo: 'Línea 1 · Peso', Antes: '5', Despues: '5.2' })
+})
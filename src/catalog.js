@@ -0,0 +1,183 @@
+// ———————————————————————————————————————————————
+// Catálogo de materiales único
+// ———————————————————————————————————————————————
+// Materiales base editables + personalizados en una sola lista guardada.
+// Los base solo se archivan (dejan de ofrecerse pero las tasaciones que los
+// usan siguen valorándose); los personalizados se pueden eliminar si ninguna
+// tasación guardada los referencia. defaultPrice está en EUR por unidad y es
+// el último recurso del precio automático (tras matriz, catálogo y spot).
+
+import { FINE_METALS } from './prices.js'
+import { writeJSON } from './storage.js'
+
+export const MATERIALS_KEY = 'safire_materials_v1'
+export const LEGACY_CUSTOM_KEY = 'safire_custom_materials_v1'
+export const MATERIALS_FORMAT = 'safire-materials'
+
+export const MATERIAL_KINDS = { metal: 'Metal', stone: 'Piedra', other: 'Otro' }
+export const MATERIAL_UNITS = { '€/g': 'g', '€/ct': 'ct', '€/ud': 'ud', '€/cm3': 'cm³' }
+// Unidades válidas por categoría (los metales se pesan siempre en gramos)
+export const KIND_UNITS = { metal: ['€/g'], stone: ['€/ct', '€/ud'], other: ['€/g', '€/ct', '€/ud', '€/cm3'] }
+
+const metal = (key, label, density, fine = {}) => ({ key, label, kind: 'metal', unit: '€/g', density, ...fine })
+const stone = (key, label, density) => ({ key, label, kind: 'stone', unit: '€/ct', density })
+const other = (key, label, density) => ({ key, label, kind: 'other', unit: '€/ud', density })
+
+// aliases: nombres con los que se guardaron en el asistente v22 (wizard.js)
+export const BASE_MATERIALS = [
+  metal('gold_24k', 'Oro 24k', 19.32, { metal: 'gold', purity: 999 }),
+  metal('gold_22k', 'Oro 22k', 17.7, { metal: 'gold', purity: 916 }),
+  metal('gold_18k', 'Oro 18k', 15.6, { metal: 'gold', purity: 750 }),
+  metal('gold_14k', 'Oro 14k', 13.1, { metal: 'gold', purity: 585 }),
+  metal('gold_12k', 'Oro 12k', 12.3, { metal: 'gold', purity: 500 }),
+  metal('gold_10k', 'Oro 10k', 11.6, { metal: 'gold', purity: 417 }),
+  metal('gold_9k', 'Oro 9k', 11.0, { metal: 'gold', purity: 375 }),
+  metal('silver_925', 'Plata 925', 10.36, { metal: 'silver', purity: 925 }),
+  metal('silver_835', 'Plata 835', 10.2, { metal: 'silver', purity: 835 }),
+  metal('silver_800', 'Plata 800', 10.13, { metal: 'silver', purity: 800 }),
+  metal('platinum_950', 'Platino 950', 21.45, { metal: 'platinum', purity: 950, aliases: ['Platino'] }),
+  metal('platinum_900', 'Platino 900', 21.5, { metal: 'platinum', purity: 900 }),
+  metal('palladium', 'Paladio', 12.0, { metal: 'palladium', purity: 1000 }),
+  metal('palladium_950', 'Paladio 950', 11.9, { metal: 'palladium', purity: 950 }),
+  metal('palladium_500', 'Paladio 500', 11.2, { metal: 'palladium', purity: 500 }),
+  metal('titanium', 'Titanio', 4.5),
+  metal('steel_316L', 'Acero 316L', 8.0),
+  metal('brass', 'Latón', 8.5),
+  stone('diamond', 'Diamante', 3.52),
+  stone('ruby', 'Rubí', 4.0),
+  stone('sapphire', 'Zafiro', 4.0),
+  stone('emerald', 'Esmeralda', 2.7),
+  stone('amethyst', 'Amatista', 2.65),
+  stone('topaz', 'Topacio', 3.55),
+  stone('pearl', 'Perla', 2.7),
+  other('ceramic', 'Cerámica', 2.4),
+  other('nacre', 'Nácar', 2.7),
+  other('crystal', 'Cristal', 2.5),
+  metal('other_metal', 'Otro metal', 7.8),
+  stone('other_mineral', 'Otro mineral', 2.7),
+  other('other_material', 'Otro material', 2.7),
+]
+const BASE_KEYS = new Set(BASE_MATERIALS.map(m => m.key))
+export const isBaseMaterial = (key) => BASE_KEYS.has(key)
+
+const num = (v) => { const n = parseFloat(String(v ?? '').replace(',', '.')); return Number.isFinite(n) ? n : null }
+const kindFromUnit = (unit) => unit === '€/g' ? 'metal' : unit === '€/ct' ? 'stone' : 'other'
+
+export const newMaterialKey = () => `custom_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 5)}`
+
+// Errores de validación de un material frente al resto del catálogo ([] = válido)
+export const materialErrors = (m, catalog = []) => {
+  const errors = []
+  const label = String(m?.label || '').trim()
+  if (!label) errors.push('Falta el nombre')
+  if (!m?.key) errors.push('Falta la clave')
+  if (catalog.some(x => x.key !== m?.key && x.label.trim().toLowerCase() === label.toLowerCase())) errors.push(`Ya existe un material llamado "${label}"`)
+  const kind = m?.kind in MATERIAL_KINDS ? m.kind : null
+  if (!kind) errors.push('Categoría no válida')
+  if (!(m?.unit in MATERIAL_UNITS)) errors.push(`Unidad no válida: ${m?.unit}`)
+  else if (kind && !KIND_UNITS[kind].includes(m.unit)) errors.push(`Un material de categoría ${MATERIAL_KINDS[kind].toLowerCase()} no se valora en ${m.unit}`)
+  const density = num(m?.density)
+  if (m?.unit !== '€/ud' && !(density > 0 && density < 25)) errors.push('La densidad debe estar entre 0 y 25 g/cm³')
+  const purity = num(m?.purity)
+  if (String(m?.purity ?? '').trim() !== '' && !(purity > 0 && purity <= 1000)) errors.push('La ley debe estar entre 1 y 1000 ‰')
+  if (m?.metal && !(m.metal in FINE_METALS)) errors.push(`Metal fino desconocido: ${m.metal}`)
+  if (m?.metal && kind !== 'metal') errors.push('Solo los metales tienen metal fino')
+  if (m?.metal && !(purity > 0)) errors.push('Indica la ley del metal fino')
+  const price = num(m?.defaultPrice)
+  if (String(m?.defaultPrice ?? '').trim() !== '' && !(price >= 0)) errors.push('Precio por defecto no válido')
+  return errors
+}
+
+// Normaliza un material guardado, importado o de la versión anterior ({ key, label, unit, density })
+export const cleanMaterial = (m = {}) => {
+  const unit = m.unit in MATERIAL_UNITS ? m.unit : '€/g'
+  const kind = m.kind in MATERIAL_KINDS ? m.kind : kindFromUnit(unit)
+  const purity = num(m.purity)
+  const price = num(m.defaultPrice)
+  return {
+    key: String(m.key || newMaterialKey()),
+    label: String(m.label || '').trim(),
+    kind,
+    unit,
+    density: num(m.density) ?? 0,
+    metal: kind === 'metal' && m.metal in FINE_METALS ? m.metal : '',
+    purity: kind === 'metal' && purity > 0 ? purity : null,
+    defaultPrice: price != null && price >= 0 ? price : null,
+    aliases: Array.isArray(m.aliases) ? m.aliases.map(String) : [],
+    archived: Boolean(m.archived),
+    base: isBaseMaterial(m.key),
+  }
+}
+
+// Lista guardada + materiales base que falten (nuevos en esta versión)
+export const mergeWithBase = (stored = []) => {
+  const list = stored.map(cleanMaterial)
+  const keys = new Set(list.map(m => m.key))
+  return [...list, ...BASE_MATERIALS.filter(m => !keys.has(m.key)).map(cleanMaterial)]
+}
+
+export const loadMaterials = (storage = globalThis.localStorage) => {
+  try {
+    const raw = storage?.getItem(MATERIALS_KEY)
+    if (raw) return mergeWithBase(JSON.parse(raw))
+    // Primera vez: base + los personalizados que se añadían con prompt()
+    const legacy = JSON.parse(storage?.getItem(LEGACY_CUSTOM_KEY) || '[]')
+    return mergeWithBase([...BASE_MATERIALS, ...(Array.isArray(legacy) ? legacy : [])])
+  } catch { return mergeWithBase([]) }
+}
+
+export const saveMaterials = (list) => writeJSON(MATERIALS_KEY, list, 'el catálogo de materiales')
+
+export const activeMaterials = (list) => list.filter(m => !m.archived)
+
+// Opciones de un selector: activos + el archivado que ya use la línea
+export const materialOptions = (list, currentKey) => list.filter(m => !m.archived || m.key === currentKey)
+
+// Busca por clave, nombre o alias (sin distinguir mayúsculas)
+export const findMaterial = (list, name) => {
+  const s = String(name || '').trim().toLowerCase()
+  return list.find(m => m.key === name) || list.find(m => m.label.toLowerCase() === s || m.aliases.some(a => a.toLowerCase() === s)) || null
+}
+
+// Tasaciones guardadas que usan el material (como material o como metal base);
+// en los lotes, las líneas de cada pieza
+export const materialReferences = (entries = [], key) =>
+  entries.filter(e => [...(e.lines || []), ...(e.pieces || []).flatMap(p => p.lines || [])].some(ln => ln.materialKey === key || ln.baseMaterialKey === key))
+
+// Eliminar: solo personalizados y sin tasaciones que los usen; si no, archivar
+export const deleteMaterial = (list, key, entries = []) => {
+  if (isBaseMaterial(key)) throw new Error('Los materiales base no se eliminan; archívalos para ocultarlos')
+  const refs = materialReferences(entries, key)
+  if (refs.length) throw new Error(`Lo usan ${refs.length} tasaciones guardadas; archívalo en lugar de eliminarlo`)
+  return list.filter(m => m.key !== key)
+}
+
+export const exportMaterialsJSON = (list) => JSON.stringify({
+  format: MATERIALS_FORMAT, version: 1, exportedAt: new Date().toISOString(),
+  materials: list.map(({ base, ...m }) => m),
+}, null, 2)
+
+// Archivo exportado o lista simple → materiales validados (error con su posición)
+export const parseMaterialsFile = (text) => {
+  let data
+  try { data = JSON.parse(String(text).replace(/^\uFEFF/, '')) } catch { throw new Error('El archivo no es JSON válido') }
+  const items = Array.isArray(data) ? data : data?.format === MATERIALS_FORMAT ? data.materials : null
+  if (!Array.isArray(items)) throw new Error('No es un catálogo de materiales de Safire')
+  const list = items.map(cleanMaterial)
+  list.forEach((m, i) => {
+    const errors = materialErrors(m, list.slice(0, i))
+    if (errors.length) throw new Error(`Material ${i + 1} (${m.label || m.key}): ${errors.join('; ')}`)
+  })
+  return list
+}
+
+// Importación: sustituye por clave y añade los nuevos (sin nombres repetidos)
+export const mergeMaterials = (current, incoming) => {
+  const byKey = new Map(incoming.map(m => [m.key, m]))
+  const next = [...current.map(m => byKey.get(m.key) || m), ...incoming.filter(m => !current.some(x => x.key === m.key))]
+  incoming.forEach(m => {
+    const errors = materialErrors(m, next)
+    if (errors.length) throw new Error(`${m.label || m.key}: ${errors.join('; ')}`)
+  })
+  return next
+}
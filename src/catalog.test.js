@@ -0,0 +1,60 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { BASE_MATERIALS, MATERIALS_KEY, LEGACY_CUSTOM_KEY, cleanMaterial, materialErrors, loadMaterials, findMaterial, deleteMaterial, exportMaterialsJSON, parseMaterialsFile, mergeMaterials } from './catalog.js'
+import { spotPriceFor } from './prices.js'
+import { calcLine } from './valuation.js'
+
+const memoryStorage = (data = {}) => ({ getItem: k => data[k] ?? null, setItem: (k, v) => { data[k] = v } })
+const base = BASE_MATERIALS.map(cleanMaterial)
+
+test('loadMaterials migra los personalizados antiguos y añade los base que falten', () => {
+  const legacy = memoryStorage({ [LEGACY_CUSTOM_KEY]: JSON.stringify([{ key: 'custom_1', label: 'Ónix', unit: '€/ct', density: 2.6 }]) })
+  const list = loadMaterials(legacy)
+  assert.equal(list.length, BASE_MATERIALS.length + 1)
+  assert.deepEqual([list.at(-1).kind, list.at(-1).base], ['stone', false])
+
+  const stored = memoryStorage({ [MATERIALS_KEY]: JSON.stringify([{ ...BASE_MATERIALS[0], density: 19, archived: true }]) })
+  const next = loadMaterials(stored)
+  assert.equal(next.length, BASE_MATERIALS.length)
+  assert.deepEqual([next[0].density, next[0].archived, next[0].base], [19, true, true])
+})
+
+test('materialErrors valida nombre único, unidad por categoría, densidad y ley', () => {
+  assert.deepEqual(materialErrors(base[1], base), [])
+  const bad = { ...cleanMaterial({ label: 'oro 18K', kind: 'metal', unit: '€/ct' }), density: 40, purity: 1200, metal: 'gold' }
+  const errors = materialErrors(bad, base)
+  assert.ok(errors.some(e => /Ya existe/.test(e)))
+  assert.ok(errors.some(e => /no se valora en €\/ct/.test(e)))
+  assert.ok(errors.some(e => /densidad/.test(e)))
+  assert.ok(errors.some(e => /ley/.test(e)))
+  // Las piezas (€/ud) no necesitan densidad
+  assert.deepEqual(materialErrors(cleanMaterial({ label: 'Broche', kind: 'other', unit: '€/ud' }), base), [])
+})
+
+test('deleteMaterial protege los base y los usados por tasaciones guardadas', () => {
+  const custom = cleanMaterial({ key: 'custom_x', label: 'Coral', kind: 'stone', unit: '€/ct', density: 2.65 })
+  const list = [...base, custom]
+  assert.throws(() => deleteMaterial(list, 'gold_18k'), /base/)
+  assert.throws(() => deleteMaterial(list, 'custom_x', [{ lines: [{ materialKey: 'custom_x' }] }]), /1 tasaciones/)
+  assert.throws(() => deleteMaterial(list, 'custom_x', [{ lines: [{ materialKey: 'gold_18k', baseMaterialKey: 'custom_x' }] }]))
+  assert.equal(deleteMaterial(list, 'custom_x', []).length, base.length)
+})
+
+test('exportar e importar el catálogo conserva los materiales y rechaza inválidos', () => {
+  const edited = base.map(m => m.key === 'gold_9k' ? { ...m, defaultPrice: 22 } : m)
+  const parsed = parseMaterialsFile(exportMaterialsJSON(edited))
+  assert.equal(parsed.find(m => m.key === 'gold_9k').defaultPrice, 22)
+  assert.deepEqual(mergeMaterials(base, parsed.slice(0, 1)).length, base.length)
+  assert.throws(() => parseMaterialsFile('[{"label":"X","unit":"€/g","density":99}]'), /Material 1/)
+  assert.throws(() => mergeMaterials(base, [cleanMaterial({ key: 'custom_y', label: 'Oro 18k', kind: 'metal', density: 15 })]), /Ya existe/)
+})
+
+test('alias, ley propia para el spot y unidad por pieza', () => {
+  assert.equal(findMaterial(base, 'Platino').key, 'platinum_950')
+  const nineK = base.find(m => m.key === 'gold_9k')
+  assert.equal(spotPriceFor('gold_9k', { spots: { gold: 80 } }, nineK), 30)
+  assert.equal(spotPriceFor('gold_18k', { spots: { gold: 80 } }), 60)
+  const ceramic = base.find(m => m.key === 'ceramic')
+  const part = calcLine({ materialKey: 'ceramic', weightVal: '3', unitPrice: '5', mode: 'dimensions' }, { materials: [ceramic] })
+  assert.deepEqual([part.matUnit, part.effW, part.cost], ['ud', 3, 15])
+})
@@ -0,0 +1,103 @@
+// ———————————————————————————————————————————————
+// Construcción de líneas metálicas (macizo, hueco, tubo, chapado, relleno)
+// ———————————————————————————————————————————————
+// Medidas en mm, volúmenes en cm³. Hueco y tubo reducen el volumen de metal;
+// chapado y relleno reparten el peso entre una capa noble (precio de la
+// línea) y un metal base que se valora por separado.
+
+export const CONSTRUCTIONS = {
+  solid: { label: 'Macizo' },
+  hollow: { label: 'Hueco (grosor de pared)' },
+  tube: { label: 'Tubo / aro (diámetro interior)' },
+  plated: { label: 'Chapado (micras sobre base)', layered: true },
+  filled: { label: 'Relleno / doublé (fracción)', layered: true },
+}
+export const DEFAULT_BASE_DENSITY = 8.5 // latón
+
+export const isLayered = (construction) => Boolean(CONSTRUCTIONS[construction]?.layered)
+
+const num = (v) => { const n = parseFloat(String(v ?? '')); return Number.isFinite(n) ? n : 0 }
+
+// "1/20", "5%", "0.05" o "5" (porcentaje) → 0.05
+export const parseFraction = (v) => {
+  const s = String(v ?? '').trim().replace(/,/g, '.')
+  if (!s) return 0
+  const ratio = /^(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)$/.exec(s)
+  const f = ratio ? num(ratio[1]) / num(ratio[2]) : s.endsWith('%') || num(s) > 1 ? num(s) / 100 : num(s)
+  return Number.isFinite(f) && f > 0 && f <= 1 ? f : 0
+}
+
+// Volumen macizo de la forma (cm³)
+export const solidVolumeCM3 = (ln) => {
+  if (ln.shape === 'box') return Math.max(0, num(ln.lengthMM) * num(ln.widthMM) * num(ln.heightMM) / 1000)
+  if (ln.shape === 'cylinder') return Math.max(0, Math.PI * (num(ln.diameterMM) / 2) ** 2 * num(ln.heightMM) / 1000)
+  if (ln.shape === 'volume') return Math.max(0, num(ln.volumeCM3))
+  return 0
+}
+
+// Superficie exterior (mm²); 0 si la forma no la define
+export const surfaceAreaMM2 = (ln) => {
+  if (ln.shape === 'box') {
+    const l = num(ln.lengthMM), w = num(ln.widthMM), h = num(ln.heightMM)
+    return 2 * (l * w + l * h + w * h)
+  }
+  if (ln.shape === 'cylinder') {
+    const r = num(ln.diameterMM) / 2
+    return 2 * Math.PI * r * r + 2 * Math.PI * r * num(ln.heightMM)
+  }
+  return 0
+}
+
+// Volumen de metal según la construcción (hueco/tubo); el resto, macizo
+export const metalVolumeCM3 = (ln) => {
+  const solid = solidVolumeCM3(ln)
+  if (ln.construction === 'hollow') {
+    const t = num(ln.wallMM)
+    if (t <= 0) return solid
+    if (ln.shape === 'box') {
+      const inner = Math.max(0, num(ln.lengthMM) - 2*t) * Math.max(0, num(ln.widthMM) - 2*t) * Math.max(0, num(ln.heightMM) - 2*t) / 1000
+      return solid - inner
+    }
+    if (ln.shape === 'cylinder') {
+      const r = Math.max(0, num(ln.diameterMM) / 2 - t)
+      return solid - Math.PI * r * r * Math.max(0, num(ln.heightMM) - 2*t) / 1000
+    }
+  }
+  if (ln.construction === 'tube' && ln.shape === 'cylinder') {
+    const d = Math.min(num(ln.innerDiameterMM), num(ln.diameterMM))
+    return solid - Math.PI * (d / 2) ** 2 * num(ln.heightMM) / 1000
+  }
+  return solid
+}
+
+// Líneas chapadas o rellenas → { preciousG, baseG } por unidad.
+// weightG: peso total conocido (modo peso) o null para calcularlo por medidas.
+export const layeredGrams = (ln, { preciousDensity, baseDensity = DEFAULT_BASE_DENSITY, weightG = null }) => {
+  if (ln.construction === 'filled') {
+    const f = parseFraction(ln.layerFraction)
+    // Densidad de la mezcla a partir de la fracción en peso
+    const mix = f > 0 ? 1 / (f / preciousDensity + (1 - f) / baseDensity) : baseDensity
+    const total = weightG ?? metalVolumeCM3(ln) * mix
+    return { preciousG: total * f, baseG: total * (1 - f) }
+  }
+  // Chapado: capa = superficie × grosor (solo con medidas)
+  if (weightG != null) return { preciousG: 0, baseG: weightG }
+  const vol = solidVolumeCM3(ln)
+  const layer = Math.min(vol, surfaceAreaMM2(ln) * (num(ln.layerMicrons) / 1000) / 1000)
+  return { preciousG: layer * preciousDensity, baseG: (vol - layer) * baseDensity }
+}
+
+// Avisos de datos incoherentes (índice de línea ya resuelto por el llamante)
+export const constructionIssues = (ln, { dimensions }) => {
+  const issues = []
+  const c = ln.construction || 'solid'
+  if (c === 'hollow' && dimensions && num(ln.wallMM) <= 0) issues.push('falta el grosor de pared')
+  if (c === 'hollow' && dimensions && ln.shape === 'volume') issues.push('hueco requiere prisma o cilindro')
+  if (c === 'tube' && dimensions && ln.shape !== 'cylinder') issues.push('tubo/aro requiere forma cilíndrica')
+  if (c === 'tube' && dimensions && num(ln.innerDiameterMM) >= num(ln.diameterMM)) issues.push('diámetro interior ≥ exterior')
+  if (isLayered(c) && !ln.baseMaterialKey) issues.push('falta el metal base')
+  if (c === 'filled' && !parseFraction(ln.layerFraction)) issues.push('fracción de relleno no válida')
+  if (c === 'plated' && !dimensions) issues.push('chapado por peso: indique medidas para estimar la capa')
+  if (c === 'plated' && dimensions && num(ln.layerMicrons) <= 0) issues.push('faltan las micras de la capa')
+  return issues
+}
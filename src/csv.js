@@ -0,0 +1,48 @@
+// ———————————————————————————————————————————————
+// CSV: lectura y escritura (comillas dobles, separador , ; o tab)
+// ———————————————————————————————————————————————
+
+export const toCSV = (rows) => {
+  if (!rows.length) return ''
+  const headers = Object.keys(rows[0])
+  const esc = (s) => `"${String(s).replace(/"/g,'""')}"`
+  const body = rows.map(r => headers.map(h => esc(r[h] ?? '')).join(',')).join('\n')
+  return [headers.join(','), body].join('\n')
+}
+
+// Separador más frecuente en la primera línea
+const detectDelimiter = (text) => {
+  const first = text.split(/\r?\n/, 1)[0] || ''
+  const counts = [',', ';', '\t'].map(d => [d, first.split(d).length])
+  return counts.sort((a,b)=>b[1]-a[1])[0][0]
+}
+
+// Devuelve una matriz de celdas; respeta comillas y saltos de línea entrecomillados
+export const parseCSVRows = (text, delimiter) => {
+  const src = String(text || '').replace(/^\uFEFF/, '')
+  const d = delimiter || detectDelimiter(src)
+  const rows = []
+  let row = [], cell = '', quoted = false
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i]
+    if (quoted) {
+      if (c === '"' && src[i+1] === '"') { cell += '"'; i++ }
+      else if (c === '"') quoted = false
+      else cell += c
+    } else if (c === '"') quoted = true
+    else if (c === d) { row.push(cell); cell = '' }
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && src[i+1] === '\n') i++
+      row.push(cell); rows.push(row); row = []; cell = ''
+    } else cell += c
+  }
+  if (cell !== '' || row.length) { row.push(cell); rows.push(row) }
+  return rows.filter(r => r.some(x => String(x).trim() !== ''))
+}
+
+// Filas como objetos usando la primera fila de cabeceras
+export const parseCSV = (text, delimiter) => {
+  const [headers = [], ...rows] = parseCSVRows(text, delimiter)
+  const keys = headers.map(h => String(h).trim())
+  return rows.map(r => Object.fromEntries(keys.map((k, i) => [k, (r[i] ?? '').trim()])))
+}
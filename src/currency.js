@@ -0,0 +1,75 @@
+// ———————————————————————————————————————————————
+// Divisas y tipos de cambio
+// ———————————————————————————————————————————————
+// Los precios spot y las tarifas por defecto están en EUR; las tasas
+// expresan unidades de cada divisa por 1 EUR.
+
+import { writeJSON } from './storage.js'
+
+export const BASE_CURRENCY = 'EUR'
+export const RATES_KEY = 'safire_rates_v1'
+
+export const CURRENCIES = {
+  EUR: { label: 'Euro', symbol: '€' },
+  USD: { label: 'Dólar EE. UU.', symbol: '$' },
+  GBP: { label: 'Libra esterlina', symbol: '£' },
+  CHF: { label: 'Franco suizo', symbol: 'CHF' },
+  MXN: { label: 'Peso mexicano', symbol: 'MX$' },
+  JPY: { label: 'Yen', symbol: '¥' },
+}
+export const CURRENCY_CODES = Object.keys(CURRENCIES)
+
+export const DEFAULT_RATES = { EUR: 1, USD: 1.08, GBP: 0.85, CHF: 0.94, MXN: 19.8, JPY: 162 }
+
+const cleanRates = (src) => {
+  const out = { ...DEFAULT_RATES }
+  for (const code of CURRENCY_CODES) {
+    const n = parseFloat(String(src?.[code] ?? '').replace(',', '.'))
+    if (Number.isFinite(n) && n > 0) out[code] = n
+  }
+  out[BASE_CURRENCY] = 1
+  return out
+}
+
+export const loadRates = () => {
+  try {
+    const raw = localStorage.getItem(RATES_KEY)
+    const data = raw ? JSON.parse(raw) : null
+    return { ts: data?.ts || null, rates: cleanRates(data?.rates) }
+  } catch { return { ts: null, rates: { ...DEFAULT_RATES } } }
+}
+
+export const saveRates = (table) => {
+  writeJSON(RATES_KEY, table, 'los tipos de cambio')
+}
+
+// Admite JSON ({ rates: { USD: 1.08 } } o { USD: 1.08 }) o CSV "USD,1.08" por línea
+// (con ";" o tabulador la coma es la decimal: "USD;1,08")
+export const parseRatesFile = (text) => {
+  const s = String(text || '').trim()
+  if (!s) throw new Error('Archivo vacío')
+  let src = null
+  if (s.startsWith('{')) {
+    const data = JSON.parse(s)
+    src = data.rates || data
+  } else {
+    src = {}
+    s.split(/\r?\n/).forEach(line => {
+      const [code, val] = line.split(/[;\t]/.test(line) ? /[;\t]/ : ',').map(x => x.trim().replace(/^"|"$/g, ''))
+      if (code && val) src[code.toUpperCase()] = val
+    })
+  }
+  const found = CURRENCY_CODES.filter(c => c !== BASE_CURRENCY && Number.isFinite(parseFloat(src?.[c])))
+  if (!found.length) throw new Error('No se encontraron tasas reconocibles')
+  return cleanRates(src)
+}
+
+export const rateFor = (code, rates) => rates?.[code] || DEFAULT_RATES[code] || 1
+
+// Convierte importes entre divisas pasando por EUR
+export const convert = (amount, from, to, rates) => {
+  if (from === to) return amount
+  return amount / rateFor(from, rates) * rateFor(to, rates)
+}
+
+export const symbolFor = (code) => CURRENCIES[code]?.symbol || code
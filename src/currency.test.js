@@ -0,0 +1,36 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { convert, rateFor, parseRatesFile, DEFAULT_RATES } from './currency.js'
+
+const near = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} ≠ ${b}`)
+const rates = { EUR: 1, USD: 1.25, GBP: 0.8 }
+
+test('rateFor usa la tabla, después la tasa por defecto y en último caso 1', () => {
+  assert.equal(rateFor('USD', rates), 1.25)
+  assert.equal(rateFor('JPY', rates), DEFAULT_RATES.JPY)
+  assert.equal(rateFor('CHF', null), DEFAULT_RATES.CHF)
+  assert.equal(rateFor('XYZ', rates), 1)
+})
+
+test('convert pasa por EUR entre dos divisas cualesquiera', () => {
+  assert.equal(convert(100, 'USD', 'USD', rates), 100)
+  near(convert(100, 'EUR', 'USD', rates), 125)
+  near(convert(125, 'USD', 'EUR', rates), 100)
+  near(convert(125, 'USD', 'GBP', rates), 80)
+  near(convert(convert(37.5, 'GBP', 'USD', rates), 'USD', 'GBP', rates), 37.5)
+})
+
+test('parseRatesFile lee JSON con o sin "rates" y completa con las tasas por defecto', () => {
+  const a = parseRatesFile('{"ts":"2025-03-01","rates":{"USD":1.1,"GBP":"0.83"}}')
+  assert.deepEqual([a.EUR, a.USD, a.GBP, a.MXN], [1, 1.1, 0.83, DEFAULT_RATES.MXN])
+  const b = parseRatesFile('{"USD":1.2,"EUR":5,"CHF":-1}')
+  assert.deepEqual([b.EUR, b.USD, b.CHF], [1, 1.2, DEFAULT_RATES.CHF])
+  assert.throws(() => parseRatesFile('{"rates":{"XYZ":2}}'), /tasas reconocibles/)
+  assert.throws(() => parseRatesFile('   '), /vacío/)
+})
+
+test('parseRatesFile lee CSV con coma, punto y coma o tabulador', () => {
+  const r = parseRatesFile('divisa,tasa\n"usd","1.09"\r\nGBP;0,84\nJPY\t160')
+  assert.deepEqual([r.USD, r.GBP, r.JPY, r.CHF], [1.09, 0.84, 160, DEFAULT_RATES.CHF])
+  assert.throws(() => parseRatesFile('divisa,tasa\nXYZ,2'), /tasas reconocibles/)
+})
@@ -0,0 +1,152 @@
+// ———————————————————————————————————————————————
+// Gradación de gemas (4C / origen-tratamiento) y matriz de precios
+// ———————————————————————————————————————————————
+// La matriz son filas { material, color, clarity, cut, origin, treatment,
+// carat, price } con precio en €/ct para ese punto de peso. Un campo vacío
+// actúa como comodín; se usan las filas más específicas que encajen y se
+// interpola linealmente entre los puntos de quilataje.
+
+import { parseCSV } from './csv.js'
+import { writeJSON } from './storage.js'
+
+export const GEM_MATRIX_KEY = 'safire_gem_matrix_v1'
+
+export const DIAMOND_COLORS = ['D','E','F','G','H','I','J','K','L','M']
+export const DIAMOND_CLARITIES = ['FL','IF','VVS1','VVS2','VS1','VS2','SI1','SI2','I1','I2','I3']
+export const DIAMOND_CUTS = { excellent: 'Excelente', very_good: 'Muy buena', good: 'Buena', fair: 'Regular', poor: 'Pobre' }
+export const CARAT_BANDS = [0.3, 0.5, 0.7, 0.9, 1, 1.5, 2, 3, 5]
+
+export const COLORED_GEMS = ['ruby', 'sapphire', 'emerald']
+export const GEM_ORIGINS = {
+  unknown: 'Desconocido', burma: 'Birmania', kashmir: 'Cachemira', colombia: 'Colombia',
+  sri_lanka: 'Sri Lanka', thailand: 'Tailandia', madagascar: 'Madagascar',
+  mozambique: 'Mozambique', zambia: 'Zambia', brazil: 'Brasil',
+}
+export const GEM_TREATMENTS = {
+  none: 'Sin tratamiento', heated: 'Calentado', minor_oil: 'Aceite menor',
+  significant_oil: 'Aceite significativo', glass_filled: 'Relleno de vidrio', diffusion: 'Difusión',
+}
+
+const GRADE_FIELDS = ['color', 'clarity', 'cut', 'origin', 'treatment']
+
+export const isDiamond = (materialKey) => materialKey === 'diamond'
+export const isColoredGem = (materialKey) => COLORED_GEMS.includes(materialKey)
+export const isGraded = (materialKey) => isDiamond(materialKey) || isColoredGem(materialKey)
+
+export const defaultGrade = (materialKey) => {
+  if (isDiamond(materialKey)) return { color: 'G', clarity: 'VS1', cut: 'excellent' }
+  if (isColoredGem(materialKey)) return { origin: 'unknown', treatment: 'heated' }
+  return null
+}
+
+// Banda de quilataje (para mostrar) en la que cae un peso
+export const caratBand = (ct) => {
+  const i = CARAT_BANDS.findIndex(b => ct < b)
+  if (i === 0) return `< ${CARAT_BANDS[0]} ct`
+  if (i < 0) return `≥ ${CARAT_BANDS[CARAT_BANDS.length-1]} ct`
+  return `${CARAT_BANDS[i-1]}–${CARAT_BANDS[i]} ct`
+}
+
+// Texto corto de la gradación: "G · VS1 · Excelente" / "Colombia · Aceite menor"
+export const gradeLabel = (materialKey, grade) => {
+  if (!grade) return ''
+  if (isDiamond(materialKey)) return [grade.color, grade.clarity, DIAMOND_CUTS[grade.cut]].filter(Boolean).join(' · ')
+  if (isColoredGem(materialKey)) return [GEM_ORIGINS[grade.origin], GEM_TREATMENTS[grade.treatment]].filter(Boolean).join(' · ')
+  return ''
+}
+
+const interpolate = (points, ct) => {
+  if (ct <= points[0].carat) return points[0].price
+  const last = points[points.length-1]
+  if (ct >= last.carat) return last.price
+  const j = points.findIndex(p => p.carat >= ct)
+  const a = points[j-1], b = points[j]
+  if (b.carat === a.carat) return b.price
+  return a.price + (b.price - a.price) * (ct - a.carat) / (b.carat - a.carat)
+}
+
+// → { price (€/ct), band } o null si no hay filas aplicables
+export const lookupGemPrice = (matrix, materialKey, grade, carats) => {
+  if (!isGraded(materialKey) || !(carats > 0)) return null
+  const g = grade || {}
+  const rows = (matrix || []).filter(r => r.material === materialKey && GRADE_FIELDS.every(f => !r[f] || r[f] === g[f]))
+  if (!rows.length) return null
+  // Una sola serie de precios: las filas con el mismo juego de campos (p. ej.
+  // color + pureza) más específico; a igualdad, la que tiene más quilatajes
+  const fieldsOf = (r) => GRADE_FIELDS.filter(f => r[f])
+  const series = {}
+  rows.forEach(r => { (series[fieldsOf(r).join('+')] ||= []).push(r) })
+  const points = Object.values(series)
+    .reduce((best, s) => { const d = fieldsOf(s[0]).length - fieldsOf(best[0]).length; return d > 0 || (d === 0 && s.length > best.length) ? s : best })
+    .sort((a,b)=>a.carat-b.carat)
+  return { price: interpolate(points, carats), band: caratBand(carats) }
+}
+
+const cleanRow = (r) => {
+  const pick = (...names) => {
+    for (const n of names) {
+      const k = Object.keys(r).find(x => x.trim().toLowerCase() === n)
+      if (k != null && String(r[k]).trim() !== '') return String(r[k]).trim()
+    }
+    return ''
+  }
+  const carat = parseFloat(pick('carat', 'ct', 'quilates').replace(',', '.'))
+  const price = parseFloat(pick('price', 'precio', 'price_ct', 'precio_ct').replace(',', '.'))
+  const material = pick('material')
+  if (!material || !Number.isFinite(carat) || !Number.isFinite(price) || carat <= 0 || price < 0) return null
+  return {
+    material,
+    color: pick('color').toUpperCase(),
+    clarity: pick('clarity', 'pureza').toUpperCase(),
+    cut: pick('cut', 'talla'),
+    origin: pick('origin', 'origen'),
+    treatment: pick('treatment', 'tratamiento'),
+    carat,
+    price,
+  }
+}
+
+// Importa la matriz desde JSON (array o { rows }) o CSV con cabeceras
+export const parseGemMatrix = (text) => {
+  const s = String(text || '').trim()
+  if (!s) throw new Error('Archivo vacío')
+  const raw = s.startsWith('[') || s.startsWith('{') ? (() => { const d = JSON.parse(s); return Array.isArray(d) ? d : (d.rows || []) })() : parseCSV(s)
+  const rows = raw.map(cleanRow).filter(Boolean)
+  if (!rows.length) throw new Error('No hay filas válidas (material, carat, price)')
+  return rows
+}
+
+// Matriz de ejemplo hasta que se importe una propia (valores orientativos, €/ct)
+export const DEFAULT_GEM_MATRIX = [
+  ...[[0.3, 1100], [0.5, 1900], [0.7, 2900], [1, 5200], [1.5, 7600], [2, 11500], [3, 17500]]
+    .map(([carat, price]) => ({ material: 'diamond', color: '', clarity: '', cut: '', origin: '', treatment: '', carat, price })),
+  ...[[0.3, 1500], [0.5, 2600], [0.7, 4000], [1, 7400], [1.5, 11000], [2, 17000], [3, 26000]]
+    .map(([carat, price]) => ({ material: 'diamond', color: 'G', clarity: 'VS1', cut: 'excellent', origin: '', treatment: '', carat, price })),
+  ...[[0.3, 1000], [0.5, 1700], [0.7, 2600], [1, 4600], [1.5, 6800], [2, 10000], [3, 15500]]
+    .map(([carat, price]) => ({ material: 'diamond', color: 'H', clarity: 'SI1', cut: 'very_good', origin: '', treatment: '', carat, price })),
+  { material: 'ruby', color: '', clarity: '', cut: '', origin: '', treatment: 'heated', carat: 0.5, price: 400 },
+  { material: 'ruby', color: '', clarity: '', cut: '', origin: '', treatment: 'heated', carat: 2, price: 1800 },
+  // Origen + tratamiento: al menos dos quilatajes, para interpolar como las genéricas
+  { material: 'ruby', color: '', clarity: '', cut: '', origin: 'burma', treatment: 'none', carat: 0.5, price: 4000 },
+  { material: 'ruby', color: '', clarity: '', cut: '', origin: 'burma', treatment: 'none', carat: 1, price: 9000 },
+  { material: 'ruby', color: '', clarity: '', cut: '', origin: 'burma', treatment: 'none', carat: 2, price: 16000 },
+  { material: 'sapphire', color: '', clarity: '', cut: '', origin: '', treatment: 'heated', carat: 0.5, price: 300 },
+  { material: 'sapphire', color: '', clarity: '', cut: '', origin: '', treatment: 'heated', carat: 2, price: 1200 },
+  { material: 'emerald', color: '', clarity: '', cut: '', origin: '', treatment: 'minor_oil', carat: 0.5, price: 350 },
+  { material: 'emerald', color: '', clarity: '', cut: '', origin: '', treatment: 'minor_oil', carat: 2, price: 1600 },
+  { material: 'emerald', color: '', clarity: '', cut: '', origin: 'colombia', treatment: 'minor_oil', carat: 0.5, price: 1800 },
+  { material: 'emerald', color: '', clarity: '', cut: '', origin: 'colombia', treatment: 'minor_oil', carat: 1, price: 3500 },
+  { material: 'emerald', color: '', clarity: '', cut: '', origin: 'colombia', treatment: 'minor_oil', carat: 2, price: 5600 },
+]
+
+export const loadGemMatrix = () => {
+  try {
+    const raw = localStorage.getItem(GEM_MATRIX_KEY)
+    const data = raw ? JSON.parse(raw) : null
+    return Array.isArray(data?.rows) ? data : { ts: null, source: 'default', rows: DEFAULT_GEM_MATRIX }
+  } catch { return { ts: null, source: 'default', rows: DEFAULT_GEM_MATRIX } }
+}
+
+export const saveGemMatrix = (matrix) => {
+  writeJSON(GEM_MATRIX_KEY, matrix, 'la matriz de gemas')
+}
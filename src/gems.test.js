@@ -0,0 +1,58 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { lookupGemPrice, parseGemMatrix, caratBand, DEFAULT_GEM_MATRIX } from './gems.js'
+
+const MATRIX = [
+  { material: 'diamond', color: '', clarity: '', cut: '', carat: 0.5, price: 2000 },
+  { material: 'diamond', color: '', clarity: '', cut: '', carat: 1, price: 5000 },
+  { material: 'diamond', color: 'G', clarity: 'VS1', cut: 'excellent', carat: 0.5, price: 2500 },
+  { material: 'diamond', color: 'G', clarity: 'VS1', cut: 'excellent', carat: 1, price: 7000 },
+]
+
+test('lookupGemPrice interpola entre puntos de quilataje', () => {
+  const hit = lookupGemPrice(MATRIX, 'diamond', { color: 'D', clarity: 'IF', cut: 'good' }, 0.75)
+  assert.equal(hit.price, 3500)
+  assert.equal(hit.band, '0.7–0.9 ct')
+})
+
+test('lookupGemPrice prefiere las filas más específicas y no extrapola', () => {
+  const g = { color: 'G', clarity: 'VS1', cut: 'excellent' }
+  assert.equal(lookupGemPrice(MATRIX, 'diamond', g, 1).price, 7000)
+  assert.equal(lookupGemPrice(MATRIX, 'diamond', g, 3).price, 7000)
+  assert.equal(lookupGemPrice(MATRIX, 'diamond', g, 0.2).price, 2500)
+  assert.equal(lookupGemPrice(MATRIX, 'ruby', {}, 1), null)
+})
+
+test('lookupGemPrice no mezcla series con la misma especificidad y campos distintos', () => {
+  const matrix = [
+    ...MATRIX,
+    { material: 'diamond', color: 'G', clarity: 'VS1', cut: '', carat: 0.5, price: 2200 },
+    { material: 'diamond', color: 'G', clarity: 'VS1', cut: '', carat: 1, price: 6000 },
+    { material: 'diamond', color: 'G', clarity: 'VS1', cut: '', carat: 2, price: 9000 },
+    { material: 'diamond', color: 'G', clarity: '', cut: 'good', carat: 0.75, price: 9999 },
+  ]
+  const g = { color: 'G', clarity: 'VS1', cut: 'good' }
+  // Color + pureza (tres quilatajes) frente a color + talla (uno): sin saltos a 9999
+  assert.deepEqual([0.5, 0.75, 1, 1.5].map(ct => lookupGemPrice(matrix, 'diamond', g, ct).price), [2200, 4100, 6000, 7500])
+  // Con todos los campos manda la serie completa
+  assert.equal(lookupGemPrice(matrix, 'diamond', { ...g, cut: 'excellent' }, 0.75).price, 4750)
+})
+
+test('la matriz por defecto interpola también las filas por origen', () => {
+  const price = (material, grade, ct) => lookupGemPrice(DEFAULT_GEM_MATRIX, material, grade, ct).price
+  const burma = { origin: 'burma', treatment: 'none' }
+  assert.deepEqual([price('ruby', burma, 0.5), price('ruby', burma, 1.5), price('ruby', burma, 3)], [4000, 12500, 16000])
+  const colombia = { origin: 'colombia', treatment: 'minor_oil' }
+  assert.deepEqual([price('emerald', colombia, 0.75), price('emerald', colombia, 2)], [2650, 5600])
+  // Cada combinación tiene al menos dos quilatajes distintos
+  const carats = {}
+  DEFAULT_GEM_MATRIX.forEach(r => { const k = [r.material, r.color, r.clarity, r.cut, r.origin, r.treatment].join('|'); (carats[k] ||= new Set()).add(r.carat) })
+  Object.entries(carats).forEach(([k, set]) => assert.ok(set.size >= 2, k))
+})
+
+test('parseGemMatrix admite CSV con cabeceras en español', () => {
+  const rows = parseGemMatrix('material;color;pureza;talla;quilates;precio\ndiamond;g;vs1;excellent;1;"7000"\n;;;;;\n')
+  assert.equal(rows.length, 1)
+  assert.deepEqual([rows[0].color, rows[0].clarity, rows[0].carat, rows[0].price], ['G', 'VS1', 1, 7000])
+  assert.equal(caratBand(0.2), '< 0.3 ct')
+})
@@ -0,0 +1,200 @@
+// ———————————————————————————————————————————————
+// Reconocimiento de contrastes y marcas de ley
+// ———————————————————————————————————————————————
+// Un contraste ("750 PT950", "1/20 12K GF", "925 vermeil") puede dar varias
+// leyes: cada regla que coincide aporta un hallazgo { metal, ley, confianza }.
+// Las reglas de acabado (GF, GP, RGP, HGE, vermeil) no llevan ley propia:
+// marcan como chapada o rellena la ley de oro más cercana, o suponen una.
+// Las reglas son datos (patrón como texto) para que el usuario añada las suyas.
+
+import { FINE_METALS, fineContent } from './prices.js'
+import { writeJSON } from './storage.js'
+
+export const HALLMARK_RULES_KEY = 'safire_hallmark_rules_v1'
+export const PURITY_TOLERANCE = 15 // ‰: ley más cercana del catálogo si no hay exacta
+
+// Número aislado (no parte de 1/20, 0.750 ni 7500)
+const n = (digits) => `(?<![\\d.,/])${digits}(?![\\d])`
+const KARAT = '\\s?(?:k|kt|ct|kar(?:at)?|quilates?)\\b'
+const karat = (k, purity) => ({ id: `gold_${k}k`, label: `Oro ${k}k`, pattern: `${n(k)}${KARAT}`, metal: 'gold', purity, confidence: 0.95 })
+const fineness = (id, metal, purity, confidence, prefix = '') => ({
+  id, label: `${FINE_METALS[metal]} ${purity}‰`, metal, purity, confidence,
+  pattern: prefix ? `\\b${prefix}\\s?${n(purity)}|${n(purity)}\\s?${prefix}\\b` : n(purity),
+})
+const finish = (id, label, pattern, construction, extra = {}) => ({ id, label, pattern, metal: 'gold', purity: null, construction, confidence: 0.9, ...extra })
+
+export const HALLMARK_RULES = [
+  karat(9, 375), karat(10, 417), karat(12, 500), karat(14, 585), karat(18, 750), karat(22, 916), karat(24, 999),
+  fineness('gold_375', 'gold', 375, 0.85),
+  fineness('gold_417', 'gold', 417, 0.85),
+  fineness('gold_585', 'gold', 585, 0.85),
+  fineness('gold_750', 'gold', 750, 0.9),
+  fineness('gold_916', 'gold', 916, 0.85),
+  fineness('gold_990', 'gold', 990, 0.7),
+  fineness('gold_999', 'gold', 999, 0.6), // también plata fina
+  fineness('gold_au_999', 'gold', 999, 0.95, 'au'),
+  fineness('silver_925', 'silver', 925, 0.9),
+  { id: 'silver_sterling', label: 'Plata de ley (sterling)', pattern: '\\bsterling\\b|\\bster\\b|plata\\s+de\\s+ley', metal: 'silver', purity: 925, confidence: 0.95 },
+  fineness('silver_835', 'silver', 835, 0.85),
+  fineness('silver_800', 'silver', 800, 0.8),
+  fineness('silver_ag_999', 'silver', 999, 0.95, 'ag'),
+  fineness('platinum_pt_950', 'platinum', 950, 0.95, '(?:pt|plat(?:ino|inum)?)'),
+  fineness('platinum_950', 'platinum', 950, 0.55), // o plata/paladio 950
+  fineness('platinum_pt_900', 'platinum', 900, 0.95, '(?:pt|plat(?:ino|inum)?)'),
+  fineness('platinum_900', 'platinum', 900, 0.45), // o plata de moneda
+  fineness('palladium_pd_950', 'palladium', 950, 0.95, 'pd'),
+  fineness('palladium_pd_500', 'palladium', 500, 0.95, 'pd'),
+  finish('gold_filled', 'Oro relleno (GF)', '\\bg\\.?f\\.?(?![a-z])|gold[\\s-]?filled|doubl[eé]', 'filled'),
+  finish('rolled_gold', 'Oro laminado (RGP)', '\\br\\.?g\\.?p\\.?(?![a-z])|rolled\\s+gold', 'filled', { confidence: 0.85 }),
+  finish('gold_plated', 'Chapado en oro (GP)', '\\bg\\.?p\\.?(?![a-z])|gold[\\s-]?plated|chapado(?:\\s+en\\s+oro)?', 'plated'),
+  finish('hge', 'Electrochapado duro (HGE)', '\\bh\\.?g\\.?e\\.?(?![a-z])', 'plated'),
+  finish('vermeil', 'Vermeil (oro sobre plata 925)', '\\bvermeil\\b', 'plated', { baseMetal: 'silver', baseKey: 'silver_925' }),
+]
+
+// Ley supuesta de la capa de oro cuando el acabado no la indica (14k)
+const DEFAULT_LAYER_PURITY = 585
+const FRACTION = /(?<![\d.])1\s*\/\s*(\d{1,3})(?![\d])/
+
+// Valida y normaliza una regla (las de usuario se guardan así)
+export const cleanRule = (r = {}) => {
+  const pattern = String(r.pattern || '').trim()
+  if (!pattern) throw new Error('La regla necesita un patrón')
+  try { new RegExp(pattern, 'giu') } catch (e) { throw new Error(`Patrón no válido: ${e.message}`) }
+  const construction = r.construction === 'plated' || r.construction === 'filled' ? r.construction : ''
+  const purity = parseFloat(r.purity)
+  if (!(r.metal in FINE_METALS)) throw new Error(`Metal desconocido: ${r.metal}`)
+  if (!construction && !(purity > 0 && purity <= 1000)) throw new Error('La ley debe estar entre 1 y 1000 ‰')
+  const confidence = parseFloat(r.confidence)
+  return {
+    id: String(r.id || `rule_${Date.now().toString(36)}`),
+    label: String(r.label || pattern).trim(),
+    pattern,
+    metal: r.metal,
+    purity: purity > 0 ? purity : null,
+    construction,
+    confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : 0.8,
+    ...(r.baseKey ? { baseKey: String(r.baseKey), baseMetal: r.baseMetal in FINE_METALS ? r.baseMetal : '' } : {}),
+  }
+}
+
+export const loadCustomRules = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem(HALLMARK_RULES_KEY) || '[]')
+    return Array.isArray(list) ? list.flatMap(r => { try { return [cleanRule(r)] } catch { return [] } }) : []
+  } catch { return [] }
+}
+export const saveCustomRules = (rules) => writeJSON(HALLMARK_RULES_KEY, rules, 'las reglas de contrastes')
+
+// Las reglas del usuario van primero: a igual confianza y longitud, mandan
+export const allRules = (custom = []) => [...custom, ...HALLMARK_RULES]
+
+const round2 = (x) => Math.round(x * 100) / 100
+
+// → [{ text, metal, purity, label, confidence, construction, baseKey, layerFraction, implied, rules }]
+export const parseHallmark = (text, rules = HALLMARK_RULES) => {
+  const s = String(text || '')
+  if (!s.trim()) return []
+  const candidates = []
+  rules.forEach((rule, order) => {
+    for (const m of s.matchAll(new RegExp(rule.pattern, 'giu'))) {
+      if (m[0]) candidates.push({ rule, order, start: m.index, end: m.index + m[0].length, text: m[0].trim() })
+    }
+  })
+  // Sin solapes: gana la más fiable, después la más larga y después la primera regla
+  candidates.sort((a, b) => b.rule.confidence - a.rule.confidence || (b.end - b.start) - (a.end - a.start) || a.order - b.order)
+  const picked = []
+  candidates.forEach(c => { if (!picked.some(p => c.start < p.end && p.start < c.end)) picked.push(c) })
+  picked.sort((a, b) => a.start - b.start)
+
+  // La misma ley en dos notaciones ("916 22ct") es un solo hallazgo más fiable
+  const findings = []
+  picked.filter(c => !c.rule.construction).forEach(c => {
+    const same = findings.find(f => f.metal === c.rule.metal && f.purity === c.rule.purity)
+    if (same) {
+      Object.assign(same, { text: `${same.text} ${c.text}`, confidence: Math.min(1, round2(Math.max(same.confidence, c.rule.confidence) + 0.05)), rules: [...same.rules, c.rule.id] })
+      return
+    }
+    findings.push({
+      text: c.text, start: c.start, metal: c.rule.metal, purity: c.rule.purity,
+      label: c.rule.label, confidence: c.rule.confidence, construction: 'solid',
+      baseKey: '', layerFraction: '', implied: false, rules: [c.rule.id],
+    })
+  })
+  const fraction = FRACTION.exec(s)
+  picked.filter(c => c.rule.construction).forEach(mod => {
+    const r = mod.rule
+    // El metal base (plata del vermeil) no es una ley aparte
+    if (r.baseMetal) {
+      for (let i = findings.length - 1; i >= 0; i--) if (findings[i].metal === r.baseMetal) findings.splice(i, 1)
+    }
+    const layered = {
+      construction: r.construction,
+      baseKey: r.baseKey || '',
+      layerFraction: r.construction === 'filled' && fraction ? `1/${fraction[1]}` : '',
+    }
+    const near = findings
+      .filter(f => f.metal === r.metal && f.construction === 'solid')
+      .sort((a, b) => Math.abs(a.start - mod.start) - Math.abs(b.start - mod.start))[0]
+    if (near) {
+      Object.assign(near, layered, {
+        text: `${near.text} ${mod.text}`, label: `${near.label} · ${r.label}`,
+        confidence: Math.min(near.confidence, r.confidence), rules: [...near.rules, r.id],
+      })
+    } else {
+      findings.push({
+        text: mod.text, start: mod.start, metal: r.metal, purity: r.purity || DEFAULT_LAYER_PURITY,
+        label: `${r.label} (ley supuesta)`, confidence: round2(r.confidence * 0.6), implied: true,
+        rules: [r.id], ...layered,
+      })
+    }
+  })
+  return findings.sort((a, b) => a.start - b.start).map(({ start, ...f }) => f)
+}
+
+// Material del catálogo para un hallazgo: misma ley o la más cercana (± tolerancia)
+// → { material, exact } o null
+export const materialForFinding = (finding, materials = []) => {
+  const candidates = materials
+    .filter(m => !m.archived && m.unit === '€/g')
+    .map(m => ({ m, fine: fineContent(m) }))
+    .filter(x => x.fine?.metal === finding.metal)
+    .map(x => ({ m: x.m, diff: Math.abs(x.fine.purity - finding.purity) }))
+    .filter(x => x.diff <= PURITY_TOLERANCE)
+    .sort((a, b) => a.diff - b.diff)
+  return candidates.length ? { material: candidates[0].m, exact: candidates[0].diff === 0 } : null
+}
+
+// Propuestas línea a línea; nada se aplica hasta que el usuario lo acepta.
+// Primero se emparejan leyes con líneas del mismo metal; las que sobran van a
+// la línea del contraste o a otra línea metálica libre (o a una línea nueva).
+// action: keep (ya coincide) | change | add (no hay línea libre) | missing (sin material)
+// patch: campos a aplicar a la línea además del cambio de material
+export const suggestLines = (findings, lines = [], materials = [], { sourceLineId } = {}) => {
+  const matOf = (ln) => materials.find(m => m.key === ln.materialKey)
+  const metalLines = lines.filter(ln => matOf(ln)?.unit === '€/g')
+  const used = new Set()
+  const free = () => metalLines.filter(ln => !used.has(ln.id))
+  const items = findings.map(finding => {
+    const hit = materialForFinding(finding, materials)
+    const patch = hit && {
+      materialKey: hit.material.key,
+      ...(finding.construction !== 'solid' ? {
+        construction: finding.construction,
+        ...(finding.baseKey ? { baseMaterialKey: finding.baseKey } : {}),
+        ...(finding.layerFraction ? { layerFraction: finding.layerFraction } : {}),
+      } : {}),
+    }
+    return { finding, material: hit?.material || null, exact: Boolean(hit?.exact), patch, target: null }
+  })
+  const byConfidence = items.filter(x => x.material).sort((a, b) => b.finding.confidence - a.finding.confidence)
+  const assign = (x, ln) => { if (ln) { x.target = ln; used.add(ln.id) } }
+  byConfidence.forEach(x => assign(x, free().find(ln => ln.materialKey === x.material.key)))
+  byConfidence.filter(x => !x.target).forEach(x => assign(x, free().find(ln => fineContent(matOf(ln))?.metal === x.finding.metal)))
+  byConfidence.filter(x => !x.target).forEach(x => assign(x, free().find(ln => ln.id === sourceLineId) || free()[0]))
+  return items.map(({ target, ...x }) => {
+    if (!x.material) return { ...x, lineId: null, action: 'missing' }
+    if (!target) return { ...x, lineId: null, action: 'add' }
+    const same = Object.entries(x.patch).every(([k, v]) => target[k] === v)
+    return { ...x, lineId: target.id, action: same ? 'keep' : 'change' }
+  })
+}
@@ -0,0 +1,68 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseHallmark, suggestLines, materialForFinding, cleanRule, allRules } from './hallmarks.js'
+import { BASE_MATERIALS, cleanMaterial } from './catalog.js'
+
+const materials = BASE_MATERIALS.map(cleanMaterial)
+const brief = (text, rules) => parseHallmark(text, rules).map(f => `${f.metal} ${f.purity}${f.construction !== 'solid' ? ` ${f.construction}` : ''}`)
+
+test('parseHallmark reconoce quilates, milésimas y prefijos de metal', () => {
+  assert.deepEqual(brief('9k'), ['gold 375'])
+  assert.deepEqual(brief('10KT'), ['gold 417'])
+  assert.deepEqual(brief('916 22ct'), ['gold 916'])
+  assert.equal(parseHallmark('916 22ct')[0].confidence, 1)
+  assert.deepEqual(brief('990'), ['gold 990'])
+  assert.deepEqual(brief('800'), ['silver 800'])
+  assert.deepEqual(brief('835'), ['silver 835'])
+  assert.deepEqual(brief('Sterling'), ['silver 925'])
+  assert.deepEqual(brief('Pt900'), ['platinum 900'])
+  assert.deepEqual(brief('Pd500'), ['palladium 500'])
+  assert.deepEqual(brief('950 Pd'), ['palladium 950'])
+  assert.deepEqual(brief('750/1000'), ['gold 750'])
+  assert.deepEqual(brief(''), [])
+})
+
+test('un contraste bicolor da varias leyes con su confianza', () => {
+  const [gold, pt] = parseHallmark('750 PT950')
+  assert.deepEqual([gold.metal, gold.purity, pt.metal, pt.purity], ['gold', 750, 'platinum', 950])
+  assert.ok(pt.confidence > parseHallmark('950')[0].confidence) // 950 suelto es ambiguo
+})
+
+test('acabados: relleno con fracción, chapados y vermeil sobre plata', () => {
+  const [gf] = parseHallmark('1/20 14K GF')
+  assert.deepEqual([gf.purity, gf.construction, gf.layerFraction], [585, 'filled', '1/20'])
+  assert.deepEqual(brief('18K HGE'), ['gold 750 plated'])
+  assert.deepEqual(brief('RGP'), ['gold 585 filled'])
+  const [vermeil] = parseHallmark('925 vermeil')
+  assert.deepEqual([vermeil.construction, vermeil.baseKey, vermeil.implied], ['plated', 'silver_925', true])
+  assert.ok(vermeil.confidence < 0.8)
+})
+
+test('suggestLines empareja cada ley con su línea sin cambiar nada', () => {
+  const lines = [{ id: 'a', materialKey: 'gold_14k' }, { id: 'b', materialKey: 'platinum_950' }, { id: 'c', materialKey: 'diamond' }]
+  const [gold, pt] = suggestLines(parseHallmark('750 PT950'), lines, materials, { sourceLineId: 'b' })
+  assert.deepEqual([gold.action, gold.lineId, gold.material.key], ['change', 'a', 'gold_18k'])
+  assert.deepEqual([pt.action, pt.lineId], ['keep', 'b'])
+  assert.equal(lines[0].materialKey, 'gold_14k')
+
+  const [added] = suggestLines(parseHallmark('Pd500'), [{ id: 'x', materialKey: 'diamond' }], materials)
+  assert.deepEqual([added.action, added.material.key], ['add', 'palladium_500'])
+  // Ejemplo de la ayuda: oro relleno 12k con capa de 1/20 del peso
+  const [gf] = suggestLines(parseHallmark('1/20 12K GF'), lines, materials)
+  assert.deepEqual([gf.action, gf.lineId, gf.material.key, gf.exact], ['change', 'a', 'gold_12k', true])
+  assert.deepEqual(gf.patch, { materialKey: 'gold_12k', construction: 'filled', layerFraction: '1/20' })
+})
+
+test('materialForFinding usa la ley más cercana dentro de la tolerancia', () => {
+  const hit = materialForFinding({ metal: 'gold', purity: 990 }, materials)
+  assert.deepEqual([hit.material.key, hit.exact], ['gold_24k', false])
+  assert.equal(materialForFinding({ metal: 'silver', purity: 999 }, materials), null)
+})
+
+test('las reglas del usuario se validan y amplían el reconocimiento', () => {
+  assert.throws(() => cleanRule({ pattern: '(', metal: 'gold', purity: 750 }), /Patrón/)
+  assert.throws(() => cleanRule({ pattern: 'x', metal: 'tin', purity: 750 }), /Metal/)
+  const rule = cleanRule({ pattern: '\\bK18\\b', metal: 'gold', purity: '750', confidence: 2 })
+  assert.equal(rule.confidence, 1)
+  assert.deepEqual(brief('K18', allRules([rule])), ['gold 750'])
+})
@@ -0,0 +1,117 @@
+// ———————————————————————————————————————————————
+// Historial de tasaciones: esquema, migración y persistencia
+// ———————————————————————————————————————————————
+// v1: solo totales + lineUnits (material, unidad, qty, alias).
+// v2: estado completo de líneas y metadatos para reabrir/editar.
+
+import { writeJSON } from './storage.js'
+import { cleanMode } from './scrap.js'
+
+export const HISTORY_KEY = 'safire_history_v1'
+export const HISTORY_SCHEMA = 2
+export const HISTORY_LIMIT = 500
+
+export const newEntryId = () => `ap_${Date.now()}_${Math.random().toString(36).slice(2,7)}`
+
+// Snapshot completo del editor + resultado de la valoración
+export const buildEntry = (state, evaluation, { id, createdAt } = {}) => {
+  const ts = new Date().toISOString()
+  return {
+    schema: HISTORY_SCHEMA,
+    id: id || newEntryId(),
+    ts: createdAt || ts,
+    updatedAt: ts,
+    currency: state.currency,
+    baseCurrency: state.baseCurrency,
+    rate: state.rate,
+    desc: state.desc || `Pieza multi-material (${state.lines.length} líneas)`,
+    pieceType: state.pieceType,
+    brand: state.brand || '',
+    model: state.model || '',
+    mode: cleanMode(state.mode), // retail | resale: con qué análisis se guardó
+    complexity: state.complexity,
+    laborOverride: state.laborOverride ?? '',
+    operations: (state.operations || []).map(op => ({ ...op })),
+    laborDismissed: [...(state.laborDismissed || [])],
+    priceAsOf: state.priceAsOf || null,
+    lines: state.lines.map(ln => ({ ...ln, grade: ln.grade ? { ...ln.grade } : null })),
+    watch: state.watch ? { ...state.watch } : null, // ficha de reloj (movimiento, cristal)
+    photos: [...(state.photos || [])], // ids de evidencias (photos.js); las de línea van en cada línea
+    audit: [...(state.audit || [])], // registro de cambios (audit.js)
+    subtotalMaterials: evaluation.subtotal,
+    laborCost: evaluation.laborCost,
+    totalCost: evaluation.totalCost,
+    piecePrice: evaluation.piecePrice,
+    pctMaterials: evaluation.pctMaterials,
+    pctTotal: evaluation.pctTotal,
+    diagnosis: evaluation.diagnosis,
+    diagnosisPolicy: state.diagnosisPolicy || null,
+    // PVP esperado con el modelo vigente al guardar
+    retail: evaluation.retail ? {
+      low: evaluation.retail.low, mid: evaluation.retail.mid, high: evaluation.retail.high,
+      position: evaluation.retail.position?.key || null,
+      positionLabel: evaluation.retail.position?.label || '',
+    } : null,
+    // Oferta de recompra (solo en modo resale)
+    resale: evaluation.resale ? {
+      low: evaluation.resale.low, high: evaluation.resale.high,
+      melt: evaluation.resale.melt, gems: evaluation.resale.gems,
+      fineByMetal: { ...evaluation.resale.fineByMetal },
+    } : null,
+  }
+}
+
+// Entradas v1 → v2. makeLine(materialKey) crea una línea vacía; los pesos,
+// medidas y precios no se guardaban, así que quedan marcadas como parciales.
+export const migrateEntry = (e, makeLine, index = 0) => {
+  if (!e || typeof e !== 'object') return null
+  if (e.schema >= HISTORY_SCHEMA) return e
+  const units = Array.isArray(e.lineUnits) ? e.lineUnits : []
+  return {
+    ...e,
+    schema: HISTORY_SCHEMA,
+    id: e.id || `legacy_${Date.parse(e.ts) || Date.now()}_${index}`,
+    brand: e.brand || '',
+    model: e.model || '',
+    laborOverride: e.laborCost != null ? String(e.laborCost) : '',
+    lines: units.map(u => ({
+      ...makeLine(u.materialKey),
+      id: u.id || newEntryId(),
+      materialKey: u.materialKey,
+      weightUnit: u.weightUnit || 'g',
+      qty: u.qty ?? '1',
+      alias: u.alias || '',
+      grade: u.grade ?? null,
+    })),
+    partial: true,
+    lineUnits: undefined,
+  }
+}
+
+export const migrateHistory = (list, makeLine) =>
+  (Array.isArray(list) ? list : []).map((e, i) => migrateEntry(e, makeLine, i)).filter(Boolean)
+
+export const loadHistory = (makeLine) => {
+  try {
+    const raw = localStorage.getItem(HISTORY_KEY)
+    return raw ? migrateHistory(JSON.parse(raw), makeLine) : []
+  } catch { return [] }
+}
+
+export const saveHistoryList = (list) => {
+  writeJSON(HISTORY_KEY, list.slice(0, HISTORY_LIMIT), 'el historial')
+}
+
+// Inserta al principio o reemplaza en su sitio si ya existe el id
+export const upsertEntry = (list, entry) => {
+  const i = list.findIndex(h => h.id === entry.id)
+  if (i < 0) return [entry, ...list].slice(0, HISTORY_LIMIT)
+  return [...list.slice(0, i), entry, ...list.slice(i+1)]
+}
+
+// Copia de las líneas con ids nuevos (duplicar como nueva tasación)
+export const cloneLines = (lines) => (lines || []).map((ln, i) => ({
+  ...ln,
+  grade: ln.grade ? { ...ln.grade } : null,
+  id: `${Date.now()}_${i}_${Math.random().toString(36).slice(2,7)}`,
+}))
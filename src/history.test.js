@@ -0,0 +1,23 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { migrateEntry, upsertEntry, HISTORY_SCHEMA } from './history.js'
+
+const makeLine = (key) => ({ id: 'x', materialKey: key || 'gold_18k', weightVal: '', unitPrice: '', density: '15.6' })
+
+test('migrateEntry convierte entradas v1 en parciales v2', () => {
+  const v1 = { ts: '2025-01-02T10:00:00.000Z', currency: 'EUR', laborCost: 90, totalCost: 1090, lineUnits: [{ id: 'l1', materialKey: 'silver_925', weightUnit: 'ozt', qty: '2', alias: '925' }] }
+  const e = migrateEntry(v1, makeLine, 3)
+  assert.equal(e.schema, HISTORY_SCHEMA)
+  assert.equal(e.id, `legacy_${Date.parse(v1.ts)}_3`)
+  assert.equal(e.partial, true)
+  assert.equal(e.laborOverride, '90')
+  assert.deepEqual([e.lines[0].id, e.lines[0].materialKey, e.lines[0].weightUnit, e.lines[0].qty], ['l1', 'silver_925', 'ozt', '2'])
+  assert.equal(e.lineUnits, undefined)
+  assert.equal(migrateEntry(e, makeLine), e)
+})
+
+test('upsertEntry reemplaza en su sitio o inserta al principio', () => {
+  const list = [{ id: 'a', v: 1 }, { id: 'b', v: 1 }]
+  assert.deepEqual(upsertEntry(list, { id: 'b', v: 2 }).map(h => `${h.id}${h.v}`), ['a1', 'b2'])
+  assert.deepEqual(upsertEntry(list, { id: 'c', v: 1 }).map(h => h.id), ['c', 'a', 'b'])
+})
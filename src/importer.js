@@ -0,0 +1,323 @@
+// ———————————————————————————————————————————————
+// Importación de tasaciones y listas de precios (CSV/JSON)
+// ———————————————————————————————————————————————
+// Formatos reconocidos:
+//  - bundle: JSON { format: 'safire-appraisals', version, appraisals: [...] }
+//  - history: CSV exportado desde el historial (una tasación por fila, solo totales)
+//  - wizard: CSV del asistente (líneas + bloque RESUMEN = una tasación)
+//  - prices: lista de precios de proveedor (material, unidad, precio[, divisa])
+// Flujo: detectImport → (mapeo de columnas) → preview* → aplicar.
+
+import { parseCSVRows } from './csv.js'
+import { evaluate, collectAlerts, toNumber, WEIGHT_UNITS, CT_G } from './valuation.js'
+import { HISTORY_SCHEMA, migrateHistory } from './history.js'
+import { BASE_CURRENCY, CURRENCY_CODES, convert } from './currency.js'
+import { writeJSON } from './storage.js'
+
+export const BUNDLE_FORMAT = 'safire-appraisals'
+export const BUNDLE_VERSION = 1
+export const CATALOG_PRICES_KEY = 'safire_catalog_prices_v1'
+
+export const IMPORT_KINDS = {
+  bundle: 'Paquete JSON de tasaciones',
+  history: 'CSV del historial',
+  wizard: 'CSV del asistente (una tasación)',
+  prices: 'Lista de precios de proveedor',
+}
+
+// Campos de destino y cabeceras equivalentes (normalizadas: minúsculas, sin acentos ni signos)
+export const IMPORT_FIELDS = {
+  history: {
+    id: ['id', 'referencia', 'ref'],
+    ts: ['fecha', 'date', 'ts', 'timestamp'],
+    currency: ['divisa', 'currency', 'moneda'],
+    rate: ['tasaeur', 'rate', 'tasa'],
+    desc: ['descripcion', 'description', 'desc'],
+    pieceType: ['tipodepieza', 'tipopieza', 'piecetype'],
+    brand: ['marca', 'brand'],
+    model: ['modelo', 'model'],
+    subtotalMaterials: ['subtotalmateriales', 'subtotal', 'materiales'],
+    laborCost: ['manoobra', 'manodeobra', 'labor', 'laborcost'],
+    totalCost: ['costetotal', 'totalcost', 'coste'],
+    piecePrice: ['preciopieza', 'precio', 'price', 'pieceprice'],
+    diagnosis: ['diagnostico', 'diagnosis'],
+  },
+  prices: {
+    material: ['material', 'nombre', 'name', 'articulo', 'key', 'codigo', 'referencia'],
+    unit: ['unidad', 'unit', 'ud', 'uom'],
+    price: ['precio', 'price', 'coste', 'cost', 'preciounitario', 'unitprice'],
+    currency: ['divisa', 'currency', 'moneda'],
+  },
+}
+export const REQUIRED_FIELDS = { history: ['ts', 'totalCost'], prices: ['material', 'price'] }
+
+export const normHeader = (s) => String(s || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]/g, '')
+
+// { campo: cabecera } con la primera cabecera que encaje
+export const guessMapping = (headers, kind) => {
+  const fields = IMPORT_FIELDS[kind] || {}
+  const used = new Set()
+  return Object.fromEntries(Object.entries(fields).map(([field, aliases]) => {
+    const h = headers.find(h => !used.has(h) && aliases.includes(normHeader(h))) || ''
+    if (h) used.add(h)
+    return [field, h]
+  }))
+}
+
+// Cantidad en número aunque venga con coma decimal ("1.234,50" o "1234,5")
+export const parseAmount = (v) => {
+  const s = String(v ?? '').replace(/[^\d,.-]/g, '')
+  if (!s) return NaN
+  const normalized = s.includes(',') && s.includes('.')
+    ? (s.lastIndexOf(',') > s.lastIndexOf('.') ? s.replace(/\./g, '').replace(',', '.') : s.replace(/,/g, ''))
+    : s.replace(',', '.')
+  const n = parseFloat(normalized)
+  return Number.isFinite(n) ? n : NaN
+}
+
+const WIZARD_HEADERS = ['material', 'tipo', 'unidad', 'peso', 'costeunitario', 'costetotal']
+
+// → { kind, headers, rows, entries? }
+export const detectImport = (text, filename = '') => {
+  const src = String(text || '').replace(/^\uFEFF/, '').trim()
+  if (!src) throw new Error('El archivo está vacío')
+  if (/\.json$/i.test(filename) || src.startsWith('{') || src.startsWith('[')) {
+    const data = JSON.parse(src)
+    const list = Array.isArray(data) ? data : data?.appraisals
+    if (!Array.isArray(list)) throw new Error('JSON sin lista de tasaciones ("appraisals")')
+    if (data?.format && data.format !== BUNDLE_FORMAT) throw new Error(`Formato JSON no reconocido: ${data.format}`)
+    return { kind: 'bundle', headers: [], rows: [], entries: list }
+  }
+  const [headers = [], ...cells] = parseCSVRows(src)
+  const keys = headers.map(h => String(h).trim())
+  const norm = keys.map(normHeader)
+  if (WIZARD_HEADERS.every(h => norm.includes(h))) return { kind: 'wizard', headers: keys, rows: cells }
+  const rows = cells.map(r => Object.fromEntries(keys.map((k, i) => [k, String(r[i] ?? '').trim()])))
+  const priceMap = guessMapping(keys, 'prices')
+  const historyMap = guessMapping(keys, 'history')
+  const kind = historyMap.totalCost && historyMap.ts ? 'history' : priceMap.material && priceMap.price ? 'prices' : 'history'
+  return { kind, headers: keys, rows }
+}
+
+const missingFields = (mapping, kind) => (REQUIRED_FIELDS[kind] || []).filter(f => !mapping[f])
+
+// Material del catálogo por clave o nombre (sin distinguir mayúsculas/acentos)
+export const matchMaterial = (name, materials) => {
+  const n = normHeader(name)
+  if (!n) return null
+  return materials.find(m => normHeader(m.key) === n) || materials.find(m => normHeader(m.label) === n)
+    || materials.find(m => (m.aliases || []).some(a => normHeader(a) === n)) || null
+}
+
+const importId = (ts, i) => `import_${Date.parse(ts) || Date.now()}_${i}`
+
+// Filas del CSV del historial → entradas (solo totales; quedan como parciales)
+const entriesFromHistoryRows = (rows, mapping) => rows.map((r, i) => {
+  const get = (f) => mapping[f] ? r[mapping[f]] : ''
+  const num = (f) => String(get(f) ?? '').trim() === '' ? undefined : parseAmount(get(f)) // vacío ≠ no numérico
+  const ts = get('ts')
+  const date = new Date(ts)
+  const iso = Number.isNaN(date.getTime()) ? ts : date.toISOString()
+  const currency = String(get('currency') || BASE_CURRENCY).toUpperCase()
+  return {
+    schema: HISTORY_SCHEMA,
+    id: get('id') || importId(iso, i),
+    ts: iso,
+    updatedAt: new Date().toISOString(),
+    currency,
+    baseCurrency: BASE_CURRENCY,
+    rate: Number.isFinite(num('rate')) ? num('rate') : undefined,
+    desc: get('desc') || 'Tasación importada',
+    pieceType: get('pieceType') || '',
+    brand: get('brand') || '',
+    model: get('model') || '',
+    laborOverride: Number.isFinite(num('laborCost')) ? String(num('laborCost')) : '',
+    lines: [],
+    subtotalMaterials: num('subtotalMaterials'),
+    laborCost: num('laborCost'),
+    totalCost: num('totalCost'),
+    piecePrice: num('piecePrice'),
+    diagnosis: get('diagnosis') || '',
+    partial: true,
+  }
+})
+
+// Una fila del CSV del historial sobre una tasación guardada con líneas (o un
+// lote con sus piezas) no la sustituye: las líneas, operaciones, fotos y cambios
+// mandan (los totales salen de ellas); solo se actualiza la ficha.
+// stored: entrada guardada con ese id.
+const MERGED_FIELDS = ['desc', 'pieceType', 'brand', 'model']
+const isFullRecord = (e) => e?.lines?.length > 0 || e?.kind === 'lot' || e?.pieces?.length > 0
+export const mergeImported = (stored, entry) => {
+  if (!entry?.partial || !isFullRecord(stored)) return entry
+  const ficha = Object.fromEntries(MERGED_FIELDS.filter(f => entry[f] && entry[f] !== '—').map(f => [f, entry[f]]))
+  return { ...stored, ...ficha, updatedAt: entry.updatedAt }
+}
+
+// CSV del asistente → una tasación con sus líneas (la mano de obra va aparte)
+const entryFromWizardRows = (headers, cells, { materials, makeLine, filename }) => {
+  const col = Object.fromEntries(headers.map((h, i) => [normHeader(h), i]))
+  const at = (r, key) => String(r[col[key]] ?? '').trim()
+  const summaryAt = cells.findIndex(r => normHeader(r[0]) === 'resumen')
+  const lineRows = summaryAt < 0 ? cells : cells.slice(0, summaryAt)
+  const summary = Object.fromEntries((summaryAt < 0 ? [] : cells.slice(summaryAt + 1)).map(r => [normHeader(r[0]), String(r[1] ?? '').trim()]))
+  const errors = []
+  let labor = 0
+  const lines = []
+  lineRows.forEach((r, i) => {
+    if (normHeader(at(r, 'tipo')) === 'manoobra') { labor += parseAmount(at(r, 'costetotal')) || 0; return }
+    const m = matchMaterial(at(r, 'material'), materials)
+    if (!m) { errors.push(`Fila ${i + 2}: material "${at(r, 'material')}" no está en el catálogo`); return }
+    const weight = parseAmount(at(r, 'peso'))
+    const unitPrice = parseAmount(at(r, 'costeunitario'))
+    lines.push({
+      ...makeLine(m.key),
+      materialKey: m.key,
+      mode: 'weight',
+      weightVal: Number.isFinite(weight) ? String(weight) : '',
+      unitPrice: Number.isFinite(unitPrice) ? String(unitPrice) : '',
+    })
+  })
+  const price = parseAmount(summary.precioventatotal)
+  const ts = new Date().toISOString()
+  return {
+    entry: {
+      schema: HISTORY_SCHEMA,
+      id: `import_${Date.now()}_wizard`,
+      ts,
+      updatedAt: ts,
+      currency: BASE_CURRENCY,
+      baseCurrency: BASE_CURRENCY,
+      rate: 1,
+      desc: filename ? `Importada de ${filename}` : 'Tasación importada del asistente',
+      pieceType: summary.tipodepieza || '',
+      brand: summary.marca || '',
+      model: summary.modelo || '',
+      complexity: 'media',
+      laborOverride: labor ? String(labor) : '',
+      piecePrice: Number.isFinite(price) ? price : 0,
+      lines,
+    },
+    errors,
+  }
+}
+
+// → [{ entry, errors }] listo para validar
+export const appraisalsFromImport = (detected, mapping, { materials = [], makeLine = () => ({}), filename = '' } = {}) => {
+  if (detected.kind === 'bundle') {
+    return migrateHistory(detected.entries, makeLine).map(entry => ({
+      entry,
+      errors: entry.id ? [] : ['Entrada sin id'],
+    }))
+  }
+  if (detected.kind === 'wizard') return [entryFromWizardRows(detected.headers, detected.rows, { materials, makeLine, filename })]
+  const missing = missingFields(mapping, 'history')
+  if (missing.length) throw new Error(`Faltan columnas obligatorias: ${missing.join(', ')}`)
+  return entriesFromHistoryRows(detected.rows, mapping).map(entry => ({ entry, errors: [] }))
+}
+
+// Valida con las mismas reglas de alerta que el editor y recalcula los
+// totales cuando la tasación trae líneas. existingIds: Set de ids ya guardados.
+export const previewAppraisals = (items, { materials = [], autoPrice, policy, existingIds = new Set() } = {}) => items.map(({ entry, errors }) => {
+  const errs = [...errors]
+  if (Number.isNaN(Date.parse(entry.ts))) errs.push('Fecha no válida')
+  if (entry.currency && !CURRENCY_CODES.includes(entry.currency)) errs.push(`Divisa desconocida: ${entry.currency}`)
+  let alerts = []
+  let next = entry
+  if (entry.lines?.length) {
+    const ev = evaluate({ lines: entry.lines, laborCost: toNumber(entry.laborOverride), piecePrice: toNumber(entry.piecePrice) }, { materials, autoPrice, policy })
+    alerts = ev.alerts
+    if (Number.isFinite(entry.totalCost) && ev.totalCost > 0 && Math.abs(entry.totalCost - ev.totalCost) / ev.totalCost > 0.01) {
+      alerts = [...alerts, `Coste total guardado (${entry.totalCost.toFixed(2)}) distinto del recalculado (${ev.totalCost.toFixed(2)})`]
+    }
+    next = {
+      ...entry,
+      subtotalMaterials: entry.subtotalMaterials ?? ev.subtotal,
+      laborCost: entry.laborCost ?? ev.laborCost,
+      totalCost: entry.totalCost ?? ev.totalCost,
+      piecePrice: entry.piecePrice ?? ev.piecePrice,
+      pctMaterials: entry.pctMaterials ?? ev.pctMaterials,
+      pctTotal: entry.pctTotal ?? ev.pctTotal,
+      diagnosis: entry.diagnosis || ev.diagnosis,
+    }
+  } else {
+    for (const f of ['subtotalMaterials', 'laborCost', 'totalCost', 'piecePrice']) {
+      if (entry[f] !== undefined && !Number.isFinite(entry[f])) errs.push(`Valor no numérico en ${f}`)
+    }
+    const totalCost = toNumber(entry.totalCost), piecePrice = toNumber(entry.piecePrice), laborCost = toNumber(entry.laborCost)
+    const overPctTotal = totalCost > 0 ? ((piecePrice - totalCost) / totalCost) * 100 : 0
+    alerts = collectAlerts([], [], { laborCost, piecePrice, totalCost, overPctTotal })
+    next = {
+      ...entry,
+      subtotalMaterials: toNumber(entry.subtotalMaterials), laborCost, totalCost, piecePrice,
+      pctMaterials: piecePrice > 0 ? (toNumber(entry.subtotalMaterials) / piecePrice) * 100 : 0,
+      pctTotal: piecePrice > 0 ? (totalCost / piecePrice) * 100 : 0,
+    }
+  }
+  const status = errs.length ? 'invalid' : existingIds.has(entry.id) ? 'update' : 'new'
+  return { entry: next, status, errors: errs, alerts }
+})
+
+// ———————————————————————————————————————————————
+// Precios de catálogo (listas de proveedor)
+// ———————————————————————————————————————————————
+// Se guardan en la divisa base por unidad del material (€/g, €/ct, €/ud, €/cm3).
+
+// Unidad del proveedor → unidad del catálogo y factor multiplicador del precio
+const PRICE_UNITS = {
+  g: ['€/g', 1], gr: ['€/g', 1], gramo: ['€/g', 1], gramos: ['€/g', 1],
+  kg: ['€/g', 1 / 1000], dwt: ['€/g', 1 / WEIGHT_UNITS.dwt], ozt: ['€/g', 1 / WEIGHT_UNITS.ozt], oz: ['€/g', 1 / WEIGHT_UNITS.ozt],
+  ct: ['€/ct', 1], quilate: ['€/ct', 1], quilates: ['€/ct', 1], carat: ['€/ct', 1],
+  cm3: ['€/cm3', 1],
+  ud: ['€/ud', 1], unidad: ['€/ud', 1], pieza: ['€/ud', 1],
+}
+export const normalizePriceUnit = (unit, material) => {
+  const u = normHeader(String(unit || '').replace(/^.*\//, ''))
+  if (!u) return { unit: material?.unit, factor: 1 }
+  const hit = PRICE_UNITS[u]
+  if (!hit) return null
+  // Precio por gramo de una gema → por quilate
+  if (hit[0] === '€/g' && material?.unit === '€/ct') return { unit: '€/ct', factor: hit[1] * CT_G }
+  return { unit: hit[0], factor: hit[1] }
+}
+
+export const loadCatalogPrices = () => {
+  try { return JSON.parse(localStorage.getItem(CATALOG_PRICES_KEY) || '{}') || {} } catch { return {} }
+}
+export const saveCatalogPrices = (prices) => {
+  writeJSON(CATALOG_PRICES_KEY, prices, 'los precios de catálogo')
+}
+export const catalogPriceFor = (key, prices) => Number.isFinite(prices?.[key]?.price) ? prices[key].price : null
+
+// → [{ line, name, material, price (base), unit, previous, status, errors }]
+export const previewPrices = (rows, mapping, { materials = [], current = {}, rates, currency = BASE_CURRENCY } = {}) => {
+  const missing = missingFields(mapping, 'prices')
+  if (missing.length) throw new Error(`Faltan columnas obligatorias: ${missing.join(', ')}`)
+  return rows.map((r, i) => {
+    const get = (f) => mapping[f] ? String(r[mapping[f]] ?? '').trim() : ''
+    const name = get('material')
+    const material = matchMaterial(name, materials)
+    const errors = []
+    const raw = parseAmount(get('price'))
+    const cur = (get('currency') || currency).toUpperCase()
+    if (!material) errors.push(`"${name}" no está en el catálogo`)
+    if (!Number.isFinite(raw) || raw < 0) errors.push('Precio no válido')
+    if (!CURRENCY_CODES.includes(cur)) errors.push(`Divisa desconocida: ${cur}`)
+    const unit = material ? normalizePriceUnit(get('unit'), material) : null
+    if (material && !unit) errors.push(`Unidad no reconocida: ${get('unit')}`)
+    else if (material && unit.unit !== material.unit) errors.push(`Unidad ${unit.unit} no compatible con ${material.unit}`)
+    const price = errors.length ? null : convert(raw * unit.factor, cur, BASE_CURRENCY, rates)
+    const previous = material ? catalogPriceFor(material.key, current) : null
+    const status = errors.length ? 'invalid' : previous == null ? 'new' : Math.abs(previous - price) < 1e-9 ? 'unchanged' : 'update'
+    return { line: i + 2, name, material, price, unit: material?.unit, previous, status, errors }
+  })
+}
+
+export const applyPriceUpdates = (current, preview, { source = 'import', ts = new Date().toISOString() } = {}) => {
+  const next = { ...current }
+  preview.filter(p => p.status === 'new' || p.status === 'update')
+    .forEach(p => { next[p.material.key] = { price: p.price, unit: p.unit, ts, source } })
+  return next
+}
+
+export const exportBundleJSON = (entries) => JSON.stringify({ format: BUNDLE_FORMAT, version: BUNDLE_VERSION, exportedAt: new Date().toISOString(), appraisals: entries }, null, 2)
@@ -0,0 +1,102 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { detectImport, guessMapping, parseAmount, appraisalsFromImport, previewAppraisals, previewPrices, applyPriceUpdates, exportBundleJSON, mergeImported } from './importer.js'
+import { toCSV } from './csv.js'
+
+const materials = [
+  { key: 'gold_18k', label: 'Oro 18k', unit: '€/g', density: 15.6 },
+  { key: 'diamond', label: 'Diamante', unit: '€/ct', density: 3.52 },
+]
+const makeLine = (key) => ({ id: `l_${key}`, materialKey: key, mode: 'weight', weightVal: '', weightUnit: 'g', unitPrice: '', qty: '1', density: '15.6' })
+
+test('parseAmount admite coma decimal y separador de miles', () => {
+  assert.equal(parseAmount('1.234,50'), 1234.5)
+  assert.equal(parseAmount('1,234.50'), 1234.5)
+  assert.equal(parseAmount('12,5 €'), 12.5)
+  assert.ok(Number.isNaN(parseAmount('')))
+})
+
+test('detectImport reconoce el CSV del historial y su mapeo', () => {
+  const csv = 'Id,Fecha,Divisa,CosteTotal,PrecioPieza,ManoObra\n"a1","2025-01-02T10:00:00.000Z","EUR","100","90","10"'
+  const d = detectImport(csv, 'h.csv')
+  assert.equal(d.kind, 'history')
+  const mapping = guessMapping(d.headers, 'history')
+  assert.equal(mapping.totalCost, 'CosteTotal')
+  const [item] = previewAppraisals(appraisalsFromImport(d, mapping), { existingIds: new Set(['a1']) })
+  assert.equal(item.status, 'update')
+  assert.equal(item.entry.totalCost, 100)
+  assert.ok(item.alerts.some(a => a.includes('precio sospechoso')))
+})
+
+test('reimportar el CSV del historial conserva las líneas, operaciones, fotos y cambios guardados', () => {
+  const stored = { schema: 2, id: 'ap_1', ts: '2025-01-02T10:00:00.000Z', currency: 'EUR', desc: 'Solitario', pieceType: 'anillo', brand: '', model: '',
+    lines: [{ ...makeLine('gold_18k'), weightVal: '2', unitPrice: '50' }], operations: [{ id: 'o1', key: 'polishing' }], photos: ['p1'], audit: [{ action: 'Guardar' }],
+    laborCost: 20, totalCost: 120, piecePrice: 200 }
+  const csv = toCSV([{ Id: stored.id, Fecha: stored.ts, Divisa: 'EUR', Descripcion: 'Solitario oro', TipoPieza: 'anillo', ManoObra: 20, CosteTotal: 120, PrecioPieza: 200, Marca: '' }])
+  const d = detectImport(csv, 'safire_history.csv')
+  const [{ entry }] = appraisalsFromImport(d, guessMapping(d.headers, 'history'))
+  assert.equal(entry.partial, true)
+  const merged = mergeImported(stored, entry)
+  assert.deepEqual(merged.lines, stored.lines)
+  assert.deepEqual([merged.operations, merged.photos, merged.audit], [stored.operations, stored.photos, stored.audit])
+  assert.equal(merged.partial, undefined)
+  assert.equal(merged.desc, 'Solitario oro')
+  assert.equal(merged.totalCost, 120)
+  // Sin tasación guardada (o guardada solo con totales) se importa tal cual
+  assert.equal(mergeImported(undefined, entry), entry)
+  assert.equal(mergeImported({ ...stored, lines: [] }, entry), entry)
+})
+
+test('reimportar el CSV del historial conserva los lotes guardados con sus piezas', () => {
+  const piece = { id: 'p1', lines: [{ ...makeLine('gold_18k'), weightVal: '2', unitPrice: '50' }], totalCost: 100, fineByMetal: { gold: 1.5 } }
+  const stored = { schema: 2, kind: 'lot', id: 'lot_1', ts: '2025-01-02T10:00:00.000Z', currency: 'EUR', desc: 'Lote (1 piezas)', pieceType: 'lote',
+    lines: [], pieces: [piece], pieceCount: 1, fineByMetal: { gold: 1.5 }, totalCost: 100, pricedCost: 100, piecePrice: 150 }
+  const csv = toCSV([{ Id: stored.id, Fecha: stored.ts, Divisa: 'EUR', Descripcion: 'Lote compra marzo', TipoPieza: 'lote', CosteTotal: 100, PrecioPieza: 150 }])
+  const d = detectImport(csv, 'safire_history.csv')
+  const [{ entry }] = appraisalsFromImport(d, guessMapping(d.headers, 'history'))
+  const merged = mergeImported(stored, entry)
+  assert.deepEqual([merged.kind, merged.pieces, merged.fineByMetal, merged.pricedCost], ['lot', [piece], { gold: 1.5 }, 100])
+  assert.equal(merged.desc, 'Lote compra marzo')
+  assert.equal(merged.partial, undefined)
+})
+
+test('el paquete JSON se reimporta y recalcula totales con las líneas', () => {
+  const entry = { schema: 2, id: 'x', ts: '2025-01-02T10:00:00.000Z', currency: 'EUR', laborOverride: '20', piecePrice: 200,
+    lines: [{ ...makeLine('gold_18k'), weightVal: '2', unitPrice: '50' }] }
+  const d = detectImport(exportBundleJSON([entry]), 'b.json')
+  assert.equal(d.kind, 'bundle')
+  const [item] = previewAppraisals(appraisalsFromImport(d, {}, { makeLine }), { materials })
+  assert.equal(item.status, 'new')
+  assert.equal(item.entry.totalCost, 120)
+})
+
+test('el CSV del asistente se convierte en una tasación con líneas y mano de obra', () => {
+  const csv = [
+    '"Material","Tipo","Unidad","Peso","Coste unitario","Coste total","Origen peso"',
+    '"Oro 18k","metal","€/g","5","50","250","manual"',
+    '"Mano de obra","mano_obra","€/ud","1","80","80","manual"',
+    '"Cerámica","otro","€/ud","1","5","5","manual"',
+    '', '"RESUMEN"', '"Tipo de pieza","anillo"', '"Precio venta total","600"',
+  ].join('\n')
+  const d = detectImport(csv, 'w.csv')
+  assert.equal(d.kind, 'wizard')
+  const [{ entry, errors }] = appraisalsFromImport(d, {}, { materials, makeLine })
+  assert.equal(entry.lines.length, 1)
+  assert.equal(entry.laborOverride, '80')
+  assert.equal(entry.piecePrice, 600)
+  assert.equal(entry.pieceType, 'anillo')
+  assert.equal(errors.length, 1)
+})
+
+test('previewPrices convierte unidades y divisa y detecta filas no válidas', () => {
+  const d = detectImport('Material;Unidad;Precio;Divisa\nOro 18k;kg;55000;EUR\nDiamante;ct;1100;USD\nDiamante;g;10;EUR\nUnobtainium;g;1;EUR', 'p.csv')
+  assert.equal(d.kind, 'prices')
+  const mapping = guessMapping(d.headers, 'prices')
+  const rows = previewPrices(d.rows, mapping, { materials, rates: { EUR: 1, USD: 1.1 }, current: { gold_18k: { price: 50 } } })
+  assert.deepEqual(rows.map(r => r.status), ['update', 'new', 'new', 'invalid'])
+  assert.equal(rows[0].price, 55)
+  assert.equal(Math.round(rows[1].price), 1000)
+  assert.equal(rows[2].price, 2) // 10 €/g → 2 €/ct
+  const next = applyPriceUpdates({}, rows, { source: 'p.csv', ts: 't' })
+  assert.deepEqual(Object.keys(next).sort(), ['diamond', 'gold_18k'])
+})
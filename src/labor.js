@@ -0,0 +1,174 @@
+// ———————————————————————————————————————————————
+// Mano de obra por operaciones de taller
+// ———————————————————————————————————————————————
+// Catálogo editable de operaciones: tarifa (€/h), minutos y coste fijo por
+// unidad (piedra, pieza, gramo u hora). Cada tasación lleva su propia lista
+// de operaciones con los valores copiados en su divisa, de modo que editar
+// el catálogo no altera tasaciones guardadas.
+// Las operaciones sugeridas (auto) se recalculan con la mezcla de líneas; al
+// editarlas pasan a ser manuales y al quitarlas se recuerda su origen
+// (source) para no volver a sugerirlas.
+
+import { writeJSON } from './storage.js'
+
+export const LABOR_CATALOG_KEY = 'safire_labor_catalog_v1'
+export const DEFAULT_LABOR_RATE = 60 // €/h
+export const OPERATION_UNITS = { piece: 'pieza', stone: 'piedra', gram: 'g de metal', hour: 'hora' }
+// La complejidad de la pieza escala los tiempos, no las tarifas
+export const COMPLEXITY_FACTORS = { baja: 0.75, media: 1, alta: 1.5 }
+export const DEFAULT_SETTING = 'setting_prong'
+
+export const DEFAULT_OPERATIONS = [
+  { key: 'casting', label: 'Fundición (cera y colada)', unit: 'gram', minutes: 0, rate: DEFAULT_LABOR_RATE, fixed: 1.2 },
+  { key: 'setting_prong', label: 'Engaste en garras', unit: 'stone', minutes: 12, rate: DEFAULT_LABOR_RATE, fixed: 0, setting: true },
+  { key: 'setting_bezel', label: 'Engaste en chatón / bisel', unit: 'stone', minutes: 25, rate: DEFAULT_LABOR_RATE, fixed: 0, setting: true },
+  { key: 'setting_pave', label: 'Engaste pavé', unit: 'stone', minutes: 6, rate: DEFAULT_LABOR_RATE, fixed: 0, setting: true },
+  { key: 'setting_channel', label: 'Engaste en carril', unit: 'stone', minutes: 10, rate: DEFAULT_LABOR_RATE, fixed: 0, setting: true },
+  { key: 'engraving', label: 'Grabado', unit: 'piece', minutes: 30, rate: DEFAULT_LABOR_RATE, fixed: 0 },
+  { key: 'polishing', label: 'Pulido y acabado', unit: 'piece', minutes: 25, rate: 50, fixed: 0 },
+  { key: 'rhodium', label: 'Rodinado', unit: 'piece', minutes: 15, rate: 50, fixed: 8 },
+  { key: 'assembly', label: 'Montaje / soldadura', unit: 'piece', minutes: 20, rate: DEFAULT_LABOR_RATE, fixed: 0 },
+  { key: 'watch_service', label: 'Revisión de movimiento', unit: 'piece', minutes: 120, rate: DEFAULT_LABOR_RATE, fixed: 0 },
+  { key: 'watch_casing', label: 'Encajado y prueba de hermeticidad', unit: 'piece', minutes: 30, rate: DEFAULT_LABOR_RATE, fixed: 5 },
+  { key: 'crystal_fit', label: 'Montaje de cristal', unit: 'piece', minutes: 20, rate: DEFAULT_LABOR_RATE, fixed: 0 },
+  { key: 'bracelet_fit', label: 'Ajuste de brazalete', unit: 'piece', minutes: 15, rate: DEFAULT_LABOR_RATE, fixed: 0 },
+  { key: 'bench_hour', label: 'Hora de banco', unit: 'hour', minutes: 60, rate: DEFAULT_LABOR_RATE, fixed: 0 },
+]
+
+const num = (v, d = 0) => { const n = parseFloat(String(v ?? '').replace(',', '.')); return Number.isFinite(n) ? n : d }
+const round2 = (n) => Math.round(n * 100) / 100
+
+export const cleanOperationDef = (d) => {
+  const label = String(d?.label || '').trim()
+  if (!label) throw new Error('Cada operación necesita un nombre')
+  return {
+    key: String(d.key || `op_${Date.now().toString(36)}`),
+    label,
+    unit: d.unit in OPERATION_UNITS ? d.unit : 'piece',
+    minutes: Math.max(0, num(d.minutes)),
+    rate: Math.max(0, num(d.rate, DEFAULT_LABOR_RATE)),
+    fixed: Math.max(0, num(d.fixed)),
+    setting: d.unit === 'stone' && Boolean(d.setting),
+  }
+}
+
+export const newOperationDef = () => ({ key: `op_${Date.now().toString(36)}`, label: 'Nueva operación', unit: 'piece', minutes: 30, rate: DEFAULT_LABOR_RATE, fixed: 0, setting: false })
+
+export const loadLaborCatalog = () => {
+  try {
+    const data = JSON.parse(localStorage.getItem(LABOR_CATALOG_KEY) || 'null')
+    if (Array.isArray(data) && data.length) return data.map(cleanOperationDef)
+  } catch {}
+  return DEFAULT_OPERATIONS.map(cleanOperationDef)
+}
+
+export const saveLaborCatalog = (catalog) => writeJSON(LABOR_CATALOG_KEY, catalog, 'el catálogo de operaciones')
+
+export const settingOptions = (catalog) => catalog.filter(d => d.setting)
+
+// Operación de una tasación a partir de su definición (rate: divisa por 1 EUR)
+export const operationFromDef = (def, { qty = 1, rate = 1, source = '', auto = false } = {}) => ({
+  id: `op_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+  key: def.key,
+  label: def.label,
+  unit: def.unit,
+  qty: String(round2(qty)),
+  minutes: String(def.minutes),
+  rate: String(round2(def.rate * rate)),
+  fixed: String(round2(def.fixed * rate)),
+  source,
+  auto,
+})
+
+// Metales y piedras: m.kind manda (asistente); si no, la unidad de precio
+const isStone = (m) => m?.kind ? m.kind === 'stone' : m?.unit === '€/ct'
+const isMetal = (m) => m?.kind ? m.kind === 'metal' : m?.unit === '€/g'
+const isWatch = (pieceType) => /reloj/.test(String(pieceType || ''))
+const WATCH_OPERATIONS = ['watch_service', 'watch_casing', 'crystal_fit', 'bracelet_fit']
+
+// Sugerencias según las líneas:
+//  - un engaste por línea de piedras × unidades (tipo en ln.setting)
+//  - fundición por gramo de metal (no en relojes) y pulido de la pieza
+//  - montaje por cada metal adicional (o el del reloj) y rodinado del oro blanco
+//  - con ficha de reloj (watch = evaluate().watch): revisión del movimiento
+//    (minutos de la tabla de relojes), encajado, cristal y brazalete
+// metalGrams: gramos de metal de toda la pieza (los calcula la valoración)
+export const suggestOperations = ({ lines = [], pieceType, watch }, { materials = [], catalog = [], metalGrams = 0, rate = 1 }) => {
+  // Catálogos guardados antes de las operaciones de relojería: se usan las de serie
+  const byKey = (key) => catalog.find(d => d.key === key) || (WATCH_OPERATIONS.includes(key) ? DEFAULT_OPERATIONS.find(d => d.key === key) : undefined)
+  const matOf = (ln) => materials.find(m => m.key === ln.materialKey)
+  const out = []
+  const push = (def, qty, source) => { if (def && qty > 0) out.push(operationFromDef(def, { qty, rate, source, auto: true })) }
+
+  lines.forEach(ln => {
+    if (!isStone(matOf(ln))) return
+    const def = byKey(ln.setting) || byKey(DEFAULT_SETTING) || settingOptions(catalog)[0]
+    push(def, num(ln.qty, 1), `setting@${ln.id}`)
+  })
+  const metals = lines.filter(ln => isMetal(matOf(ln)))
+  if (metals.length) {
+    if (!isWatch(pieceType)) push(byKey('casting'), round2(metalGrams), 'casting')
+    push(byKey('polishing'), 1, 'polishing')
+    // Con ficha de reloj el montaje es el encajado
+    if (!watch) push(byKey('assembly'), isWatch(pieceType) ? 1 : metals.length - 1, 'assembly')
+    if (metals.some(ln => /blanco|white/i.test(`${matOf(ln)?.label} ${ln.alias || ''}`))) push(byKey('rhodium'), 1, 'rhodium')
+  }
+  if (watch) {
+    const service = byKey('watch_service')
+    if (watch.movement && service) push({ ...service, minutes: watch.movement.serviceMinutes || service.minutes }, 1, 'watch_service')
+    push(byKey('watch_casing'), 1, 'watch_casing')
+    if (watch.crystal) push(byKey('crystal_fit'), 1, 'crystal_fit')
+    if (lines.some(ln => ln.component === 'bracelet')) push(byKey('bracelet_fit'), 1, 'bracelet_fit')
+  }
+  return out
+}
+
+// Sustituye las sugerencias vigentes conservando el orden, los ids y las
+// operaciones manuales; no repite orígenes ya editados ni descartados.
+export const mergeSuggested = (current = [], suggested = [], dismissed = []) => {
+  const taken = new Set([...dismissed, ...current.filter(o => !o.auto && o.source).map(o => o.source)])
+  const fresh = new Map(suggested.filter(s => !taken.has(s.source)).map(s => [s.source, s]))
+  const out = current.flatMap(o => {
+    if (!o.auto) return [o]
+    const s = fresh.get(o.source)
+    if (!s) return []
+    fresh.delete(o.source)
+    return [{ ...s, id: o.id }]
+  })
+  return [...out, ...fresh.values()]
+}
+
+// Los engastes apuntan a su línea (setting@<id>). Al copiar líneas con ids
+// nuevos (duplicar, enlaces) se reasignan por posición; '#<i>' = índice.
+export const indexSources = (operations = [], lines = []) => operations.map(op => {
+  const i = lines.findIndex(ln => op.source === `setting@${ln.id}`)
+  return i < 0 ? op : { ...op, source: `setting@#${i}` }
+})
+export const rebindOperations = (operations = [], fromLines = [], toLines = []) => operations.map(op => {
+  const i = fromLines.findIndex((ln, j) => op.source === `setting@${ln.id}` || op.source === `setting@#${j}`)
+  return {
+    ...op,
+    id: op.id || `op_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+    source: i >= 0 && toLines[i] ? `setting@${toLines[i].id}` : op.source,
+  }
+})
+
+export const operationMinutes = (op, factor = 1) => num(op.qty) * num(op.minutes) * factor
+export const operationCost = (op, factor = 1) => num(op.qty) * (num(op.minutes) * factor / 60 * num(op.rate) + num(op.fixed))
+
+// → { items: [{ ...op, minutesTotal, cost }], minutes, total }
+export const laborBreakdown = (operations = [], { complexity = 'media' } = {}) => {
+  const factor = COMPLEXITY_FACTORS[complexity] ?? 1
+  const items = operations.map(op => ({ ...op, minutesTotal: operationMinutes(op, factor), cost: operationCost(op, factor) }))
+  return {
+    items,
+    minutes: items.reduce((s, o) => s + o.minutesTotal, 0),
+    total: items.reduce((s, o) => s + o.cost, 0),
+  }
+}
+
+// Una línea de texto para exportes: "Engaste en garras ×3 = 36.00; …"
+export const laborSummary = (operations = [], { complexity, fmt = (n, d = 2) => n.toFixed(d) } = {}) =>
+  laborBreakdown(operations, { complexity }).items
+    .map(o => `${o.label} ×${fmt(num(o.qty), o.unit === 'gram' || o.unit === 'hour' ? 2 : 0)} = ${fmt(o.cost)}`)
+    .join('; ')
@@ -0,0 +1,88 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_OPERATIONS, cleanOperationDef, suggestOperations, mergeSuggested, laborBreakdown, laborSummary, operationFromDef, indexSources, rebindOperations } from './labor.js'
+
+const catalog = DEFAULT_OPERATIONS.map(cleanOperationDef)
+const materials = [
+  { key: 'gold_18k', label: 'Oro 18k', unit: '€/g' },
+  { key: 'white_gold', label: 'Oro blanco 18k', unit: '€/g' },
+  { key: 'diamond', label: 'Diamante', unit: '€/ct' },
+]
+const gold = { id: 'l1', materialKey: 'gold_18k', qty: '1' }
+const pave = { id: 'l2', materialKey: 'diamond', qty: '12', setting: 'setting_pave' }
+const center = { id: 'l3', materialKey: 'diamond', qty: '1' }
+
+test('suggestOperations: un engaste por línea de piedras × unidades y trabajo del metal', () => {
+  const ops = suggestOperations({ lines: [gold, pave, center], pieceType: 'anillo_fino' }, { materials, catalog, metalGrams: 4.5 })
+  const by = Object.fromEntries(ops.map(o => [o.source, o]))
+  assert.equal(by['setting@l2'].key, 'setting_pave')
+  assert.equal(by['setting@l2'].qty, '12')
+  assert.equal(by['setting@l3'].key, 'setting_prong')
+  assert.equal(by.casting.qty, '4.5')
+  assert.equal(by.polishing.qty, '1')
+  assert.equal(by.assembly, undefined) // un solo metal, sin soldaduras
+  assert.ok(ops.every(o => o.auto))
+
+  const watch = suggestOperations({ lines: [gold, { id: 'l4', materialKey: 'white_gold' }], pieceType: 'reloj_completo' }, { materials, catalog, metalGrams: 30 })
+  assert.deepEqual(watch.map(o => o.key).sort(), ['assembly', 'polishing', 'rhodium'])
+})
+
+test('suggestOperations: ficha de reloj → revisión con los minutos del movimiento, encajado, cristal y brazalete', () => {
+  const lines = [{ ...gold, component: 'case' }, { id: 'l5', materialKey: 'gold_18k', qty: '20', component: 'bracelet' }]
+  const watch = { movement: { serviceMinutes: 240 }, crystal: { key: 'sapphire' } }
+  // Catálogo guardado sin operaciones de relojería: se usan las de serie
+  const old = catalog.filter(d => !d.key.startsWith('watch_') && d.key !== 'crystal_fit' && d.key !== 'bracelet_fit')
+  const ops = suggestOperations({ lines, pieceType: 'reloj_completo', watch }, { materials, catalog: old, metalGrams: 60 })
+  const by = Object.fromEntries(ops.map(o => [o.source, o]))
+  assert.equal(by.watch_service.minutes, '240')
+  assert.ok(by.watch_casing && by.crystal_fit && by.bracelet_fit && by.polishing)
+  assert.equal(by.assembly, undefined)
+  assert.equal(by.casting, undefined)
+})
+
+test('operationFromDef convierte tarifas a la divisa de la tasación', () => {
+  const op = operationFromDef(catalog.find(d => d.key === 'rhodium'), { qty: 2, rate: 1.1 })
+  assert.equal(op.rate, '55')
+  assert.equal(op.fixed, '8.8')
+  assert.equal(op.qty, '2')
+})
+
+test('mergeSuggested conserva manuales, editadas y descartes', () => {
+  const [a, b] = suggestOperations({ lines: [gold, center] }, { materials, catalog, metalGrams: 2 })
+  const manual = { ...operationFromDef(catalog.find(d => d.key === 'engraving')), id: 'm1' }
+  let ops = mergeSuggested([], [a, b])
+  ops = [...ops, manual]
+  // Editar una sugerida la vuelve manual: ya no se sustituye
+  ops = ops.map(o => o.source === a.source ? { ...o, qty: '3', auto: false } : o)
+  const again = suggestOperations({ lines: [gold, center] }, { materials, catalog, metalGrams: 5 })
+  const merged = mergeSuggested(ops, again, [])
+  assert.equal(merged.find(o => o.source === a.source).qty, '3')
+  assert.equal(merged.filter(o => o.source === a.source).length, 1)
+  assert.ok(merged.some(o => o.id === 'm1'))
+  assert.equal(merged.find(o => o.source === 'casting').qty, '5')
+  // Las descartadas no vuelven
+  assert.equal(mergeSuggested(merged, again, ['casting']).some(o => o.source === 'casting'), false)
+})
+
+test('laborBreakdown: minutos × tarifa + fijo, escalado por complejidad', () => {
+  const ops = [
+    { ...operationFromDef(catalog.find(d => d.key === 'setting_prong'), { qty: 4 }) }, // 4 × 12 min a 60 €/h
+    { ...operationFromDef(catalog.find(d => d.key === 'rhodium')) },                    // 15 min a 50 €/h + 8
+  ]
+  const media = laborBreakdown(ops)
+  assert.equal(media.items[0].cost, 48)
+  assert.equal(media.items[1].cost, 20.5)
+  assert.equal(media.minutes, 63)
+  assert.equal(laborBreakdown(ops, { complexity: 'alta' }).items[0].cost, 72)
+  assert.equal(laborSummary(ops), 'Engaste en garras ×4 = 48.00; Rodinado ×1 = 20.50')
+})
+
+test('rebindOperations reasigna los engastes a las líneas copiadas', () => {
+  const ops = suggestOperations({ lines: [gold, center] }, { materials, catalog })
+  const copies = [{ ...gold, id: 'n1' }, { ...center, id: 'n3' }]
+  assert.ok(rebindOperations(ops, [gold, center], copies).some(o => o.source === 'setting@n3'))
+  const shared = indexSources(ops, [gold, center]).map(({ id, ...o }) => o)
+  const restored = rebindOperations(shared, [{}, {}], copies)
+  assert.ok(restored.some(o => o.source === 'setting@n3'))
+  assert.ok(restored.every(o => o.id))
+})
@@ -0,0 +1,216 @@
+// ———————————————————————————————————————————————
+// Lotes: varias piezas tasadas en una sola sesión
+// ———————————————————————————————————————————————
+// Un lote (herencia, inventario) es una lista de piezas, cada una con sus
+// líneas, mano de obra y precio de tienda o pedido. La valoración de cada
+// pieza la hace el llamante (evaluatePiece) con el mismo motor que el
+// comparador; aquí se suman los totales, el metal fino por metal y el
+// diagnóstico agregado. El lote se guarda como un único registro del
+// historial (kind: 'lot', pieceType: 'lote').
+
+import { classify, toNumber, convertLinePrices, DEFAULT_POLICY } from './valuation.js'
+import { convertWatchValues } from './watches.js'
+import { convert } from './currency.js'
+import { fineContent } from './prices.js'
+import { HISTORY_SCHEMA, newEntryId } from './history.js'
+import { cleanMode } from './scrap.js'
+import { writeJSON } from './storage.js'
+
+export const LOT_DRAFT_KEY = 'safire_lot_draft_v1'
+export const LOT_PIECE_TYPE = 'lote'
+export const isLotEntry = (e) => e?.kind === 'lot'
+
+export const newLotPiece = (makeLine, patch = {}) => ({
+  id: `pc_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+  desc: '',
+  pieceType: 'otro',
+  brand: '',
+  model: '',
+  lines: [makeLine()],
+  laborOverride: '', // vacío = mano de obra sugerida por operaciones
+  piecePrice: '',
+  watch: null,
+  ...patch,
+})
+
+// currency: divisa de los importes de las piezas (la del comparador)
+export const newLot = (makeLine, currency) => ({ name: '', currency, pieces: [newLotPiece(makeLine)] })
+
+export const loadLotDraft = () => {
+  try {
+    const data = JSON.parse(localStorage.getItem(LOT_DRAFT_KEY) || 'null')
+    if (data && Array.isArray(data.pieces)) return data
+  } catch {}
+  return null
+}
+
+export const saveLotDraft = (lot) => writeJSON(LOT_DRAFT_KEY, lot, 'el lote en curso')
+
+// Pasa los importes del lote (precios de cada línea, mano de obra, valores
+// manuales del reloj y precio de cada pieza) a otra divisa. Sin divisa (borradores antiguos) se toma la de destino.
+export const convertLot = (lot, to, rates) => {
+  const from = lot.currency || to
+  if (from === to) return { ...lot, currency: to }
+  const conv = (v) => String(v ?? '').trim() === '' ? v : String(Math.round(convert(toNumber(v), from, to, rates) * 100) / 100)
+  return {
+    ...lot,
+    currency: to,
+    pieces: lot.pieces.map(p => ({
+      ...p,
+      laborOverride: conv(p.laborOverride),
+      piecePrice: conv(p.piecePrice),
+      lines: (p.lines || []).map(ln => convertLinePrices(ln, conv)),
+      watch: convertWatchValues(p.watch, conv),
+    })),
+  }
+}
+
+// g de metal fino por metal a partir de calcLine (solo la capa noble de chapados)
+export const fineByMetal = (parts = []) => {
+  const out = {}
+  parts.forEach(p => {
+    const fine = p.matUnit === 'g' ? fineContent(p.m) : null
+    if (fine) out[fine.metal] = (out[fine.metal] || 0) + p.effW * p.qty * fine.purity / 1000
+  })
+  return out
+}
+
+const addInto = (acc, obj) => { Object.entries(obj || {}).forEach(([k, v]) => { acc[k] = (acc[k] || 0) + v }); return acc }
+
+// evaluatePiece(piece) → resultado de evaluate() con la mano de obra ya resuelta
+// → { items: [{ piece, evaluation, fine }], subtotal, laborCost, totalCost, piecePrice,
+//     pricedCost, overPctTotal, diagnosis, diagnosisInfo, byDiagnosis, fineByMetal,
+//     totalWeightG, resale, unpriced, alerts }
+export const evaluateLot = (pieces = [], { evaluatePiece, policy = DEFAULT_POLICY } = {}) => {
+  const items = pieces.map(piece => {
+    const evaluation = evaluatePiece(piece)
+    return { piece, evaluation, fine: fineByMetal(evaluation.parts) }
+  })
+  const sum = (fn) => items.reduce((a, i) => a + (fn(i) || 0), 0)
+  const subtotal = sum(i => i.evaluation.subtotal)
+  const laborCost = sum(i => i.evaluation.laborCost)
+  const totalCost = sum(i => i.evaluation.totalCost)
+  const piecePrice = sum(i => i.evaluation.piecePrice)
+  // Diagnóstico agregado: precio del lote frente al coste de las piezas con precio
+  const priced = items.filter(i => i.evaluation.piecePrice > 0)
+  const pricedCost = priced.reduce((a, i) => a + i.evaluation.totalCost, 0)
+  const overPctTotal = pricedCost > 0 ? ((piecePrice - pricedCost) / pricedCost) * 100 : 0
+  const diagnosisInfo = classify(piecePrice, pricedCost, policy)
+  const byDiagnosis = {}
+  items.forEach(({ evaluation: ev }) => {
+    if (!ev.diagnosis) return
+    byDiagnosis[ev.diagnosis] = { count: (byDiagnosis[ev.diagnosis]?.count || 0) + 1, color: ev.diagnosisInfo?.color }
+  })
+  const resales = items.map(i => i.evaluation.resale).filter(Boolean)
+  const resale = resales.length ? {
+    low: resales.reduce((a, r) => a + r.low, 0),
+    high: resales.reduce((a, r) => a + r.high, 0),
+    melt: resales.reduce((a, r) => a + r.melt, 0),
+    gems: resales.reduce((a, r) => a + r.gems, 0),
+  } : null
+  const alerts = items.flatMap(({ evaluation }, i) => evaluation.alerts.map(a => `Pieza ${i + 1}: ${a}`))
+  const unpriced = items.length - priced.length
+  if (unpriced && priced.length) alerts.push(`${unpriced} piezas sin precio: el diagnóstico del lote solo cuenta las que lo tienen`)
+  return {
+    items, subtotal, laborCost, totalCost, piecePrice, pricedCost, overPctTotal,
+    diagnosis: diagnosisInfo?.label || '', diagnosisInfo, byDiagnosis,
+    fineByMetal: items.reduce((acc, i) => addInto(acc, i.fine), {}),
+    totalWeightG: sum(i => i.evaluation.totalWeightG),
+    resale, unpriced, alerts,
+  }
+}
+
+// Resumen de materiales de una pieza: "Oro 18k 5.00 g + Diamante 0.50 ct"
+export const pieceSummary = (evaluation, fmt = (n, d = 2) => n.toFixed(d)) => evaluation.parts
+  .filter(p => p.effW > 0)
+  .map(p => `${p.m?.label || p.m?.key} ${fmt(p.effW * p.qty, p.matUnit === 'g' ? 2 : 3)} ${p.matUnit}`)
+  .join(' + ')
+
+// Registro del historial: totales del lote + cada pieza con su resultado
+export const buildLotEntry = (state, lotEval, { id, createdAt } = {}) => {
+  const ts = new Date().toISOString()
+  const pieceCount = lotEval.items.length
+  return {
+    schema: HISTORY_SCHEMA,
+    kind: 'lot',
+    id: id || newEntryId(),
+    ts: createdAt || ts,
+    updatedAt: ts,
+    currency: state.currency,
+    baseCurrency: state.baseCurrency,
+    rate: state.rate,
+    desc: String(state.name || '').trim() || `Lote (${pieceCount} piezas)`,
+    pieceType: LOT_PIECE_TYPE,
+    brand: '',
+    model: '',
+    mode: cleanMode(state.mode),
+    priceAsOf: state.priceAsOf || null,
+    lines: [],
+    pieces: lotEval.items.map(({ piece, evaluation: ev, fine }) => ({
+      ...piece,
+      lines: piece.lines.map(ln => ({ ...ln, grade: ln.grade ? { ...ln.grade } : null })),
+      watch: piece.watch ? { ...piece.watch } : null,
+      subtotalMaterials: ev.subtotal,
+      laborCost: ev.laborCost,
+      totalCost: ev.totalCost,
+      diagnosis: ev.diagnosis,
+      fineByMetal: fine,
+    })),
+    pieceCount,
+    subtotalMaterials: lotEval.subtotal,
+    laborCost: lotEval.laborCost,
+    totalCost: lotEval.totalCost,
+    piecePrice: lotEval.piecePrice,
+    pricedCost: lotEval.pricedCost, // coste de las piezas con precio (el que cuenta en el diagnóstico)
+    pctMaterials: lotEval.piecePrice > 0 ? (lotEval.subtotal / lotEval.piecePrice) * 100 : 0,
+    pctTotal: lotEval.piecePrice > 0 ? (lotEval.totalCost / lotEval.piecePrice) * 100 : 0,
+    diagnosis: lotEval.diagnosis,
+    diagnosisPolicy: state.diagnosisPolicy || null,
+    fineByMetal: { ...lotEval.fineByMetal },
+    retail: null,
+    resale: lotEval.resale ? { ...lotEval.resale } : null,
+  }
+}
+
+// Entrada del historial → lote editable (ids nuevos si asNew)
+export const lotFromEntry = (entry, { asNew = false } = {}) => ({
+  name: entry.desc || '',
+  currency: entry.currency,
+  pieces: (entry.pieces || []).map(({ subtotalMaterials, laborCost, totalCost, diagnosis, fineByMetal, ...piece }, i) => ({
+    ...piece,
+    id: asNew || !piece.id ? `pc_${Date.now()}_${i}_${Math.random().toString(36).slice(2, 7)}` : piece.id,
+    lines: (piece.lines || []).map((ln, j) => ({ ...ln, id: asNew ? `${Date.now()}_${i}_${j}_${Math.random().toString(36).slice(2, 7)}` : ln.id })),
+  })),
+})
+
+// Filas CSV: una por pieza y una final con los totales del lote
+export const lotCSVRows = (lotEval, { pieceTypes = {}, metals = {}, fmt = (n, d = 2) => n.toFixed(d) } = {}) => {
+  const fineCols = (fine) => Object.fromEntries(Object.keys(metals).map(k => [`Fino_${k}_g`, fmt(fine[k] || 0, 3)]))
+  const rows = lotEval.items.map(({ piece, evaluation: ev, fine }, i) => ({
+    N: i + 1,
+    Descripcion: piece.desc || '',
+    TipoPieza: pieceTypes[piece.pieceType] || piece.pieceType || '',
+    Marca: piece.brand || '',
+    Materiales: pieceSummary(ev, fmt),
+    PesoG: fmt(ev.totalWeightG),
+    SubtotalMateriales: fmt(ev.subtotal),
+    ManoObra: fmt(ev.laborCost),
+    CosteTotal: fmt(ev.totalCost),
+    Precio: ev.piecePrice ? fmt(ev.piecePrice) : '',
+    Diagnostico: ev.diagnosis || '',
+    ...fineCols(fine),
+  }))
+  rows.push({
+    N: 'TOTAL',
+    Descripcion: `${lotEval.items.length} piezas`,
+    TipoPieza: '', Marca: '', Materiales: '',
+    PesoG: fmt(lotEval.totalWeightG),
+    SubtotalMateriales: fmt(lotEval.subtotal),
+    ManoObra: fmt(lotEval.laborCost),
+    CosteTotal: fmt(lotEval.totalCost),
+    Precio: lotEval.piecePrice ? fmt(lotEval.piecePrice) : '',
+    Diagnostico: lotEval.diagnosis || '',
+    ...fineCols(lotEval.fineByMetal),
+  })
+  return rows
+}
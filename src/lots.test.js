@@ -0,0 +1,90 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { evaluateLot, fineByMetal, buildLotEntry, lotFromEntry, lotCSVRows, newLotPiece, isLotEntry, convertLot } from './lots.js'
+import { evaluate, DEFAULT_POLICY } from './valuation.js'
+import { buildLotReport, renderReportPDF } from './report.js'
+import { materialReferences } from './catalog.js'
+
+const materials = [
+  { key: 'gold_18k', label: 'Oro 18k', unit: '€/g', density: 15.6, metal: 'gold', purity: 750 },
+  { key: 'silver_925', label: 'Plata 925', unit: '€/g', density: 10.36, metal: 'silver', purity: 925 },
+  { key: 'steel_316L', label: 'Acero 316L', unit: '€/g', density: 8 },
+]
+let n = 0
+const line = (materialKey, weightVal, unitPrice) => ({ id: `l${++n}`, materialKey, mode: 'weight', weightVal, weightUnit: 'g', unitPrice, qty: '1', density: '10' })
+const makeLine = () => line('gold_18k', '', '')
+const evaluatePiece = (piece) => evaluate({ lines: piece.lines, laborCost: Number(piece.laborOverride) || 0, piecePrice: Number(piece.piecePrice) || 0 }, { materials })
+
+const pieces = [
+  newLotPiece(makeLine, { desc: 'Anillo', lines: [line('gold_18k', '4', '50')], laborOverride: '50', piecePrice: '300' }),
+  newLotPiece(makeLine, { desc: 'Cadena', lines: [line('silver_925', '20', '1'), line('steel_316L', '5', '0.1')], piecePrice: '' }),
+]
+
+test('fineByMetal: metal fino por metal; sin ley no suma', () => {
+  const ev = evaluatePiece(pieces[1])
+  assert.deepEqual(fineByMetal(ev.parts), { silver: 18.5 })
+})
+
+test('evaluateLot: totales, diagnóstico solo con piezas con precio y metal fino del lote', () => {
+  const r = evaluateLot(pieces, { evaluatePiece, policy: DEFAULT_POLICY })
+  assert.equal(r.subtotal, 200 + 20.5)
+  assert.equal(r.laborCost, 50)
+  assert.equal(r.totalCost, 270.5)
+  assert.equal(r.piecePrice, 300)
+  assert.equal(r.pricedCost, 250)
+  assert.equal(r.overPctTotal, 20)
+  assert.equal(r.diagnosis, 'Precio razonable')
+  assert.deepEqual(r.byDiagnosis['Precio razonable'].count, 1)
+  assert.deepEqual(r.fineByMetal, { gold: 3, silver: 18.5 })
+  assert.equal(r.unpriced, 1)
+  assert.ok(r.alerts.some(a => a.includes('sin precio')))
+})
+
+test('buildLotEntry / lotFromEntry: un solo registro que se reabre como lote', () => {
+  const r = evaluateLot(pieces, { evaluatePiece })
+  const e = buildLotEntry({ name: '', currency: 'EUR', rate: 1, mode: 'retail' }, r)
+  assert.ok(isLotEntry(e))
+  assert.equal(e.pieceType, 'lote')
+  assert.equal(e.desc, 'Lote (2 piezas)')
+  assert.equal(e.pieces[1].fineByMetal.silver, 18.5)
+  assert.equal(e.totalCost, 270.5)
+  assert.equal(e.pricedCost, 250)
+  assert.equal(materialReferences([e], 'steel_316L').length, 1)
+  const lot = lotFromEntry(e, { asNew: true })
+  assert.equal(lot.pieces.length, 2)
+  assert.notEqual(lot.pieces[0].id, pieces[0].id)
+  assert.equal(lot.pieces[0].totalCost, undefined)
+  assert.equal(lot.pieces[1].lines[0].materialKey, 'silver_925')
+})
+
+test('convertLot pasa a otra divisa los precios, la mano de obra y el precio de cada pieza', () => {
+  const lot = { name: 'Herencia', currency: 'EUR', pieces }
+  const usd = convertLot(lot, 'USD', { EUR: 1, USD: 2 })
+  assert.equal(usd.currency, 'USD')
+  assert.deepEqual(usd.pieces.map(p => [p.laborOverride, p.piecePrice]), [['100', '600'], ['', '']])
+  assert.deepEqual(usd.pieces[1].lines.map(l => l.unitPrice), ['2', '0.2'])
+  assert.equal(convertLot(usd, 'EUR', { EUR: 1, USD: 2 }).pieces[0].lines[0].unitPrice, '50')
+  // Borrador sin divisa: se asume la de destino
+  assert.equal(convertLot({ name: '', pieces }, 'USD', { USD: 2 }).pieces[0].piecePrice, '300')
+  // Chapados y relojes: también el precio manual del metal base y los valores manuales del reloj
+  const watchPiece = newLotPiece(makeLine, { lines: [{ ...line('gold_18k', '5', '50'), construction: 'plated', baseMaterialKey: 'steel_316L', baseUnitPrice: '0.5' }],
+    watch: { movement: 'quartz', movementValue: '40', crystal: 'sapphire', crystalValue: '' } })
+  const [converted] = convertLot({ currency: 'EUR', pieces: [watchPiece] }, 'USD', { EUR: 1, USD: 2 }).pieces
+  assert.deepEqual([converted.lines[0].unitPrice, converted.lines[0].baseUnitPrice], ['100', '1'])
+  assert.deepEqual([converted.watch.movementValue, converted.watch.crystalValue, converted.watch.movement], ['80', '', 'quartz'])
+  const e = buildLotEntry({ name: '', currency: 'USD', rate: 2, mode: 'retail' }, evaluateLot(pieces, { evaluatePiece }))
+  assert.equal(lotFromEntry(e).currency, 'USD')
+})
+
+test('lotCSVRows y buildLotReport: una fila por pieza más el total', () => {
+  const r = evaluateLot(pieces, { evaluatePiece })
+  const rows = lotCSVRows(r, { metals: { gold: 'Oro fino', silver: 'Plata fina' } })
+  assert.equal(rows.length, 3)
+  assert.equal(rows[2].N, 'TOTAL')
+  assert.equal(rows[2].Fino_silver_g, '18.500')
+  assert.equal(rows[0].Materiales, 'Oro 18k 4.00 g')
+  const report = buildLotReport({ name: 'Herencia' }, r, { metals: { gold: 'Oro fino' }, policy: DEFAULT_POLICY })
+  assert.equal(report.lines.length, 2)
+  assert.ok(report.totals.some(([label, v]) => label === 'Oro fino' && v === '3.000 g'))
+  assert.ok(renderReportPDF(report).output('arraybuffer').byteLength > 1000)
+})
@@ -0,0 +1,93 @@
+// ———————————————————————————————————————————————
+// Evidencias fotográficas de la tasación
+// ———————————————————————————————————————————————
+// Fotos del contraste, la báscula o el calibre que respaldan un peso o una
+// medida. Se reducen en el navegador (JPEG) y se guardan en IndexedDB
+// (store.js, almacén photos); la tasación y cada línea solo guardan los ids
+// en `photos`, así que los enlaces compartidos no las incluyen.
+
+export const PHOTO_KINDS = {
+  piece: 'Pieza',
+  hallmark: 'Contraste',
+  scale: 'Báscula',
+  caliper: 'Calibre',
+  other: 'Otra',
+}
+export const PHOTO_MAX_SIDE = 1600
+export const THUMB_SIDE = 160
+const JPEG_QUALITY = 0.82
+
+export const newPhotoId = () => `ph_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`
+
+// Tamaño que cabe en max × max sin ampliar
+export const fitSize = (width, height, max) => {
+  const w = Math.max(1, Number(width) || 1), h = Math.max(1, Number(height) || 1)
+  const k = Math.min(1, max / Math.max(w, h))
+  return { width: Math.round(w * k), height: Math.round(h * k) }
+}
+
+export const photoRecord = ({ image, thumb, width, height, kind = 'piece', caption = '', name = '', ts } = {}) => ({
+  id: newPhotoId(),
+  ts: ts || new Date().toISOString(),
+  kind: PHOTO_KINDS[kind] ? kind : 'other',
+  caption: String(caption || ''),
+  name: String(name || ''),
+  width, height,
+  image, // JPEG reducido (data URL)
+  thumb, // miniatura (data URL)
+})
+
+// Imagen decodificada a partir de un File/Blob (respeta la orientación EXIF)
+const decode = async (file) => {
+  if (typeof createImageBitmap === 'function') {
+    try { return await createImageBitmap(file, { imageOrientation: 'from-image' }) } catch {}
+  }
+  const url = URL.createObjectURL(file)
+  try {
+    const img = new Image()
+    img.src = url
+    await img.decode()
+    return img
+  } finally { URL.revokeObjectURL(url) }
+}
+
+const toJPEG = (source, max) => {
+  const { width, height } = fitSize(source.width, source.height, max)
+  const canvas = document.createElement('canvas')
+  canvas.width = width; canvas.height = height
+  const ctx = canvas.getContext('2d')
+  ctx.fillStyle = '#fff'; ctx.fillRect(0, 0, width, height) // PNG con transparencia
+  ctx.drawImage(source, 0, 0, width, height)
+  return { dataUrl: canvas.toDataURL('image/jpeg', JPEG_QUALITY), width, height }
+}
+
+// File de la cámara o del disco → registro listo para putPhoto (solo navegador)
+export const readPhotoFile = async (file, { kind, caption } = {}) => {
+  if (!file || !/^image\//.test(file.type || '')) throw new Error(`${file?.name || 'El archivo'} no es una imagen`)
+  const source = await decode(file)
+  const full = toJPEG(source, PHOTO_MAX_SIDE)
+  const thumb = toJPEG(source, THUMB_SIDE)
+  source.close?.()
+  return photoRecord({ image: full.dataUrl, thumb: thumb.dataUrl, width: full.width, height: full.height, kind, caption, name: file.name })
+}
+
+// Ids de fotos de una tasación (general + líneas + piezas de un lote), sin repetir
+export const photoIds = (entry = {}) => {
+  const lines = [...(entry.lines || []), ...(entry.pieces || []).flatMap(p => p.lines || [])]
+  return [...new Set([...(entry.photos || []), ...lines.flatMap(ln => ln.photos || [])])]
+}
+
+export const referencedPhotoIds = (entries = []) => new Set(entries.flatMap(photoIds))
+
+// Fotos del informe PDF: primero las generales y luego las de cada línea.
+// records: { [id]: registro } → [{ image, width, height, caption }]
+export const reportPhotos = (state, records = {}) => {
+  const refs = [
+    ...(state.photos || []).map(id => [id, '']),
+    ...(state.lines || []).flatMap((ln, i) => (ln.photos || []).map(id => [id, `Línea ${i + 1}`])),
+  ]
+  return refs.filter(([id]) => records[id]?.image).map(([id, prefix]) => {
+    const r = records[id]
+    return { image: r.image, width: r.width, height: r.height, caption: [prefix, PHOTO_KINDS[r.kind], r.caption].filter(Boolean).join(' · ') }
+  })
+}
@@ -0,0 +1,34 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { fitSize, photoRecord, photoIds, referencedPhotoIds, reportPhotos } from './photos.js'
+
+test('fitSize reduce al lado mayor sin ampliar', () => {
+  assert.deepEqual(fitSize(4000, 3000, 1600), { width: 1600, height: 1200 })
+  assert.deepEqual(fitSize(900, 1800, 160), { width: 80, height: 160 })
+  assert.deepEqual(fitSize(100, 50, 1600), { width: 100, height: 50 })
+})
+
+test('photoRecord normaliza el tipo de evidencia', () => {
+  const r = photoRecord({ image: 'data:a', thumb: 'data:b', kind: 'xray', caption: 12 })
+  assert.match(r.id, /^ph_/)
+  assert.equal(r.kind, 'other')
+  assert.equal(r.caption, '12')
+})
+
+test('photoIds reúne las fotos de la pieza, las líneas y las piezas de un lote', () => {
+  const entry = { photos: ['p1'], lines: [{ photos: ['p2', 'p1'] }, {}] }
+  const lot = { lines: [], pieces: [{ lines: [{ photos: ['p3'] }] }] }
+  assert.deepEqual(photoIds(entry), ['p1', 'p2'])
+  assert.deepEqual(photoIds({}), [])
+  assert.deepEqual([...referencedPhotoIds([entry, lot])].sort(), ['p1', 'p2', 'p3'])
+})
+
+test('reportPhotos etiqueta las fotos por línea y omite las que faltan', () => {
+  const records = {
+    p1: { id: 'p1', kind: 'piece', caption: '', image: 'data:1', width: 10, height: 5 },
+    p2: { id: 'p2', kind: 'scale', caption: '12,48 g', image: 'data:2', width: 5, height: 10 },
+  }
+  const out = reportPhotos({ photos: ['p1'], lines: [{}, { photos: ['p2', 'gone'] }] }, records)
+  assert.deepEqual(out.map(p => p.caption), ['Pieza', 'Línea 2 · Báscula · 12,48 g'])
+  assert.equal(out[1].height, 10)
+})
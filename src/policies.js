@@ -0,0 +1,149 @@
+// ———————————————————————————————————————————————
+// Políticas de diagnóstico por tipo de pieza y marca
+// ———————————————————————————————————————————————
+// Una política define las bandas de sobreprecio (% sobre coste total) con
+// su etiqueta y color. Se elige la más específica: marca + tipo, después
+// marca, después tipo y por último la general.
+
+import { DEFAULT_POLICY } from './valuation.js'
+import { writeJSON } from './storage.js'
+
+export const POLICIES_KEY = 'safire_policies_v1'
+
+// Tipos de pieza generales (ficha del asistente); App.jsx añade las formas con estimador
+export const WIZARD_PIECE_TYPES = {
+  anillo: 'Anillo', alianza: 'Alianza', pendientes: 'Pendientes', collar: 'Collar',
+  cadena: 'Cadena', pulsera: 'Pulsera', reloj: 'Reloj', otro: 'Otro',
+}
+
+const bands = (fair, possible, labels = ['Precio razonable', 'Posible sobrevaloración', 'Sobrevalorado']) => [
+  { upTo: fair, label: labels[0], color: '#9be7aa' },
+  { upTo: possible, label: labels[1], color: '#ffd48a' },
+  { upTo: null, label: labels[2], color: '#ff9cac' },
+]
+
+export const BUILTIN_POLICIES = [
+  DEFAULT_POLICY,
+  {
+    // Sin anillo_fino: es el tipo por defecto y mantiene las bandas generales
+    id: 'joyeria_fina',
+    label: 'Joyería fina',
+    pieceTypes: ['pendiente', 'colgante', 'anillo', 'alianza', 'pendientes', 'collar'],
+    brands: [],
+    suspicious: { ...DEFAULT_POLICY.suspicious },
+    bands: bands(150, 300),
+  },
+  {
+    id: 'cadenas_peso',
+    label: 'Cadenas y piezas de peso (tipo lingote)',
+    pieceTypes: ['eslabon', 'pulsera', 'cadena'],
+    brands: [],
+    suspicious: { ...DEFAULT_POLICY.suspicious },
+    bands: bands(10, 25),
+  },
+  {
+    // Sin marca: el coste ya incluye movimiento y cristal (tabla de relojes)
+    id: 'relojes',
+    label: 'Relojes',
+    pieceTypes: ['caja_reloj', 'reloj_completo', 'reloj'],
+    brands: [],
+    suspicious: { ...DEFAULT_POLICY.suspicious },
+    bands: bands(60, 150),
+  },
+  {
+    id: 'relojes_marca',
+    label: 'Relojes de marca',
+    pieceTypes: ['caja_reloj', 'reloj_completo', 'reloj'],
+    brands: ['Rolex', 'Omega', 'Cartier', 'Patek Philippe', 'Audemars Piguet'],
+    suspicious: { label: 'Precio sospechoso (posible réplica)', color: '#ff9cac' },
+    bands: bands(400, 800, ['Dentro de mercado', 'Prima alta de marca', 'Prima excesiva']),
+  },
+]
+
+export const newPolicy = () => ({
+  id: `policy_${Date.now()}`,
+  label: 'Nueva política',
+  pieceTypes: [],
+  brands: [],
+  suspicious: { ...DEFAULT_POLICY.suspicious },
+  bands: DEFAULT_POLICY.bands.map(b => ({ ...b })),
+})
+
+const norm = (s) => String(s || '').trim().toLowerCase()
+
+// Valida y completa una política importada
+export const cleanPolicy = (p) => {
+  if (!p || typeof p !== 'object') throw new Error('Política no válida')
+  const rawBands = Array.isArray(p.bands) ? p.bands : []
+  const list = rawBands.map(b => ({
+    upTo: b.upTo === null || b.upTo === '' || b.upTo === undefined ? null : Number(b.upTo),
+    label: String(b.label || '').trim() || 'Sin etiqueta',
+    color: /^#[0-9a-f]{6}$/i.test(b.color || '') ? b.color : '#c8cde0',
+  }))
+  if (!list.length) throw new Error(`La política "${p.label || p.id}" no tiene bandas`)
+  if (list.some(b => b.upTo != null && !Number.isFinite(b.upTo))) throw new Error(`Límite no numérico en "${p.label || p.id}"`)
+  if (list.filter(b => b.upTo == null).length > 1) throw new Error(`Solo la última banda puede quedar sin límite en "${p.label || p.id}"`)
+  // Ordenadas por límite; la última siempre abierta
+  list.sort((a,b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity))
+  list[list.length-1].upTo = null
+  return {
+    id: String(p.id || `policy_${Date.now()}`),
+    label: String(p.label || 'Sin nombre'),
+    pieceTypes: Array.isArray(p.pieceTypes) ? p.pieceTypes.map(String) : [],
+    brands: Array.isArray(p.brands) ? p.brands.map(s => String(s).trim()).filter(Boolean) : [],
+    suspicious: { label: p.suspicious?.label || DEFAULT_POLICY.suspicious.label, color: p.suspicious?.color || DEFAULT_POLICY.suspicious.color },
+    bands: list,
+  }
+}
+
+// Como mergeWithBase en el catálogo: las predefinidas nuevas (p. ej. relojes)
+// se añaden a la lista guardada; las que ya están conservan sus cambios.
+// Una guardada a medio editar (p. ej. con un límite en blanco) se descarta.
+export const mergeBuiltinPolicies = (stored = []) => {
+  const list = stored.flatMap(p => { try { return [cleanPolicy(p)] } catch { return [] } })
+  const ids = new Set(list.map(p => p.id))
+  return [...list, ...BUILTIN_POLICIES.filter(p => !ids.has(p.id)).map(p => cleanPolicy(p))]
+}
+
+export const loadPolicies = () => {
+  try {
+    const raw = localStorage.getItem(POLICIES_KEY)
+    const data = raw ? JSON.parse(raw) : null
+    if (Array.isArray(data) && data.length) return mergeBuiltinPolicies(data)
+  } catch {}
+  return BUILTIN_POLICIES.map(p => cleanPolicy(p))
+}
+
+export const savePolicies = (policies) => {
+  writeJSON(POLICIES_KEY, policies, 'las políticas de diagnóstico')
+}
+
+export const exportPoliciesJSON = (policies) => JSON.stringify({ format: 'safire-policies', version: 1, policies }, null, 2)
+
+export const parsePoliciesJSON = (text) => {
+  const data = JSON.parse(String(text || ''))
+  const list = Array.isArray(data) ? data : data?.policies
+  if (!Array.isArray(list) || !list.length) throw new Error('No se encontraron políticas')
+  return list.map(cleanPolicy)
+}
+
+// Política aplicable a una pieza (la general si ninguna encaja)
+export const selectPolicy = (policies, { pieceType, brand } = {}) => {
+  const b = norm(brand)
+  let best = null, bestScore = -1
+  for (const p of policies || []) {
+    const byBrand = p.brands?.length > 0
+    const byType = p.pieceTypes?.length > 0
+    if (byBrand && !p.brands.some(x => norm(x) === b)) continue
+    if (byType && !p.pieceTypes.includes(pieceType)) continue
+    const score = (byBrand ? 2 : 0) + (byType ? 1 : 0)
+    if (score > bestScore) { best = p; bestScore = score }
+  }
+  return best || DEFAULT_POLICY
+}
+
+// "≤20% Precio razonable · ≤40% Posible… · >40% Sobrevalorado"
+export const describePolicy = (policy) => {
+  const list = policy?.bands || []
+  return list.map((b, i) => b.upTo != null ? `≤${b.upTo}% ${b.label}` : `>${list[i-1]?.upTo ?? 0}% ${b.label}`).join(' · ')
+}
@@ -0,0 +1,33 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { selectPolicy, cleanPolicy, mergeBuiltinPolicies, BUILTIN_POLICIES } from './policies.js'
+import { classify } from './valuation.js'
+
+test('selectPolicy: marca + tipo, después tipo; el tipo por defecto usa la general', () => {
+  const watch = selectPolicy(BUILTIN_POLICIES, { pieceType: 'reloj', brand: 'rolex' })
+  assert.equal(watch.id, 'relojes_marca')
+  assert.equal(selectPolicy(BUILTIN_POLICIES, { pieceType: 'reloj', brand: 'Casio' }).id, 'relojes')
+  assert.equal(selectPolicy(BUILTIN_POLICIES, { pieceType: 'alianza' }).id, 'joyeria_fina')
+  assert.equal(selectPolicy(BUILTIN_POLICIES, { pieceType: 'anillo_fino' }).id, 'default')
+})
+
+test('cleanPolicy ordena las bandas, deja abierta la última y rechaza huecos intermedios', () => {
+  const p = cleanPolicy({ id: 'x', label: 'X', bands: [{ upTo: null, label: 'Alto', color: '#ff0000' }, { upTo: '50', label: 'Bajo', color: '#00ff00' }] })
+  assert.deepEqual(p.bands.map(b => b.upTo), [50, null])
+  const info = classify(1400, 1000, p)
+  assert.deepEqual([info.label, info.band, info.policyId], ['Bajo', 0, 'x'])
+  assert.equal(classify(900, 1000, p).band, -1)
+  const gap = { id: 'y', label: 'Y', bands: [{ upTo: '20', label: 'A' }, { upTo: '', label: 'B' }, { upTo: null, label: 'C' }] }
+  assert.throws(() => cleanPolicy(gap), /sin límite/)
+  assert.equal(mergeBuiltinPolicies([gap]).length, BUILTIN_POLICIES.length)
+})
+
+test('mergeBuiltinPolicies añade las predefinidas que falten a una lista ya guardada', () => {
+  // Lista guardada antes de que existiera la política de relojes sin marca
+  const stored = BUILTIN_POLICIES.filter(p => p.id !== 'relojes').map(p => p.id === 'joyeria_fina' ? { ...p, label: 'Mi joyería' } : p)
+  const merged = mergeBuiltinPolicies(stored)
+  assert.equal(merged.length, BUILTIN_POLICIES.length)
+  assert.equal(merged.find(p => p.id === 'joyeria_fina').label, 'Mi joyería')
+  assert.equal(selectPolicy(stored, { pieceType: 'reloj' }).id, 'default')
+  assert.equal(selectPolicy(merged, { pieceType: 'reloj' }).id, 'relojes')
+})
@@ -0,0 +1,111 @@
+// ———————————————————————————————————————————————
+// Precios spot de metales: proveedores + caché local
+// ———————————————————————————————————————————————
+// Todos los spots se guardan en €/g de metal fino; el precio de cada
+// aleación se deriva por ley (milésimas).
+
+import { writeJSON } from './storage.js'
+
+export const SPOT_CACHE_KEY = 'safire_spot_cache_v1'
+export const SPOT_PROVIDER_KEY = 'safire_spot_provider_v1'
+export const SPOT_STALE_MS = 24 * 60 * 60 * 1000 // 24 h
+const OZT_G = 31.103
+
+export const FINE_METALS = {
+  gold: 'Oro fino',
+  silver: 'Plata fina',
+  platinum: 'Platino fino',
+  palladium: 'Paladio fino',
+}
+
+// material.key → metal fino + ley (‰)
+export const SPOT_MATERIALS = {
+  gold_24k: { metal: 'gold', purity: 999 },
+  gold_18k: { metal: 'gold', purity: 750 },
+  gold_14k: { metal: 'gold', purity: 585 },
+  silver_925: { metal: 'silver', purity: 925 },
+  platinum_950: { metal: 'platinum', purity: 950 },
+  palladium: { metal: 'palladium', purity: 1000 },
+}
+
+// Acepta { ts, unit: 'g'|'ozt', spots: { gold, silver, ... } } y lo deja en €/g
+export const normalizeSpots = (data) => {
+  const src = data?.spots || {}
+  const perGram = data?.unit === 'ozt' ? (1 / OZT_G) : 1
+  const spots = {}
+  for (const metal of Object.keys(FINE_METALS)) {
+    const n = parseFloat(src[metal])
+    if (Number.isFinite(n) && n > 0) spots[metal] = n * perGram
+  }
+  if (!Object.keys(spots).length) throw new Error('Sin precios spot válidos')
+  const ts = data?.ts && !Number.isNaN(Date.parse(data.ts)) ? new Date(data.ts).toISOString() : new Date().toISOString()
+  return { ts, spots }
+}
+
+// Un proveedor es { id, label, fetchSpots(): Promise<{ ts, spots }> }
+export const createJsonProvider = (url, { id = 'local_json', label = 'Archivo local (prices.json)' } = {}) => ({
+  id,
+  label,
+  fetchSpots: async () => {
+    const res = await fetch(url, { cache: 'no-store' })
+    if (!res.ok) throw new Error(`HTTP ${res.status} al leer ${url}`)
+    return normalizeSpots(await res.json())
+  },
+})
+
+export const createStaticProvider = (data, { id = 'static', label = 'Tabla fija' } = {}) => ({
+  id,
+  label,
+  fetchSpots: async () => normalizeSpots(data),
+})
+
+export const DEFAULT_PRICES_URL = '/prices.json'
+
+// Config guardada: '' → prices.json local; otra cosa → URL HTTP
+export const providerFromConfig = (url) => {
+  const u = String(url || '').trim()
+  return u ? createJsonProvider(u, { id: 'http', label: `HTTP (${u})` }) : createJsonProvider(DEFAULT_PRICES_URL)
+}
+
+export const loadCachedSpots = () => {
+  try {
+    const raw = localStorage.getItem(SPOT_CACHE_KEY)
+    const snap = raw ? JSON.parse(raw) : null
+    return snap && snap.spots ? snap : null
+  } catch { return null }
+}
+
+export const saveCachedSpots = (snap) => {
+  writeJSON(SPOT_CACHE_KEY, snap, 'los últimos precios spot')
+}
+
+// Consulta el proveedor; si falla devuelve la última caché marcada con el error
+export const refreshSpots = async (provider) => {
+  try {
+    const { ts, spots } = await provider.fetchSpots()
+    const snap = { ts, spots, providerId: provider.id, providerLabel: provider.label, fetchedAt: new Date().toISOString() }
+    saveCachedSpots(snap)
+    return snap
+  } catch (e) {
+    const cached = loadCachedSpots()
+    return cached ? { ...cached, error: String(e?.message || e) } : { ts: null, spots: {}, error: String(e?.message || e) }
+  }
+}
+
+export const isStale = (snap, now = Date.now()) => !snap?.ts || (now - Date.parse(snap.ts)) > SPOT_STALE_MS
+
+// Metal fino y ley (‰): los del material (catálogo editable) o la tabla spot
+export const fineContent = (m) => {
+  const purity = parseFloat(m?.purity)
+  const def = m?.metal in FINE_METALS && purity > 0 ? { metal: m.metal, purity } : SPOT_MATERIALS[m?.key]
+  return def && def.purity > 0 ? def : null
+}
+
+// €/g de la aleación según el spot del metal fino; null si no cotiza
+// material (opcional): con metal y ley propios manda sobre la tabla
+export const spotPriceFor = (materialKey, snap, material) => {
+  const def = fineContent({ ...material, key: materialKey })
+  const spot = def && snap?.spots?.[def.metal]
+  if (!spot) return null
+  return spot * def.purity / 1000
+}
@@ -0,0 +1,49 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { normalizeSpots, spotPriceFor, createStaticProvider, refreshSpots, loadCachedSpots, SPOT_CACHE_KEY } from './prices.js'
+
+// prices.js usa el localStorage global
+const map = new Map()
+globalThis.localStorage = {
+  getItem: (k) => map.has(k) ? map.get(k) : null,
+  setItem: (k, v) => { map.set(k, String(v)) },
+  removeItem: (k) => { map.delete(k) },
+}
+
+const near = (a, b) => assert.ok(Math.abs(a - b) < 1e-6, `${a} ≠ ${b}`)
+
+test('normalizeSpots pasa de €/ozt a €/g y descarta los metales sin precio', () => {
+  const { ts, spots } = normalizeSpots({ ts: '2025-03-01T09:00:00Z', unit: 'ozt', spots: { gold: '2488.24', silver: 31.103, platinum: 'n/d', palladium: 0 } })
+  assert.equal(ts, '2025-03-01T09:00:00.000Z')
+  near(spots.gold, 80)
+  near(spots.silver, 1)
+  assert.deepEqual(Object.keys(spots), ['gold', 'silver'])
+  assert.equal(normalizeSpots({ spots: { gold: 80 } }).spots.gold, 80)
+  assert.throws(() => normalizeSpots({ unit: 'ozt', spots: { gold: 'x' } }), /Sin precios spot/)
+})
+
+test('spotPriceFor escala el spot del metal fino por la ley de la aleación', () => {
+  const snap = { spots: { gold: 80, silver: 1 } }
+  near(spotPriceFor('gold_18k', snap), 60)
+  near(spotPriceFor('gold_14k', snap), 46.8)
+  near(spotPriceFor('silver_925', snap), 0.925)
+  // Metal y ley propios del material mandan sobre la tabla
+  near(spotPriceFor('oro_rosa', snap, { metal: 'gold', purity: '375' }), 30)
+  assert.equal(spotPriceFor('platinum_950', snap), null)
+  assert.equal(spotPriceFor('diamond', snap), null)
+})
+
+test('refreshSpots guarda la caché y, si el proveedor falla, la devuelve con el error', async () => {
+  map.clear()
+  const ok = await refreshSpots(createStaticProvider({ ts: '2025-03-01T09:00:00Z', spots: { gold: 80 } }, { id: 'tabla', label: 'Tabla' }))
+  assert.deepEqual([ok.providerId, ok.spots.gold, ok.error], ['tabla', 80, undefined])
+  assert.deepEqual(loadCachedSpots().spots, { gold: 80 })
+
+  const down = { id: 'http', label: 'HTTP', fetchSpots: async () => { throw new Error('HTTP 503 al leer /prices.json') } }
+  const fallback = await refreshSpots(down)
+  assert.deepEqual([fallback.providerId, fallback.ts, fallback.spots.gold], ['tabla', '2025-03-01T09:00:00.000Z', 80])
+  assert.equal(fallback.error, 'HTTP 503 al leer /prices.json')
+
+  map.delete(SPOT_CACHE_KEY)
+  assert.deepEqual(await refreshSpots(down), { ts: null, spots: {}, error: 'HTTP 503 al leer /prices.json' })
+})
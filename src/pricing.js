@@ -0,0 +1,114 @@
+// ———————————————————————————————————————————————
+// Modelo de PVP: márgenes, prima de marca e IVA sobre el coste total
+// ———————————————————————————————————————————————
+// coste → × (1 + margen mayorista) → × (1 + margen tienda) → × (1 + prima
+// de marca) → × (1 + IVA del país) = PVP esperado; el rango es ± spread %.
+// El precio de la pieza se sitúa después respecto a ese rango, además de
+// la comparación con el coste de las políticas de diagnóstico.
+
+import { writeJSON } from './storage.js'
+
+export const PRICING_KEY = 'safire_pricing_v1'
+
+// IVA general por país (%); EE. UU. sin IVA (impuesto estatal aparte)
+export const VAT_RATES = {
+  ES: { label: 'España', vat: 21 },
+  PT: { label: 'Portugal', vat: 23 },
+  FR: { label: 'Francia', vat: 20 },
+  IT: { label: 'Italia', vat: 22 },
+  DE: { label: 'Alemania', vat: 19 },
+  GB: { label: 'Reino Unido', vat: 20 },
+  CH: { label: 'Suiza', vat: 8.1 },
+  US: { label: 'EE. UU.', vat: 0 },
+  MX: { label: 'México', vat: 16 },
+  JP: { label: 'Japón', vat: 10 },
+}
+
+export const DEFAULT_PRICING = {
+  wholesaleMargin: 30, // % sobre coste (taller/fabricante → mayorista)
+  retailMarkup: 100,   // % sobre precio mayorista (100 = keystone)
+  country: 'ES',
+  spread: 20,          // ± % alrededor del PVP esperado
+  brandPremiums: [
+    { brand: 'Rolex', pct: 80 },
+    { brand: 'Patek Philippe', pct: 150 },
+    { brand: 'Audemars Piguet', pct: 120 },
+    { brand: 'Cartier', pct: 60 },
+    { brand: 'Omega', pct: 40 },
+    { brand: 'Tiffany', pct: 50 },
+    { brand: 'Bulgari', pct: 50 },
+  ],
+}
+
+export const RETAIL_POSITIONS = {
+  below: { label: 'Por debajo del PVP esperado', color: '#8fb3ff' },
+  within: { label: 'Dentro del PVP esperado', color: '#9be7aa' },
+  above: { label: 'Por encima del PVP esperado', color: '#ff9cac' },
+}
+
+const num = (v, d = 0) => { const n = parseFloat(String(v ?? '').replace(',', '.')); return Number.isFinite(n) ? n : d }
+const norm = (s) => String(s || '').trim().toLowerCase()
+
+export const cleanPricing = (p = {}) => ({
+  wholesaleMargin: Math.max(0, num(p.wholesaleMargin, DEFAULT_PRICING.wholesaleMargin)),
+  retailMarkup: Math.max(0, num(p.retailMarkup, DEFAULT_PRICING.retailMarkup)),
+  country: p.country in VAT_RATES ? p.country : DEFAULT_PRICING.country,
+  spread: Math.min(90, Math.max(0, num(p.spread, DEFAULT_PRICING.spread))),
+  brandPremiums: (Array.isArray(p.brandPremiums) ? p.brandPremiums : DEFAULT_PRICING.brandPremiums)
+    .map(b => ({ brand: String(b?.brand || '').trim(), pct: Math.max(0, num(b?.pct)) }))
+    .filter(b => b.brand),
+})
+
+export const loadPricing = () => {
+  try {
+    const raw = localStorage.getItem(PRICING_KEY)
+    return cleanPricing(raw ? JSON.parse(raw) : DEFAULT_PRICING)
+  } catch { return cleanPricing(DEFAULT_PRICING) }
+}
+
+export const savePricing = (pricing) => writeJSON(PRICING_KEY, pricing, 'el modelo de PVP')
+
+// Prima de la marca (%): coincidencia exacta o la marca contenida en el texto
+export const brandPremiumFor = (brand, pricing = DEFAULT_PRICING) => {
+  const b = norm(brand)
+  if (!b) return 0
+  const list = pricing.brandPremiums || []
+  const hit = list.find(x => norm(x.brand) === b) || list.find(x => b.includes(norm(x.brand)))
+  return hit ? hit.pct : 0
+}
+
+export const vatFor = (pricing = DEFAULT_PRICING) => VAT_RATES[pricing.country]?.vat ?? 0
+
+// → { mid, low, high, steps: [[etiqueta, importe acumulado]], premiumPct, vatPct, country } o null
+export const expectedRetail = (totalCost, pricing = DEFAULT_PRICING, { brand } = {}) => {
+  if (!(totalCost > 0)) return null
+  const p = cleanPricing(pricing)
+  const premiumPct = brandPremiumFor(brand, p)
+  const vatPct = vatFor(p)
+  const wholesale = totalCost * (1 + p.wholesaleMargin / 100)
+  const retailNet = wholesale * (1 + p.retailMarkup / 100)
+  const branded = retailNet * (1 + premiumPct / 100)
+  const mid = branded * (1 + vatPct / 100)
+  return {
+    mid,
+    low: mid * (1 - p.spread / 100),
+    high: mid * (1 + p.spread / 100),
+    premiumPct,
+    vatPct,
+    country: p.country,
+    steps: [
+      ['Coste total', totalCost],
+      [`Mayorista (+${p.wholesaleMargin}%)`, wholesale],
+      [`Tienda sin IVA (+${p.retailMarkup}%)`, retailNet],
+      ...(premiumPct ? [[`Prima de marca (+${premiumPct}%)`, branded]] : []),
+      [`IVA ${VAT_RATES[p.country].label} (${vatPct}%)`, mid],
+    ],
+  }
+}
+
+// Posición del precio respecto al rango → { key, label, color, pct (vs PVP esperado) } o null
+export const retailPosition = (price, range) => {
+  if (!price || !range) return null
+  const key = price < range.low ? 'below' : price > range.high ? 'above' : 'within'
+  return { key, ...RETAIL_POSITIONS[key], pct: ((price - range.mid) / range.mid) * 100 }
+}
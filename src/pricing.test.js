@@ -0,0 +1,47 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_PRICING, cleanPricing, brandPremiumFor, expectedRetail, retailPosition } from './pricing.js'
+import { evaluate } from './valuation.js'
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} ≠ ${b}`)
+
+test('expectedRetail: coste → mayorista → tienda → IVA, rango ± spread', () => {
+  const r = expectedRetail(100, DEFAULT_PRICING)
+  close(r.mid, 100 * 1.3 * 2 * 1.21)
+  close(r.low, r.mid * 0.8)
+  close(r.high, r.mid * 1.2)
+  assert.equal(r.steps.length, 4)
+  assert.equal(r.vatPct, 21)
+  assert.equal(expectedRetail(0, DEFAULT_PRICING), null)
+
+  const us = expectedRetail(100, { ...DEFAULT_PRICING, country: 'US' })
+  close(us.mid, 260)
+})
+
+test('brandPremiumFor: marca exacta o contenida, sin distinguir mayúsculas', () => {
+  assert.equal(brandPremiumFor('rolex'), 80)
+  assert.equal(brandPremiumFor('Cartier Paris'), 60)
+  assert.equal(brandPremiumFor('Sin marca'), 0)
+  const r = expectedRetail(100, DEFAULT_PRICING, { brand: 'Omega' })
+  close(r.mid, 100 * 1.3 * 2 * 1.4 * 1.21)
+  assert.equal(r.steps.length, 5)
+})
+
+test('retailPosition sitúa el precio por debajo, dentro o por encima del rango', () => {
+  const range = { low: 80, mid: 100, high: 120 }
+  assert.equal(retailPosition(70, range).key, 'below')
+  assert.equal(retailPosition(110, range).key, 'within')
+  assert.equal(retailPosition(150, range).pct, 50)
+  assert.equal(retailPosition(0, range), null)
+})
+
+test('cleanPricing normaliza números, país y primas vacías', () => {
+  const p = cleanPricing({ wholesaleMargin: '12,5', retailMarkup: -3, country: 'XX', spread: 200, brandPremiums: [{ brand: ' ', pct: 5 }, { brand: 'Chopard', pct: '30' }] })
+  assert.deepEqual(p, { wholesaleMargin: 12.5, retailMarkup: 0, country: 'ES', spread: 90, brandPremiums: [{ brand: 'Chopard', pct: 30 }] })
+})
+
+test('evaluate devuelve el rango de PVP y la posición del precio', () => {
+  const ev = evaluate({ lines: [], laborCost: 100, piecePrice: 500 }, { pricing: { ...DEFAULT_PRICING, country: 'US' } })
+  close(ev.retail.mid, 260)
+  assert.equal(ev.retail.position.key, 'above')
+})
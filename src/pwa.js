@@ -0,0 +1,36 @@
+// ———————————————————————————————————————————————
+// PWA: registro del service worker y estado de conexión
+// ———————————————————————————————————————————————
+// public/sw.js precarga la aplicación y guarda los últimos precios para
+// trabajar sin cobertura. En desarrollo no se registra (Vite sirve módulos
+// sin empaquetar y la caché estorbaría).
+
+// onUpdate(apply): hay una versión nueva en espera; apply() la activa y recarga
+// onError(message): no se pudo registrar (la app sigue funcionando, sin modo offline)
+export const registerServiceWorker = ({ onUpdate, onError } = {}) => {
+  const env = import.meta.env || {}
+  if (!env.PROD || typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return Promise.resolve(null)
+  return navigator.serviceWorker.register(`${env.BASE_URL || '/'}sw.js`).then(reg => {
+    const notify = (worker) => onUpdate?.(() => {
+      navigator.serviceWorker.addEventListener('controllerchange', () => location.reload(), { once: true })
+      worker.postMessage({ type: 'SKIP_WAITING' })
+    })
+    if (reg.waiting && navigator.serviceWorker.controller) notify(reg.waiting)
+    reg.addEventListener('updatefound', () => {
+      const worker = reg.installing
+      worker?.addEventListener('statechange', () => {
+        // Sin controller es la primera instalación: nada que actualizar
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) notify(worker)
+      })
+    })
+    return reg
+  }).catch(e => { onError?.(`No se pudo activar el modo sin conexión: ${e?.message || e}`); return null })
+}
+
+// fn(online) en cada cambio → función para darse de baja
+export const onConnectivityChange = (fn) => {
+  const on = () => fn(true), off = () => fn(false)
+  window.addEventListener('online', on)
+  window.addEventListener('offline', off)
+  return () => { window.removeEventListener('online', on); window.removeEventListener('offline', off) }
+}
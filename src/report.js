@@ -0,0 +1,382 @@
+// ———————————————————————————————————————————————
+// Informe PDF de una tasación (certificado para el cliente)
+// ———————————————————————————————————————————————
+// buildReport() reúne los datos ya formateados (sin dependencias de UI) y
+// renderReportPDF() los compone en jsPDF con cabecera, tabla de líneas
+// paginada, totales, diagnóstico con sus umbrales, alertas y pie.
+// buildLotReport() da la misma forma a un lote (una fila por pieza).
+
+import { jsPDF } from 'jspdf'
+import { GEM_SHAPES, isGemShape, GIRDLE_ADJUSTMENTS } from './shapes.js'
+import { CONSTRUCTIONS } from './construction.js'
+import { gradeLabel, isGraded } from './gems.js'
+import { describePolicy } from './policies.js'
+import { symbolFor } from './currency.js'
+import { writeJSON } from './storage.js'
+import { laborBreakdown, OPERATION_UNITS } from './labor.js'
+import { APPRAISAL_MODES } from './scrap.js'
+import { WATCH_COMPONENTS } from './watches.js'
+import { pieceSummary } from './lots.js'
+
+export const REPORT_SETTINGS_KEY = 'safire_report_settings_v1'
+export const DEFAULT_REPORT_SETTINGS = {
+  shopName: '',
+  letterhead: '',   // dirección, teléfono, NIF… (una línea por renglón)
+  logo: '',         // data URL (PNG/JPEG)
+  footer: 'Valoración orientativa basada en los datos aportados y en precios de referencia a la fecha indicada. No constituye certificado gemológico.',
+}
+
+export const loadReportSettings = () => {
+  try {
+    const raw = localStorage.getItem(REPORT_SETTINGS_KEY)
+    return { ...DEFAULT_REPORT_SETTINGS, ...(raw ? JSON.parse(raw) : {}) }
+  } catch { return { ...DEFAULT_REPORT_SETTINGS } }
+}
+
+export const saveReportSettings = (settings) => {
+  writeJSON(REPORT_SETTINGS_KEY, settings, 'los ajustes del informe')
+}
+
+const fixed = (n, digits = 2) => (Number.isFinite(n) ? n : 0).toFixed(digits)
+
+// Nº de referencia estable a partir del id de la tasación guardada
+export const reportReference = (id, ts) => {
+  if (!id) return 'BORRADOR'
+  const day = String(ts || '').slice(0, 10).replace(/-/g, '')
+  return `SAF-${day || '00000000'}-${String(id).replace(/[^a-z0-9]/gi, '').slice(-5).toUpperCase()}`
+}
+
+// m (opcional): material de la línea; la construcción solo aplica a metales
+export const methodLabel = (ln, m) => {
+  const construction = m?.unit === '€/g' && ln.construction && ln.construction !== 'solid' ? ` · ${CONSTRUCTIONS[ln.construction]?.label.replace(/ \(.*\)$/, '').toLowerCase()}` : ''
+  if (ln.mode !== 'dimensions') return `Peso${construction}`
+  if (isGemShape(ln.shape)) {
+    const girdle = GIRDLE_ADJUSTMENTS[ln.girdle]
+    return `Talla ${GEM_SHAPES[ln.shape].label}${girdle?.pct ? ` (rondís ${girdle.label.toLowerCase()})` : ''}`
+  }
+  return `${{ box: 'Medidas (prisma)', cylinder: 'Medidas (cilindro)', volume: 'Volumen' }[ln.shape] || 'Medidas'}${construction}`
+}
+
+const PRICE_SOURCES = { manual: 'manual', spot: 'spot', matrix: 'matriz', catalog: 'catálogo', default: 'por defecto', none: '—' }
+
+// state: { lines, pieceType, brand, model, mode, desc, operations, complexity, laborOverride }
+// evaluation: resultado de evaluate()
+// opts: { currency, policy, pieceTypes, reference, date, priceAsOf, fmt }
+// El llamante puede añadir report.qr = { url, image } y report.photos
+// (reportPhotos de photos.js) antes de renderizar.
+export const buildReport = (state, evaluation, opts = {}) => {
+  const { currency = 'EUR', policy, pieceTypes = {}, reference = 'BORRADOR', date = new Date(), priceAsOf, fmt = fixed } = opts
+  const money = (n) => `${fmt(n)} ${currency}`
+  const sym = symbolFor(currency)
+  const lines = (state.lines || []).map((ln, i) => {
+    const part = evaluation.parts[i]
+    const unit = part.matUnit
+    return {
+      n: i + 1,
+      material: part.m?.label || ln.materialKey,
+      detail: [
+        WATCH_COMPONENTS[ln.component],
+        ln.alias,
+        isGraded(ln.materialKey) ? gradeLabel(ln.materialKey, ln.grade) : '',
+        part.base ? `base ${part.base.m?.label || '—'} ${fmt(part.base.grams, 2)} g a ${fmt(part.base.unitPrice)} ${sym}/g = ${money(part.base.cost)}` : '',
+      ].filter(Boolean).join(' · '),
+      method: methodLabel(ln, part.m),
+      amount: `${fmt(part.effW, unit === 'g' ? 2 : 3)} ${unit}${part.qty > 1 ? ` × ${part.qty}` : ''}`,
+      density: ln.density ? `${fmt(Number(ln.density))} g/cm³` : '—',
+      unitPrice: `${fmt(part.unitPrice)} ${String(part.m?.unit || '').replace('€', sym)}`,
+      source: PRICE_SOURCES[part.priceSource] || part.priceSource,
+      cost: money(part.cost),
+    }
+  })
+  const labor = laborBreakdown(state.operations, { complexity: state.complexity })
+  const info = evaluation.diagnosisInfo
+  return {
+    reference,
+    date: new Date(date).toLocaleDateString(),
+    header: [
+      ['Referencia', reference],
+      ['Fecha', new Date(date).toLocaleDateString()],
+      ['Tipo de pieza', pieceTypes[state.pieceType] || state.pieceType || '—'],
+      ['Marca', state.brand || '—'],
+      ['Modelo', state.model || '—'],
+      ...(state.mode === 'resale' ? [['Modo', APPRAISAL_MODES.resale]] : []),
+      ['Precios a', priceAsOf ? new Date(priceAsOf).toLocaleString() : '—'],
+    ],
+    lines,
+    labor: {
+      items: labor.items.map(op => ({
+        label: op.label,
+        qty: `${fmt(Number(op.qty) || 0, op.unit === 'gram' || op.unit === 'hour' ? 2 : 0)} ${OPERATION_UNITS[op.unit] || ''}`.trim(),
+        time: `${fmt(op.minutesTotal, 0)} min`,
+        cost: money(op.cost),
+      })),
+      total: money(labor.total),
+      // Con override, el total de mano de obra de los totales no es la suma
+      override: String(state.laborOverride ?? '').trim() !== '' ? money(evaluation.laborCost) : null,
+    },
+    totals: [
+      ['Subtotal materiales', money(evaluation.subtotal)],
+      ...(evaluation.watch ? [
+        evaluation.watch.movement && [`Movimiento (${evaluation.watch.movement.label.toLowerCase()}${!evaluation.watch.movement.manual && evaluation.watch.movement.factor !== 1 ? `, marca ×${fmt(evaluation.watch.movement.factor)}` : ''})`, money(evaluation.watch.movement.value)],
+        evaluation.watch.crystal && [`Cristal (${evaluation.watch.crystal.label.toLowerCase()})`, money(evaluation.watch.crystal.value)],
+      ].filter(Boolean) : []),
+      ['Mano de obra', money(evaluation.laborCost)],
+      ['Coste total', money(evaluation.totalCost)],
+      ['Precio de la pieza', evaluation.piecePrice ? money(evaluation.piecePrice) : '—'],
+      ['% materiales / precio', `${fmt(evaluation.pctMaterials)} %`],
+      ['% coste total / precio', `${fmt(evaluation.pctTotal)} %`],
+      ['Sobreprecio sobre coste', evaluation.piecePrice ? `${fmt(evaluation.overPctTotal)} %` : '—'],
+      ...(evaluation.retail ? [
+        ['PVP esperado', `${money(evaluation.retail.low)} – ${money(evaluation.retail.high)}`],
+        ['Precio vs PVP esperado', evaluation.retail.position ? `${fmt(evaluation.retail.position.pct)} %` : '—'],
+      ] : []),
+      ...(evaluation.resale ? [
+        ['Oferta de compra', `${money(evaluation.resale.low)} – ${money(evaluation.resale.high)}`],
+        ['Fundición / gemas', `${money(evaluation.resale.melt)} / ${money(evaluation.resale.gems)}`],
+      ] : []),
+    ],
+    diagnosis: {
+      label: evaluation.diagnosis || 'Sin diagnóstico (falta el precio de la pieza)',
+      color: info?.color || '#8b91a1',
+      policy: policy?.label || info?.policyLabel || '',
+      thresholds: describePolicy(policy),
+      retail: evaluation.retail?.position ? { label: evaluation.retail.position.label, color: evaluation.retail.position.color } : null,
+      retailSteps: evaluation.retail ? evaluation.retail.steps.map(([label, v]) => `${label}: ${money(v)}`).join(' → ') : '',
+    },
+    alerts: [...(evaluation.alerts || [])],
+  }
+}
+
+const hexToRgb = (hex) => {
+  const m = /^#?([0-9a-f]{6})$/i.exec(hex || '')
+  const n = m ? parseInt(m[1], 16) : 0x8b91a1
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255]
+}
+
+// Lote: una fila por pieza con sus totales; el metal fino va en los totales
+// state: { name, mode }; lotEval: resultado de evaluateLot()
+// opts: { currency, policy, pieceTypes, metals, reference, date, priceAsOf, fmt }
+export const buildLotReport = (state, lotEval, opts = {}) => {
+  const { currency = 'EUR', policy, pieceTypes = {}, metals = {}, reference = 'BORRADOR', date = new Date(), priceAsOf, fmt = fixed } = opts
+  const money = (n) => `${fmt(n)} ${currency}`
+  const info = lotEval.diagnosisInfo
+  const counts = Object.entries(lotEval.byDiagnosis).map(([label, d]) => `${label}: ${d.count}`).join(' · ')
+  return {
+    reference,
+    date: new Date(date).toLocaleDateString(),
+    title: 'Informe de tasación de lote',
+    linesTitle: 'Piezas del lote',
+    columns: LOT_COLUMNS,
+    header: [
+      ['Referencia', reference],
+      ['Fecha', new Date(date).toLocaleDateString()],
+      ['Lote', state.name || '—'],
+      ['Piezas', String(lotEval.items.length)],
+      ...(state.mode === 'resale' ? [['Modo', APPRAISAL_MODES.resale]] : []),
+      ['Precios a', priceAsOf ? new Date(priceAsOf).toLocaleString() : '—'],
+    ],
+    lines: lotEval.items.map(({ piece, evaluation: ev }, i) => ({
+      n: i + 1,
+      material: piece.desc || `Pieza ${i + 1}`,
+      method: pieceTypes[piece.pieceType] || piece.pieceType || '—',
+      amount: `${fmt(ev.totalWeightG, 2)} g`,
+      labor: money(ev.laborCost),
+      price: ev.piecePrice ? money(ev.piecePrice) : '—',
+      cost: money(ev.totalCost),
+      detail: [piece.brand, pieceSummary(ev, fmt), ev.diagnosis].filter(Boolean).join(' · '),
+      source: '—',
+    })),
+    labor: null,
+    totals: [
+      ['Subtotal materiales', money(lotEval.subtotal)],
+      ['Mano de obra', money(lotEval.laborCost)],
+      ['Coste total', money(lotEval.totalCost)],
+      ['Precio del lote', lotEval.piecePrice ? money(lotEval.piecePrice) : '—'],
+      ['Sobreprecio sobre coste (piezas con precio)', lotEval.piecePrice ? `${fmt(lotEval.overPctTotal)} %` : '—'],
+      ...Object.entries(lotEval.fineByMetal).map(([metal, g]) => [metals[metal] || metal, `${fmt(g, 3)} g`]),
+      ...(lotEval.resale ? [['Oferta de compra', `${money(lotEval.resale.low)} – ${money(lotEval.resale.high)}`]] : []),
+    ],
+    diagnosis: {
+      label: lotEval.diagnosis || 'Sin diagnóstico (ninguna pieza tiene precio)',
+      color: info?.color || '#8b91a1',
+      policy: policy?.label || info?.policyLabel || '',
+      thresholds: describePolicy(policy),
+      retail: null,
+      retailSteps: counts ? `Por pieza — ${counts}` : '',
+    },
+    alerts: [...lotEval.alerts],
+  }
+}
+
+// Columnas de la tabla de líneas (x en pt, ancho máximo de texto)
+const COLUMNS = [
+  { key: 'n', label: '#', x: 40, w: 16 },
+  { key: 'material', label: 'Material', x: 58, w: 110 },
+  { key: 'method', label: 'Método', x: 170, w: 95 },
+  { key: 'amount', label: 'Cantidad', x: 267, w: 72 },
+  { key: 'density', label: 'Densidad', x: 341, w: 58 },
+  { key: 'unitPrice', label: 'Precio unit.', x: 401, w: 80 },
+  { key: 'cost', label: 'Coste', x: 483, w: 72 },
+]
+const LOT_COLUMNS = [
+  { key: 'n', label: '#', x: 40, w: 16 },
+  { key: 'material', label: 'Pieza', x: 58, w: 130 },
+  { key: 'method', label: 'Tipo', x: 190, w: 75 },
+  { key: 'amount', label: 'Peso', x: 267, w: 60 },
+  { key: 'labor', label: 'Mano de obra', x: 329, w: 76 },
+  { key: 'price', label: 'Precio', x: 407, w: 74 },
+  { key: 'cost', label: 'Coste', x: 483, w: 72 },
+]
+
+export const renderReportPDF = (report, settings = DEFAULT_REPORT_SETTINGS) => {
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' })
+  const pageW = doc.internal.pageSize.getWidth()
+  const pageH = doc.internal.pageSize.getHeight()
+  const left = 40, right = pageW - 40, bottom = pageH - 60
+  let y = 40
+
+  const letterhead = ()=>{
+    y = 40
+    let textX = left
+    if (settings.logo) {
+      try{ doc.addImage(settings.logo, left, y - 8, 48, 48); textX = left + 58 }catch{}
+    }
+    doc.setFontSize(14); doc.setFont(undefined, 'bold')
+    doc.text(settings.shopName || 'Safire Appraisal', textX, y + 6)
+    doc.setFontSize(9); doc.setFont(undefined, 'normal')
+    String(settings.letterhead || '').split('\n').filter(Boolean).slice(0, 3)
+      .forEach((l, i) => doc.text(l, textX, y + 20 + i * 11))
+    doc.setFontSize(9); doc.text(`Ref. ${report.reference}`, right, y + 6, { align: 'right' })
+    y += 58
+    doc.setDrawColor(180); doc.line(left, y, right, y); y += 18
+  }
+  // Salto de página si no cabe el bloque (altura h)
+  const ensure = (h)=>{ if (y + h > bottom) { doc.addPage(); letterhead(); return true } return false }
+  const section = (title)=>{
+    ensure(40)
+    doc.setFontSize(12); doc.setFont(undefined, 'bold'); doc.text(title, left, y)
+    doc.setFont(undefined, 'normal'); doc.setFontSize(9); y += 16
+  }
+
+  letterhead()
+  // QR con el enlace de solo lectura (report.qr = { url, image })
+  if (report.qr?.image) {
+    try{
+      doc.addImage(report.qr.image, 'PNG', right - 72, y - 12, 72, 72)
+      doc.setFontSize(7); doc.text('Consultar en línea', right - 36, y + 68, { align: 'center' })
+    }catch{}
+  }
+  doc.setFontSize(16); doc.setFont(undefined, 'bold'); doc.text(report.title || 'Informe de tasación', left, y); y += 20
+  doc.setFontSize(10); doc.setFont(undefined, 'normal')
+  report.header.forEach(([label, value], i) => {
+    const x = i % 2 ? left + 260 : left
+    doc.setFont(undefined, 'bold'); doc.text(`${label}:`, x, y)
+    doc.setFont(undefined, 'normal'); doc.text(String(value), x + 80, y)
+    if (i % 2) y += 14
+  })
+  if (report.header.length % 2) y += 14
+  y += 10
+
+  const columns = report.columns || COLUMNS
+  const linesTitle = report.linesTitle || 'Desglose de materiales'
+  section(linesTitle)
+  const tableHeader = ()=>{
+    doc.setFont(undefined, 'bold')
+    columns.forEach(c => doc.text(c.label, c.x, y))
+    doc.setFont(undefined, 'normal'); y += 4
+    doc.line(left, y, right, y); y += 11
+  }
+  tableHeader()
+  report.lines.forEach(line => {
+    const cells = columns.map(c => doc.splitTextToSize(String(line[c.key] ?? ''), c.w))
+    const sub = [line.detail, line.source !== '—' ? `precio ${line.source}` : ''].filter(Boolean).join(' · ')
+    const h = Math.max(...cells.map(c => c.length)) * 11 + (sub ? 10 : 0) + 4
+    if (ensure(h)) { section(`${linesTitle} (cont.)`); tableHeader() }
+    cells.forEach((c, j) => doc.text(c, columns[j].x, y))
+    y += Math.max(...cells.map(c => c.length)) * 11
+    if (sub) { doc.setFontSize(8); doc.setTextColor(110); doc.text(sub, columns[1].x, y - 2); doc.setTextColor(0); doc.setFontSize(9); y += 10 }
+    y += 4
+  })
+  if (!report.lines.length) { doc.text('Sin líneas de material.', left, y); y += 14 }
+  y += 8
+
+  if (report.labor?.items.length) {
+    section('Mano de obra')
+    report.labor.items.forEach(op => {
+      ensure(13)
+      doc.text(doc.splitTextToSize(op.label, 220)[0], left, y)
+      doc.text(op.qty, left + 230, y); doc.text(op.time, left + 330, y)
+      doc.text(op.cost, right, y, { align: 'right' }); y += 13
+    })
+    ensure(14)
+    doc.setFont(undefined, 'bold'); doc.text('Total operaciones', left, y); doc.text(report.labor.total, right, y, { align: 'right' })
+    doc.setFont(undefined, 'normal'); y += 13
+    if (report.labor.override) { doc.setTextColor(110); doc.text(`Importe aplicado (manual): ${report.labor.override}`, left, y); doc.setTextColor(0); y += 13 }
+    y += 8
+  }
+
+  section('Totales')
+  report.totals.forEach(([label, value]) => {
+    ensure(14)
+    doc.text(label, left, y); doc.text(value, left + 300, y, { align: 'right' }); y += 13
+  })
+  y += 8
+
+  section('Diagnóstico')
+  ensure(40)
+  doc.setFillColor(...hexToRgb(report.diagnosis.color)); doc.rect(left, y - 8, 10, 10, 'F')
+  doc.setFontSize(11); doc.setFont(undefined, 'bold'); doc.text(report.diagnosis.label, left + 16, y)
+  doc.setFont(undefined, 'normal'); doc.setFontSize(9); y += 14
+  if (report.diagnosis.policy) { doc.text(`Política: ${report.diagnosis.policy}`, left, y); y += 12 }
+  doc.splitTextToSize(`Umbrales (sobreprecio % sobre coste total): ${report.diagnosis.thresholds}`, right - left)
+    .forEach(l => { ensure(12); doc.text(l, left, y); y += 12 })
+  if (report.diagnosis.retail) {
+    ensure(40); y += 6
+    doc.setFillColor(...hexToRgb(report.diagnosis.retail.color)); doc.rect(left, y - 8, 10, 10, 'F')
+    doc.setFontSize(11); doc.setFont(undefined, 'bold'); doc.text(report.diagnosis.retail.label, left + 16, y)
+    doc.setFont(undefined, 'normal'); doc.setFontSize(9); y += 14
+  }
+  if (report.diagnosis.retailSteps) {
+    doc.splitTextToSize(`PVP esperado: ${report.diagnosis.retailSteps}`, right - left)
+      .forEach(l => { ensure(12); doc.text(l, left, y); y += 12 })
+  }
+  y += 8
+
+  if (report.alerts.length) {
+    section('Alertas')
+    report.alerts.forEach(a => {
+      doc.splitTextToSize(`• ${a}`, right - left).forEach(l => { ensure(12); doc.text(l, left, y); y += 12 })
+    })
+  }
+
+  // Evidencias fotográficas (report.photos = [{ image, width, height, caption }]), tres por fila
+  if (report.photos?.length) {
+    y += 8
+    section('Evidencias fotográficas')
+    const gap = 10, boxW = (right - left - gap * 2) / 3, boxH = 120
+    for (let i = 0; i < report.photos.length; i += 3) {
+      ensure(boxH + 30)
+      report.photos.slice(i, i + 3).forEach((p, j) => {
+        const x = left + j * (boxW + gap)
+        const k = Math.min(boxW / (p.width || boxW), boxH / (p.height || boxH))
+        const w = (p.width || boxW) * k, h = (p.height || boxH) * k
+        try{ doc.addImage(p.image, x + (boxW - w) / 2, y, w, h) }catch{ doc.setDrawColor(180); doc.rect(x, y, boxW, boxH) }
+        doc.setFontSize(8); doc.text(doc.splitTextToSize(p.caption || '', boxW).slice(0, 2), x, y + boxH + 10); doc.setFontSize(9)
+      })
+      y += boxH + 30
+    }
+  }
+
+  // Pie en todas las páginas (aviso legal + paginación)
+  const pages = doc.getNumberOfPages()
+  const footer = doc.splitTextToSize(String(settings.footer || ''), right - left - 60).slice(0, 3)
+  for (let p = 1; p <= pages; p++) {
+    doc.setPage(p)
+    doc.setDrawColor(180); doc.line(left, pageH - 48, right, pageH - 48)
+    doc.setFontSize(7); doc.setTextColor(110)
+    footer.forEach((l, i) => doc.text(l, left, pageH - 38 + i * 9))
+    doc.text(`Página ${p} de ${pages}`, right, pageH - 38, { align: 'right' })
+    doc.setTextColor(0)
+  }
+  return doc
+}
@@ -0,0 +1,61 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildReport, renderReportPDF, reportReference, methodLabel } from './report.js'
+import { evaluate, DEFAULT_POLICY } from './valuation.js'
+
+const materials = [
+  { key: 'gold_18k', label: 'Oro 18k', unit: '€/g', density: 15.6 },
+  { key: 'diamond', label: 'Diamante', unit: '€/ct', density: 3.52 },
+]
+const gold = { id: 'l1', materialKey: 'gold_18k', mode: 'weight', weightVal: '5', weightUnit: 'g', unitPrice: '50', qty: '1', density: '15.6' }
+const stone = { id: 'l2', materialKey: 'diamond', mode: 'dimensions', shape: 'diamond_round', girdle: 'thick', diameterMM: '6.5', depthMM: '4', unitPrice: '1000', qty: '2', density: '3.52' }
+
+test('reportReference deriva una referencia estable del id', () => {
+  assert.equal(reportReference('ap_1700000000000_ab1c2', '2025-03-04T10:00:00.000Z'), 'SAF-20250304-AB1C2')
+  assert.equal(reportReference(null), 'BORRADOR')
+})
+
+test('methodLabel describe cómo se obtuvo la cantidad', () => {
+  assert.equal(methodLabel(gold), 'Peso')
+  assert.equal(methodLabel(stone), 'Talla Redondo brillante (rondís grueso)')
+  assert.equal(methodLabel({ mode: 'dimensions', shape: 'cylinder' }), 'Medidas (cilindro)')
+})
+
+test('buildReport incluye desglose, totales, diagnóstico con umbrales y alertas', () => {
+  const lines = [gold, stone]
+  const ev = evaluate({ lines, laborCost: 100, piecePrice: 100 }, { materials, policy: DEFAULT_POLICY })
+  const r = buildReport({ lines, pieceType: 'anillo', brand: 'Acme' }, ev, { policy: DEFAULT_POLICY, pieceTypes: { anillo: 'Anillo' }, reference: 'SAF-1' })
+  assert.equal(r.lines.length, 2)
+  assert.equal(r.lines[0].cost, '250.00 EUR')
+  assert.equal(r.lines[1].amount.endsWith('ct × 2'), true)
+  assert.deepEqual(r.header.slice(2, 4), [['Tipo de pieza', 'Anillo'], ['Marca', 'Acme']])
+  assert.equal(r.diagnosis.label, DEFAULT_POLICY.suspicious.label)
+  assert.match(r.diagnosis.thresholds, /≤20%/)
+  assert.ok(r.alerts.some(a => a.includes('precio sospechoso')))
+})
+
+test('buildReport desglosa la mano de obra por operaciones', () => {
+  const operations = [{ key: 'setting_prong', label: 'Engaste en garras', unit: 'stone', qty: '2', minutes: '12', rate: '60', fixed: '0' }]
+  const ev = evaluate({ lines: [gold], laborCost: 30, piecePrice: 0 }, { materials })
+  const r = buildReport({ lines: [gold], operations, complexity: 'alta', laborOverride: '30' }, ev, {})
+  assert.deepEqual(r.labor.items, [{ label: 'Engaste en garras', qty: '2 piedra', time: '36 min', cost: '36.00 EUR' }])
+  assert.equal(r.labor.override, '30.00 EUR')
+  assert.ok(renderReportPDF(r).getNumberOfPages() >= 1)
+})
+
+test('renderReportPDF pagina cuando las líneas no caben', () => {
+  const lines = Array.from({ length: 80 }, (_, i) => ({ ...gold, id: `l${i}` }))
+  const ev = evaluate({ lines, laborCost: 0, piecePrice: 0 }, { materials })
+  const doc = renderReportPDF(buildReport({ lines }, ev, { policy: DEFAULT_POLICY }))
+  assert.ok(doc.getNumberOfPages() > 1)
+})
+
+test('renderReportPDF incrusta las evidencias fotográficas', () => {
+  const png = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8/5+hHgAHggJ/PchI7wAAAABJRU5ErkJggg=='
+  const ev = evaluate({ lines: [gold], laborCost: 0, piecePrice: 0 }, { materials })
+  const report = buildReport({ lines: [gold] }, ev, {})
+  report.photos = Array.from({ length: 4 }, (_, i) => ({ image: png, width: 1, height: 1, caption: `Foto ${i + 1}` }))
+  const pdf = renderReportPDF(report).output()
+  assert.match(pdf, /Evidencias fotogr/)
+  assert.match(pdf, /\/Subtype \/Image/)
+})
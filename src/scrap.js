@@ -0,0 +1,89 @@
+// ———————————————————————————————————————————————
+// Modo recompra: valor de fundición y gemas de segunda mano
+// ———————————————————————————————————————————————
+// Para ofertar a un cliente que vende una pieza. Cada línea de metal con ley
+// conocida aporta su metal fino × spot del metal × % que paga la refinería,
+// menos la tarifa de refino por gramo fino. El precio de la línea (manual o de
+// proveedor) solo cuenta si no hay spot de ese metal. Las piedras, su precio
+// con un descuento de segunda mano. El resto (acero, latón, minerales sin
+// precio) no suma.
+// La oferta es un rango: del neto menos el margen de negociación al neto.
+
+import { FINE_METALS, fineContent } from './prices.js'
+import { writeJSON } from './storage.js'
+
+export const SCRAP_KEY = 'safire_scrap_v1'
+
+export const APPRAISAL_MODES = {
+  retail: 'Venta (precio de tienda)',
+  resale: 'Compra (recompra / chatarra)',
+}
+export const DEFAULT_MODE = 'retail'
+
+export const DEFAULT_SCRAP = {
+  // payout: % del valor del metal fino que paga la refinería; fee: € por g fino
+  refiners: {
+    gold: { payout: 95, fee: 0.6 },
+    silver: { payout: 85, fee: 0.05 },
+    platinum: { payout: 90, fee: 1.5 },
+    palladium: { payout: 88, fee: 1.5 },
+  },
+  gemDiscount: 60, // % de descuento sobre el precio de la gema
+  spread: 10,      // % de margen de negociación bajo el neto
+}
+
+const num = (v, d = 0) => { const n = parseFloat(String(v ?? '').replace(',', '.')); return Number.isFinite(n) ? n : d }
+const pct = (v, d) => Math.min(100, Math.max(0, num(v, d)))
+
+export const cleanScrap = (s = {}) => ({
+  refiners: Object.fromEntries(Object.keys(FINE_METALS).map(metal => {
+    const r = s.refiners?.[metal] || {}
+    const d = DEFAULT_SCRAP.refiners[metal]
+    return [metal, { payout: pct(r.payout, d.payout), fee: Math.max(0, num(r.fee, d.fee)) }]
+  })),
+  gemDiscount: pct(s.gemDiscount, DEFAULT_SCRAP.gemDiscount),
+  spread: Math.min(90, pct(s.spread, DEFAULT_SCRAP.spread)),
+})
+
+export const loadScrap = () => {
+  try {
+    const raw = localStorage.getItem(SCRAP_KEY)
+    return cleanScrap(raw ? JSON.parse(raw) : DEFAULT_SCRAP)
+  } catch { return cleanScrap(DEFAULT_SCRAP) }
+}
+
+export const saveScrap = (scrap) => writeJSON(SCRAP_KEY, scrap, 'las tarifas de recompra')
+
+export const cleanMode = (mode) => mode in APPRAISAL_MODES ? mode : DEFAULT_MODE
+
+// parts: calcLine de cada línea (valuation.js); rate: divisa por 1 EUR (tarifas
+// y spot); spots: €/g de metal fino ({ gold, silver, … }, prices.js)
+// → { items: [{ index, label, kind, metal, fineG, gross, value, noSpot }], melt, gems, fineByMetal, noSpot, total, low, high } o null
+export const resaleValue = (parts = [], scrap = DEFAULT_SCRAP, { rate = 1, spots = {} } = {}) => {
+  const s = cleanScrap(scrap)
+  const items = parts.map((p, index) => {
+    const label = p.m?.label || p.m?.key || `Línea ${index + 1}`
+    // Solo la capa noble (effW) de chapados y rellenos; el metal base no se refina
+    const gross = p.unitPrice * p.effW * p.qty
+    const fine = p.matUnit === 'g' ? fineContent(p.m) : null
+    if (fine) {
+      const r = s.refiners[fine.metal]
+      const fineG = p.effW * p.qty * fine.purity / 1000
+      const spot = spots?.[fine.metal]
+      const melt = spot > 0 ? fineG * spot * rate : gross
+      const value = Math.max(0, melt * r.payout / 100 - fineG * r.fee * rate)
+      return { index, label, kind: 'metal', metal: fine.metal, fineG, gross: melt, value, noSpot: !(spot > 0) }
+    }
+    if (p.matUnit === 'ct' || p.m?.kind === 'stone') return { index, label, kind: 'gem', metal: null, fineG: 0, gross, value: gross * (1 - s.gemDiscount / 100) }
+    return { index, label, kind: 'none', metal: null, fineG: 0, gross, value: 0 }
+  })
+  const sum = (kind) => items.filter(i => i.kind === kind).reduce((a, i) => a + i.value, 0)
+  const melt = sum('metal')
+  const gems = sum('gem')
+  const total = melt + gems
+  if (!(total > 0)) return null
+  const fineByMetal = {}
+  items.forEach(i => { if (i.metal) fineByMetal[i.metal] = (fineByMetal[i.metal] || 0) + i.fineG })
+  const noSpot = [...new Set(items.filter(i => i.noSpot).map(i => i.metal))]
+  return { items, melt, gems, fineByMetal, noSpot, total, low: total * (1 - s.spread / 100), high: total }
+}
@@ -0,0 +1,72 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_SCRAP, cleanScrap, cleanMode, resaleValue } from './scrap.js'
+import { fineContent } from './prices.js'
+import { evaluate } from './valuation.js'
+import { buildEntry } from './history.js'
+
+const close = (a, b) => assert.ok(Math.abs(a - b) < 1e-9, `${a} ≠ ${b}`)
+const materials = [
+  { key: 'gold_18k', label: 'Oro 18k', unit: '€/g' },
+  { key: 'steel_316L', label: 'Acero 316L', unit: '€/g' },
+  { key: 'diamond', label: 'Diamante', unit: '€/ct' },
+]
+const lines = [
+  { materialKey: 'gold_18k', weightVal: '10', unitPrice: '80', qty: '1' },   // 7.5 g finos; precio manual (PVP)
+  { materialKey: 'steel_316L', weightVal: '20', unitPrice: '0.1', qty: '1' },
+  { materialKey: 'diamond', weightVal: '0.5', unitPrice: '2000', qty: '2' },
+]
+
+const spots = { gold: 60, silver: 0.8 } // €/g fino
+
+test('resaleValue: fino × spot × pago de refinería − refino y gemas con descuento', () => {
+  const { parts } = evaluate({ lines }, { materials })
+  const r = resaleValue(parts, DEFAULT_SCRAP, { spots })
+  const gold = r.items[0]
+  close(gold.fineG, 7.5)
+  // El precio manual de la línea (80 €/g) no cuenta: 7.5 g finos × 60 €/g
+  close(gold.gross, 450)
+  close(gold.value, 450 * 0.95 - 7.5 * 0.6)
+  assert.deepEqual(r.noSpot, [])
+  assert.equal(r.items[1].kind, 'none')
+  close(r.gems, 2000 * 0.4)
+  close(r.fineByMetal.gold, 7.5)
+  close(r.high, r.melt + r.gems)
+  close(r.low, r.high * 0.9)
+  // Las tarifas en € se convierten a la divisa de la tasación
+  // Tarifas y spot en € se convierten a la divisa de la tasación
+  close(resaleValue(parts, DEFAULT_SCRAP, { rate: 2, spots }).items[0].value, (450 * 0.95 - 7.5 * 0.6) * 2)
+  assert.equal(resaleValue([parts[1]], DEFAULT_SCRAP, { spots }), null)
+})
+
+test('resaleValue: sin spot del metal se estima con el precio de la línea y se avisa', () => {
+  const { parts } = evaluate({ lines }, { materials })
+  const r = resaleValue(parts, DEFAULT_SCRAP, { spots: { silver: 0.8 } })
+  close(r.items[0].value, 800 * 0.95 - 7.5 * 0.6)
+  assert.equal(r.items[0].noSpot, true)
+  assert.deepEqual(r.noSpot, ['gold'])
+})
+
+test('fineContent: tabla spot o metal y ley propios del material', () => {
+  assert.deepEqual(fineContent({ key: 'silver_925' }), { metal: 'silver', purity: 925 })
+  assert.deepEqual(fineContent({ key: 'custom_1', metal: 'gold', purity: '916' }), { metal: 'gold', purity: 916 })
+  assert.equal(fineContent({ key: 'brass' }), null)
+})
+
+test('cleanScrap acota porcentajes y completa metales', () => {
+  const s = cleanScrap({ refiners: { gold: { payout: '120', fee: '-1' } }, gemDiscount: 'x', spread: 95 })
+  assert.deepEqual(s.refiners.gold, { payout: 100, fee: 0 })
+  assert.deepEqual(s.refiners.silver, DEFAULT_SCRAP.refiners.silver)
+  assert.equal(s.gemDiscount, DEFAULT_SCRAP.gemDiscount)
+  assert.equal(s.spread, 90)
+})
+
+test('el historial guarda el modo y la oferta de recompra', () => {
+  const ev = evaluate({ lines }, { materials, scrap: DEFAULT_SCRAP, spots })
+  close(ev.resale.melt, 450 * 0.95 - 7.5 * 0.6)
+  const entry = buildEntry({ lines, mode: 'resale' }, ev)
+  assert.equal(entry.mode, 'resale')
+  close(entry.resale.high, ev.resale.high)
+  assert.equal(buildEntry({ lines }, evaluate({ lines }, { materials })).mode, 'retail')
+  assert.equal(cleanMode('otro'), 'retail')
+})
@@ -0,0 +1,63 @@
+// ———————————————————————————————————————————————
+// Estimación de quilates por medidas (tallas habituales)
+// ———————————————————————————————————————————————
+// ct ≈ L × A × P × factor (mm), con factores de diamante. Para las tallas
+// cuyo factor depende de la proporción largo/ancho se interpola en la tabla.
+// Otras gemas se escalan por su densidad relativa al diamante.
+
+export const DIAMOND_DENSITY = 3.52
+
+export const GEM_SHAPES = {
+  diamond_round: { label: 'Redondo brillante', round: true, factor: 0.0061 },
+  oval: { label: 'Oval', factor: 0.0062 },
+  princess: { label: 'Princesa', factor: 0.0083 },
+  emerald_cut: { label: 'Esmeralda (escalonada)', ratios: [[1, 0.0080], [1.5, 0.0092], [2, 0.0100], [2.5, 0.0106]] },
+  pear: { label: 'Pera', ratios: [[1.25, 0.00615], [1.5, 0.0060], [1.66, 0.0059], [2, 0.00575]] },
+  marquise: { label: 'Marquesa', ratios: [[1.5, 0.00565], [2, 0.0058], [2.5, 0.00585], [3, 0.00595]] },
+  cushion: { label: 'Cojín', factor: 0.0081 },
+}
+
+// Corrección por grosor de rondís (fracción añadida al peso)
+export const GIRDLE_ADJUSTMENTS = {
+  thin: { label: 'Fino', pct: 0 },
+  medium: { label: 'Medio', pct: 0 },
+  slightly_thick: { label: 'Ligeramente grueso', pct: 0.01 },
+  thick: { label: 'Grueso', pct: 0.02 },
+  very_thick: { label: 'Muy grueso', pct: 0.03 },
+  extremely_thick: { label: 'Extremadamente grueso', pct: 0.05 },
+}
+
+export const isGemShape = (shape) => Boolean(GEM_SHAPES[shape])
+
+// Factor de la talla para una proporción largo/ancho dada
+export const shapeFactor = (shape, ratio = 1) => {
+  const def = GEM_SHAPES[shape]
+  if (!def) return 0
+  if (!def.ratios) return def.factor
+  const pts = def.ratios
+  if (!(ratio > pts[0][0])) return pts[0][1]
+  if (ratio >= pts[pts.length-1][0]) return pts[pts.length-1][1]
+  const j = pts.findIndex(p => p[0] >= ratio)
+  const [r0, f0] = pts[j-1], [r1, f1] = pts[j]
+  return f0 + (f1 - f0) * (ratio - r0) / (r1 - r0)
+}
+
+// dims en mm: { length, width, depth } (redondo: length = diámetro)
+export const estimateGemCarats = (shape, { length = 0, width = 0, depth = 0 } = {}, { girdle = 'medium', density = DIAMOND_DENSITY } = {}) => {
+  const def = GEM_SHAPES[shape]
+  if (!def || length <= 0 || depth <= 0) return 0
+  const w = def.round ? length : width
+  if (w <= 0) return 0
+  const base = length * w * depth * shapeFactor(shape, Math.max(length, w) / Math.min(length, w))
+  const girdlePct = GIRDLE_ADJUSTMENTS[girdle]?.pct ?? 0
+  return Math.max(0, base * (1 + girdlePct) * (density / DIAMOND_DENSITY))
+}
+
+export const shapeFormula = (shape) => {
+  const def = GEM_SHAPES[shape]
+  if (!def) return ''
+  if (def.round) return `ct ≈ ${def.factor}·d²·P`
+  return def.ratios
+    ? `ct ≈ L·A·P·f (f ${def.ratios[0][1]}–${def.ratios[def.ratios.length-1][1]} según L/A)`
+    : `ct ≈ ${def.factor}·L·A·P`
+}
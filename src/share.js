@@ -0,0 +1,103 @@
+// ———————————————————————————————————————————————
+// Enlaces compartibles (la tasación viaja en el fragmento de la URL)
+// ———————————————————————————————————————————————
+// #safire=<versión>.<tipo>.<modo>.<codificación>.<datos>
+//   tipo: a = tasación (App), w = estado del asistente v22 (se convierte al abrir)
+//   modo: r = solo lectura, e = editable
+//   codificación: z = JSON comprimido (deflate-raw), j = JSON sin comprimir
+// El fragmento no se envía al servidor: todo se decodifica en el navegador.
+
+import { indexSources } from './labor.js'
+
+export const SHARE_PARAM = 'safire'
+export const SHARE_VERSION = 1
+export const SHARE_KINDS = { appraisal: 'a', wizard: 'w' }
+
+const KIND_BY_CODE = Object.fromEntries(Object.entries(SHARE_KINDS).map(([k, v]) => [v, k]))
+
+// Quita campos vacíos (''/null/undefined, arrays vacíos) para acortar el enlace
+export const compact = (value) => {
+  if (Array.isArray(value)) return value.map(compact)
+  if (!value || typeof value !== 'object') return value
+  const out = {}
+  for (const [k, v] of Object.entries(value)) {
+    if (v === '' || v == null || (Array.isArray(v) && !v.length)) continue
+    out[k] = compact(v)
+  }
+  return out
+}
+
+const toBase64Url = (bytes) => {
+  let bin = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+const fromBase64Url = (str) => {
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/')
+  const bin = atob(b64 + '='.repeat((4 - b64.length % 4) % 4))
+  return Uint8Array.from(bin, c => c.charCodeAt(0))
+}
+
+const pipe = async (bytes, stream) => new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer())
+const canCompress = () => typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined'
+
+// → fragmento sin '#'
+export const encodeShare = async (kind, data, { editable = false } = {}) => {
+  const code = SHARE_KINDS[kind]
+  if (!code) throw new Error(`Tipo de enlace desconocido: ${kind}`)
+  const json = new TextEncoder().encode(JSON.stringify(compact(data)))
+  const [enc, bytes] = canCompress() ? ['z', await pipe(json, new CompressionStream('deflate-raw'))] : ['j', json]
+  return `${SHARE_PARAM}=${SHARE_VERSION}.${code}.${editable ? 'e' : 'r'}.${enc}.${toBase64Url(bytes)}`
+}
+
+// hash: location.hash (con o sin '#'). → null si no es un enlace de Safire
+export const decodeShare = async (hash) => {
+  const raw = String(hash || '').replace(/^#/, '')
+  if (!raw.startsWith(`${SHARE_PARAM}=`)) return null
+  const [version, code, mode, enc, payload] = raw.slice(SHARE_PARAM.length + 1).split('.')
+  if (Number(version) > SHARE_VERSION) throw new Error('Enlace creado con una versión más reciente de la aplicación')
+  const kind = KIND_BY_CODE[code]
+  if (!kind || !payload || !['z', 'j'].includes(enc)) throw new Error('Enlace compartido no válido')
+  let bytes = fromBase64Url(payload)
+  if (enc === 'z') {
+    if (!canCompress()) throw new Error('Este navegador no puede descomprimir el enlace')
+    bytes = await pipe(bytes, new DecompressionStream('deflate-raw'))
+  }
+  return { version: Number(version), kind, editable: mode === 'e', data: JSON.parse(new TextDecoder().decode(bytes)) }
+}
+
+export const shareUrl = (fragment, loc = globalThis.location) => `${loc.origin}${loc.pathname}${loc.search || ''}#${fragment}`
+
+// Quita el fragmento compartido de la barra de direcciones sin recargar
+export const clearShareHash = () => {
+  if (typeof history !== 'undefined' && location.hash.startsWith(`#${SHARE_PARAM}=`)) {
+    history.replaceState(null, '', `${location.pathname}${location.search}`)
+  }
+}
+
+// Tasación del comparador: mismos campos que el historial, sin totales (se recalculan)
+export const appraisalPayload = (state) => ({
+  desc: state.desc,
+  pieceType: state.pieceType,
+  brand: state.brand,
+  model: state.model,
+  mode: state.mode,
+  watch: state.watch || null,
+  complexity: state.complexity,
+  laborOverride: state.laborOverride,
+  operations: indexSources(state.operations, state.lines).map(({ id, ...op }) => op),
+  laborDismissed: state.laborDismissed,
+  piecePrice: state.piecePrice,
+  currency: state.currency,
+  rate: state.rate,
+  priceAsOf: state.priceAsOf,
+  // Las fotos se quedan en el dispositivo: sus ids no sirven en otro
+  lines: (state.lines || []).map(({ id, photos, ...ln }) => ln),
+})
+
+// Restaura líneas con los valores por defecto de makeLine(materialKey)
+export const restoreLines = (lines, makeLine) => (lines || []).map((ln, i) => ({
+  ...makeLine(ln.materialKey),
+  ...ln,
+  id: `${Date.now()}_${i}_${Math.random().toString(36).slice(2, 7)}`,
+}))
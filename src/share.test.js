@@ -0,0 +1,43 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { encodeShare, decodeShare, compact, shareUrl, appraisalPayload, restoreLines, SHARE_PARAM } from './share.js'
+
+const state = {
+  id: 'ap_1', desc: 'Anillo', pieceType: 'anillo', brand: '', model: '', complexity: 'media', laborOverride: '',
+  piecePrice: '1200', currency: 'EUR', rate: 1, priceAsOf: null,
+  lines: [{ id: 'l1', materialKey: 'gold_18k', weightVal: '5', weightUnit: 'g', unitPrice: '50', notes: '' }],
+}
+
+test('compact descarta vacíos sin tocar ceros ni falsos', () => {
+  assert.deepEqual(compact({ a: '', b: null, c: [], d: 0, e: false, f: [{ g: '', h: 'x' }] }), { d: 0, e: false, f: [{ h: 'x' }] })
+})
+
+test('encodeShare/decodeShare conservan la tasación y el modo', async () => {
+  const payload = appraisalPayload(state)
+  const readOnly = await encodeShare('appraisal', payload)
+  assert.ok(readOnly.startsWith(`${SHARE_PARAM}=1.a.r.`))
+  const shared = await decodeShare(`#${readOnly}`)
+  assert.equal(shared.kind, 'appraisal')
+  assert.equal(shared.editable, false)
+  assert.deepEqual(shared.data, compact(payload))
+  assert.equal(shared.data.lines[0].id, undefined)
+
+  const editable = await decodeShare(await encodeShare('wizard', { lines: [] }, { editable: true }))
+  assert.equal(editable.kind, 'wizard')
+  assert.equal(editable.editable, true)
+})
+
+test('decodeShare ignora otros fragmentos y rechaza enlaces dañados o más nuevos', async () => {
+  assert.equal(await decodeShare(''), null)
+  assert.equal(await decodeShare('#seccion'), null)
+  await assert.rejects(decodeShare(`#${SHARE_PARAM}=1.x.r.j.e30`), /no válido/)
+  await assert.rejects(decodeShare(`#${SHARE_PARAM}=9.a.r.j.e30`), /más reciente/)
+})
+
+test('shareUrl y restoreLines', () => {
+  assert.equal(shareUrl('safire=1', { origin: 'https://x.es', pathname: '/app/', search: '' }), 'https://x.es/app/#safire=1')
+  const lines = restoreLines([{ materialKey: 'gold_18k', weightVal: '5' }], (k) => ({ materialKey: k, qty: '1', weightVal: '' }))
+  assert.equal(lines[0].qty, '1')
+  assert.equal(lines[0].weightVal, '5')
+  assert.ok(lines[0].id)
+})
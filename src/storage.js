@@ -0,0 +1,138 @@
+// ———————————————————————————————————————————————
+// Persistencia local y copia de seguridad
+// ———————————————————————————————————————————————
+// Las escrituras en localStorage no se pierden en silencio: si fallan (cuota
+// llena, modo privado…) se avisa a los oyentes registrados con onStorageError
+// y se devuelve false. La copia de seguridad reúne todas las claves safire_*
+// y el historial de IndexedDB en un único JSON.
+
+export const KEY_PREFIX = 'safire_'
+export const BACKUP_FORMAT = 'safire-backup'
+export const BACKUP_VERSION = 1
+
+const listeners = new Set()
+
+// fn({ message, error, label }) → función para darse de baja
+export const onStorageError = (fn) => { listeners.add(fn); return () => listeners.delete(fn) }
+
+export const isQuotaError = (e) => Boolean(e) && (e.name === 'QuotaExceededError' || e.name === 'NS_ERROR_DOM_QUOTA_REACHED' || e.code === 22 || e.code === 1014)
+
+export const describeStorageError = (error, label = 'los datos') => isQuotaError(error)
+  ? `No se pudo guardar ${label}: el almacenamiento del navegador está lleno. Descargue una copia de seguridad y libere espacio (historial, logotipo del informe…).`
+  : `No se pudo guardar ${label}: ${error?.message || error}`
+
+// Otros fallos que el usuario debe ver (service worker, IndexedDB…) por el mismo aviso
+export const reportNotice = (message, error) => {
+  if (!listeners.size) console.error(message, error)
+  listeners.forEach(fn => fn({ message, error }))
+  return message
+}
+
+export const reportStorageError = (error, label) => {
+  const message = describeStorageError(error, label)
+  if (!listeners.size) console.error(message, error)
+  listeners.forEach(fn => fn({ message, error, label }))
+  return message
+}
+
+const local = () => globalThis.localStorage
+
+export const readJSON = (key, fallback = null, storage = local()) => {
+  try {
+    const raw = storage.getItem(key)
+    return raw == null ? fallback : JSON.parse(raw)
+  } catch { return fallback }
+}
+
+// → true si se guardó; si no, avisa y devuelve false
+export const writeJSON = (key, value, label = key, storage = local()) => {
+  try { storage.setItem(key, JSON.stringify(value)); return true }
+  catch (e) { reportStorageError(e, label); return false }
+}
+
+export const safireKeys = (storage = local()) => {
+  const keys = []
+  for (let i = 0; i < storage.length; i++) {
+    const k = storage.key(i)
+    if (k && k.startsWith(KEY_PREFIX)) keys.push(k)
+  }
+  return keys.sort()
+}
+
+// Pide al navegador que no borre los datos por falta de espacio
+export const requestPersistence = async () => {
+  const s = globalThis.navigator?.storage
+  if (!s?.persist) return false
+  return (await s.persisted()) || s.persist()
+}
+
+// → { usage, quota } en bytes, o null si el navegador no lo expone
+export const storageEstimate = async () => {
+  const s = globalThis.navigator?.storage
+  return s?.estimate ? s.estimate() : null
+}
+
+// ———————————————————————————————————————————————
+// Copia de seguridad completa
+// ———————————————————————————————————————————————
+
+export const buildBackup = ({ appraisals = [], photos = [], now = new Date(), storage = local() } = {}) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  createdAt: now.toISOString(),
+  // Valores en bruto: cada módulo vuelve a interpretar su clave al cargar
+  localStorage: Object.fromEntries(safireKeys(storage).map(k => [k, storage.getItem(k)])),
+  appraisals,
+  photos, // evidencias fotográficas (almacén photos de IndexedDB)
+})
+
+export const exportBackupJSON = (backup) => JSON.stringify(backup, null, 2)
+
+// Valida antes de tocar nada; lanza Error con un mensaje legible
+export const parseBackup = (text) => {
+  let data
+  try { data = JSON.parse(String(text).replace(/^\uFEFF/, '')) } catch { throw new Error('El archivo no es JSON válido') }
+  if (data?.format !== BACKUP_FORMAT) throw new Error('No es una copia de seguridad de Safire')
+  if (!(data.version <= BACKUP_VERSION)) throw new Error('Copia creada con una versión más reciente de la aplicación')
+  const entries = Object.entries(data.localStorage || {})
+  if (entries.some(([k, v]) => !k.startsWith(KEY_PREFIX) || typeof v !== 'string')) throw new Error('Claves de la copia no válidas')
+  if (!Array.isArray(data.appraisals) || data.appraisals.some(a => !a || typeof a.id !== 'string')) throw new Error('Historial de la copia no válido')
+  if (data.photos != null && (!Array.isArray(data.photos) || data.photos.some(p => !p || typeof p.id !== 'string'))) throw new Error('Fotos de la copia no válidas')
+  return data
+}
+
+// Sustituye todos los datos de Safire por los de la copia.
+// replaceAppraisals(list) → Promise (vacía el historial y guarda la lista);
+// replacePhotos(list), si se pasa, hace lo mismo con las fotos.
+// Primero se escriben los valores de la copia y al final se borran las claves
+// que no trae; si algo falla (cuota llena, IndexedDB) se vuelve a la
+// instantánea previa: claves, y el historial y las fotos si se pasan
+// loadAppraisals() / loadPhotos().
+export const restoreBackup = async (backup, { replaceAppraisals, replacePhotos, loadAppraisals, loadPhotos, storage = local() }) => {
+  const entries = Object.entries(backup.localStorage || {})
+  const before = Object.fromEntries(safireKeys(storage).map(k => [k, storage.getItem(k)]))
+  const appraisalsBefore = loadAppraisals ? await loadAppraisals() : null
+  const photosBefore = replacePhotos && loadPhotos ? await loadPhotos() : null
+  let stage = 'keys'
+  try {
+    for (const [k, v] of entries) {
+      try { storage.setItem(k, v) }
+      catch (e) { throw new Error(describeStorageError(e, `la clave ${k}`)) }
+    }
+    Object.keys(before).filter(k => !(k in backup.localStorage)).forEach(k => storage.removeItem(k))
+    stage = 'appraisals'
+    await replaceAppraisals(backup.appraisals)
+    if (!replacePhotos) return { keys: entries.length, appraisals: backup.appraisals.length }
+    const photos = backup.photos || []
+    stage = 'photos'
+    await replacePhotos(photos)
+    return { keys: entries.length, appraisals: backup.appraisals.length, photos: photos.length }
+  } catch (e) {
+    // Se quitan primero las claves nuevas para que las antiguas vuelvan a caber
+    safireKeys(storage).forEach(k => storage.removeItem(k))
+    Object.entries(before).forEach(([k, v]) => { try { storage.setItem(k, v) } catch {} })
+    if (stage !== 'keys' && appraisalsBefore) await replaceAppraisals(appraisalsBefore).catch(() => {})
+    if (stage === 'photos' && photosBefore) await replacePhotos(photosBefore).catch(() => {})
+    throw new Error(`${e.message || e} (se han conservado los datos anteriores)`)
+  }
+}
@@ -0,0 +1,97 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { writeJSON, readJSON, onStorageError, reportNotice, isQuotaError, safireKeys, buildBackup, exportBackupJSON, parseBackup, restoreBackup } from './storage.js'
+
+// localStorage mínimo sobre un Map; quota limita el tamaño de cada valor
+const memoryStorage = (init = {}, quota = Infinity) => {
+  const map = new Map(Object.entries(init))
+  return {
+    get length() { return map.size },
+    key: (i) => [...map.keys()][i] ?? null,
+    getItem: (k) => map.has(k) ? map.get(k) : null,
+    setItem: (k, v) => {
+      if (String(v).length > quota) throw Object.assign(new Error('quota'), { name: 'QuotaExceededError' })
+      map.set(k, String(v))
+    },
+    removeItem: (k) => { map.delete(k) },
+    map,
+  }
+}
+
+test('writeJSON avisa del fallo en vez de perder el dato en silencio', () => {
+  const storage = memoryStorage({}, 10)
+  const seen = []
+  const off = onStorageError(e => seen.push(e))
+  assert.equal(writeJSON('safire_a', [1], 'a', storage), true)
+  assert.deepEqual(readJSON('safire_a', null, storage), [1])
+  assert.equal(writeJSON('safire_b', 'x'.repeat(20), 'el historial', storage), false)
+  off()
+  assert.equal(seen.length, 1)
+  assert.ok(isQuotaError(seen[0].error))
+  assert.match(seen[0].message, /el historial.*lleno/)
+  assert.equal(readJSON('safire_b', 'fallback', storage), 'fallback')
+})
+
+test('reportNotice lleva otros fallos (IndexedDB, fotos) al mismo aviso', () => {
+  const seen = []
+  const off = onStorageError(e => seen.push(e))
+  const err = new Error('blocked')
+  assert.equal(reportNotice('No se pudo migrar el historial', err), 'No se pudo migrar el historial')
+  off()
+  assert.deepEqual(seen, [{ message: 'No se pudo migrar el historial', error: err }])
+})
+
+test('la copia reúne las claves safire_ y el historial, y se restaura entera', async () => {
+  const storage = memoryStorage({ safire_currency_v1: '"USD"', safire_report_settings_v1: '{}', other_app: '1' })
+  const backup = parseBackup(exportBackupJSON(buildBackup({ appraisals: [{ id: 'ap_1', ts: '2025-01-01' }], storage, now: new Date('2025-02-01T00:00:00Z') })))
+  assert.deepEqual(Object.keys(backup.localStorage), ['safire_currency_v1', 'safire_report_settings_v1'])
+  assert.equal(backup.createdAt, '2025-02-01T00:00:00.000Z')
+
+  const target = memoryStorage({ safire_currency_v1: '"EUR"', safire_stale_v1: 'x', other_app: '2' })
+  let restored = null
+  const r = await restoreBackup(backup, { storage: target, replaceAppraisals: async (list) => { restored = list } })
+  assert.deepEqual(r, { keys: 2, appraisals: 1 })
+  assert.deepEqual(safireKeys(target), ['safire_currency_v1', 'safire_report_settings_v1'])
+  assert.equal(target.getItem('safire_currency_v1'), '"USD"')
+  assert.equal(target.getItem('other_app'), '2')
+  assert.equal(restored[0].id, 'ap_1')
+})
+
+test('restoreBackup vuelve a los datos anteriores si una escritura falla a medias', async () => {
+  const backup = { localStorage: { safire_a_v1: '"nuevo"', safire_b_v1: 'x'.repeat(50) }, appraisals: [{ id: 'ap_new' }] }
+  const old = { safire_a_v1: '"viejo"', safire_c_v1: '1', other_app: '2' }
+  let stored = [{ id: 'ap_old' }]
+  const opts = { replaceAppraisals: async (list) => { stored = list }, loadAppraisals: async () => stored }
+
+  // Cuota llena en la segunda clave: nada se borra ni queda a medias
+  const full = memoryStorage(old, 20)
+  await assert.rejects(restoreBackup(backup, { ...opts, storage: full }), /lleno.*conservado los datos anteriores/)
+  assert.deepEqual(Object.fromEntries(full.map), old)
+  assert.deepEqual(stored, [{ id: 'ap_old' }])
+
+  // Falla IndexedDB tras escribir las claves: claves e historial como antes
+  const target = memoryStorage(old)
+  let calls = 0
+  const failing = { loadAppraisals: opts.loadAppraisals, replaceAppraisals: async (list) => { if (!calls++) { stored = []; throw new Error('IndexedDB no disponible') } stored = list } }
+  await assert.rejects(restoreBackup(backup, { ...failing, storage: target }), /IndexedDB no disponible/)
+  assert.deepEqual(Object.fromEntries(target.map), old)
+  assert.deepEqual(stored, [{ id: 'ap_old' }])
+})
+
+test('la copia incluye las fotos y las restaura si se pasa replacePhotos', async () => {
+  const photos = [{ id: 'ph_1', kind: 'scale', image: 'data:x' }]
+  const backup = parseBackup(exportBackupJSON(buildBackup({ appraisals: [], photos, storage: memoryStorage() })))
+  let restored = null
+  const r = await restoreBackup(backup, { storage: memoryStorage(), replaceAppraisals: async () => {}, replacePhotos: async (list) => { restored = list } })
+  assert.equal(r.photos, 1)
+  assert.deepEqual(restored, photos)
+  assert.throws(() => parseBackup('{"format":"safire-backup","version":1,"localStorage":{},"appraisals":[],"photos":[{}]}'), /Fotos/)
+})
+
+test('parseBackup rechaza archivos ajenos, dañados o de una versión futura', () => {
+  assert.throws(() => parseBackup('{'), /JSON válido/)
+  assert.throws(() => parseBackup('{"format":"safire-appraisals"}'), /No es una copia/)
+  assert.throws(() => parseBackup('{"format":"safire-backup","version":2,"localStorage":{},"appraisals":[]}'), /más reciente/)
+  assert.throws(() => parseBackup('{"format":"safire-backup","version":1,"localStorage":{"x":"1"},"appraisals":[]}'), /Claves/)
+  assert.throws(() => parseBackup('{"format":"safire-backup","version":1,"localStorage":{},"appraisals":[{}]}'), /Historial/)
+})
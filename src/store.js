@@ -0,0 +1,290 @@
+// ———————————————————————————————————————————————
+// Almacén local de tasaciones (IndexedDB)
+// ———————————————————————————————————————————————
+// Una tasación por registro (clave id) con índices por fecha, tipo de pieza,
+// marca/modelo, diagnóstico y divisa. Cada guardado escribe solo su registro.
+// v2: almacén photos con las evidencias fotográficas (photos.js).
+
+import { HISTORY_KEY, migrateHistory } from './history.js'
+import { WIZARD_HISTORY_KEY } from './wizard.js'
+
+const DB_NAME = 'safire'
+const DB_VERSION = 2
+export const APPRAISALS = 'appraisals'
+export const PHOTOS = 'photos'
+const MIGRATED_KEY = 'safire_history_migrated_v1'
+const WIZARD_MIGRATED_KEY = 'safire_v22_history_migrated_v1'
+
+export const INDEXES = ['ts', 'pieceType', 'brandModel', 'diagnosis', 'currency']
+
+// Promesa a partir de un IDBRequest
+const done = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result)
+  req.onerror = () => reject(req.error)
+})
+const txDone = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve()
+  tx.onerror = () => reject(tx.error)
+  tx.onabort = () => reject(tx.error || new Error('Transacción abortada'))
+})
+
+let dbPromise = null
+export const openDB = () => {
+  if (dbPromise) return dbPromise
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') { reject(new Error('IndexedDB no disponible en este navegador')); return }
+    const req = indexedDB.open(DB_NAME, DB_VERSION)
+    req.onupgradeneeded = () => {
+      const db = req.result
+      if (!db.objectStoreNames.contains(APPRAISALS)) {
+        const store = db.createObjectStore(APPRAISALS, { keyPath: 'id' })
+        INDEXES.forEach(name => store.createIndex(name, name))
+      }
+      if (!db.objectStoreNames.contains(PHOTOS)) db.createObjectStore(PHOTOS, { keyPath: 'id' })
+    }
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+  dbPromise.catch(() => { dbPromise = null })
+  return dbPromise
+}
+
+// Campos derivados que alimentan los índices
+const withIndexFields = (entry) => ({
+  ...entry,
+  pieceType: entry.pieceType || '',
+  diagnosis: entry.diagnosis || '',
+  currency: entry.currency || 'EUR',
+  brandModel: `${entry.brand || ''} ${entry.model || ''}`.trim().toLowerCase(),
+})
+
+export const putAppraisal = async (entry) => {
+  const db = await openDB()
+  const tx = db.transaction(APPRAISALS, 'readwrite')
+  tx.objectStore(APPRAISALS).put(withIndexFields(entry))
+  await txDone(tx)
+  return entry
+}
+
+export const putAppraisals = async (entries) => {
+  const db = await openDB()
+  const tx = db.transaction(APPRAISALS, 'readwrite')
+  const store = tx.objectStore(APPRAISALS)
+  entries.forEach(e => store.put(withIndexFields(e)))
+  await txDone(tx)
+  return entries.length
+}
+
+// Vacía el historial y guarda la lista en la misma transacción (restaurar copia)
+export const replaceAppraisals = async (entries) => {
+  const db = await openDB()
+  const tx = db.transaction(APPRAISALS, 'readwrite')
+  const store = tx.objectStore(APPRAISALS)
+  store.clear()
+  entries.forEach(e => store.put(withIndexFields(e)))
+  await txDone(tx)
+  return entries.length
+}
+
+export const getAppraisal = async (id) => {
+  const db = await openDB()
+  return done(db.transaction(APPRAISALS).objectStore(APPRAISALS).get(id))
+}
+
+export const deleteAppraisal = async (id) => {
+  const db = await openDB()
+  const tx = db.transaction(APPRAISALS, 'readwrite')
+  tx.objectStore(APPRAISALS).delete(id)
+  await txDone(tx)
+}
+
+// Subconjunto de ids que ya existen (para distinguir altas de actualizaciones)
+export const existingIds = async (ids) => {
+  const db = await openDB()
+  const store = db.transaction(APPRAISALS).objectStore(APPRAISALS)
+  const keys = await Promise.all(ids.map(id => done(store.getKey(id))))
+  return new Set(keys.filter(k => k !== undefined))
+}
+
+export const countAppraisals = async () => {
+  const db = await openDB()
+  return done(db.transaction(APPRAISALS).objectStore(APPRAISALS).count())
+}
+
+export const allAppraisals = async () => {
+  const db = await openDB()
+  const items = await done(db.transaction(APPRAISALS).objectStore(APPRAISALS).index('ts').getAll())
+  return items.reverse()
+}
+
+// Valores distintos de un índice (para los filtros)
+export const distinctValues = async (indexName) => {
+  const db = await openDB()
+  const out = []
+  await new Promise((resolve, reject) => {
+    const req = db.transaction(APPRAISALS).objectStore(APPRAISALS).index(indexName).openKeyCursor(null, 'nextunique')
+    req.onsuccess = () => {
+      const cur = req.result
+      if (!cur) { resolve(); return }
+      if (cur.key !== '') out.push(cur.key)
+      cur.continue()
+    }
+    req.onerror = () => reject(req.error)
+  })
+  return out
+}
+
+const SORTS = {
+  ts: (h) => h.ts || '',
+  totalCost: (h) => h.totalCost ?? 0,
+  piecePrice: (h) => h.piecePrice ?? 0,
+  pctTotal: (h) => h.pctTotal ?? 0,
+  brandModel: (h) => h.brandModel || '',
+}
+
+const matchesText = (h, q) => !q || [h.desc, h.brand, h.model, h.pieceType, h.diagnosis, h.id]
+  .some(v => String(v || '').toLowerCase().includes(q))
+
+// Filtros de queryAppraisals sobre un registro guardado (con sus campos de índice)
+export const matchesQuery = (h, { search = '', pieceType = '', diagnosis = '', currency = '', brand = '', from = '', to = '' } = {}) => {
+  const b = brand.trim().toLowerCase()
+  return (!pieceType || h.pieceType === pieceType) &&
+    (!diagnosis || h.diagnosis === diagnosis) &&
+    (!currency || h.currency === currency) &&
+    (!b || h.brandModel.includes(b)) &&
+    (!from || h.ts >= from) && (!to || h.ts <= `${to}\uffff`) &&
+    matchesText(h, search.trim().toLowerCase())
+}
+
+export const sortAppraisals = (rows, sort = 'ts', dir = 'desc') => {
+  const getter = SORTS[sort] || SORTS.ts
+  const sign = dir === 'asc' ? 1 : -1
+  return [...rows].sort((x, y) => { const a = getter(x), c = getter(y); return a < c ? -sign : a > c ? sign : 0 })
+}
+
+const pageOffset = (page, pageSize) => page > 0 ? page * pageSize : 0
+export const pageOf = (rows, page = 0, pageSize = 20) => {
+  const offset = pageOffset(page, pageSize)
+  return { items: rows.slice(offset, offset + pageSize), total: rows.length }
+}
+
+// query: { search, pieceType, diagnosis, currency, brand, from, to, sort, dir, page, pageSize }
+// (pageSize: Infinity → todo el resultado, p. ej. para exportar)
+// → { items, total }
+export const queryAppraisals = async (query = {}) => {
+  const { search = '', pieceType = '', diagnosis = '', currency = '', brand = '', from = '', to = '',
+    sort = 'ts', dir = 'desc', page = 0, pageSize = 20 } = query
+  const db = await openDB()
+  const store = db.transaction(APPRAISALS).objectStore(APPRAISALS)
+  const q = search.trim().toLowerCase()
+  const b = brand.trim().toLowerCase()
+  const range = (from || to) ? IDBKeyRange.bound(from || '', to ? `${to}\uffff` : '\uffff') : null
+  const direction = dir === 'asc' ? 'next' : 'prev'
+  const offset = pageOffset(page, pageSize)
+
+  // Solo fecha/orden por fecha: paginación directa sobre el índice ts
+  if (!q && !pieceType && !diagnosis && !currency && !b && sort === 'ts') {
+    const index = store.index('ts')
+    const total = await done(index.count(range))
+    const items = []
+    await new Promise((resolve, reject) => {
+      let skipped = offset === 0
+      const req = index.openCursor(range, direction)
+      req.onsuccess = () => {
+        const cur = req.result
+        if (!cur || items.length >= pageSize) { resolve(); return }
+        if (!skipped) { skipped = true; cur.advance(offset); return }
+        items.push(cur.value)
+        cur.continue()
+      }
+      req.onerror = () => reject(req.error)
+    })
+    return { items, total }
+  }
+
+  // Con filtros: se parte del índice más selectivo disponible y se filtra el resto
+  const [indexName, key] = pieceType ? ['pieceType', pieceType] : diagnosis ? ['diagnosis', diagnosis] : currency ? ['currency', currency] : ['ts', range]
+  const source = indexName === 'ts' ? store.index('ts').getAll(key) : store.index(indexName).getAll(IDBKeyRange.only(key))
+  const rows = (await done(source)).filter(h => matchesQuery(h, query))
+  return pageOf(sortAppraisals(rows, sort, dir), page, pageSize)
+}
+
+// ———————————————————————————————————————————————
+// Fotos
+// ———————————————————————————————————————————————
+
+export const putPhoto = async (photo) => {
+  const db = await openDB()
+  const tx = db.transaction(PHOTOS, 'readwrite')
+  tx.objectStore(PHOTOS).put(photo)
+  await txDone(tx)
+  return photo
+}
+
+// Registros de los ids pedidos que existen (en el mismo orden)
+export const getPhotos = async (ids) => {
+  if (!ids.length) return []
+  const db = await openDB()
+  const store = db.transaction(PHOTOS).objectStore(PHOTOS)
+  return (await Promise.all(ids.map(id => done(store.get(id))))).filter(Boolean)
+}
+
+export const allPhotos = async () => {
+  const db = await openDB()
+  return done(db.transaction(PHOTOS).objectStore(PHOTOS).getAll())
+}
+
+// Vacía las fotos y guarda la lista (restaurar copia)
+export const replacePhotos = async (photos) => {
+  const db = await openDB()
+  const tx = db.transaction(PHOTOS, 'readwrite')
+  const store = tx.objectStore(PHOTOS)
+  store.clear()
+  photos.forEach(p => store.put(p))
+  await txDone(tx)
+  return photos.length
+}
+
+// Ids de fotos que no usa ninguna tasación (keep: Set de ids); before (ms): solo
+// las creadas antes (el id lleva la fecha: ph_<ms>_…), para no tocar las que
+// se añaden mientras tanto
+const createdAt = (id) => Number(String(id).split('_')[1]) || 0
+export const photoOrphans = (keys, keep, { before = Infinity } = {}) => keys.filter(k => !keep.has(k) && createdAt(k) < before)
+
+// Borra las fotos huérfanas → nº borradas
+export const prunePhotos = async (keep, { before = Infinity } = {}) => {
+  const db = await openDB()
+  const keys = await done(db.transaction(PHOTOS).objectStore(PHOTOS).getAllKeys())
+  const orphans = photoOrphans(keys, keep, { before })
+  if (!orphans.length) return 0
+  const tx = db.transaction(PHOTOS, 'readwrite')
+  orphans.forEach(k => tx.objectStore(PHOTOS).delete(k))
+  await txDone(tx)
+  return orphans.length
+}
+
+// Primera ejecución: vuelca el historial de localStorage (se conserva como copia).
+// storage y put se pueden sustituir (pruebas), como en restoreBackup
+export const migrateFromLocalStorage = async (makeLine, { storage = globalThis.localStorage, put = putAppraisals } = {}) => {
+  try { if (storage.getItem(MIGRATED_KEY)) return 0 } catch { return 0 }
+  let list = []
+  try { list = migrateHistory(JSON.parse(storage.getItem(HISTORY_KEY) || '[]'), makeLine) } catch {}
+  const n = list.length ? await put(list) : 0
+  try { storage.setItem(MIGRATED_KEY, new Date().toISOString()) } catch {}
+  return n
+}
+
+// Igual para las tasaciones del asistente v22; toEntries(lista) → entradas del
+// historial, omitiendo las que no se pueden convertir. La marca solo se pone
+// cuando las demás ya están guardadas → { migrated, skipped }
+export const migrateWizardFromLocalStorage = async (toEntries, { storage = globalThis.localStorage, put = putAppraisals } = {}) => {
+  try { if (storage.getItem(WIZARD_MIGRATED_KEY)) return { migrated: 0, skipped: 0 } } catch { return { migrated: 0, skipped: 0 } }
+  let snapshots
+  try { snapshots = JSON.parse(storage.getItem(WIZARD_HISTORY_KEY) || '[]') }
+  catch { throw new Error('el historial del asistente v22 está dañado') }
+  snapshots = Array.isArray(snapshots) ? snapshots : []
+  const list = toEntries(snapshots)
+  const migrated = list.length ? await put(list) : 0
+  try { storage.setItem(WIZARD_MIGRATED_KEY, new Date().toISOString()) } catch {}
+  return { migrated, skipped: snapshots.length - list.length }
+}
@@ -0,0 +1,74 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { matchesQuery, sortAppraisals, pageOf, photoOrphans, migrateFromLocalStorage, migrateWizardFromLocalStorage } from './store.js'
+import { HISTORY_KEY } from './history.js'
+import { WIZARD_HISTORY_KEY } from './wizard.js'
+
+const row = (id, patch = {}) => ({ id, ts: '2025-01-01T10:00:00.000Z', desc: '', pieceType: '', diagnosis: '', currency: 'EUR', brandModel: '', totalCost: 0, ...patch })
+const rows = [
+  row('a', { ts: '2025-01-05T09:00:00.000Z', desc: 'Solitario', pieceType: 'anillo', diagnosis: 'Precio razonable', brandModel: 'tous r1', totalCost: 300 }),
+  row('b', { ts: '2025-02-10T18:30:00.000Z', desc: 'Reloj', pieceType: 'reloj', currency: 'USD', brandModel: 'omega seamaster', totalCost: 2500 }),
+  row('c', { ts: '2025-02-28T23:59:00.000Z', desc: 'Alianza', pieceType: 'anillo', diagnosis: 'Sobrevalorado', totalCost: 120 }),
+]
+const ids = (list) => list.map(h => h.id)
+
+// localStorage mínimo sobre un Map
+const memoryStorage = (init = {}) => {
+  const map = new Map(Object.entries(init))
+  return { getItem: (k) => map.has(k) ? map.get(k) : null, setItem: (k, v) => { map.set(k, String(v)) }, map }
+}
+
+test('matchesQuery: tipo, diagnóstico, divisa, marca, texto y fechas (el "hasta" incluye el día)', () => {
+  const match = (query) => ids(rows.filter(h => matchesQuery(h, query)))
+  assert.deepEqual(match({}), ['a', 'b', 'c'])
+  assert.deepEqual(match({ pieceType: 'anillo' }), ['a', 'c'])
+  assert.deepEqual(match({ diagnosis: 'Sobrevalorado' }), ['c'])
+  assert.deepEqual(match({ currency: 'USD' }), ['b'])
+  assert.deepEqual(match({ brand: ' Omega ' }), ['b'])
+  assert.deepEqual(match({ search: 'SOLI' }), ['a'])
+  assert.deepEqual(match({ search: 'reloj', pieceType: 'anillo' }), [])
+  assert.deepEqual(match({ from: '2025-02-01', to: '2025-02-28' }), ['b', 'c'])
+})
+
+test('sortAppraisals y pageOf: orden por campo y dirección, páginas y total', () => {
+  assert.deepEqual(ids(sortAppraisals(rows)), ['c', 'b', 'a'])
+  assert.deepEqual(ids(sortAppraisals(rows, 'totalCost', 'asc')), ['c', 'a', 'b'])
+  assert.deepEqual(ids(sortAppraisals(rows, 'brandModel', 'desc')), ['a', 'b', 'c'])
+  assert.deepEqual(ids(sortAppraisals(rows, 'desconocido', 'asc')), ['a', 'b', 'c'])
+  assert.deepEqual(ids(rows), ['a', 'b', 'c'])
+  assert.deepEqual([ids(pageOf(rows, 0, 2).items), pageOf(rows, 0, 2).total], [['a', 'b'], 3])
+  assert.deepEqual(ids(pageOf(rows, 1, 2).items), ['c'])
+  assert.deepEqual(ids(pageOf(rows, 5, 2).items), [])
+  assert.deepEqual(ids(pageOf(rows, 0, Infinity).items), ['a', 'b', 'c'])
+})
+
+test('photoOrphans: solo las fotos sin usar y creadas antes del corte', () => {
+  const keys = ['ph_1000_aaaaa', 'ph_2000_bbbbb', 'ph_3000_ccccc', 'raro']
+  assert.deepEqual(photoOrphans(keys, new Set(['ph_1000_aaaaa'])), ['ph_2000_bbbbb', 'ph_3000_ccccc', 'raro'])
+  assert.deepEqual(photoOrphans(keys, new Set(['ph_1000_aaaaa']), { before: 3000 }), ['ph_2000_bbbbb', 'raro'])
+})
+
+test('migrateFromLocalStorage vuelca el historial una vez y reintenta si falla el guardado', async () => {
+  const makeLine = (key) => ({ id: 'x', materialKey: key || 'gold_18k', weightVal: '', unitPrice: '', density: '15.6' })
+  const history = [{ ts: '2025-01-02T10:00:00.000Z', currency: 'EUR', laborCost: 90, totalCost: 1090, lineUnits: [{ id: 'l1', materialKey: 'silver_925' }] }]
+  const storage = memoryStorage({ [HISTORY_KEY]: JSON.stringify(history) })
+  const failing = async () => { throw new Error('IndexedDB llena') }
+  await assert.rejects(migrateFromLocalStorage(makeLine, { storage, put: failing }), /llena/)
+  const saved = []
+  const put = async (list) => { saved.push(...list); return list.length }
+  assert.equal(await migrateFromLocalStorage(makeLine, { storage, put }), 1)
+  assert.equal(saved[0].totalCost, 1090)
+  assert.ok(storage.getItem(HISTORY_KEY), 'el historial antiguo se conserva')
+  assert.equal(await migrateFromLocalStorage(makeLine, { storage, put }), 0)
+  assert.equal(saved.length, 1)
+})
+
+test('migrateWizardFromLocalStorage cuenta las omitidas y no marca si el guardado falla', async () => {
+  const storage = memoryStorage({ [WIZARD_HISTORY_KEY]: JSON.stringify([{ id: 1 }, { id: 2 }, { id: 3 }]) })
+  const toEntries = (list) => list.filter(s => s.id !== 2).map(s => ({ id: `wizard_${s.id}` }))
+  await assert.rejects(migrateWizardFromLocalStorage(toEntries, { storage, put: async () => { throw new Error('sin espacio') } }), /sin espacio/)
+  const put = async (list) => list.length
+  assert.deepEqual(await migrateWizardFromLocalStorage(toEntries, { storage, put }), { migrated: 2, skipped: 1 })
+  assert.deepEqual(await migrateWizardFromLocalStorage(toEntries, { storage, put }), { migrated: 0, skipped: 0 })
+  await assert.rejects(migrateWizardFromLocalStorage(toEntries, { storage: memoryStorage({ [WIZARD_HISTORY_KEY]: '{roto' }), put }), /dañado/)
+})
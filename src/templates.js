@@ -0,0 +1,130 @@
+// ———————————————————————————————————————————————
+// Biblioteca de plantillas de pieza
+// ———————————————————————————————————————————————
+// Una plantilla es una tasación sin precios ni fotos: líneas (material,
+// cantidades, medidas y construcción), mano de obra, ficha de reloj y tipo de
+// pieza, más las categorías de pieza en las que se ofrece (types; vacío =
+// todas). Las de serie (las plantillas rápidas del asistente y las formas del
+// comparador) se guardan en la misma lista y se editan como las demás.
+// Al aplicarla los precios se recalculan (spot, matriz o catálogo); los
+// importes de mano de obra se guardan en la divisa base.
+
+import { writeJSON } from './storage.js'
+import { indexSources, rebindOperations } from './labor.js'
+import { restoreLines } from './share.js'
+import { watchPresetLines, isWatchPiece, cleanWatch } from './watches.js'
+
+export const TEMPLATES_KEY = 'safire_templates_v1'
+export const TEMPLATES_FORMAT = 'safire-templates'
+
+export const newTemplateId = () => `tpl_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`
+
+const weight = (materialKey, amount) => ({ materialKey, mode: 'weight', weightVal: String(amount) })
+const shape = (patch) => ({ materialKey: 'gold_18k', mode: 'dimensions', ...patch })
+const watchLines = (pieceType) => watchPresetLines(pieceType, () => ({ materialKey: 'steel_316L' }))
+const builtin = (id, name, types, lines, extra = {}) => ({ id, name, types, pieceType: types[0], lines, builtin: true, ...extra })
+
+export const BUILTIN_TEMPLATES = [
+  builtin('solitario_ligero', 'Solitario ligero (3.5 g oro + 0.20 ct)', ['anillo', 'anillo_fino'], [weight('gold_18k', 3.5), weight('diamond', 0.2)]),
+  builtin('solitario_potente', 'Solitario potente (4.5 g oro + 0.35 ct)', ['anillo', 'anillo_fino'], [weight('gold_18k', 4.5), weight('diamond', 0.35)]),
+  builtin('alianza_fina', 'Alianza fina (3.0 g)', ['alianza', 'anillo', 'anillo_fino'], [weight('gold_18k', 3)]),
+  builtin('alianza_ancha', 'Alianza ancha (6.0 g)', ['alianza', 'anillo', 'anillo_fino'], [weight('gold_18k', 6)]),
+  builtin('cadena_fina', 'Cadena fina 45 cm (6.0 g)', ['cadena', 'collar', 'eslabon'], [weight('gold_18k', 6)]),
+  builtin('cadena_gruesa', 'Cadena gruesa 60 cm (15.0 g)', ['cadena', 'collar', 'eslabon'], [weight('gold_18k', 15)]),
+  builtin('reloj_acero', 'Reloj acero + zafiro', ['reloj', 'caja_reloj', 'reloj_completo'], [weight('steel_316L', 80), weight('sapphire', 0.1)]),
+  // Formas con medidas típicas (antes presets que solo cambiaban la última línea)
+  builtin('anillo_fino', 'Anillo fino (tubo Ø20 mm)', ['anillo_fino', 'anillo', 'alianza'], [shape({ shape: 'cylinder', diameterMM: '20', heightMM: '2', construction: 'tube', innerDiameterMM: '17' })]),
+  builtin('eslabon', 'Eslabón hueco (Ø5 × 20 mm)', ['eslabon', 'cadena', 'pulsera'], [shape({ shape: 'cylinder', diameterMM: '5', heightMM: '20', construction: 'hollow', wallMM: '0.4' })]),
+  builtin('diamante_redondo', 'Diamante redondo (Ø6.5 mm)', ['diamante_redondo', 'anillo', 'pendientes', 'collar'], [shape({ materialKey: 'diamond', density: '3.52', shape: 'diamond_round', diameterMM: '6.5', depthMM: '4' })]),
+  builtin('pendiente', 'Pendiente macizo (10 × 10 × 5 mm)', ['pendiente', 'pendientes'], [shape({ shape: 'box', lengthMM: '10', widthMM: '10', heightMM: '5' })]),
+  builtin('pulsera', 'Pulsera rígida (Ø60 mm)', ['pulsera'], [shape({ shape: 'cylinder', diameterMM: '60', heightMM: '5', construction: 'tube', innerDiameterMM: '57' })]),
+  builtin('colgante', 'Colgante (20 × 15 × 5 mm)', ['colgante', 'collar'], [shape({ shape: 'box', lengthMM: '20', widthMM: '15', heightMM: '5' })]),
+  builtin('caja_reloj', 'Caja de reloj con bisel (acero)', ['caja_reloj', 'reloj'], watchLines('caja_reloj')),
+  builtin('reloj_completo', 'Reloj completo con brazalete (acero)', ['reloj_completo', 'reloj'], watchLines('reloj_completo')),
+]
+
+const strings = (list) => Array.isArray(list) ? [...new Set(list.map(s => String(s).trim()).filter(Boolean))] : []
+const isObject = (v) => v && typeof v === 'object' && !Array.isArray(v)
+
+// Valida y completa una plantilla (importada o guardada)
+export const cleanTemplate = (t) => {
+  if (!isObject(t)) throw new Error('Plantilla no válida')
+  const name = String(t.name || '').trim()
+  if (!name) throw new Error('Plantilla sin nombre')
+  const lines = (Array.isArray(t.lines) ? t.lines : []).filter(isObject)
+  if (!lines.length) throw new Error(`La plantilla "${name}" no tiene líneas`)
+  if (lines.some(ln => !ln.materialKey)) throw new Error(`Línea sin material en "${name}"`)
+  return {
+    id: String(t.id || newTemplateId()),
+    name,
+    types: strings(t.types),
+    pieceType: String(t.pieceType || ''),
+    lines: lines.map(({ id, photos, ...ln }) => ({ ...ln, materialKey: String(ln.materialKey) })),
+    complexity: ['baja', 'media', 'alta'].includes(t.complexity) ? t.complexity : 'media',
+    laborOverride: String(t.laborOverride ?? ''),
+    operations: (Array.isArray(t.operations) ? t.operations : []).filter(isObject).map(({ id, auto, ...op }) => op),
+    watch: isObject(t.watch) ? cleanWatch(t.watch) : null,
+    builtin: Boolean(t.builtin),
+    ts: t.ts || null,
+  }
+}
+
+export const loadTemplates = () => {
+  try {
+    const data = JSON.parse(localStorage.getItem(TEMPLATES_KEY) || 'null')
+    if (Array.isArray(data)) return data.flatMap(t => { try { return [cleanTemplate(t)] } catch { return [] } })
+  } catch {}
+  return BUILTIN_TEMPLATES.map(cleanTemplate)
+}
+
+export const saveTemplates = (templates) => writeJSON(TEMPLATES_KEY, templates, 'las plantillas')
+
+// Como refreshTemplateOptions del asistente: sin tipo de pieza se ofrecen todas
+export const templatesFor = (templates, pieceType) => templates.filter(t => !pieceType || !t.types.length || t.types.includes(pieceType))
+
+const num = (v) => { const n = parseFloat(String(v ?? '').replace(',', '.')); return Number.isFinite(n) ? n : 0 }
+const amount = (v, factor) => String(v ?? '').trim() === '' ? '' : String(Math.round(num(v) * factor * 100) / 100)
+const convertOperations = (operations, factor) => operations.map(op => ({ ...op, rate: amount(op.rate, factor), fixed: amount(op.fixed, factor) }))
+
+// Tasación en curso → plantilla. Solo las operaciones manuales (las sugeridas
+// se recalculan); los engastes quedan ligados por posición (setting@#i).
+// rate: divisa de la tasación por 1 EUR
+export const templateFromState = (state, { name, types = [], id, rate = 1 } = {}) => cleanTemplate({
+  id: id || newTemplateId(),
+  name,
+  types: types.length ? types : [state.pieceType].filter(Boolean),
+  pieceType: state.pieceType,
+  lines: state.lines.map(({ unitPrice, baseUnitPrice, ...ln }) => ln),
+  complexity: state.complexity,
+  laborOverride: amount(state.laborOverride, 1 / rate),
+  operations: convertOperations(indexSources((state.operations || []).filter(op => !op.auto), state.lines), 1 / rate),
+  watch: isWatchPiece(state.pieceType) ? state.watch : null,
+  ts: new Date().toISOString(),
+})
+
+// Plantilla → líneas, operaciones y mano de obra en la divisa actual;
+// makeLine(materialKey) pone los valores por defecto
+export const instantiateTemplate = (tpl, makeLine, { rate = 1 } = {}) => {
+  const lines = restoreLines(tpl.lines, makeLine).map(ln => ({ ...ln, unitPrice: '', baseUnitPrice: '', photos: [] }))
+  return {
+    lines,
+    operations: rebindOperations(convertOperations(tpl.operations, rate), tpl.lines, lines),
+    laborOverride: amount(tpl.laborOverride, rate),
+  }
+}
+
+export const exportTemplatesJSON = (templates) => JSON.stringify({ format: TEMPLATES_FORMAT, version: 1, templates }, null, 2)
+
+// Acepta el paquete exportado, una lista o una sola plantilla
+export const parseTemplatesJSON = (text) => {
+  const data = JSON.parse(String(text || ''))
+  const list = Array.isArray(data) ? data : Array.isArray(data?.templates) ? data.templates : [data]
+  if (!list.length) throw new Error('No se encontraron plantillas')
+  return list.map(t => ({ ...cleanTemplate(t), builtin: false }))
+}
+
+// Las importadas sustituyen a las de mismo id; el resto se añade al final
+export const mergeTemplates = (current, incoming) => {
+  const ids = new Set(incoming.map(t => t.id))
+  return [...current.filter(t => !ids.has(t.id)), ...incoming]
+}
@@ -0,0 +1,60 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { BUILTIN_TEMPLATES, cleanTemplate, templatesFor, templateFromState, instantiateTemplate, exportTemplatesJSON, parseTemplatesJSON, mergeTemplates } from './templates.js'
+
+const builtins = BUILTIN_TEMPLATES.map(cleanTemplate)
+let seq = 0
+const makeLine = (key = 'gold_18k') => ({ id: `l${++seq}`, materialKey: key, mode: 'weight', qty: '1', weightVal: '', weightUnit: key === 'diamond' ? 'ct' : 'g', unitPrice: '', photos: [], setting: '' })
+
+test('templatesFor filtra por tipo de pieza; sin tipo o sin categorías se ofrecen siempre', () => {
+  assert.equal(templatesFor(builtins, '').length, builtins.length)
+  assert.deepEqual(templatesFor(builtins, 'eslabon').map(t => t.id), ['cadena_fina', 'cadena_gruesa', 'eslabon'])
+  const all = cleanTemplate({ name: 'Libre', lines: [{ materialKey: 'silver_925' }] })
+  assert.ok(templatesFor([...builtins, all], 'broche').includes(all))
+  const { lines } = instantiateTemplate(templatesFor(builtins, 'anillo')[0], makeLine)
+  assert.deepEqual(lines.map(l => [l.materialKey, l.weightVal, l.weightUnit]), [['gold_18k', '3.5', 'g'], ['diamond', '0.2', 'ct']])
+})
+
+test('templateFromState guarda líneas, medidas y operaciones manuales sin precios y en EUR', () => {
+  const state = {
+    pieceType: 'anillo', complexity: 'alta', laborOverride: '', watch: { movement: 'quartz' },
+    lines: [
+      { id: 'a', materialKey: 'gold_18k', mode: 'dimensions', shape: 'cylinder', diameterMM: '18', unitPrice: '61', photos: ['p1'] },
+      { id: 'b', materialKey: 'diamond', qty: '3', setting: 'setting_prong', unitPrice: '900' },
+    ],
+    operations: [
+      { id: 'o1', key: 'setting_prong', qty: '3', rate: '120', fixed: '10', source: 'setting@b', auto: false },
+      { id: 'o2', key: 'polishing', qty: '1', rate: '60', fixed: '0', source: 'polishing', auto: true },
+    ],
+  }
+  const tpl = templateFromState(state, { name: ' Solitario tres piedras ', types: ['anillo', 'alianza'], rate: 2 })
+  assert.equal(tpl.name, 'Solitario tres piedras')
+  assert.deepEqual(tpl.types, ['anillo', 'alianza'])
+  assert.equal(tpl.watch, null)
+  assert.deepEqual(tpl.lines[0], { materialKey: 'gold_18k', mode: 'dimensions', shape: 'cylinder', diameterMM: '18' })
+  assert.deepEqual(tpl.operations, [{ key: 'setting_prong', qty: '3', rate: '60', fixed: '5', source: 'setting@#1' }])
+  assert.deepEqual(templateFromState(state, { name: 'X' }).types, ['anillo'])
+  assert.throws(() => templateFromState(state, { name: '  ' }), /sin nombre/)
+
+  const out = instantiateTemplate(tpl, makeLine, { rate: 1.5 })
+  assert.notEqual(out.lines[1].id, 'b')
+  assert.equal(out.lines[1].setting, 'setting_prong')
+  assert.deepEqual(out.lines.map(l => l.photos), [[], []])
+  assert.equal(out.operations[0].source, `setting@${out.lines[1].id}`)
+  assert.deepEqual([out.operations[0].rate, out.operations[0].fixed], ['90', '7.5'])
+  assert.ok(out.operations[0].id)
+})
+
+test('exportTemplatesJSON / parseTemplatesJSON: paquete, lista o plantilla suelta; mergeTemplates por id', () => {
+  const json = exportTemplatesJSON(builtins.slice(0, 2))
+  assert.equal(JSON.parse(json).format, 'safire-templates')
+  const back = parseTemplatesJSON(json)
+  assert.deepEqual(back.map(t => t.id), ['solitario_ligero', 'solitario_potente'])
+  assert.ok(back.every(t => !t.builtin))
+  assert.equal(parseTemplatesJSON(JSON.stringify(builtins[3])).length, 1)
+  assert.throws(() => parseTemplatesJSON('{"templates":[{"name":"Vacía","lines":[]}]}'), /no tiene líneas/)
+  const edited = { ...back[0], name: 'Solitario de la casa' }
+  const merged = mergeTemplates(builtins, [edited])
+  assert.equal(merged.length, builtins.length)
+  assert.equal(merged.at(-1).name, 'Solitario de la casa')
+})
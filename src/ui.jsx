@@ -0,0 +1,27 @@
+import React from 'react'
+
+// —— estilos mínimos compartidos (sin dependencias externas)
+export const container = { maxWidth:1100, margin:'0 auto', padding:'24px 16px', color:'#e8ebf4', fontFamily:'ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, Ubuntu, Cantarell, Noto Sans, Helvetica Neue, Arial' }
+export const card = { background:'#151821', border:'1px solid #242836', borderRadius:14, padding:16, boxShadow:'0 8px 24px rgba(0,0,0,.25)', marginTop:12 }
+export const input = { width:'100%', background:'#0f1320', border:'1px solid #2b3145', color:'#e8ebf4', borderRadius:10, padding:'8px 10px' }
+export const select = input
+export const btn = (variant='solid') => ({
+  background: variant==='outline' ? 'transparent' : '#222633',
+  border:'1px solid ' + (variant==='outline' ? '#3a415a' : '#2e3346'),
+  color:'#e8ebf4', borderRadius:10, padding:'8px 12px', cursor:'pointer'
+})
+export const row = { display:'grid', gridTemplateColumns:'repeat(12, 1fr)', gap:12 }
+export const col = (n) => ({ gridColumn:`span ${n}` })
+export const muted = { color:'#8b91a1', fontSize:12 }
+export const fmt = (n, digits=2) => (new Intl.NumberFormat(undefined,{minimumFractionDigits:digits,maximumFractionDigits:digits}).format(n||0))
+export const hintBox = { border:'1px dashed #39415b', padding:'6px 8px', borderRadius:8, fontSize:12, color:'#aeb6ca' }
+
+// color (hex) tiene prioridad sobre tone; el fondo se deriva del color
+export const Pill = ({tone='default', color, children}) => {
+  const style = {
+    display:'inline-block', padding:'2px 8px', borderRadius:999, fontSize:12, marginRight:6,
+    background: color ? `${color}22` : tone==='bad' ? '#3b1620' : tone==='warn' ? '#3c2f10' : tone==='ok' ? '#14351f' : '#2a3043',
+    color: color || (tone==='bad' ? '#ff9cac' : tone==='warn' ? '#ffd48a' : tone==='ok' ? '#9be7aa' : '#c8cde0')
+  }
+  return <span style={style}>{children}</span>
+}
@@ -0,0 +1,60 @@
+// ———————————————————————————————————————————————
+// Deshacer / rehacer del editor
+// ———————————————————————————————————————————————
+// Historial por instantáneas del estado editable. Cada paso guarda el estado
+// anterior al cambio y una descripción ("Preset Anillo", "Línea 2 · Peso").
+// Las ediciones seguidas del mismo campo (teclear un peso) se agrupan en un
+// solo paso si llegan dentro de COALESCE_MS.
+
+export const UNDO_LIMIT = 100
+export const COALESCE_MS = 1500
+
+export const emptyUndo = () => ({ past: [], future: [] })
+
+// before: instantánea previa al cambio; key: campos tocados (agrupa la edición continua)
+export const pushUndo = (history, before, { label = '', key = '', now = Date.now(), limit = UNDO_LIMIT } = {}) => {
+  const last = history.past[history.past.length - 1]
+  if (key && last?.key === key && now - last.at < COALESCE_MS) {
+    return { past: [...history.past.slice(0, -1), { ...last, at: now }], future: [] }
+  }
+  return { past: [...history.past, { snapshot: before, label, key, at: now }].slice(-limit), future: [] }
+}
+
+// current: estado actual → { history, snapshot, label } o null si no hay paso
+export const undo = (history, current) => {
+  const step = history.past[history.past.length - 1]
+  if (!step) return null
+  return {
+    history: { past: history.past.slice(0, -1), future: [...history.future, { ...step, snapshot: current }] },
+    snapshot: step.snapshot,
+    label: step.label,
+  }
+}
+
+export const redo = (history, current) => {
+  const step = history.future[history.future.length - 1]
+  if (!step) return null
+  return {
+    // key vacía: lo que se teclee después no se agrupa con el paso rehecho
+    history: { past: [...history.past, { ...step, snapshot: current, key: '' }], future: history.future.slice(0, -1) },
+    snapshot: step.snapshot,
+    label: step.label,
+  }
+}
+
+export const undoLabel = (history) => history.past[history.past.length - 1]?.label || ''
+export const redoLabel = (history) => history.future[history.future.length - 1]?.label || ''
+
+const TEXT_FIELDS = 'input, textarea, select, [contenteditable="true"]'
+
+// Atajos: Ctrl/Cmd+Z deshace; Ctrl/Cmd+Shift+Z o Ctrl+Y rehace → 'undo' | 'redo' | null
+// editor: nodo del formulario de la tasación; en un campo de texto fuera de él
+// (políticas, catálogo, plantillas…) el atajo es el deshacer propio del campo
+export const shortcutFor = (e, { editor } = {}) => {
+  if (!(e.ctrlKey || e.metaKey) || e.altKey) return null
+  if (e.target?.closest?.(TEXT_FIELDS) && !editor?.contains(e.target)) return null
+  const k = String(e.key || '').toLowerCase()
+  if (k === 'z') return e.shiftKey ? 'redo' : 'undo'
+  if (k === 'y' && !e.shiftKey) return 'redo'
+  return null
+}
@@ -0,0 +1,46 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { emptyUndo, pushUndo, undo, redo, undoLabel, shortcutFor, COALESCE_MS } from './undo.js'
+
+test('deshacer y rehacer recorren las instantáneas', () => {
+  let h = pushUndo(emptyUndo(), 'a', { label: 'Preset Anillo', now: 0 })
+  h = pushUndo(h, 'b', { label: 'Línea 1 · Peso', now: 5000 })
+  assert.equal(undoLabel(h), 'Línea 1 · Peso')
+  const u1 = undo(h, 'c')
+  assert.equal(u1.snapshot, 'b')
+  const u2 = undo(u1.history, 'b')
+  assert.equal(u2.snapshot, 'a')
+  assert.equal(undo(u2.history, 'a'), null)
+  const r1 = redo(u2.history, 'a')
+  assert.equal(r1.snapshot, 'b')
+  assert.equal(redo(r1.history, 'b').snapshot, 'c')
+  // Un cambio nuevo descarta lo que quedaba por rehacer
+  assert.deepEqual(pushUndo(r1.history, 'b', { label: 'x' }).future, [])
+})
+
+test('la edición continua del mismo campo es un solo paso', () => {
+  let h = pushUndo(emptyUndo(), '1', { key: 'lines.l1.weightVal', now: 0 })
+  h = pushUndo(h, '12', { key: 'lines.l1.weightVal', now: COALESCE_MS - 1 })
+  h = pushUndo(h, '12.', { key: 'lines.l1.weightVal', now: 2 * COALESCE_MS - 2 })
+  assert.equal(h.past.length, 1)
+  assert.equal(h.past[0].snapshot, '1')
+  h = pushUndo(h, '12.5', { key: 'lines.l1.qty', now: 2 * COALESCE_MS })
+  assert.equal(h.past.length, 2)
+})
+
+test('shortcutFor reconoce los atajos de teclado', () => {
+  assert.equal(shortcutFor({ ctrlKey: true, key: 'z' }), 'undo')
+  assert.equal(shortcutFor({ metaKey: true, shiftKey: true, key: 'Z' }), 'redo')
+  assert.equal(shortcutFor({ ctrlKey: true, key: 'y' }), 'redo')
+  assert.equal(shortcutFor({ key: 'z' }), null)
+})
+
+test('shortcutFor deja el deshacer propio a los campos de texto fuera del editor', () => {
+  const node = (tag, parent) => ({ tag, closest: (sel) => sel.split(', ').includes(tag) ? node(tag, parent) : null, parent })
+  const editor = { contains: (n) => n.parent === 'editor' }
+  const key = (target) => ({ ctrlKey: true, key: 'z', target })
+  assert.equal(shortcutFor(key(node('input', 'editor')), { editor }), 'undo')
+  assert.equal(shortcutFor(key(node('input', 'policies')), { editor }), null)
+  assert.equal(shortcutFor(key(node('textarea', 'audit')), { editor }), null)
+  assert.equal(shortcutFor(key(node('button', 'toolbar')), { editor }), 'undo')
+})
@@ -0,0 +1,184 @@
+// ———————————————————————————————————————————————
+// Motor de valoración (sin dependencias de UI)
+// ———————————————————————————————————————————————
+// Lo usan App.jsx, los lotes y la migración del asistente v22. Recibe una
+// tasación { lines, laborCost, piecePrice, brand, watch } y devuelve costes
+// por línea, totales, porcentajes, diagnóstico, PVP esperado, oferta de
+// recompra, desglose del reloj y alertas.
+
+import { GEM_SHAPES, isGemShape, estimateGemCarats, DIAMOND_DENSITY } from './shapes.js'
+import { isLayered, layeredGrams, metalVolumeCM3, constructionIssues, DEFAULT_BASE_DENSITY } from './construction.js'
+import { expectedRetail, retailPosition } from './pricing.js'
+import { resaleValue } from './scrap.js'
+import { watchBreakdown } from './watches.js'
+
+export const DEFAULT_DENSITY = 2.7 // g/cm3
+export const WEIGHT_UNITS = { g: 1, dwt: 1.555, ozt: 31.103 } // normaliza a g
+export const CT_G = 0.2 // 1 ct = 0.2 g
+
+export const DIAGNOSIS = {
+  suspicious: 'Precio sospechoso',
+  over: 'Sobrevalorado',
+  possible: 'Posible sobrevaloración',
+  fair: 'Precio razonable',
+}
+// Política por defecto: bandas de sobreprecio % sobre coste total
+// (materiales + mano de obra); upTo es el límite superior incluido.
+export const DEFAULT_POLICY = {
+  id: 'default',
+  label: 'General',
+  pieceTypes: [],
+  brands: [],
+  suspicious: { label: DIAGNOSIS.suspicious, color: '#ff9cac' },
+  bands: [
+    { upTo: 20, label: DIAGNOSIS.fair, color: '#9be7aa' },
+    { upTo: 40, label: DIAGNOSIS.possible, color: '#ffd48a' },
+    { upTo: null, label: DIAGNOSIS.over, color: '#ff9cac' },
+  ],
+}
+
+// Utils
+export const toNumber = (v, d=0) => { const n = parseFloat(String(v ?? '')); return Number.isFinite(n) ? n : d }
+export const estimateDiamondCarats = (d, h) => Math.max(0, 0.0061 * (d ** 2) * h)
+export const volumeFromBoxMM = (l, w, h) => Math.max(0, (l/10)*(w/10)*(h/10))
+export const volumeFromCylinderMM = (d, h) => { const r=(d/20); return Math.max(0, Math.PI*r*r*(h/10)) }
+export const unitFor = (mat) => ({ '€/ct': 'ct', '€/cm3': 'cm3', '€/ud': 'ud' })[mat?.unit] || 'g'
+export const toGrams = (val, unit) => toNumber(val) * (WEIGHT_UNITS[unit] || 1)
+export const lineQty = (ln) => Math.max(1, Math.floor(toNumber(ln.qty,1)))
+
+const findMaterial = (materials, key) => materials.find(x=>x.key===key) || materials[0] || {}
+
+// Cantidad efectiva de una línea en la unidad de su precio (g, ct o cm3)
+export const effectiveAmount = (ln, m) => {
+  if (m.unit === '€/ud') return toNumber(ln.weightVal) // piezas, sin medidas
+  if (ln.mode === 'dimensions'){
+    // Tallas de gema (cualquier material en €/ct): ct por medidas y densidad relativa
+    if (m.unit === '€/ct' && isGemShape(ln.shape)){
+      const round = GEM_SHAPES[ln.shape].round
+      return estimateGemCarats(ln.shape, {
+        length: toNumber(round ? ln.diameterMM : ln.lengthMM),
+        width: toNumber(ln.widthMM),
+        depth: toNumber(ln.depthMM),
+      }, { girdle: ln.girdle || 'medium', density: toNumber(ln.density, DIAMOND_DENSITY) }) // ct
+    }
+    let vol = 0
+    if (ln.shape === 'box') vol = volumeFromBoxMM(toNumber(ln.lengthMM), toNumber(ln.widthMM), toNumber(ln.heightMM))
+    if (ln.shape === 'cylinder') vol = volumeFromCylinderMM(toNumber(ln.diameterMM), toNumber(ln.heightMM))
+    if (ln.shape === 'volume') vol = toNumber(ln.volumeCM3)
+    const dens = toNumber(ln.density, DEFAULT_DENSITY)
+    if (m.unit === '€/ct') return (vol * dens) / CT_G // ct
+    if (m.unit === '€/g') return metalVolumeCM3(ln) * dens // g (hueco/tubo según construcción)
+    return vol                                         // cm3
+  }
+  if (m.unit === '€/g') return toGrams(ln.weightVal, ln.weightUnit || 'g')
+  return toNumber(ln.weightVal)
+}
+
+// Precio unitario: manual si se escribió, si no el automático
+const resolvePrice = (manualValue, auto) => {
+  const autoUnitPrice = Number.isFinite(auto?.price) ? auto.price : null
+  const manual = String(manualValue ?? '').trim() !== ''
+  return {
+    unitPrice: manual ? toNumber(manualValue) : (autoUnitPrice ?? 0),
+    autoPrice: autoUnitPrice,
+    priceSource: manual ? 'manual' : (autoUnitPrice != null ? auto.source : 'none'),
+  }
+}
+
+// Precios manuales de una línea (el suyo y, en chapados, el del metal base)
+// pasados por conv, p. ej. al cambiar de divisa
+export const convertLinePrices = (ln, conv) => ({ ...ln, unitPrice: conv(ln.unitPrice), baseUnitPrice: conv(ln.baseUnitPrice) })
+
+// Chapado/relleno: gramos de capa noble (effW) y de metal base, valorado aparte
+const layeredPart = (ln, m, { materials, autoPrice }) => {
+  const base = materials.find(x => x.key === ln.baseMaterialKey) || null
+  const { preciousG, baseG } = layeredGrams(ln, {
+    preciousDensity: toNumber(ln.density, m.density ?? DEFAULT_DENSITY),
+    baseDensity: toNumber(base?.density, DEFAULT_BASE_DENSITY),
+    weightG: ln.mode === 'dimensions' ? null : toGrams(ln.weightVal, ln.weightUnit || 'g'),
+  })
+  const baseLine = { ...ln, materialKey: base?.key, construction: 'solid' }
+  const price = resolvePrice(ln.baseUnitPrice, base && autoPrice ? autoPrice(base, baseLine, baseG) : null)
+  return { preciousG, base: { m: base, grams: baseG, ...price, cost: price.unitPrice * baseG } }
+}
+
+// autoPrice(m, ln, effW) → { price, source } cuando la línea no trae precio manual
+export const calcLine = (ln, { materials = [], autoPrice } = {}) => {
+  const m = findMaterial(materials, ln.materialKey)
+  const matUnit = unitFor(m)
+  const layered = m.unit === '€/g' && isLayered(ln.construction) ? layeredPart(ln, m, { materials, autoPrice }) : null
+  const effW = layered ? layered.preciousG : effectiveAmount(ln, m)
+
+  const auto = autoPrice ? autoPrice(m, ln, effW) : null
+  const { unitPrice, autoPrice: autoUnitPrice, priceSource } = resolvePrice(ln.unitPrice, auto)
+
+  const qty = lineQty(ln)
+  const cost = (unitPrice * effW + (layered?.base.cost || 0)) * qty
+  const totalW = effW + (layered?.base.grams || 0) // peso de la pieza (capa + base)
+  return { m, matUnit, effW, totalW, qty, cost, unitPrice, autoPrice: autoUnitPrice, autoDetail: auto || null, priceSource, base: layered?.base || null }
+}
+
+// → { label, color, band (índice, -1 = sospechoso), policyId, policyLabel } o null
+export const classify = (price, totalCost, policy = DEFAULT_POLICY) => {
+  if (!price || totalCost <= 0) return null
+  const p = policy?.bands?.length ? policy : DEFAULT_POLICY
+  const info = (band, b) => ({ label: b.label, color: b.color, band, policyId: p.id, policyLabel: p.label })
+  if (price < totalCost) return info(-1, p.suspicious || DEFAULT_POLICY.suspicious)
+  const over = ((price - totalCost) / totalCost) * 100
+  const i = p.bands.findIndex(b => b.upTo == null || over <= b.upTo)
+  const idx = i < 0 ? p.bands.length - 1 : i
+  return info(idx, p.bands[idx])
+}
+
+export const diagnose = (price, totalCost, policy = DEFAULT_POLICY) => classify(price, totalCost, policy)?.label || ''
+
+export const collectAlerts = (lines, parts, { laborCost, piecePrice, totalCost, overPctTotal }) => {
+  const alerts = []
+  const pushAlert = (msg) => { if (!alerts.includes(msg)) alerts.push(msg) }
+  lines.forEach((ln, idx)=>{
+    const { m, effW, qty } = parts[idx]
+    // Solo hay rango de densidad de referencia para metales (€/g) y gemas (€/ct)
+    if (m.unit === '€/g' || m.unit === '€/ct'){
+      const dens = toNumber(ln.density)
+      const isGem = m.unit === '€/ct'
+      if (dens < (isGem ? 2.0 : 3.5) || dens > (isGem ? 5.5 : 22)) pushAlert(`Línea ${idx+1}: densidad fuera de rango`)
+    }
+    if (effW * qty > 100000) pushAlert(`Línea ${idx+1}: cantidad muy elevada (revise unidades)`)
+    if (m.unit === '€/g') constructionIssues(ln, { dimensions: ln.mode === 'dimensions' }).forEach(msg => pushAlert(`Línea ${idx+1}: ${msg}`))
+    if (toNumber(ln.qty,1) < 1) pushAlert(`Línea ${idx+1}: unidades debe ser ≥ 1`)
+  })
+  if (piecePrice && piecePrice < totalCost) pushAlert('Precio de la pieza menor que el coste total (precio sospechoso)')
+  if (overPctTotal > 1000) pushAlert('Sobreprecio extremadamente alto (vs coste total), verifique datos')
+  if (laborCost < 0) pushAlert('La mano de obra no puede ser negativa')
+  return alerts
+}
+
+// pricing (opcional): modelo de PVP → retail = { mid, low, high, steps, position }
+// scrap (opcional): tarifas de recompra → resale = { low, high, melt, gems, items };
+// watchTable (opcional): referencias de movimiento y cristal; con appraisal.watch
+// su valor entra en el coste total → watch = { movement, crystal, components, extras }
+// spots: €/g de metal fino para el valor de fundición de la recompra
+// rate: divisa por 1 EUR para las tarifas de refino, el spot y los relojes
+export const evaluate = (appraisal, { materials = [], autoPrice, policy = DEFAULT_POLICY, pricing, scrap, spots, watchTable, rate = 1 } = {}) => {
+  const lines = appraisal?.lines || []
+  const parts = lines.map(ln => calcLine(ln, { materials, autoPrice }))
+  const subtotal = parts.reduce((a,b)=>a+b.cost, 0)
+  const totalWeightG = parts.reduce((a,b)=> b.matUnit === 'g' ? a + (b.totalW * b.qty) : a, 0)
+
+  const laborCost = toNumber(appraisal?.laborCost)
+  const piecePrice = toNumber(appraisal?.piecePrice)
+  const watch = appraisal?.watch ? watchBreakdown(appraisal.watch, lines, parts, { table: watchTable, brand: appraisal.brand, rate }) : null
+  const totalCost = subtotal + (watch?.extras || 0) + laborCost
+  const pctMaterials = piecePrice > 0 ? (subtotal / piecePrice) * 100 : 0
+  const pctTotal = piecePrice > 0 ? (totalCost / piecePrice) * 100 : 0
+  const overPctTotal = totalCost > 0 ? ((piecePrice - totalCost) / totalCost) * 100 : 0
+  const diagnosisInfo = classify(piecePrice, totalCost, policy)
+  const diagnosis = diagnosisInfo?.label || ''
+  const alerts = collectAlerts(lines, parts, { laborCost, piecePrice, totalCost, overPctTotal })
+  if (watch && !watch.components.length) alerts.push('Reloj: ninguna línea está marcada como caja, brazalete o bisel')
+  const range = pricing ? expectedRetail(totalCost, pricing, { brand: appraisal?.brand }) : null
+  const retail = range ? { ...range, position: retailPosition(piecePrice, range) } : null
+  const resale = scrap ? resaleValue(parts, scrap, { rate, spots }) : null
+
+  return { parts, subtotal, totalWeightG, laborCost, totalCost, piecePrice, pctMaterials, pctTotal, overPctTotal, diagnosis, diagnosisInfo, retail, resale, watch, alerts }
+}
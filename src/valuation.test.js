@@ -0,0 +1,126 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  volumeFromBoxMM, volumeFromCylinderMM, estimateDiamondCarats, toGrams,
+  calcLine, diagnose, evaluate, convertLinePrices, DIAGNOSIS,
+} from './valuation.js'
+import { estimateGemCarats, shapeFactor } from './shapes.js'
+import { parseFraction } from './construction.js'
+
+const MATERIALS = [
+  { key: 'gold_18k', label: 'Oro 18k', unit: '€/g', density: 15.6 },
+  { key: 'diamond', label: 'Diamante', unit: '€/ct', density: 3.52 },
+  { key: 'brass', label: 'Latón', unit: '€/g', density: 8.5 },
+]
+const near = (a, b, eps = 1e-6) => assert.ok(Math.abs(a - b) < eps, `${a} ≉ ${b}`)
+
+test('volúmenes y conversiones de peso', () => {
+  near(volumeFromBoxMM(10, 10, 10), 1)
+  near(volumeFromCylinderMM(10, 10), Math.PI * 0.25)
+  near(estimateDiamondCarats(6.5, 4), 1.0309, 1e-3)
+  near(toGrams(1, 'ozt'), 31.103)
+  near(toGrams(10, 'dwt'), 15.55, 1e-2)
+})
+
+test('calcLine: peso conocido en dwt con precio manual', () => {
+  const r = calcLine({ materialKey: 'gold_18k', mode: 'weight', weightVal: '10', weightUnit: 'dwt', unitPrice: '50', qty: '2' }, { materials: MATERIALS })
+  near(r.effW, 15.55)
+  assert.equal(r.qty, 2)
+  near(r.cost, 15.55 * 50 * 2)
+  assert.equal(r.priceSource, 'manual')
+})
+
+test('calcLine: diamante redondo por dimensiones y precio automático', () => {
+  const ln = { materialKey: 'diamond', mode: 'dimensions', shape: 'diamond_round', diameterMM: '6.5', depthMM: '4', unitPrice: '', qty: '1' }
+  const r = calcLine(ln, { materials: MATERIALS, autoPrice: () => ({ price: 1000, source: 'spot' }) })
+  near(r.effW, 1.0309, 1e-3)
+  assert.equal(r.priceSource, 'spot')
+  near(r.cost, r.effW * 1000)
+})
+
+test('tallas de fantasía: factor por proporción, rondís y densidad relativa', () => {
+  near(estimateGemCarats('oval', { length: 8, width: 6, depth: 3.6 }), 8 * 6 * 3.6 * 0.0062)
+  near(shapeFactor('emerald_cut', 1.75), 0.0096)
+  near(estimateGemCarats('princess', { length: 5, width: 5, depth: 3.5 }, { girdle: 'thick' }), 5 * 5 * 3.5 * 0.0083 * 1.02)
+  near(estimateGemCarats('diamond_round', { length: 6.5, depth: 4 }), estimateDiamondCarats(6.5, 4))
+  const ruby = calcLine({ materialKey: 'ruby', mode: 'dimensions', shape: 'cushion', lengthMM: '7', widthMM: '7', depthMM: '4.5', density: '4.0', unitPrice: '1' }, { materials: [...MATERIALS, { key: 'ruby', unit: '€/ct', density: 4.0 }] })
+  near(ruby.effW, 7 * 7 * 4.5 * 0.0081 * 4.0 / 3.52)
+})
+
+test('calcLine: caja de oro por volumen y densidad', () => {
+  const r = calcLine({ materialKey: 'gold_18k', mode: 'dimensions', shape: 'box', lengthMM: '10', widthMM: '10', heightMM: '10', density: '15.6', unitPrice: '1' }, { materials: MATERIALS })
+  near(r.effW, 15.6)
+})
+
+test('construcción: tubo, hueco, chapado y relleno', () => {
+  const bangle = { materialKey: 'gold_18k', mode: 'dimensions', shape: 'cylinder', diameterMM: '60', heightMM: '5', density: '15.6', unitPrice: '50' }
+  const solid = calcLine(bangle, { materials: MATERIALS })
+  const tube = calcLine({ ...bangle, construction: 'tube', innerDiameterMM: '57' }, { materials: MATERIALS })
+  near(tube.effW, Math.PI / 4 * (60 ** 2 - 57 ** 2) * 5 / 1000 * 15.6, 1e-9)
+  assert.ok(tube.effW < solid.effW / 10)
+  const link = calcLine({ ...bangle, diameterMM: '5', heightMM: '20', construction: 'hollow', wallMM: '0.5' }, { materials: MATERIALS })
+  near(link.effW, (Math.PI * 2.5 ** 2 * 20 - Math.PI * 2 ** 2 * 19) / 1000 * 15.6, 1e-9)
+
+  // Chapado 10 µ sobre latón: la capa se paga a precio de oro y la base aparte
+  const box = { materialKey: 'gold_18k', mode: 'dimensions', shape: 'box', lengthMM: '10', widthMM: '10', heightMM: '10', density: '15.6', unitPrice: '50', construction: 'plated', layerMicrons: '10', baseMaterialKey: 'brass', baseUnitPrice: '0.01' }
+  const plated = calcLine(box, { materials: MATERIALS })
+  near(plated.effW, 600 * 0.01 / 1000 * 15.6, 1e-9)
+  near(plated.base.grams, (1 - 0.006) * 8.5, 1e-9)
+  near(plated.cost, plated.effW * 50 + plated.base.grams * 0.01, 1e-9)
+  near(plated.totalW, plated.effW + plated.base.grams, 1e-9)
+
+  // Doublé 1/20 por peso: 5 % del peso es oro
+  const filled = calcLine({ materialKey: 'gold_18k', mode: 'weight', weightVal: '20', weightUnit: 'g', unitPrice: '50', construction: 'filled', layerFraction: '1/20', baseMaterialKey: 'brass', density: '15.6' }, { materials: MATERIALS })
+  near(filled.effW, 1)
+  near(filled.base.grams, 19)
+  assert.equal(filled.base.priceSource, 'none')
+  assert.deepEqual([parseFraction('1/20'), parseFraction('5%'), parseFraction('0,05'), parseFraction('x')], [0.05, 0.05, 0.05, 0])
+
+  // Al cambiar de divisa también se convierte el precio manual del metal base
+  const jpy = calcLine(convertLinePrices(box, v => String(Number(v) * 100)), { materials: MATERIALS })
+  near(jpy.base.unitPrice, 1)
+  near(jpy.cost, plated.cost * 100, 1e-9)
+  assert.equal(convertLinePrices({ unitPrice: '', baseUnitPrice: '' }, v => v === '' ? v : 'x').baseUnitPrice, '')
+
+  const ev = evaluate({ lines: [{ ...box, mode: 'weight', weightVal: '5', baseMaterialKey: '' }] }, { materials: MATERIALS })
+  assert.ok(ev.alerts.includes('Línea 1: falta el metal base'))
+  assert.ok(ev.alerts.some(a => a.includes('chapado por peso')))
+})
+
+test('diagnose: umbrales sobre coste total', () => {
+  assert.equal(diagnose(1100, 1000), DIAGNOSIS.fair)
+  assert.equal(diagnose(1300, 1000), DIAGNOSIS.possible)
+  assert.equal(diagnose(2000, 1000), DIAGNOSIS.over)
+  assert.equal(diagnose(900, 1000), DIAGNOSIS.suspicious)
+  assert.equal(diagnose(0, 1000), '')
+  assert.equal(diagnose(1000, 0), '')
+})
+
+test('evaluate: totales, porcentajes y alertas', () => {
+  const ev = evaluate({
+    lines: [{ materialKey: 'gold_18k', mode: 'weight', weightVal: '20', weightUnit: 'g', unitPrice: '50', qty: '1', density: '15.6' }],
+    laborCost: 90,
+    piecePrice: 1400,
+  }, { materials: MATERIALS })
+  near(ev.subtotal, 1000)
+  near(ev.totalCost, 1090)
+  near(ev.totalWeightG, 20)
+  assert.equal(Math.round(ev.pctMaterials), 71)
+  near(ev.pctTotal, (1090 / 1400) * 100)
+  near(ev.overPctTotal, ((1400 - 1090) / 1090) * 100)
+  assert.equal(ev.diagnosis, DIAGNOSIS.possible)
+  assert.deepEqual(ev.alerts, [])
+})
+
+test('evaluate: alertas de densidad, unidades y precio sospechoso', () => {
+  const ev = evaluate({
+    lines: [{ materialKey: 'diamond', mode: 'weight', weightVal: '1', unitPrice: '100', qty: '0', density: '9' }],
+    laborCost: -5,
+    piecePrice: 50,
+  }, { materials: MATERIALS })
+  assert.ok(ev.alerts.includes('Línea 1: densidad fuera de rango'))
+  assert.ok(ev.alerts.includes('Línea 1: unidades debe ser ≥ 1'))
+  assert.ok(ev.alerts.includes('La mano de obra no puede ser negativa'))
+  assert.ok(ev.alerts.includes('Precio de la pieza menor que el coste total (precio sospechoso)'))
+  assert.equal(ev.diagnosis, DIAGNOSIS.suspicious)
+})
@@ -0,0 +1,129 @@
+// ———————————————————————————————————————————————
+// Relojes: componentes, movimiento y cristal
+// ———————————————————————————————————————————————
+// Un reloj no es un bloque de metal: caja, brazalete (eslabones × peso de
+// eslabón) y bisel son líneas normales marcadas con ln.component; el
+// movimiento y el cristal se valoran con una tabla editable de referencias
+// (EUR), con un factor por marca para calibres propios y acabados.
+
+import { writeJSON } from './storage.js'
+
+export const WATCH_TABLE_KEY = 'safire_watch_table_v1'
+export const WATCH_PIECE_TYPES = ['caja_reloj', 'reloj_completo', 'reloj']
+export const isWatchPiece = (pieceType) => WATCH_PIECE_TYPES.includes(pieceType)
+
+export const WATCH_COMPONENTS = { case: 'Caja', bracelet: 'Brazalete', bezel: 'Bisel' }
+
+export const DEFAULT_WATCH_TABLE = {
+  // value: referencia del calibre genérico; serviceMinutes: revisión en taller
+  movements: [
+    { key: 'quartz', label: 'Cuarzo', value: 35, serviceMinutes: 30 },
+    { key: 'automatic', label: 'Automático', value: 220, serviceMinutes: 120 },
+    { key: 'manual', label: 'Cuerda manual', value: 180, serviceMinutes: 100 },
+    { key: 'complication', label: 'Complicación (crono, GMT…)', value: 650, serviceMinutes: 240 },
+  ],
+  crystals: [
+    { key: 'sapphire', label: 'Zafiro sintético', value: 45 },
+    { key: 'mineral', label: 'Mineral', value: 12 },
+    { key: 'acrylic', label: 'Acrílico (hesalita)', value: 6 },
+  ],
+  // factor sobre el valor del movimiento (calibre de manufactura, acabados)
+  brands: [
+    { brand: 'Patek Philippe', factor: 12 },
+    { brand: 'Audemars Piguet', factor: 10 },
+    { brand: 'Rolex', factor: 5 },
+    { brand: 'Omega', factor: 3 },
+    { brand: 'Cartier', factor: 2.5 },
+    { brand: 'TAG Heuer', factor: 1.5 },
+    { brand: 'Longines', factor: 1.3 },
+    { brand: 'Tissot', factor: 0.8 },
+    { brand: 'Seiko', factor: 0.7 },
+    { brand: 'Swatch', factor: 0.3 },
+  ],
+}
+
+export const DEFAULT_WATCH = { movement: 'automatic', crystal: 'sapphire', movementValue: '', crystalValue: '' }
+
+const num = (v, d = 0) => { const n = parseFloat(String(v ?? '').replace(',', '.')); return Number.isFinite(n) ? n : d }
+const norm = (s) => String(s || '').trim().toLowerCase()
+
+const cleanRows = (rows, fallback, fields) => (Array.isArray(rows) && rows.length ? rows : fallback)
+  .map(r => ({ key: String(r.key || `custom_${Date.now().toString(36)}`), label: String(r.label || r.key || '').trim(), ...Object.fromEntries(fields.map(f => [f, Math.max(0, num(r[f]))])) }))
+  .filter(r => r.label)
+
+export const cleanWatchTable = (t = {}) => ({
+  movements: cleanRows(t.movements, DEFAULT_WATCH_TABLE.movements, ['value', 'serviceMinutes']),
+  crystals: cleanRows(t.crystals, DEFAULT_WATCH_TABLE.crystals, ['value']),
+  brands: (Array.isArray(t.brands) ? t.brands : DEFAULT_WATCH_TABLE.brands)
+    .map(b => ({ brand: String(b?.brand || '').trim(), factor: Math.max(0, num(b?.factor, 1)) }))
+    .filter(b => b.brand),
+})
+
+export const loadWatchTable = () => {
+  try {
+    const raw = localStorage.getItem(WATCH_TABLE_KEY)
+    return cleanWatchTable(raw ? JSON.parse(raw) : DEFAULT_WATCH_TABLE)
+  } catch { return cleanWatchTable(DEFAULT_WATCH_TABLE) }
+}
+
+export const saveWatchTable = (table) => writeJSON(WATCH_TABLE_KEY, table, 'la tabla de relojes')
+
+export const cleanWatch = (w) => ({ ...DEFAULT_WATCH, ...(w && typeof w === 'object' ? w : {}) })
+
+// Valores manuales de movimiento y cristal pasados por conv (cambio de divisa);
+// los de referencia ya se multiplican por la tasa en watchBreakdown
+export const convertWatchValues = (w, conv) => w ? { ...w, movementValue: conv(w.movementValue), crystalValue: conv(w.crystalValue) } : w
+
+// Factor de la marca (exacta o contenida en el texto); 1 si no está
+export const brandFactorFor = (brand, table = DEFAULT_WATCH_TABLE) => {
+  const b = norm(brand)
+  if (!b) return 1
+  const hit = table.brands.find(x => norm(x.brand) === b) || table.brands.find(x => b.includes(norm(x.brand)))
+  return hit ? hit.factor : 1
+}
+
+// Líneas de un reloj nuevo; makeLine() crea una línea vacía del metal elegido
+// caja_reloj: caja y bisel; reloj_completo: además brazalete de 20 eslabones
+export const watchPresetLines = (pieceType, makeLine) => {
+  const out = [
+    { ...makeLine(), component: 'case', mode: 'dimensions', shape: 'box', lengthMM: '40', widthMM: '40', heightMM: '10', construction: 'hollow', wallMM: '1.5', qty: '1' },
+    { ...makeLine(), component: 'bezel', mode: 'dimensions', shape: 'cylinder', diameterMM: '40', heightMM: '2', construction: 'tube', innerDiameterMM: '33', qty: '1' },
+  ]
+  if (pieceType === 'reloj_completo') {
+    out.push({ ...makeLine(), component: 'bracelet', mode: 'dimensions', shape: 'box', lengthMM: '20', widthMM: '8', heightMM: '3', construction: 'solid', qty: '20' })
+  }
+  return out
+}
+
+// parts: calcLine de cada línea; rate: divisa por 1 EUR
+// → { movement: { key, label, reference, factor, value, manual, serviceMinutes }, crystal: { … },
+//     components: [{ key, label, lines, grams, cost, links }], extras } o null
+export const watchBreakdown = (watch, lines = [], parts = [], { table = DEFAULT_WATCH_TABLE, brand, rate = 1 } = {}) => {
+  if (!watch) return null
+  const w = cleanWatch(watch)
+  // '' = sin movimiento / sin cristal (caja suelta)
+  const mov = w.movement ? table.movements.find(m => m.key === w.movement) || table.movements[0] : null
+  const cry = w.crystal ? table.crystals.find(c => c.key === w.crystal) || null : null
+  const factor = brandFactorFor(brand, table)
+  const manualMov = String(w.movementValue ?? '').trim() !== ''
+  const manualCry = String(w.crystalValue ?? '').trim() !== ''
+  const movement = mov ? {
+    key: mov.key, label: mov.label, reference: mov.value * rate, factor,
+    value: manualMov ? num(w.movementValue) : mov.value * factor * rate, manual: manualMov,
+    serviceMinutes: mov.serviceMinutes,
+  } : null
+  const crystal = cry ? {
+    key: cry.key, label: cry.label, reference: cry.value * rate,
+    value: manualCry ? num(w.crystalValue) : cry.value * rate, manual: manualCry,
+  } : null
+  const components = Object.entries(WATCH_COMPONENTS).map(([key, label]) => {
+    const idx = lines.map((ln, i) => ln.component === key ? i : -1).filter(i => i >= 0)
+    return {
+      key, label, lines: idx.map(i => i + 1),
+      grams: idx.reduce((a, i) => a + (parts[i]?.matUnit === 'g' ? parts[i].totalW * parts[i].qty : 0), 0),
+      cost: idx.reduce((a, i) => a + (parts[i]?.cost || 0), 0),
+      links: key === 'bracelet' ? idx.reduce((a, i) => a + (parts[i]?.qty || 0), 0) : null,
+    }
+  }).filter(c => c.lines.length)
+  return { movement, crystal, components, extras: (movement?.value || 0) + (crystal?.value || 0) }
+}
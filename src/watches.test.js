@@ -0,0 +1,68 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DEFAULT_WATCH_TABLE, cleanWatchTable, brandFactorFor, watchBreakdown, watchPresetLines, isWatchPiece, convertWatchValues } from './watches.js'
+import { evaluate } from './valuation.js'
+
+const table = cleanWatchTable(DEFAULT_WATCH_TABLE)
+const steel = { key: 'steel_316L', label: 'Acero 316L', unit: '€/g', density: 8 }
+const materials = [steel]
+const autoPrice = () => ({ price: 0.5, source: 'default' })
+let n = 0
+const makeLine = () => ({ id: `l${++n}`, materialKey: 'steel_316L', unitPrice: '', density: '8', qty: '1', weightVal: '', weightUnit: 'g' })
+
+test('watchPresetLines: caja y bisel; el reloj completo lleva brazalete por eslabones', () => {
+  assert.deepEqual(watchPresetLines('caja_reloj', makeLine).map(l => l.component), ['case', 'bezel'])
+  const full = watchPresetLines('reloj_completo', makeLine)
+  assert.deepEqual(full.map(l => l.component), ['case', 'bezel', 'bracelet'])
+  assert.equal(full[2].qty, '20')
+  assert.equal(new Set(full.map(l => l.id)).size, 3)
+  assert.ok(isWatchPiece('reloj') && !isWatchPiece('anillo'))
+})
+
+test('brandFactorFor: exacta, contenida y sin marca', () => {
+  assert.equal(brandFactorFor('rolex', table), 5)
+  assert.equal(brandFactorFor('Omega Seamaster', table), 3)
+  assert.equal(brandFactorFor('Casio', table), 1)
+  assert.equal(brandFactorFor('', table), 1)
+})
+
+test('watchBreakdown: movimiento × marca, cristal y componentes por línea', () => {
+  const lines = [
+    { ...makeLine(), component: 'case', weightVal: '40' },
+    { ...makeLine(), component: 'bracelet', weightVal: '2', qty: '25' },
+  ]
+  const r = watchBreakdown({ movement: 'automatic', crystal: 'sapphire' }, lines, [
+    { matUnit: 'g', totalW: 40, qty: 1, cost: 20 }, { matUnit: 'g', totalW: 2, qty: 25, cost: 25 },
+  ], { table, brand: 'Omega', rate: 2 })
+  assert.equal(r.movement.value, 220 * 3 * 2)
+  assert.equal(r.crystal.value, 90)
+  assert.equal(r.extras, 1320 + 90)
+  assert.deepEqual(r.components.map(c => [c.key, c.grams, c.cost, c.links]), [['case', 40, 20, null], ['bracelet', 50, 25, 25]])
+
+  const manual = watchBreakdown({ movement: 'quartz', movementValue: '15', crystal: '' }, [], [], { table })
+  assert.deepEqual([manual.movement.value, manual.movement.manual, manual.crystal], [15, true, null])
+
+  // Cambio de divisa (×2): los manuales se convierten, los de referencia siguen a la tasa
+  const conv = (v) => String(v ?? '').trim() === '' ? v : String(Number(v) * 2)
+  const usd = convertWatchValues({ movement: 'quartz', movementValue: '15', crystal: 'sapphire', crystalValue: '' }, conv)
+  assert.deepEqual([usd.movementValue, usd.crystalValue], ['30', ''])
+  const after = watchBreakdown(usd, [], [], { table, rate: 2 })
+  assert.deepEqual([after.movement.value, after.crystal.value], [30, 90])
+  assert.equal(convertWatchValues(null, conv), null)
+})
+
+test('evaluate: movimiento y cristal entran en el coste total', () => {
+  const lines = [{ ...makeLine(), component: 'case', weightVal: '40' }]
+  const r = evaluate({ lines, laborCost: 10, brand: 'Casio', watch: { movement: 'quartz', crystal: 'mineral' } }, { materials, autoPrice, watchTable: table })
+  assert.equal(r.subtotal, 20)
+  assert.equal(r.totalCost, 20 + 35 + 12 + 10)
+  assert.equal(evaluate({ lines: [makeLine()], watch: {} }, { materials, autoPrice }).alerts.some(a => a.startsWith('Reloj')), true)
+  assert.equal(evaluate({ lines, laborCost: 10 }, { materials, autoPrice }).watch, null)
+})
+
+test('cleanWatchTable: números y filas vacías', () => {
+  const t = cleanWatchTable({ movements: [{ key: 'q', label: 'Q', value: '12,5', serviceMinutes: '-3' }], brands: [{ brand: '', factor: 2 }, { brand: 'X', factor: 'a' }] })
+  assert.deepEqual(t.movements, [{ key: 'q', label: 'Q', value: 12.5, serviceMinutes: 0 }])
+  assert.equal(t.crystals.length, 3)
+  assert.deepEqual(t.brands, [{ brand: 'X', factor: 1 }])
+})
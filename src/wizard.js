@@ -0,0 +1,127 @@
+// ———————————————————————————————————————————————
+// Asistente por pasos (Ficha → Materiales → Resultado)
+// ———————————————————————————————————————————————
+// Pasos, modo básico/avanzado y borrador del editor (las plantillas rápidas
+// pasaron a la biblioteca de plantillas, templates.js).
+// Hasta la v22 el asistente era una app aparte en index.html con su propio
+// borrador (safire_v22_current) e historial (safire_v22_history); sus líneas
+// guardaban el material por nombre, la unidad de precio, el peso y el coste
+// unitario. Aquí se traducen a líneas del comparador con el mismo coste.
+
+import { evaluate, toNumber, WEIGHT_UNITS } from './valuation.js'
+import { selectPolicy } from './policies.js'
+import { buildEntry } from './history.js'
+import { BASE_CURRENCY, rateFor } from './currency.js'
+import { writeJSON } from './storage.js'
+
+export const WIZARD_STEPS = { 1: 'Ficha', 2: 'Materiales', 3: 'Resultado' }
+export const LEVELS = { basic: 'Modo básico', advanced: 'Modo avanzado' }
+export const DEFAULT_LEVEL = 'basic'
+export const cleanLevel = (level) => level in LEVELS ? level : DEFAULT_LEVEL
+export const cleanStep = (step) => WIZARD_STEPS[step] ? Number(step) : 1
+
+export const DRAFT_KEY = 'safire_draft_v1'
+export const WIZARD_CURRENT_KEY = 'safire_v22_current'
+export const WIZARD_HISTORY_KEY = 'safire_v22_history'
+
+// Borrador del editor: tasación en curso, paso y modo para seguir tras recargar
+export const loadDraft = () => {
+  try {
+    const data = JSON.parse(localStorage.getItem(DRAFT_KEY) || 'null')
+    if (data && Array.isArray(data.lines) && data.lines.length) return data
+  } catch {}
+  return null
+}
+
+export const saveDraft = (draft) => writeJSON(DRAFT_KEY, draft, 'el borrador actual')
+
+// ———————————————————————————————————————————————
+// Datos del asistente v22
+// ———————————————————————————————————————————————
+
+const num = (v) => { const n = parseFloat(String(v ?? '').replace(',', '.')); return Number.isFinite(n) ? n : 0 }
+const norm = (s) => String(s || '').trim().toLowerCase()
+const round2 = (n) => Math.round(n * 100) / 100
+
+// Unidad de precio del asistente → unidad del material y unidad de peso de la línea
+const WIZARD_UNITS = {
+  '€/g': ['€/g', 'g'], '€/dwt': ['€/g', 'dwt'], '€/ozt': ['€/g', 'ozt'],
+  '€/ct': ['€/ct', 'ct'], '€/ud': ['€/ud', 'ud'],
+}
+// Material genérico cuando el nombre no está en el catálogo o su unidad no encaja
+const FALLBACK_MATERIALS = { '€/g': 'other_metal', '€/ct': 'other_mineral', '€/ud': 'other_material' }
+
+const findByName = (materials, name) => {
+  const n = norm(name)
+  return materials.find(m => norm(m.label) === n) || materials.find(m => (m.aliases || []).some(a => norm(a) === n))
+}
+
+// Línea del asistente → línea del comparador (precio manual; dwt/ozt se pasan a €/g)
+export const fromWizardLine = (wl = {}, { materials = [], makeLine }) => {
+  const [unit, weightUnit] = WIZARD_UNITS[wl.unidad] || WIZARD_UNITS['€/ud']
+  const named = findByName(materials, wl.material)
+  const m = named?.unit === unit ? named : materials.find(x => x.key === FALLBACK_MATERIALS[unit])
+  const price = String(wl.costeUnitario ?? '').trim()
+  return {
+    ...makeLine(m?.key),
+    weightVal: String(wl.peso ?? '').trim(),
+    weightUnit,
+    unitPrice: price === '' ? '' : String(Math.round(num(price) / (WEIGHT_UNITS[weightUnit] || 1) * 1e6) / 1e6),
+    alias: m && m === named ? '' : String(wl.material || ''),
+  }
+}
+
+// Borrador o tasación del asistente → estado del editor. Las líneas de mano de
+// obra se suman como importe de mano de obra (override).
+export const fromWizardState = (data = {}, { materials = [], makeLine }) => {
+  const lines = Array.isArray(data.lines) ? data.lines : []
+  const labor = lines.filter(l => l.tipo === 'mano_obra')
+  const parts = lines.filter(l => l.tipo !== 'mano_obra').map(l => fromWizardLine(l, { materials, makeLine }))
+  return {
+    pieceType: String(data.pieceType || ''),
+    brand: String(data.brand || ''),
+    model: String(data.model || ''),
+    currency: String(data.currency || BASE_CURRENCY),
+    level: data.mode === 'advanced' ? 'advanced' : DEFAULT_LEVEL,
+    templateId: String(data.selectedTemplateId || ''),
+    step: cleanStep(data.currentStep),
+    lines: parts.length ? parts : [makeLine()],
+    laborOverride: labor.length ? String(round2(labor.reduce((s, l) => s + num(l.peso) * num(l.costeUnitario), 0))) : '',
+    piecePrice: String(data.salePriceTotal ?? '').trim(),
+  }
+}
+
+// Borrador que hubiera en el asistente (solo si aún no hay borrador propio)
+export const loadWizardCurrent = (opts) => {
+  try {
+    const data = JSON.parse(localStorage.getItem(WIZARD_CURRENT_KEY) || 'null')
+    if (data && Array.isArray(data.lines) && data.lines.length) return fromWizardState(data, opts)
+  } catch {}
+  return null
+}
+
+// Tasaciones guardadas en el asistente → entradas del historial (totales
+// recalculados con la política y el modelo de PVP vigentes). Cada una se
+// convierte por separado: las dañadas se omiten sin perder las demás.
+export const wizardEntries = (snapshots, { materials = [], makeLine, policies = [], pricing, rates } = {}) =>
+  (Array.isArray(snapshots) ? snapshots : [])
+    .filter(s => s && Array.isArray(s.data?.lines))
+    .flatMap(s => { try { return [wizardEntry(s, { materials, makeLine, policies, pricing, rates })] } catch { return [] } })
+
+const wizardEntry = (s, { materials, makeLine, policies, pricing, rates }) => {
+  const state = fromWizardState(s.data, { materials, makeLine })
+  const policy = selectPolicy(policies, state)
+  const evaluation = evaluate(
+    { lines: state.lines, laborCost: toNumber(state.laborOverride), piecePrice: toNumber(state.piecePrice), brand: state.brand },
+    { materials, policy, pricing },
+  )
+  const entry = buildEntry({
+    ...state,
+    desc: String(s.name || '').trim() || undefined,
+    complexity: 'media',
+    rate: rateFor(state.currency, rates),
+    baseCurrency: BASE_CURRENCY,
+    diagnosisPolicy: { id: policy.id, label: policy.label },
+  }, evaluation, { id: `wizard_${s.id}`, createdAt: s.createdAt })
+  return { ...entry, updatedAt: entry.ts }
+}
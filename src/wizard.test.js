@@ -0,0 +1,52 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { fromWizardState, wizardEntries } from './wizard.js'
+import { BASE_MATERIALS } from './catalog.js'
+import { calcLine } from './valuation.js'
+
+const makeLine = (key) => {
+  const m = BASE_MATERIALS.find(x => x.key === key) || BASE_MATERIALS.find(x => x.key === 'gold_18k')
+  return { id: `l_${m.key}`, materialKey: m.key, mode: 'weight', qty: '1', weightVal: '', weightUnit: m.unit === '€/ct' ? 'ct' : m.unit === '€/ud' ? 'ud' : 'g', unitPrice: '', alias: '', density: String(m.density) }
+}
+const opts = { materials: BASE_MATERIALS, makeLine }
+const cost = (ln) => calcLine(ln, { materials: BASE_MATERIALS }).cost
+
+const data = {
+  mode: 'advanced', currency: 'USD', pieceType: 'anillo', brand: 'Tous', model: 'R1', salePriceTotal: '900',
+  selectedTemplateId: 'solitario_ligero', currentStep: 3, nextId: 6,
+  lines: [
+    { id: 1, material: 'Oro 18k', tipo: 'metal', unidad: '€/g', peso: '3.5', costeUnitario: '60' },
+    { id: 2, material: 'Platino', tipo: 'metal', unidad: '€/dwt', peso: 2, costeUnitario: '50' },
+    { id: 3, material: 'Diamante', tipo: 'piedra', unidad: '€/ct', peso: 0.2, costeUnitario: '' },
+    { id: 4, material: 'Piedra rara', tipo: 'piedra', unidad: '€/ud', peso: 3, costeUnitario: '4' },
+    { id: 5, material: 'Engastado (3 piedras)', tipo: 'mano_obra', unidad: '€/ud', peso: 1, costeUnitario: '45.5' },
+  ],
+}
+
+test('fromWizardState conserva el coste de cada línea y suma la mano de obra', () => {
+  const s = fromWizardState(data, opts)
+  assert.deepEqual([s.pieceType, s.brand, s.model, s.currency, s.level, s.step, s.piecePrice], ['anillo', 'Tous', 'R1', 'USD', 'advanced', 3, '900'])
+  assert.deepEqual(s.lines.map(l => l.materialKey), ['gold_18k', 'platinum_950', 'diamond', 'other_material'])
+  assert.deepEqual(s.lines.map(l => Math.round(cost(l) * 100) / 100), [210, 100, 0, 12])
+  assert.equal(s.lines[1].weightUnit, 'dwt')
+  assert.equal(s.lines[2].unitPrice, '')
+  assert.equal(s.lines[3].alias, 'Piedra rara')
+  assert.equal(s.laborOverride, '45.5')
+  assert.equal(fromWizardState({ lines: [] }, opts).lines.length, 1)
+})
+
+test('wizardEntries recalcula los totales de las tasaciones guardadas', () => {
+  const [e] = wizardEntries([{ id: 17, name: 'Solitario cliente X', createdAt: '2025-02-01T10:00:00.000Z', data }, { id: 18 }], opts)
+  assert.equal(e.id, 'wizard_17')
+  assert.equal(e.ts, '2025-02-01T10:00:00.000Z')
+  assert.equal(e.desc, 'Solitario cliente X')
+  assert.equal(e.laborCost, 45.5)
+  assert.equal(Math.round(e.totalCost * 100) / 100, 367.5)
+  assert.equal(e.piecePrice, 900)
+  assert.ok(e.diagnosis)
+})
+
+test('wizardEntries omite las tasaciones dañadas y convierte las demás', () => {
+  const list = wizardEntries([{ id: 1, data: { lines: [null] } }, { id: 2, createdAt: '2025-02-01T10:00:00.000Z', data }], opts)
+  assert.deepEqual(list.map(e => e.id), ['wizard_2'])
+})